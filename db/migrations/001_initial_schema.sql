@@ -1,5 +1,7 @@
--- Google Maps Saved Places Manager - Bidirectional Sync Schema
--- Three-way merge pattern: track base, local, and remote state
+-- Initial schema: places, lists, associations, base state, operations queue, sync log
+-- Uses IF NOT EXISTS so databases created before migrations adopt it as-is
+
+-- migrate:up
 
 -- ============================================================================
 -- CORE ENTITIES
@@ -69,9 +71,9 @@ CREATE INDEX IF NOT EXISTS idx_place_lists_deleted ON place_lists(deleted_locall
 -- Stores the "base" state - what remote looked like at last successful sync
 -- This enables three-way merge: diff(base, local) and diff(base, remote)
 CREATE TABLE IF NOT EXISTS last_remote_state (
-  entity_type TEXT NOT NULL, -- 'place_notes' or 'place_list_association'
-  entity_id TEXT NOT NULL,   -- 'place_123' or 'place_123_list_5'
-  state_hash TEXT NOT NULL,  -- hash of notes or 'exists'/'not_exists' for associations
+  entity_type TEXT NOT NULL, -- 'place_notes', 'place_list_association' or 'list'
+  entity_id TEXT NOT NULL,   -- 'place_123', 'place_123_list_5' or 'list_5'
+  state_hash TEXT NOT NULL,  -- hash of notes/list name, or 'exists'/'not_exists' for associations
   synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (entity_type, entity_id)
@@ -132,3 +134,12 @@ CREATE TABLE IF NOT EXISTS sync_log (
 
 CREATE INDEX IF NOT EXISTS idx_sync_log_started ON sync_log(started_at);
 CREATE INDEX IF NOT EXISTS idx_sync_log_status ON sync_log(status);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS sync_log;
+DROP TABLE IF EXISTS pending_operations;
+DROP TABLE IF EXISTS last_remote_state;
+DROP TABLE IF EXISTS place_lists;
+DROP TABLE IF EXISTS lists;
+DROP TABLE IF EXISTS places;
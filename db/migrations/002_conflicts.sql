@@ -0,0 +1,38 @@
+-- Persistent conflict records (base, local and remote values)
+
+-- migrate:up
+
+-- Every conflict the Merger resolved or left for manual resolution, with all
+-- three values so the losing side is never lost
+CREATE TABLE IF NOT EXISTS conflicts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  sync_id INTEGER,              -- sync_log row that detected the conflict
+
+  entity_type TEXT NOT NULL,    -- 'place_notes' or 'place_list'
+  place_id INTEGER NOT NULL,
+  list_id INTEGER,
+
+  -- Notes text for 'place_notes', 'exists'/'not_exists' for 'place_list'
+  base_value TEXT,
+  local_value TEXT,
+  remote_value TEXT,
+
+  -- Resolution
+  status TEXT DEFAULT 'unresolved', -- 'unresolved', 'resolved'
+  resolution TEXT,                  -- 'local_wins', 'remote_wins', 'merged' (three-way text merge or edited)
+  resolved_value TEXT,
+
+  -- Timestamps
+  detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP,
+
+  FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE,
+  FOREIGN KEY (sync_id) REFERENCES sync_log(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conflicts_status ON conflicts(status);
+CREATE INDEX IF NOT EXISTS idx_conflicts_place ON conflicts(place_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS conflicts;
@@ -0,0 +1,17 @@
+-- Base notes text for three-way text merges
+
+-- migrate:up
+
+-- Full base notes text (last_remote_state only keeps the hash)
+-- Needed for a line-level three-way merge of conflicting notes
+CREATE TABLE IF NOT EXISTS last_remote_notes (
+  place_id INTEGER PRIMARY KEY,
+  notes TEXT NOT NULL,
+  synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS last_remote_notes;
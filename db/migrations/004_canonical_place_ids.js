@@ -0,0 +1,74 @@
+/**
+ * Re-key places by their canonical ID (the CID)
+ *
+ * Seeded places were keyed by the feature ID from the CSV URL and scraped
+ * ones by the raw jslog metadata, so the same place never matched. Rows
+ * whose canonical ID is already taken by another row are left alone.
+ *
+ * The ID rules are copied from src/sync/place-id.js as it was when this
+ * migration was written, so later changes there can't change what it does.
+ *
+ * down() keeps the canonical IDs: the old ones weren't stored. Rolling back
+ * past 004 leaves places keyed by CID, which every later version reads fine.
+ */
+
+const FEATURE_ID_PATTERN = /0x[0-9a-f]{1,16}:0x[0-9a-f]{1,16}/i;
+const CID_PATTERN = /[?&]cid=(\d+)/;
+
+function findFeatureId(text) {
+  if (!text) return null;
+  const match = String(text).match(FEATURE_ID_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+}
+
+function normalizePlaceId(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return BigInt(text).toString(10);
+  }
+
+  const featureId = findFeatureId(text);
+  if (featureId) {
+    return BigInt(featureId.split(':')[1]).toString(10);
+  }
+  const cidMatch = text.match(CID_PATTERN);
+  return cidMatch ? BigInt(cidMatch[1]).toString(10) : null;
+}
+
+function placeUrl(name, featureId) {
+  const slug = encodeURIComponent(name || '').replace(/%20/g, '+');
+  return `https://www.google.com/maps/place/${slug}/data=!4m2!3m1!1s${featureId}`;
+}
+
+function up(db) {
+  const places = db.prepare('SELECT id, google_place_id, google_maps_url, name FROM places').all();
+  const findByGoogleId = db.prepare('SELECT id FROM places WHERE google_place_id = ?');
+  const update = db.prepare('UPDATE places SET google_place_id = ?, google_maps_url = ? WHERE id = ?');
+
+  for (const place of places) {
+    const cid = normalizePlaceId(place.google_place_id) || normalizePlaceId(place.google_maps_url);
+    if (!cid || cid === place.google_place_id) {
+      continue;
+    }
+
+    const taken = findByGoogleId.get(cid);
+    if (taken && taken.id !== place.id) {
+      continue;
+    }
+
+    // Replace fabricated /maps/search/ URLs with the real place URL when the feature ID is known
+    const featureId = findFeatureId(place.google_place_id) || findFeatureId(place.google_maps_url);
+    const url = featureId && !(place.google_maps_url || '').includes('/maps/place/')
+      ? placeUrl(place.name, featureId)
+      : place.google_maps_url;
+
+    update.run(cid, url, place.id);
+  }
+}
+
+function down() {
+  // Canonical IDs stay (see above)
+}
+
+module.exports = { up, down };
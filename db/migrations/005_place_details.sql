@@ -0,0 +1,31 @@
+-- Place details: category and rating from the list view, the rest from the place page
+
+-- migrate:up
+
+ALTER TABLE places ADD COLUMN category TEXT;
+ALTER TABLE places ADD COLUMN rating REAL;
+ALTER TABLE places ADD COLUMN review_count INTEGER;
+ALTER TABLE places ADD COLUMN price_level TEXT;
+ALTER TABLE places ADD COLUMN address TEXT;
+ALTER TABLE places ADD COLUMN latitude REAL;
+ALTER TABLE places ADD COLUMN longitude REAL;
+ALTER TABLE places ADD COLUMN phone TEXT;
+ALTER TABLE places ADD COLUMN website TEXT;
+ALTER TABLE places ADD COLUMN details_synced_at TIMESTAMP; -- Last time the place page was scraped
+
+CREATE INDEX IF NOT EXISTS idx_places_category ON places(category);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_places_category;
+
+ALTER TABLE places DROP COLUMN details_synced_at;
+ALTER TABLE places DROP COLUMN website;
+ALTER TABLE places DROP COLUMN phone;
+ALTER TABLE places DROP COLUMN longitude;
+ALTER TABLE places DROP COLUMN latitude;
+ALTER TABLE places DROP COLUMN address;
+ALTER TABLE places DROP COLUMN price_level;
+ALTER TABLE places DROP COLUMN review_count;
+ALTER TABLE places DROP COLUMN rating;
+ALTER TABLE places DROP COLUMN category;
@@ -0,0 +1,35 @@
+-- Full-text search over place names and notes
+
+-- migrate:up
+
+-- External-content FTS5 index: rows live in places, triggers keep the index in step
+CREATE VIRTUAL TABLE IF NOT EXISTS places_fts USING fts5(
+  name,
+  notes,
+  content = 'places',
+  content_rowid = 'id',
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS places_fts_insert AFTER INSERT ON places BEGIN
+  INSERT INTO places_fts (rowid, name, notes) VALUES (new.id, new.name, new.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS places_fts_delete AFTER DELETE ON places BEGIN
+  INSERT INTO places_fts (places_fts, rowid, name, notes) VALUES ('delete', old.id, old.name, old.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS places_fts_update AFTER UPDATE OF name, notes ON places BEGIN
+  INSERT INTO places_fts (places_fts, rowid, name, notes) VALUES ('delete', old.id, old.name, old.notes);
+  INSERT INTO places_fts (rowid, name, notes) VALUES (new.id, new.name, new.notes);
+END;
+
+-- Index the places that already exist
+INSERT INTO places_fts (places_fts) VALUES ('rebuild');
+
+-- migrate:down
+
+DROP TRIGGER IF EXISTS places_fts_update;
+DROP TRIGGER IF EXISTS places_fts_delete;
+DROP TRIGGER IF EXISTS places_fts_insert;
+DROP TABLE IF EXISTS places_fts;
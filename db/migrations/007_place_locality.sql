@@ -0,0 +1,17 @@
+-- Place locality: city and country derived offline from coordinates or address (gmaps cities)
+
+-- migrate:up
+
+ALTER TABLE places ADD COLUMN locality TEXT;
+ALTER TABLE places ADD COLUMN country TEXT;
+ALTER TABLE places ADD COLUMN locality_source TEXT; -- 'coordinates' or 'address'
+
+CREATE INDEX IF NOT EXISTS idx_places_locality ON places(country, locality);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_places_locality;
+
+ALTER TABLE places DROP COLUMN locality_source;
+ALTER TABLE places DROP COLUMN country;
+ALTER TABLE places DROP COLUMN locality;
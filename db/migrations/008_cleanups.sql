@@ -0,0 +1,60 @@
+-- Cleanups: bulk local removals (gmaps cleanup) and what's needed to undo them
+
+-- migrate:up
+
+-- When a place was last saved to a list or had its notes changed
+ALTER TABLE places ADD COLUMN touched_at TIMESTAMP;
+
+UPDATE places SET touched_at = MAX(
+  created_at,
+  COALESCE((SELECT MAX(added_at) FROM place_lists WHERE place_id = places.id), created_at)
+);
+
+CREATE TRIGGER IF NOT EXISTS places_touched_insert AFTER INSERT ON places BEGIN
+  UPDATE places SET touched_at = CURRENT_TIMESTAMP WHERE id = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS places_touched_notes AFTER UPDATE OF notes ON places
+WHEN old.notes IS NOT new.notes BEGIN
+  UPDATE places SET touched_at = CURRENT_TIMESTAMP WHERE id = new.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS places_touched_list AFTER INSERT ON place_lists BEGIN
+  UPDATE places SET touched_at = CURRENT_TIMESTAMP WHERE id = new.place_id;
+END;
+
+-- One applied cleanup; its queued removals wait until undo_until before they're pushed
+CREATE TABLE IF NOT EXISTS cleanups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  criteria TEXT NOT NULL,       -- JSON, e.g. {"withoutNotes":true,"untouchedSince":"2023-01-01"}
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  undo_until TIMESTAMP NOT NULL,
+  undone_at TIMESTAMP
+);
+
+-- Every list entry a cleanup removed (list_id is NULL for a place that was in no list)
+CREATE TABLE IF NOT EXISTS cleanup_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cleanup_id INTEGER NOT NULL,
+  place_id INTEGER NOT NULL,
+  list_id INTEGER,
+
+  base_state TEXT,              -- place_list_association base before the cleanup ('exists', 'not_exists' or NULL)
+  operation_id INTEGER,         -- queued remove_place_from_list, NULL for local-only removals
+
+  FOREIGN KEY (cleanup_id) REFERENCES cleanups(id) ON DELETE CASCADE,
+  FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_cleanup_items_cleanup ON cleanup_items(cleanup_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS cleanup_items;
+DROP TABLE IF EXISTS cleanups;
+
+DROP TRIGGER IF EXISTS places_touched_list;
+DROP TRIGGER IF EXISTS places_touched_notes;
+DROP TRIGGER IF EXISTS places_touched_insert;
+
+ALTER TABLE places DROP COLUMN touched_at;
@@ -0,0 +1,11 @@
+-- Tags and Comment columns of Takeout "Saved" CSVs, kept per list entry
+
+-- migrate:up
+
+ALTER TABLE place_lists ADD COLUMN tags TEXT;     -- As exported, e.g. "brunch, kid-friendly"
+ALTER TABLE place_lists ADD COLUMN comment TEXT;
+
+-- migrate:down
+
+ALTER TABLE place_lists DROP COLUMN comment;
+ALTER TABLE place_lists DROP COLUMN tags;
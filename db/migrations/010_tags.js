@@ -0,0 +1,69 @@
+/**
+ * Tags: tags and place_tags, filled from the Takeout Tags already kept per list entry
+ *
+ * place_lists.tags (migration 009) stays as exported; the tags in it are split and
+ * normalized here, which SQL can't do.
+ *
+ * normalizeTag/splitTags are a frozen copy of src/sync/tags.js: databases migrated
+ * later must end up with the same tags as those migrated today.
+ */
+
+function normalizeTag(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_-]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function splitTags(text) {
+  if (!text) return [];
+  return [...new Set(String(text).split(',').map(normalizeTag).filter(Boolean))];
+}
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,        -- Normalized: lowercase, e.g. "kid-friendly"
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS place_tags (
+      place_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      source TEXT NOT NULL DEFAULT 'manual',  -- 'manual', 'takeout' or 'notes'
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+      PRIMARY KEY (place_id, tag_id),
+      FOREIGN KEY (place_id) REFERENCES places(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_place_tags_tag ON place_tags(tag_id);
+  `);
+
+  const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+  const tagPlace = db.prepare(`
+    INSERT OR IGNORE INTO place_tags (place_id, tag_id, source)
+    SELECT ?, id, 'takeout' FROM tags WHERE name = ?
+  `);
+  const rows = db.prepare('SELECT place_id, tags FROM place_lists WHERE tags IS NOT NULL').all();
+
+  for (const row of rows) {
+    for (const name of splitTags(row.tags)) {
+      insertTag.run(name);
+      tagPlace.run(row.place_id, name);
+    }
+  }
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS place_tags;
+    DROP TABLE IF EXISTS tags;
+  `);
+}
+
+module.exports = { up, down };
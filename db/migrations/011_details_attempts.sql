@@ -0,0 +1,9 @@
+-- When each place page was last opened for details, so failing pages back off (gmaps sync --details)
+
+-- migrate:up
+
+ALTER TABLE places ADD COLUMN details_attempted_at TIMESTAMP;
+
+-- migrate:down
+
+ALTER TABLE places DROP COLUMN details_attempted_at;
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+const cli = require('../src/cli');
+
+/**
+ * Dedupe script - same as "gmaps dedupe"
+ * Left in place for "node scripts/dedupe.js" callers; "npm run dedupe" uses the CLI
+ */
+async function main() {
+  process.exitCode = await cli.main(['dedupe', ...process.argv.slice(2)]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
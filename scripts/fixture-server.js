@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const FixtureServer = require('../src/browser/fixture-server');
+
+/**
+ * Serve a fixture as a fake Google Maps Saved places page (for poking at it in a browser)
+ * Usage: node scripts/fixture-server.js [fixture.json] [--port <port>]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : 8940;
+  const fixturePath = args.find((arg, i) => !arg.startsWith('--') && i !== portIndex + 1) ||
+    path.join(__dirname, '../test/fixtures/saved-places.json');
+
+  const server = new FixtureServer(fixturePath, { port });
+  await server.start();
+  console.log('Press Ctrl+C to stop');
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fixture server failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = main;
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+const cli = require('../src/cli');
+
+/**
+ * Migration script - same as "gmaps migrate"
+ * Predates the gmaps CLI; "npm run migrate" now calls gmaps migrate up directly
+ */
+async function main() {
+  process.exitCode = await cli.main(['migrate', ...process.argv.slice(2)]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
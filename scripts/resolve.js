@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+const cli = require('../src/cli');
+
+/**
+ * Conflict resolution script - same as "gmaps resolve"
+ * Older docs and habits say "node scripts/resolve.js"; it forwards every flag to gmaps resolve
+ */
+async function main() {
+  process.exitCode = await cli.main(['resolve', ...process.argv.slice(2)]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+const cli = require('../src/cli');
+
+/**
+ * Search script - same as "gmaps search"
+ * For shell aliases written before the CLI; "npm run search" calls gmaps directly
+ */
+async function main() {
+  process.exitCode = await cli.main(['search', ...process.argv.slice(2)]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = main;
@@ -0,0 +1,389 @@
+/**
+ * Web UI - Runs in the browser page served by ApiServer
+ * Talks only to the local REST API, so it works without a network connection
+ */
+(function () {
+  const PAGE_SIZE = 100;
+  const TOKEN_KEY = 'gmaps-api-token';
+
+  const $ = id => document.getElementById(id);
+  const state = {
+    lists: [],
+    listId: null,
+    places: [],
+    total: 0,
+    query: null,
+    tab: 'conflicts'
+  };
+
+  function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (value === null || value === undefined || value === false) continue;
+      if (key === 'text') node.textContent = value;
+      else if (key === 'className') node.className = value;
+      else if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+      else node.setAttribute(key, value);
+    }
+    children.filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function setStatus(message, isError = false) {
+    $('status').textContent = message || '';
+    $('status').className = isError ? 'error' : '';
+  }
+
+  /**
+   * Call the REST API, asking for the token once if the server wants one
+   */
+  async function api(method, url, body, retried = false) {
+    // Writes are always JSON; the server refuses anything else
+    if (body === undefined && ['POST', 'PUT', 'PATCH'].includes(method)) body = {};
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`/api${url}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401 && !retried) {
+      const entered = prompt('API token (see gmaps serve --token)');
+      if (entered) {
+        localStorage.setItem(TOKEN_KEY, entered.trim());
+        return api(method, url, body, true);
+      }
+    }
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `${method} ${url} failed: ${response.status}`);
+    return data;
+  }
+
+  /**
+   * Run an action, showing its error instead of throwing
+   */
+  async function attempt(action, done) {
+    try {
+      await action();
+      if (done) setStatus(done);
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  // ============ LISTS ============
+
+  async function loadLists() {
+    state.lists = await api('GET', '/lists');
+    if (!state.lists.some(list => list.id === state.listId)) {
+      state.listId = state.lists[0] ? state.lists[0].id : null;
+    }
+    renderLists();
+  }
+
+  function renderLists() {
+    $('lists').replaceChildren(...state.lists.map(list => el('li', {
+      className: list.id === state.listId && !state.query ? 'selected' : null,
+      onclick: () => selectList(list.id),
+      ondragover: event => {
+        event.preventDefault();
+        event.currentTarget.classList.add('drop-target');
+      },
+      ondragleave: event => event.currentTarget.classList.remove('drop-target'),
+      ondrop: event => {
+        event.preventDefault();
+        event.currentTarget.classList.remove('drop-target');
+        const data = event.dataTransfer.getData('application/json');
+        if (data) dropPlace(JSON.parse(data), list);
+      }
+    }, [
+      el('span', { text: list.name }),
+      el('span', { className: 'count', text: String(list.place_count) })
+    ])));
+  }
+
+  async function selectList(listId) {
+    state.listId = listId;
+    state.query = null;
+    $('search').q.value = '';
+    renderLists();
+    await attempt(() => loadPlaces());
+  }
+
+  async function createList() {
+    const name = prompt('Name of the new list');
+    if (!name) return;
+    await attempt(async () => {
+      const list = await api('POST', '/lists', { name });
+      state.listId = list.id;
+      await loadLists();
+      await loadPlaces();
+    }, `Created ${name}`);
+  }
+
+  async function renameList(list) {
+    const name = prompt('New name', list.name);
+    if (!name || name === list.name) return;
+    await attempt(async () => {
+      await api('PATCH', `/lists/${list.id}`, { name });
+      await loadLists();
+      await loadPlaces();
+    }, `Renamed ${list.name} to ${name}`);
+  }
+
+  async function deleteList(list) {
+    if (!confirm(`Delete "${list.name}"? Its places stay in their other lists.`)) return;
+    await attempt(async () => {
+      await api('DELETE', `/lists/${list.id}`);
+      await loadLists();
+      await loadPlaces();
+    }, `Deleted ${list.name}`);
+  }
+
+  // ============ PLACES ============
+
+  async function loadPlaces(append = false) {
+    if (!state.listId) {
+      state.places = [];
+      state.total = 0;
+      return renderPlaces();
+    }
+    const offset = append ? state.places.length : 0;
+    const page = await api('GET', `/lists/${state.listId}/places?limit=${PAGE_SIZE}&offset=${offset}`);
+    state.places = append ? state.places.concat(page.places) : page.places;
+    state.total = page.total;
+    renderPlaces();
+  }
+
+  async function search(query) {
+    state.query = query;
+    renderLists();
+    state.places = await api('GET', `/search?q=${encodeURIComponent(query)}&limit=100`);
+    state.total = state.places.length;
+    renderPlaces();
+  }
+
+  function renderPlaces() {
+    const list = state.lists.find(l => l.id === state.listId);
+    let head;
+
+    if (state.query) {
+      head = el('div', { className: 'list-head' }, [
+        el('h2', { text: `"${state.query}": ${state.total} results` })
+      ]);
+    } else if (list) {
+      head = el('div', { className: 'list-head' }, [
+        el('h2', { text: `${list.name} (${state.total})` }),
+        el('div', { className: 'actions' }, [
+          el('button', { type: 'button', text: 'Rename', onclick: () => renameList(list) }),
+          el('button', { type: 'button', text: 'Delete', onclick: () => deleteList(list) })
+        ])
+      ]);
+    } else {
+      head = el('p', { className: 'empty-state', text: 'No lists yet. Run "gmaps sync" or "gmaps seed" first.' });
+    }
+
+    const more = !state.query && state.places.length < state.total
+      ? el('button', { type: 'button', className: 'more', text: 'Show more', onclick: () => attempt(() => loadPlaces(true)) })
+      : null;
+
+    $('places').replaceChildren(...[head, ...state.places.map(renderPlace), more].filter(Boolean));
+  }
+
+  function renderPlace(place) {
+    const meta = [
+      place.category,
+      place.rating ? `★ ${place.rating}${place.review_count ? ` (${place.review_count})` : ''}` : null,
+      place.price_level,
+      place.address
+    ].filter(Boolean).join(' · ');
+
+    const notes = el('div', {
+      className: place.notes ? 'notes' : 'notes empty',
+      text: place.notes || 'No notes'
+    });
+    const card = el('div', {
+      className: 'place',
+      // Search results can sit in several lists, so only list views can drag
+      draggable: state.query ? null : 'true',
+      ondragstart: event => {
+        event.dataTransfer.setData('application/json', JSON.stringify({ placeId: place.id, fromId: state.listId }));
+        event.currentTarget.classList.add('dragging');
+      },
+      ondragend: event => event.currentTarget.classList.remove('dragging')
+    }, [
+      el('div', { className: 'name' }, [
+        /^https?:\/\//.test(place.google_maps_url || '')
+          ? el('a', { href: place.google_maps_url, target: '_blank', rel: 'noopener', text: place.name })
+          : el('span', { text: place.name })
+      ]),
+      meta ? el('div', { className: 'meta', text: meta }) : null,
+      place.lists ? el('div', { className: 'in-lists', text: place.lists.map(l => l.name).join(', ') }) : null,
+      place.snippet ? el('div', { className: 'snippet', text: place.snippet }) : null,
+      notes
+    ]);
+
+    const editButton = el('button', { type: 'button', text: 'Edit notes', onclick: () => editNotes(place, card, notes, editButton) });
+    card.appendChild(el('div', { className: 'buttons' }, [editButton]));
+    return card;
+  }
+
+  function editNotes(place, card, notes, editButton) {
+    const textarea = el('textarea', { 'aria-label': `Notes for ${place.name}` });
+    textarea.value = place.notes || '';
+    const buttons = el('div', { className: 'buttons' });
+    const close = () => {
+      textarea.remove();
+      buttons.remove();
+      notes.hidden = false;
+      editButton.hidden = false;
+    };
+
+    buttons.append(
+      el('button', {
+        type: 'button',
+        className: 'primary',
+        text: 'Save',
+        onclick: () => attempt(async () => {
+          const updated = await api('PUT', `/places/${place.id}/notes`, { notes: textarea.value });
+          place.notes = updated.notes;
+          notes.textContent = updated.notes || 'No notes';
+          notes.className = updated.notes ? 'notes' : 'notes empty';
+          close();
+        }, `Saved notes for ${place.name}; the next sync pushes them`)
+      }),
+      el('button', { type: 'button', text: 'Cancel', onclick: close })
+    );
+
+    notes.hidden = true;
+    editButton.hidden = true;
+    card.append(textarea, buttons);
+    textarea.focus();
+  }
+
+  async function dropPlace({ placeId, fromId }, to) {
+    if (!fromId || fromId === to.id) return;
+    const place = state.places.find(p => p.id === placeId);
+    await attempt(async () => {
+      await api('POST', `/places/${placeId}/move`, { from: fromId, to: to.id });
+      await loadLists();
+      await loadPlaces();
+      await loadPanel();
+    }, `Moved ${place ? place.name : 'place'} to ${to.name}`);
+  }
+
+  // ============ PANEL: CONFLICTS, PENDING OPERATIONS, SYNC HISTORY ============
+
+  async function loadPanel() {
+    document.querySelectorAll('.tabs button').forEach(button => {
+      button.classList.toggle('active', button.dataset.tab === state.tab);
+      button.setAttribute('aria-selected', String(button.dataset.tab === state.tab));
+    });
+
+    if (state.tab === 'conflicts') {
+      const conflicts = await api('GET', '/conflicts');
+      return renderPanel(conflicts.map(renderConflict), 'No unresolved conflicts');
+    }
+    if (state.tab === 'operations') {
+      const operations = await api('GET', '/operations?limit=100');
+      return renderPanel(operations.map(renderOperation), 'Nothing queued. Local edits are queued by the next sync.');
+    }
+    const syncs = await api('GET', '/syncs?limit=20');
+    renderPanel(syncs.map(renderSync), 'No syncs yet');
+  }
+
+  function renderPanel(items, emptyText) {
+    $('panel-body').replaceChildren(...(items.length > 0 ? items : [el('p', { className: 'empty-state', text: emptyText })]));
+  }
+
+  function renderConflict(conflict) {
+    const isNotes = conflict.entity_type === 'place_notes';
+    const describe = value => (isNotes ? value || '(empty)' : value === 'exists' ? 'in list' : 'removed');
+    const node = el('div', { className: 'conflict' }, [
+      el('strong', { text: conflict.place_name || `Place ${conflict.place_id}` }),
+      el('div', { className: 'meta', text: isNotes ? 'Notes' : `Membership in ${conflict.list_name}` }),
+      el('div', { className: 'values' }, [
+        el('span', { text: 'Local' }), el('span', { text: describe(conflict.local_value) }),
+        el('span', { text: 'Remote' }), el('span', { text: describe(conflict.remote_value) })
+      ])
+    ]);
+
+    const resolve = (choice, notes) => attempt(async () => {
+      await api('POST', `/conflicts/${conflict.id}/resolve`, { choice, notes });
+      await loadPanel();
+      await loadPlaces();
+    }, 'Conflict resolved; the next sync pushes the result');
+
+    const buttons = el('div', { className: 'buttons' }, [
+      el('button', { type: 'button', text: 'Keep local', onclick: () => resolve('local') }),
+      el('button', { type: 'button', text: 'Take remote', onclick: () => resolve('remote') })
+    ]);
+    if (isNotes) {
+      buttons.appendChild(el('button', {
+        type: 'button',
+        text: 'Edit',
+        onclick: () => {
+          const textarea = el('textarea', { 'aria-label': 'Combined notes' });
+          textarea.value = conflict.combined || '';
+          buttons.replaceChildren(
+            el('button', { type: 'button', className: 'primary', text: 'Save', onclick: () => resolve('edit', textarea.value) }),
+            el('button', { type: 'button', text: 'Cancel', onclick: () => attempt(loadPanel) })
+          );
+          node.insertBefore(textarea, buttons);
+          textarea.focus();
+        }
+      }));
+    }
+    node.appendChild(buttons);
+    return node;
+  }
+
+  function renderOperation(op) {
+    const payload = op.payload;
+    const target = [payload.name, payload.placeId && `place #${payload.placeId}`, payload.listId && `list #${payload.listId}`]
+      .filter(Boolean).join(', ');
+    return el('div', { className: 'operation' }, [
+      el('span', { className: `badge ${op.status}`, text: op.status }),
+      el('strong', { text: ` ${op.operation_type}` }),
+      el('div', { className: 'meta', text: `${target}${op.retry_count ? ` · ${op.retry_count} retries` : ''} · ${op.created_at}` }),
+      op.error_message ? el('div', { className: 'error', text: op.error_message }) : null
+    ]);
+  }
+
+  function renderSync(sync) {
+    return el('div', { className: 'sync' }, [
+      el('span', { className: `badge ${sync.status}`, text: sync.status || 'unknown' }),
+      el('strong', { text: ` ${sync.sync_type}` }),
+      el('div', { className: 'meta', text: `${sync.started_at}${sync.completed_at ? ` → ${sync.completed_at}` : ''}` }),
+      el('div', {
+        text: `${sync.places_pulled} pulled, ${sync.operations_pushed} pushed, ${sync.conflicts_detected} conflicts`
+      }),
+      ...(sync.errors || []).map(error => el('div', { className: 'error', text: String(error) }))
+    ]);
+  }
+
+  // ============ STARTUP ============
+
+  $('new-list').addEventListener('click', createList);
+  $('search').addEventListener('submit', event => {
+    event.preventDefault();
+    const query = event.target.q.value.trim();
+    attempt(() => (query ? search(query) : selectList(state.listId)));
+  });
+  document.querySelectorAll('.tabs button').forEach(button => {
+    button.addEventListener('click', () => {
+      state.tab = button.dataset.tab;
+      attempt(loadPanel);
+    });
+  });
+
+  attempt(async () => {
+    await loadLists();
+    await loadPlaces();
+    await loadPanel();
+  });
+})();
@@ -0,0 +1,55 @@
+/**
+ * Map cluster - Web Mercator projection and screen-space marker clustering
+ * Loaded by the map page and required by the tests
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MapCluster = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MAX_LATITUDE = 85.05112878; // Where the projected world is square
+
+  /**
+   * Latitude/longitude to Web Mercator world coordinates in [0, 1]
+   * (multiply by 256 * 2^zoom for pixels, the same scheme as XYZ tiles)
+   */
+  function project(latitude, longitude) {
+    const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)) * Math.PI / 180;
+    return {
+      x: (longitude + 180) / 360,
+      // Clamped too: rounding at the edges lands just outside
+      y: Math.max(0, Math.min(1, (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2))
+    };
+  }
+
+  /**
+   * World coordinates back to latitude/longitude
+   */
+  function unproject(x, y) {
+    const n = Math.PI - 2 * Math.PI * y;
+    return {
+      latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+      longitude: x * 360 - 180
+    };
+  }
+
+  /**
+   * Group points (screen pixels, { x, y, ... }) that fall in the same grid cell
+   * @returns {Array} [{ x, y, points }] - x/y is the centroid of the group
+   */
+  function clusterPoints(points, cellSize) {
+    const cells = new Map();
+    for (const point of points) {
+      const key = `${Math.floor(point.x / cellSize)}:${Math.floor(point.y / cellSize)}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(point);
+    }
+
+    return [...cells.values()].map(group => ({
+      x: group.reduce((sum, point) => sum + point.x, 0) / group.length,
+      y: group.reduce((sum, point) => sum + point.y, 0) / group.length,
+      points: group
+    }));
+  }
+
+  return { project, unproject, clusterPoints };
+});
@@ -0,0 +1,393 @@
+/**
+ * Map page - Draws saved places on a canvas, clustered at low zoom
+ * Uses self-hosted XYZ tiles when configured, otherwise a plain projection with a lat/lng grid
+ */
+(function () {
+  const { project, unproject, clusterPoints } = window.MapCluster;
+  const TOKEN_KEY = 'gmaps-api-token';
+  const TILE_SIZE = 256;
+  const MIN_ZOOM = 1;
+  const MAX_ZOOM = 19;
+  const CLUSTER_CELL = 48;
+  const MARKER_RADIUS = 7;
+  const COLORS = ['#1a73e8', '#d93025', '#188038', '#f29900', '#9334e6', '#e52592', '#12b5cb', '#795548', '#5f6368', '#c5221f'];
+
+  const $ = id => document.getElementById(id);
+  const canvas = $('canvas');
+  const ctx = canvas.getContext('2d');
+  const tiles = new Map();
+
+  const state = {
+    data: null,
+    points: [],             // places with world coordinates
+    shapes: [],             // what was drawn last, for hit testing
+    center: { x: 0.5, y: 0.5 },
+    zoom: 2,
+    listId: null
+  };
+
+  function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (value === null || value === undefined || value === false) continue;
+      if (key === 'text') node.textContent = value;
+      else if (key === 'className') node.className = value;
+      else if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+      else node.setAttribute(key, value);
+    }
+    children.filter(Boolean).forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  function setStatus(message, isError = false) {
+    $('status').textContent = message || '';
+    $('status').className = isError ? 'error' : '';
+  }
+
+  /**
+   * Call the REST API, asking for the token once if the server wants one
+   */
+  async function api(url, retried = false) {
+    const token = localStorage.getItem(TOKEN_KEY);
+    const response = await fetch(`/api${url}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+
+    if (response.status === 401 && !retried) {
+      const entered = prompt('API token (see gmaps serve --token)');
+      if (entered) {
+        localStorage.setItem(TOKEN_KEY, entered.trim());
+        return api(url, true);
+      }
+    }
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `GET ${url} failed: ${response.status}`);
+    return data;
+  }
+
+  function colorOf(listId) {
+    const index = state.data.lists.findIndex(list => list.id === listId);
+    return COLORS[(index < 0 ? 0 : index) % COLORS.length];
+  }
+
+  /**
+   * Marker color: the filtered list, otherwise the place's first list
+   */
+  function markerColor(place) {
+    return colorOf(state.listId && place.lists.includes(state.listId) ? state.listId : place.lists[0]);
+  }
+
+  // ============ DATA ============
+
+  async function load() {
+    const form = $('filter');
+    const params = new URLSearchParams();
+    if (form.list.value) params.set('list', form.list.value);
+    if (form.q.value.trim()) params.set('q', form.q.value.trim());
+
+    const first = !state.data;
+    state.data = await api(`/map?${params}`);
+    state.listId = form.list.value ? Number(form.list.value) : null;
+    state.points = state.data.places.map(place => ({ place, ...project(place.latitude, place.longitude) }));
+
+    if (first) {
+      form.list.append(...state.data.lists.map(list => el('option', { value: String(list.id), text: list.name })));
+    }
+    renderLegend();
+    fit();
+
+    const missing = state.data.withoutCoordinates;
+    setStatus(`${state.points.length} places on the map${missing ? `, ${missing} without coordinates (run a full sync)` : ''}`);
+  }
+
+  function renderLegend() {
+    const shown = state.listId ? state.data.lists.filter(list => list.id === state.listId) : state.data.lists;
+    $('legend').replaceChildren(...shown.map(list => el('li', {}, [
+      el('span', { className: 'swatch', style: `background: ${colorOf(list.id)}` }),
+      el('span', { text: list.name })
+    ])));
+  }
+
+  // ============ VIEW ============
+
+  function worldSize() {
+    return TILE_SIZE * Math.pow(2, state.zoom);
+  }
+
+  function toScreen(point) {
+    return {
+      x: (point.x - state.center.x) * worldSize() + canvas.width / 2,
+      y: (point.y - state.center.y) * worldSize() + canvas.height / 2
+    };
+  }
+
+  function toWorld(x, y) {
+    return {
+      x: state.center.x + (x - canvas.width / 2) / worldSize(),
+      y: state.center.y + (y - canvas.height / 2) / worldSize()
+    };
+  }
+
+  /**
+   * Zoom and center to show every point
+   */
+  function fit(points = state.points) {
+    if (points.length === 0) {
+      state.center = { x: 0.5, y: 0.5 };
+      state.zoom = 2;
+      return draw();
+    }
+    const xs = points.map(point => point.x);
+    const ys = points.map(point => point.y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const padding = 60;
+    const zoomX = Math.log2((canvas.width - padding * 2) / TILE_SIZE / Math.max(maxX - minX, 1e-9));
+    const zoomY = Math.log2((canvas.height - padding * 2) / TILE_SIZE / Math.max(maxY - minY, 1e-9));
+
+    state.center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+    state.zoom = clampZoom(Math.floor(Math.min(zoomX, zoomY, 16)));
+    draw();
+  }
+
+  function clampZoom(zoom) {
+    return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+  }
+
+  /**
+   * Change zoom keeping the world point under (x, y) in place
+   */
+  function zoomAt(zoom, x = canvas.width / 2, y = canvas.height / 2) {
+    const anchor = toWorld(x, y);
+    state.zoom = clampZoom(zoom);
+    const moved = toWorld(x, y);
+    state.center = {
+      x: state.center.x + anchor.x - moved.x,
+      y: state.center.y + anchor.y - moved.y
+    };
+    draw();
+  }
+
+  // ============ DRAWING ============
+
+  function draw() {
+    if (!state.data) return;
+    ctx.fillStyle = '#e8eef3';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (state.data.tiles) {
+      drawTiles();
+    } else {
+      drawGrid();
+    }
+    drawPlaces();
+  }
+
+  function drawTiles() {
+    const count = Math.pow(2, state.zoom);
+    const topLeft = toWorld(0, 0);
+    const bottomRight = toWorld(canvas.width, canvas.height);
+
+    for (let tx = Math.floor(topLeft.x * count); tx <= Math.floor(bottomRight.x * count); tx++) {
+      for (let ty = Math.max(0, Math.floor(topLeft.y * count)); ty <= Math.min(count - 1, Math.floor(bottomRight.y * count)); ty++) {
+        const wrappedX = ((tx % count) + count) % count;
+        const url = state.data.tiles
+          .replace('{z}', state.zoom)
+          .replace('{x}', wrappedX)
+          .replace('{y}', ty);
+        const image = tile(url);
+        if (image.complete && image.naturalWidth > 0) {
+          const { x, y } = toScreen({ x: tx / count, y: ty / count });
+          ctx.drawImage(image, Math.round(x), Math.round(y), TILE_SIZE, TILE_SIZE);
+        }
+      }
+    }
+  }
+
+  /**
+   * Cached tile image; redraws once it has loaded
+   */
+  function tile(url) {
+    if (!tiles.has(url)) {
+      const image = new Image();
+      image.onload = () => draw();
+      image.src = url;
+      tiles.set(url, image);
+    }
+    return tiles.get(url);
+  }
+
+  /**
+   * Offline background: latitude/longitude lines with labels
+   */
+  function drawGrid() {
+    const degreesPerPixel = 360 / worldSize();
+    const step = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30]
+      .find(candidate => candidate / degreesPerPixel >= 80) || 30;
+    const topLeftWorld = toWorld(0, 0);
+    const bottomRightWorld = toWorld(canvas.width, canvas.height);
+    const topLeft = unproject(topLeftWorld.x, topLeftWorld.y);
+    const bottomRight = unproject(bottomRightWorld.x, bottomRightWorld.y);
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+    ctx.strokeStyle = '#c9d3dc';
+    ctx.fillStyle = '#7b8794';
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.lineWidth = 1;
+
+    for (let lng = Math.ceil(topLeft.longitude / step) * step; lng <= bottomRight.longitude; lng += step) {
+      const { x } = toScreen(project(0, lng));
+      line(x, 0, x, canvas.height);
+      ctx.fillText(`${lng.toFixed(decimals)}°`, x + 3, canvas.height - 6);
+    }
+    for (let lat = Math.ceil(bottomRight.latitude / step) * step; lat <= topLeft.latitude; lat += step) {
+      const { y } = toScreen(project(lat, 0));
+      line(0, y, canvas.width, y);
+      ctx.fillText(`${lat.toFixed(decimals)}°`, 4, y - 3);
+    }
+  }
+
+  function line(x1, y1, x2, y2) {
+    ctx.beginPath();
+    ctx.moveTo(Math.round(x1) + 0.5, Math.round(y1) + 0.5);
+    ctx.lineTo(Math.round(x2) + 0.5, Math.round(y2) + 0.5);
+    ctx.stroke();
+  }
+
+  function drawPlaces() {
+    const visible = state.points
+      .map(point => ({ ...toScreen(point), point }))
+      .filter(p => p.x > -CLUSTER_CELL && p.y > -CLUSTER_CELL && p.x < canvas.width + CLUSTER_CELL && p.y < canvas.height + CLUSTER_CELL);
+
+    const groups = state.zoom < state.data.clusterMaxZoom
+      ? clusterPoints(visible, CLUSTER_CELL)
+      : visible.map(p => ({ x: p.x, y: p.y, points: [p] }));
+
+    state.shapes = groups.map(group => {
+      if (group.points.length === 1) {
+        const { place } = group.points[0].point;
+        circle(group.x, group.y, MARKER_RADIUS, markerColor(place));
+        return { x: group.x, y: group.y, radius: MARKER_RADIUS + 3, place };
+      }
+
+      const colors = new Set(group.points.map(p => markerColor(p.point.place)));
+      const radius = Math.min(28, 12 + Math.log2(group.points.length) * 3);
+      circle(group.x, group.y, radius, colors.size === 1 ? [...colors][0] : '#5f6368');
+      ctx.fillStyle = '#fff';
+      ctx.font = 'bold 12px system-ui, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(group.points.length), group.x, group.y);
+      ctx.textAlign = 'start';
+      ctx.textBaseline = 'alphabetic';
+      return { x: group.x, y: group.y, radius, cluster: group.points.map(p => p.point) };
+    });
+  }
+
+  function circle(x, y, radius, color) {
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#fff';
+    ctx.stroke();
+  }
+
+  // ============ PLACE PANEL ============
+
+  async function showPlace(placeId) {
+    try {
+      const place = await api(`/places/${placeId}`);
+      const meta = [place.category, place.rating ? `★ ${place.rating}` : null, place.address].filter(Boolean).join(' · ');
+      $('panel-body').replaceChildren(el('div', { className: 'place' }, [
+        el('div', { className: 'name' }, [
+          /^https?:\/\//.test(place.google_maps_url || '')
+            ? el('a', { href: place.google_maps_url, target: '_blank', rel: 'noopener', text: place.name })
+            : el('span', { text: place.name })
+        ]),
+        meta ? el('div', { className: 'meta', text: meta }) : null,
+        el('div', { className: 'in-lists' }, place.lists.map(list => el('span', { className: 'list-tag' }, [
+          el('span', { className: 'swatch', style: `background: ${colorOf(list.id)}` }),
+          el('span', { text: list.name })
+        ]))),
+        el('div', { className: place.notes ? 'notes' : 'notes empty', text: place.notes || 'No notes' })
+      ]));
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  // ============ INTERACTION ============
+
+  function hit(x, y) {
+    // Last drawn is on top
+    for (let i = state.shapes.length - 1; i >= 0; i--) {
+      const shape = state.shapes[i];
+      if (Math.hypot(shape.x - x, shape.y - y) <= shape.radius) return shape;
+    }
+    return null;
+  }
+
+  function eventPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  let drag = null;
+  canvas.addEventListener('mousedown', event => {
+    drag = { ...eventPoint(event), center: { ...state.center }, moved: false };
+  });
+  window.addEventListener('mousemove', event => {
+    const { x, y } = eventPoint(event);
+    if (!drag) {
+      canvas.style.cursor = hit(x, y) ? 'pointer' : 'grab';
+      return;
+    }
+    if (Math.hypot(x - drag.x, y - drag.y) > 3) drag.moved = true;
+    state.center = {
+      x: drag.center.x - (x - drag.x) / worldSize(),
+      y: drag.center.y - (y - drag.y) / worldSize()
+    };
+    draw();
+  });
+  window.addEventListener('mouseup', event => {
+    if (!drag) return;
+    const wasClick = !drag.moved;
+    drag = null;
+    if (!wasClick) return;
+
+    const { x, y } = eventPoint(event);
+    const shape = hit(x, y);
+    if (shape && shape.place) {
+      showPlace(shape.place.id);
+    } else if (shape) {
+      const zoom = state.zoom;
+      fit(shape.cluster);
+      // Points on (nearly) the same spot: still zoom in a couple of steps
+      if (state.zoom <= zoom) zoomAt(zoom + 2);
+    }
+  });
+  canvas.addEventListener('wheel', event => {
+    event.preventDefault();
+    const { x, y } = eventPoint(event);
+    zoomAt(state.zoom + (event.deltaY < 0 ? 1 : -1), x, y);
+  }, { passive: false });
+
+  $('zoom-in').addEventListener('click', () => zoomAt(state.zoom + 1));
+  $('zoom-out').addEventListener('click', () => zoomAt(state.zoom - 1));
+  $('fit').addEventListener('click', () => fit());
+  $('filter').addEventListener('submit', event => {
+    event.preventDefault();
+    load().catch(error => setStatus(error.message, true));
+  });
+  $('filter').list.addEventListener('change', () => load().catch(error => setStatus(error.message, true)));
+
+  function resize() {
+    canvas.width = canvas.parentElement.clientWidth;
+    canvas.height = canvas.parentElement.clientHeight;
+    draw();
+  }
+  window.addEventListener('resize', resize);
+
+  resize();
+  load().catch(error => setStatus(error.message, true));
+})();
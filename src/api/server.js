@@ -0,0 +1,524 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const config = require('../config');
+const LocalEditor = require('../sync/local-editor');
+const ConflictResolver = require('../sync/conflict-resolver');
+const Tagger = require('../sync/tagger');
+const { merge3, hasConflictMarkers } = require('../sync/text-merge');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// Web UI (src/api/public), served without auth - it holds no data and asks for the token itself
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const STATIC_FILES = {
+  '/': ['index.html', 'text/html; charset=utf-8'],
+  '/app.js': ['app.js', 'application/javascript; charset=utf-8'],
+  '/app.css': ['app.css', 'text/css; charset=utf-8'],
+  '/map': ['map.html', 'text/html; charset=utf-8'],
+  '/map.js': ['map.js', 'application/javascript; charset=utf-8'],
+  '/map-cluster.js': ['map-cluster.js', 'application/javascript; charset=utf-8']
+};
+
+/**
+ * API Server - Local REST API over the places database, plus the web UI at /
+ *
+ * Reads go straight to the repositories; writes go through LocalEditor, so they
+ * are ordinary local edits that the next sync pushes to Google Maps.
+ *
+ *   GET    /api/lists                          lists with place counts
+ *   POST   /api/lists                 {name}   create a list
+ *   PATCH  /api/lists/:id             {name}   rename a list
+ *   DELETE /api/lists/:id                      delete a list
+ *   GET    /api/lists/:id/places               places in a list (?limit, ?offset)
+ *   POST   /api/lists/:id/places      {place}  add a place ("#<id>", place ID or name)
+ *   DELETE /api/lists/:id/places/:placeId      remove a place from a list
+ *   GET    /api/places                         places with their lists and tags (?tag, ?anyTag, ?notTag, ?limit, ?offset)
+ *   GET    /api/places/:id                     place with its lists and tags
+ *   PUT    /api/places/:id/notes      {notes}  replace notes (null clears them)
+ *   POST   /api/places/:id/move       {from, to}  move between lists (list IDs)
+ *   PUT    /api/places/:id/tags/:tag           tag a place
+ *   DELETE /api/places/:id/tags/:tag           untag a place
+ *   GET    /api/tags                           tags with place counts
+ *   GET    /api/search?q=                      full-text search with snippets (?list=<id>, ?limit)
+ *   GET    /api/map                            places with coordinates for the map (?list=<id>, ?q=)
+ *   GET    /api/syncs                          sync_log, newest first (?limit)
+ *   GET    /api/operations                     pending_operations (?status, ?limit)
+ *   GET    /api/conflicts                      unresolved conflicts
+ *   POST   /api/conflicts/:id/resolve {choice, notes}  choice: local, remote or edit (notes only)
+ *
+ * With a token, every request needs "Authorization: Bearer <token>". Host and Origin
+ * (when sent) must name this server, so other web pages and DNS-rebinding sites get
+ * a 403, and writes must be application/json, which browsers can't send cross-origin
+ * without a preflight.
+ */
+class ApiServer {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} options - { port, host, token, tiles } (port 0 picks a free port,
+   *   tiles is an XYZ tile URL template for the map)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.editor = new LocalEditor(db);
+    this.resolver = new ConflictResolver(db);
+    this.tagger = new Tagger(db);
+    this.port = options.port ?? config.API.PORT;
+    this.host = options.host || config.API.HOST;
+    this.token = options.token || null;
+    this.tiles = options.tiles || config.MAP.TILE_URL;
+    this.server = null;
+
+    if (!this.token && !LOOPBACK_HOSTS.includes(this.host)) {
+      throw new Error(`Refusing to listen on ${this.host} without a token`);
+    }
+  }
+
+  /**
+   * Base URL, once started
+   */
+  get url() {
+    if (!this.server) {
+      throw new Error('API server not started. Call start() first.');
+    }
+    const { port } = this.server.address();
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${port}/api`;
+  }
+
+  /**
+   * Start listening
+   * @returns {string} API base URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.sendJson(res, error.status || 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`API server listening on ${this.url}${this.token ? ' (token required)' : ''}`);
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  // ============ ROUTING ============
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodePart);
+
+    if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+      const [file, contentType] = STATIC_FILES[url.pathname];
+      res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+      return res.end(fs.readFileSync(path.join(PUBLIC_DIR, file)));
+    }
+    if (parts[0] !== 'api') {
+      throw httpError(404, 'Not found');
+    }
+    if (!this.isSameOrigin(req)) {
+      throw httpError(403, 'Cross-origin requests are not allowed');
+    }
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, 'Missing or invalid token');
+    }
+
+    const hasBody = ['POST', 'PUT', 'PATCH'].includes(req.method);
+    if (hasBody && mediaType(req.headers['content-type']) !== 'application/json') {
+      throw httpError(415, 'Content-Type must be application/json');
+    }
+    const body = hasBody ? await readJson(req) : {};
+    const route = `${req.method} /${parts.slice(1).map((part, i) => (i % 2 === 1 ? ':id' : part)).join('/')}`;
+    const [, id, , subId] = parts.slice(1);
+
+    switch (route) {
+      case 'GET /lists':
+        return this.sendJson(res, 200, this.getLists());
+      case 'POST /lists':
+        return this.sendJson(res, 201, this.editFailsWith(400, () => this.editor.createList(body.name)));
+      case 'PATCH /lists/:id': {
+        const list = this.getList(id);
+        return this.sendJson(res, 200, this.editFailsWith(400, () => this.editor.renameList(list.name, body.name).list));
+      }
+      case 'DELETE /lists/:id': {
+        const list = this.getList(id);
+        this.editFailsWith(400, () => this.editor.deleteList(list.name));
+        return this.sendJson(res, 200, { id: list.id, deleted: true });
+      }
+      case 'GET /lists/:id/places':
+        return this.sendJson(res, 200, this.getListPlaces(this.getList(id), url.searchParams));
+      case 'POST /lists/:id/places': {
+        const list = this.getList(id);
+        const place = this.findPlace(body.place);
+        this.editFailsWith(409, () => this.editor.addToList(`#${place.id}`, list.name));
+        return this.sendJson(res, 201, { place: place.id, list: list.id });
+      }
+      case 'DELETE /lists/:id/places/:id': {
+        const list = this.getList(id);
+        const place = this.getPlace(subId);
+        this.editFailsWith(404, () => this.editor.removeFromList(`#${place.id}`, list.name));
+        return this.sendJson(res, 200, { place: place.id, list: list.id });
+      }
+      case 'GET /places':
+        return this.sendJson(res, 200, this.getPlaces(url.searchParams));
+      case 'GET /places/:id':
+        return this.sendJson(res, 200, this.getPlaceDetail(this.getPlace(id)));
+      case 'PUT /places/:id/notes': {
+        const place = this.getPlace(id);
+        if (!('notes' in body) || (body.notes !== null && typeof body.notes !== 'string')) {
+          throw httpError(400, 'Body needs "notes": a string or null');
+        }
+        this.editFailsWith(400, () => this.editor.setNotes(`#${place.id}`, body.notes));
+        return this.sendJson(res, 200, this.getPlaceDetail(this.getPlace(id)));
+      }
+      case 'POST /places/:id/move': {
+        const place = this.getPlace(id);
+        const from = this.getList(body.from);
+        const to = this.getList(body.to);
+        this.editFailsWith(409, () => this.editor.movePlace(`#${place.id}`, from.name, to.name));
+        return this.sendJson(res, 200, this.getPlaceDetail(this.getPlace(id)));
+      }
+      case 'PUT /places/:id/tags/:id': {
+        const place = this.getPlace(id);
+        this.editFailsWith(400, () => this.tagger.tag(`#${place.id}`, subId));
+        return this.sendJson(res, 200, this.getPlaceDetail(place));
+      }
+      case 'DELETE /places/:id/tags/:id': {
+        const place = this.getPlace(id);
+        const { removed } = this.editFailsWith(400, () => this.tagger.untag(`#${place.id}`, subId));
+        if (removed.length === 0) {
+          throw httpError(404, `${place.name} isn't tagged ${subId}`);
+        }
+        return this.sendJson(res, 200, this.getPlaceDetail(place));
+      }
+      case 'GET /tags':
+        return this.sendJson(res, 200, this.db.tags.findAll());
+      case 'GET /search':
+        return this.sendJson(res, 200, this.search(url.searchParams));
+      case 'GET /map':
+        return this.sendJson(res, 200, this.getMapPlaces(url.searchParams));
+      case 'GET /syncs':
+        return this.sendJson(res, 200, this.db.getRecentSyncs(intParam(url.searchParams, 'limit', 10)));
+      case 'GET /operations':
+        return this.sendJson(res, 200, this.db.getOperations({
+          status: url.searchParams.get('status'),
+          limit: intParam(url.searchParams, 'limit', 50)
+        }));
+      case 'GET /conflicts':
+        return this.sendJson(res, 200, this.getConflicts());
+      case 'POST /conflicts/:id/resolve':
+        return this.sendJson(res, 200, this.resolveConflict(id, body));
+      default:
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+  }
+
+  /**
+   * Whether Host, and Origin when the browser sends one, are this server
+   * Loopback servers answer to any loopback name on their port; on 0.0.0.0 or ::
+   * (token required) any Host goes, but Origin must still match it.
+   */
+  isSameOrigin(req) {
+    const host = parseHost(req.headers.host);
+    if (!host) {
+      return false;
+    }
+    const { port } = this.server.address();
+    const names = LOOPBACK_HOSTS.includes(this.host) ? LOOPBACK_HOSTS : [this.host];
+    if (!WILDCARD_HOSTS.includes(this.host) && (host.port !== port || !names.includes(host.name))) {
+      return false;
+    }
+    if (req.headers.origin === undefined) {
+      return true;
+    }
+    const origin = parseHost(req.headers.origin.replace(/^http:\/\//i, ''));
+    return /^http:\/\//i.test(req.headers.origin) && origin !== null &&
+      origin.name === host.name && origin.port === host.port;
+  }
+
+  /**
+   * Compare the bearer token in constant time
+   */
+  isAuthorized(req) {
+    if (!this.token) {
+      return true;
+    }
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(this.token).digest();
+    return crypto.timingSafeEqual(given, expected);
+  }
+
+  // ============ HANDLERS ============
+
+  getLists() {
+    return this.db.lists.findAll().map(list => ({
+      ...list,
+      place_count: this.db.placeLists.findPlacesInList(list.id).length
+    }));
+  }
+
+  getListPlaces(list, params) {
+    const offset = intParam(params, 'offset', 0);
+    const limit = intParam(params, 'limit', null);
+    const places = this.db.placeLists.findPlacesInList(list.id);
+    return {
+      list,
+      total: places.length,
+      places: places.slice(offset, limit === null ? undefined : offset + limit)
+    };
+  }
+
+  /**
+   * All places, or those matching the tag filters (comma-separated tags: all of tag, one of anyTag, none of notTag)
+   */
+  getPlaces(params) {
+    const offset = intParam(params, 'offset', 0);
+    const limit = intParam(params, 'limit', null);
+    const query = { all: params.get('tag'), any: params.get('anyTag'), none: params.get('notTag') };
+    const places = query.all || query.any || query.none
+      ? this.editFailsWith(400, () => this.tagger.find(query))
+      : this.db.places.findAll();
+    return {
+      total: places.length,
+      places: places.slice(offset, limit === null ? undefined : offset + limit).map(place => this.getPlaceDetail(place))
+    };
+  }
+
+  getPlaceDetail(place) {
+    return {
+      ...place,
+      lists: this.db.placeLists.findListsForPlace(place.id).map(list => ({ id: list.id, name: list.name })),
+      tags: this.db.tags.findForPlace(place.id).map(tag => tag.name)
+    };
+  }
+
+  search(params) {
+    const query = params.get('q');
+    if (!query) {
+      throw httpError(400, 'Missing query parameter: q');
+    }
+    const list = params.has('list') ? this.getList(params.get('list')) : null;
+    return this.db.places.search(query, {
+      listId: list?.id,
+      limit: intParam(params, 'limit', undefined)
+    }).map(place => this.getPlaceDetail(place));
+  }
+
+  /**
+   * Places with coordinates and the IDs of their lists, for the map
+   * Lists are always all of them, so marker colors don't change with the filter
+   */
+  getMapPlaces(params) {
+    const lists = this.db.lists.findAll();
+    const shown = params.has('list') ? [this.getList(params.get('list'))] : lists;
+    // LIMIT -1 is no limit in SQLite
+    const matches = params.get('q')
+      ? new Set(this.db.places.search(params.get('q'), { limit: -1 }).map(place => place.id))
+      : null;
+
+    const places = new Map();
+    const withoutCoordinates = new Set();
+    for (const list of shown) {
+      for (const place of this.db.placeLists.findPlacesInList(list.id)) {
+        if (matches && !matches.has(place.id)) continue;
+        if (place.latitude === null || place.longitude === null) {
+          withoutCoordinates.add(place.id);
+          continue;
+        }
+        if (!places.has(place.id)) {
+          places.set(place.id, {
+            id: place.id,
+            name: place.name,
+            category: place.category,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            lists: []
+          });
+        }
+        places.get(place.id).lists.push(list.id);
+      }
+    }
+
+    return {
+      tiles: this.tiles,
+      clusterMaxZoom: config.MAP.CLUSTER_MAX_ZOOM,
+      lists: lists.map(list => ({ id: list.id, name: list.name })),
+      places: [...places.values()],
+      withoutCoordinates: withoutCoordinates.size
+    };
+  }
+
+  getConflicts() {
+    return this.db.conflicts.findUnresolved().map(conflict => ({
+      ...conflict,
+      place_name: this.db.places.findById(conflict.place_id)?.name || null,
+      list_name: conflict.list_id ? this.db.lists.findById(conflict.list_id)?.name || null : null,
+      // Starting point for an edited resolution: only overlapping lines get markers
+      combined: conflict.entity_type === 'place_notes'
+        ? merge3(conflict.base_value, conflict.local_value, conflict.remote_value).marked
+        : null
+    }));
+  }
+
+  resolveConflict(id, body) {
+    const conflict = /^\d+$/.test(id) ? this.db.conflicts.findById(Number(id)) : null;
+    if (!conflict) {
+      throw httpError(404, `Conflict ${id} not found`);
+    }
+    if (conflict.status !== 'unresolved') {
+      throw httpError(409, `Conflict ${id} is already ${conflict.status}`);
+    }
+    if (body.choice === 'edit' && typeof body.notes === 'string' && hasConflictMarkers(body.notes)) {
+      throw httpError(400, 'Remove the conflict markers first');
+    }
+    return this.editFailsWith(400, () => this.resolver.resolve(conflict, body.choice, body.notes ?? null));
+  }
+
+  // ============ HELPERS ============
+
+  getList(id) {
+    const list = /^\d+$/.test(String(id)) ? this.db.lists.findById(Number(id)) : null;
+    if (!list || list.is_deleted) {
+      throw httpError(404, `List ${id} not found`);
+    }
+    return list;
+  }
+
+  getPlace(id) {
+    const place = /^\d+$/.test(String(id)) ? this.db.places.findById(Number(id)) : null;
+    if (!place || place.is_deleted) {
+      throw httpError(404, `Place ${id} not found`);
+    }
+    return place;
+  }
+
+  findPlace(ref) {
+    if (ref === undefined || ref === null || ref === '') {
+      throw httpError(400, 'Body needs "place": "#<id>", a place ID or a name');
+    }
+    return this.editFailsWith(404, () => this.editor.findPlace(typeof ref === 'number' ? `#${ref}` : ref));
+  }
+
+  /**
+   * Run a LocalEditor call, turning its validation errors into the given HTTP status
+   */
+  editFailsWith(status, edit) {
+    try {
+      return edit();
+    } catch (error) {
+      throw error.status ? error : httpError(status, error.message);
+    }
+  }
+
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+/**
+ * Error carrying an HTTP status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Non-negative integer query parameter
+ */
+function intParam(params, name, fallback) {
+  if (!params.has(name)) {
+    return fallback;
+  }
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value) || value < 0) {
+    throw httpError(400, `Query parameter ${name} must be a non-negative integer`);
+  }
+  return value;
+}
+
+/**
+ * Decode a path segment; malformed escapes ("%E0%A4%A") are a 400, not a URIError
+ */
+function decodePart(part) {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    throw httpError(400, `Malformed path: ${part}`);
+  }
+}
+
+/**
+ * { name, port } from a Host header value ("localhost:8941", "[::1]:8941"), or null
+ */
+function parseHost(value) {
+  if (!value || /[/?#@\\]/.test(value)) return null;
+  try {
+    const url = new URL(`http://${value}`);
+    return { name: url.hostname.replace(/^\[(.*)\]$/, '$1'), port: Number(url.port || 80) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * "application/json" from "Application/JSON; charset=utf-8"
+ */
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Read a JSON request body (up to MAX_BODY_BYTES)
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        return reject(httpError(400, `Invalid JSON: ${error.message}`));
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(httpError(400, 'Body must be a JSON object'));
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = ApiServer;
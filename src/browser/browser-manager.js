@@ -5,7 +5,12 @@ const config = require('../config');
 const selectors = require('./selectors');
 
 class BrowserManager {
-  constructor(userDataDir = null, useRealProfile = false) {
+  /**
+   * @param {string} userDataDir - Profile directory (default ./browser-data)
+   * @param {boolean} useRealProfile - Use the installed Chrome profile instead
+   * @param {Object} options - { mapsUrl, channel } overrides for config.BROWSER
+   */
+  constructor(userDataDir = null, useRealProfile = false, options = {}) {
     if (useRealProfile) {
       // Use real Chrome profile to avoid bot detection
       const homeDir = os.homedir();
@@ -19,6 +24,8 @@ class BrowserManager {
     } else {
       this.userDataDir = path.resolve(userDataDir || './browser-data');
     }
+    this.mapsUrl = options.mapsUrl || config.BROWSER.MAPS_URL;
+    this.channel = options.channel !== undefined ? options.channel : config.BROWSER.CHANNEL;
     this.context = null;
     this.page = null;
   }
@@ -33,7 +40,7 @@ class BrowserManager {
 
     this.context = await chromium.launchPersistentContext(this.userDataDir, {
       headless,
-      channel: 'chrome', // Use installed Chrome if available
+      channel: this.channel || undefined, // Installed Chrome, or bundled Chromium when unset
       viewport: { width: 1400, height: 900 },
       args: [
         '--disable-blink-features=AutomationControlled', // Hide automation
@@ -59,7 +66,7 @@ class BrowserManager {
 
     // First navigate to Google Maps main page
     console.log('Navigating to Google Maps...');
-    await this.page.goto('https://google.com/maps', {
+    await this.page.goto(this.mapsUrl, {
       waitUntil: 'domcontentloaded',
       timeout: 30000
     });
@@ -0,0 +1,278 @@
+/**
+ * Fixture client - Runs in the browser page served by FixtureServer
+ * Draws the Saved places views with the markup selectors.js expects
+ */
+(function () {
+  const { state, route } = window.__FIXTURE__;
+  const app = document.getElementById('app');
+  let view = route;
+
+  function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      if (key === 'text') node.textContent = value;
+      else if (key === 'onclick') node.addEventListener('click', value);
+      else node.setAttribute(key, value);
+    }
+    children.forEach(child => node.appendChild(child));
+    return node;
+  }
+
+  async function api(method, url, body) {
+    const response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (!response.ok) throw new Error(`${method} ${url} failed: ${response.status}`);
+    return response.json();
+  }
+
+  function findPlace(placeId) {
+    for (const list of [...state.lists, ...state.sharedLists]) {
+      const place = list.places.find(p => p.id === placeId);
+      if (place) return place;
+    }
+    return null;
+  }
+
+  function show(next) {
+    view = next;
+    render();
+  }
+
+  function render() {
+    app.innerHTML = '';
+    app.appendChild(el('nav', {}, [
+      el('button', { jsaction: 'navigationrail.saved', 'aria-label': 'Saved', text: 'Saved', onclick: () => show({ view: 'lists' }) })
+    ]));
+
+    const main = el('main');
+    app.appendChild(main);
+
+    if (view.view === 'lists') renderLists(main);
+    if (view.view === 'list') renderList(main);
+    if (view.view === 'place') renderPlace(main);
+  }
+
+  // ============ LISTS VIEW ============
+
+  function listButton(list) {
+    return el('button', {
+      class: 'CsEnBe',
+      jsaction: 'pane.wfvdle.list',
+      jslog: `12345; track:click; metadata:[${list.id}]`,
+      onclick: () => show({ view: 'list', listId: list.id, shown: state.pageSize })
+    }, [
+      el('div', { class: 'Io6YTe fontBodyLarge', text: list.name }),
+      el('div', { class: 'fontBodyMedium', text: `${list.places.length} places` })
+    ]);
+  }
+
+  function renderLists(main) {
+    main.appendChild(el('button', { 'aria-label': 'New list', text: '+ New list', onclick: openNewListDialog }));
+    state.lists.forEach(list => main.appendChild(listButton(list)));
+
+    if (state.sharedLists.length > 0) {
+      main.appendChild(el('h2', {}, [el('div', { class: 'fontHeadlineSmall', text: 'Lists you saved' })]));
+      state.sharedLists.forEach(list => main.appendChild(listButton(list)));
+    }
+  }
+
+  function openNewListDialog() {
+    const input = el('input', { 'aria-label': 'List name' });
+    const dialog = el('div', { role: 'dialog' }, [
+      input,
+      el('button', {
+        'aria-label': 'Create',
+        text: 'Create',
+        onclick: async () => {
+          const list = await api('POST', '/api/lists', { name: input.value.trim() });
+          state.lists.push(list);
+          show({ view: 'lists' });
+        }
+      })
+    ]);
+    document.querySelector('main').appendChild(dialog);
+  }
+
+  // ============ LIST VIEW ============
+
+  // "4.5(6,012) · Café · €€" like the real list view
+  function placeSummary(place) {
+    const rating = place.rating ? `${place.rating.toFixed(1)}(${(place.reviews || 0).toLocaleString('en-US')})` : null;
+    return [rating, place.category, place.price].filter(Boolean).join(' · ');
+  }
+
+  function placeEntry(place) {
+    const textarea = el('textarea', { 'aria-label': 'Note', maxlength: '4000' });
+    textarea.value = place.notes || '';
+    // Google saves the note when the textarea loses focus
+    textarea.addEventListener('change', async () => {
+      await api('PUT', '/api/notes', { placeId: place.id, notes: textarea.value });
+      [...state.lists, ...state.sharedLists].forEach(list => list.places
+        .filter(p => p.id === place.id)
+        .forEach(p => { p.notes = textarea.value; }));
+    });
+
+    return el('div', { class: 'place' }, [
+      el('button', {
+        jsaction: 'pane.wfvdle.place',
+        jslog: `67890; track:click; metadata:[${place.id}]`
+      }, [
+        el('div', { class: 'fontHeadlineSmall', text: place.name }),
+        el('div', { class: 'fontBodyMedium', text: placeSummary(place) })
+      ]),
+      textarea
+    ]);
+  }
+
+  function renderList(main) {
+    const list = [...state.lists, ...state.sharedLists].find(l => l.id === view.listId);
+    if (!list) {
+      show({ view: 'lists' });
+      return;
+    }
+
+    main.appendChild(el('div', {}, [
+      el('button', { 'aria-label': 'Back', text: '←', onclick: () => show({ view: 'lists' }) }),
+      el('h1', { text: list.name }),
+      el('button', { 'aria-label': 'More options', text: '⋮', onclick: () => openListMenu(list) })
+    ]));
+
+    const feed = el('div', { role: 'feed' });
+    list.places.slice(0, view.shown).forEach(place => feed.appendChild(placeEntry(place)));
+    main.appendChild(feed);
+
+    // Load the next page when scrolled to the bottom, like the real feed
+    feed.addEventListener('scroll', () => {
+      if (feed.scrollTop + feed.clientHeight < feed.scrollHeight - 10) return;
+      const next = list.places.slice(view.shown, view.shown + state.pageSize);
+      view.shown += next.length;
+      setTimeout(() => next.forEach(place => feed.appendChild(placeEntry(place))), 300);
+    });
+  }
+
+  function openListMenu(list) {
+    const menu = el('div', { role: 'menu' }, [
+      el('div', {
+        role: 'menuitem',
+        'aria-label': 'Edit list',
+        text: 'Edit list',
+        onclick: () => {
+          menu.remove();
+          const input = el('input', { 'aria-label': 'List name' });
+          input.value = list.name;
+          document.querySelector('main').appendChild(el('div', { role: 'dialog' }, [
+            input,
+            el('button', {
+              'aria-label': 'Save',
+              text: 'Save',
+              onclick: async () => {
+                const updated = await api('PUT', `/api/lists/${encodeURIComponent(list.id)}`, { name: input.value.trim() });
+                list.name = updated.name;
+                show({ view: 'list', listId: list.id, shown: view.shown });
+              }
+            })
+          ]));
+        }
+      }),
+      el('div', {
+        role: 'menuitem',
+        'aria-label': 'Delete list',
+        text: 'Delete list',
+        onclick: () => {
+          menu.remove();
+          document.querySelector('main').appendChild(el('div', { role: 'dialog' }, [
+            el('div', { text: `Delete "${list.name}"?` }),
+            el('button', {
+              'aria-label': 'Delete',
+              text: 'Delete',
+              onclick: async () => {
+                await api('DELETE', `/api/lists/${encodeURIComponent(list.id)}`);
+                state.lists = state.lists.filter(l => l.id !== list.id);
+                show({ view: 'lists' });
+              }
+            })
+          ]));
+        }
+      })
+    ]);
+    document.querySelector('main').appendChild(menu);
+  }
+
+  // ============ PLACE PAGE ============
+
+  function renderPlace(main) {
+    const place = findPlace(view.placeId);
+    main.appendChild(el('h1', { text: place.name }));
+    main.appendChild(el('button', {
+      'data-value': 'Save',
+      'aria-label': `Save ${place.name}`,
+      text: 'Save',
+      onclick: () => openSaveMenu(place)
+    }));
+
+    if (place.rating) {
+      main.appendChild(el('span', { role: 'img', 'aria-label': `${place.rating.toFixed(1)} stars` }));
+      main.appendChild(el('span', { role: 'img', 'aria-label': `${(place.reviews || 0).toLocaleString('en-US')} reviews` }));
+    }
+    if (place.price) {
+      main.appendChild(el('span', { 'aria-label': `Price: ${place.price}`, text: place.price }));
+    }
+    if (place.category) {
+      main.appendChild(el('button', { jsaction: 'pane.rating.category', text: place.category }));
+    }
+    if (place.address) {
+      main.appendChild(el('button', { 'data-item-id': 'address', 'aria-label': `Address: ${place.address}`, text: place.address }));
+    }
+    if (place.website) {
+      main.appendChild(el('a', { 'data-item-id': 'authority', href: place.website, text: place.website }));
+    }
+    if (place.phone) {
+      main.appendChild(el('button', { 'data-item-id': `phone:tel:${place.phone.replace(/\s/g, '')}`, text: place.phone }));
+    }
+
+    // Google adds the map position to the URL once the place has loaded
+    if (place.lat !== undefined && !location.pathname.includes('/@')) {
+      const position = `@${place.lat},${place.lng},17z`;
+      const parts = location.pathname.split('/');
+      parts.splice(parts[2] === 'place' ? 4 : parts.length, 0, position);
+      history.replaceState(null, '', parts.join('/') + location.search);
+    }
+  }
+
+  function openSaveMenu(place) {
+    const existing = document.querySelector('[role="menu"]');
+    if (existing) existing.remove();
+
+    const menu = el('div', { role: 'menu' });
+    state.lists.forEach(list => {
+      const checked = list.places.some(p => p.id === place.id);
+      menu.appendChild(el('div', {
+        role: 'menuitemcheckbox',
+        'aria-checked': String(checked),
+        text: list.name,
+        onclick: async () => {
+          const url = `/api/lists/${encodeURIComponent(list.id)}/places`;
+          if (checked) {
+            await api('DELETE', `${url}/${encodeURIComponent(place.id)}`);
+            list.places = list.places.filter(p => p.id !== place.id);
+          } else {
+            await api('POST', url, { placeId: place.id });
+            list.places.unshift({ ...place });
+          }
+          openSaveMenu(place);
+        }
+      }));
+    });
+    document.querySelector('main').appendChild(menu);
+  }
+
+  document.addEventListener('keydown', event => {
+    if (event.key !== 'Escape') return;
+    document.querySelectorAll('[role="menu"], [role="dialog"]').forEach(node => node.remove());
+  });
+
+  render();
+})();
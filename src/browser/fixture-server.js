@@ -0,0 +1,303 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { normalizePlaceId } = require('../sync/place-id');
+
+const CLIENT_SCRIPT = path.join(__dirname, 'fixture-client.js');
+
+/**
+ * Fixture Server - Local stand-in for the Google Maps Saved places UI
+ *
+ * Serves a page with the same markup the scraper and push executor rely on
+ * (list buttons, place buttons with jslog metadata, note textareas, Back
+ * button, paged feed, place page "Save" menu, list create/rename/delete), driven
+ * from a JSON fixture. Edits made through the page are kept in memory, so a
+ * sync can push and then pull its own changes.
+ *
+ * Fixture format:
+ *   {
+ *     pageSize: 20,                       // places rendered per feed page
+ *     lists: [{ id, name, places: [{ id, name, notes, ...details }] }],
+ *     sharedLists: [...]                  // shown under "Lists you saved"
+ *   }
+ *   details (optional): category, rating, reviews, price, address, lat, lng, phone, website
+ */
+class FixtureServer {
+  /**
+   * @param {Object|string} fixture - Fixture object or path to a fixture JSON file
+   * @param {Object} options - { port } (0 picks a free port)
+   */
+  constructor(fixture, options = {}) {
+    const data = typeof fixture === 'string'
+      ? JSON.parse(fs.readFileSync(fixture, 'utf8'))
+      : fixture;
+
+    // Deep copy so edits never leak into the caller's fixture
+    this.state = JSON.parse(JSON.stringify({
+      pageSize: data.pageSize || 20,
+      lists: data.lists || [],
+      sharedLists: data.sharedLists || []
+    }));
+    this.port = options.port || 0;
+    this.server = null;
+    this.nextListId = 1;
+  }
+
+  /**
+   * Base Maps URL to hand to BrowserManager
+   */
+  get url() {
+    if (!this.server) {
+      throw new Error('Fixture server not started. Call start() first.');
+    }
+    return `http://127.0.0.1:${this.server.address().port}/maps`;
+  }
+
+  /**
+   * Start listening
+   * @returns {string} Maps URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.send(res, error.status || 500, 'application/json', JSON.stringify({ error: error.message }));
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, '127.0.0.1', resolve);
+    });
+
+    console.log(`Fixture server listening on ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Current (possibly edited) fixture state
+   */
+  getState() {
+    return this.state;
+  }
+
+  // ============ ROUTING ============
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    // Pages
+    if (req.method === 'GET' && parts[0] === 'maps') {
+      if (parts.length === 1 && !url.searchParams.has('cid')) {
+        return this.sendPage(res, { view: 'home' });
+      }
+      if (parts.length === 1 || parts[1] === 'search' || parts[1] === 'place') {
+        // /maps/place/<name>/data=...!1s<feature id>, /maps?cid=<cid> or /maps/search/<name>
+        const place = this.findPlace(normalizePlaceId(url.pathname + url.search)) || this.findPlace(parts[2]);
+        if (!place) {
+          return this.send(res, 404, 'text/plain', 'Place not found');
+        }
+        return this.sendPage(res, { view: 'place', placeId: place.id });
+      }
+    }
+
+    if (req.method === 'GET' && url.pathname === '/fixture-client.js') {
+      return this.send(res, 200, 'application/javascript', fs.readFileSync(CLIENT_SCRIPT, 'utf8'));
+    }
+
+    if (parts[0] !== 'api') {
+      return this.send(res, 404, 'text/plain', 'Not found');
+    }
+
+    // API used by the page (and handy for assertions in tests)
+    const body = ['POST', 'PUT'].includes(req.method) ? await readJson(req) : {};
+
+    if (req.method === 'GET' && parts[1] === 'state') {
+      return this.sendJson(res, this.state);
+    }
+
+    if (parts[1] === 'notes' && req.method === 'PUT') {
+      return this.sendJson(res, this.updateNotes(body.placeId, body.notes));
+    }
+
+    if (parts[1] === 'lists') {
+      if (parts.length === 2 && req.method === 'POST') {
+        return this.sendJson(res, this.createList(body.name));
+      }
+      if (parts.length === 3 && req.method === 'PUT') {
+        return this.sendJson(res, this.renameList(parts[2], body.name));
+      }
+      if (parts.length === 3 && req.method === 'DELETE') {
+        return this.sendJson(res, this.deleteList(parts[2]));
+      }
+      if (parts[3] === 'places' && req.method === 'POST') {
+        return this.sendJson(res, this.addPlace(parts[2], body.placeId));
+      }
+      if (parts[3] === 'places' && parts.length === 5 && req.method === 'DELETE') {
+        return this.sendJson(res, this.removePlace(parts[2], parts[4]));
+      }
+    }
+
+    return this.send(res, 404, 'application/json', JSON.stringify({ error: 'Not found' }));
+  }
+
+  send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+    res.end(body);
+  }
+
+  sendJson(res, data) {
+    this.send(res, 200, 'application/json', JSON.stringify(data));
+  }
+
+  /**
+   * Render the app shell; fixture-client.js draws the views from the embedded state
+   */
+  sendPage(res, route) {
+    const data = JSON.stringify({ state: this.state, route }).replace(/</g, '\\u003c');
+
+    this.send(res, 200, 'text/html', `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Google Maps (fixture)</title>
+  <style>
+    body { margin: 0; font-family: sans-serif; }
+    #app { display: flex; height: 100vh; }
+    nav { width: 72px; border-right: 1px solid #ddd; }
+    main { width: 420px; display: flex; flex-direction: column; }
+    [role="feed"] { flex: 1; overflow-y: auto; }
+    .place { height: 120px; border-bottom: 1px solid #eee; padding: 8px; }
+    .place textarea { width: 90%; }
+    [role="menu"], [role="dialog"] { border: 1px solid #ccc; padding: 8px; background: #fff; }
+  </style>
+</head>
+<body>
+  <div id="app"></div>
+  <script>window.__FIXTURE__ = ${data};</script>
+  <script src="/fixture-client.js"></script>
+</body>
+</html>`);
+  }
+
+  // ============ STATE ============
+
+  allLists() {
+    return [...this.state.lists, ...this.state.sharedLists];
+  }
+
+  getList(listId) {
+    const list = this.allLists().find(l => l.id === listId);
+    if (!list) {
+      throw httpError(404, `List ${listId} not found`);
+    }
+    return list;
+  }
+
+  /**
+   * Find a place by fixture ID, canonical ID or name (search URLs carry the name)
+   */
+  findPlace(key) {
+    if (!key) return null;
+    for (const list of this.allLists()) {
+      const place = list.places.find(p => p.id === key || normalizePlaceId(p.id) === key || p.name === key);
+      if (place) return place;
+    }
+    return null;
+  }
+
+  /**
+   * Notes belong to the place, so every list entry is updated
+   */
+  updateNotes(placeId, notes) {
+    for (const list of this.allLists()) {
+      for (const place of list.places) {
+        if (place.id === placeId) {
+          place.notes = notes || '';
+        }
+      }
+    }
+    return { placeId, notes: notes || '' };
+  }
+
+  createList(name) {
+    if (!name) {
+      throw httpError(400, 'List name is required');
+    }
+    const list = { id: `fixture_list_${this.nextListId++}`, name, places: [] };
+    this.state.lists.push(list);
+    return list;
+  }
+
+  renameList(listId, name) {
+    if (!name) {
+      throw httpError(400, 'List name is required');
+    }
+    const list = this.getList(listId);
+    list.name = name;
+    return { id: list.id, name };
+  }
+
+  deleteList(listId) {
+    this.getList(listId);
+    this.state.lists = this.state.lists.filter(l => l.id !== listId);
+    return { id: listId };
+  }
+
+  addPlace(listId, placeId) {
+    const list = this.getList(listId);
+    const place = this.findPlace(placeId);
+    if (!place) {
+      throw httpError(404, `Place ${placeId} not found`);
+    }
+    if (!list.places.some(p => p.id === placeId)) {
+      list.places.unshift({ ...place });
+    }
+    return list;
+  }
+
+  removePlace(listId, placeId) {
+    const list = this.getList(listId);
+    list.places = list.places.filter(p => p.id !== placeId);
+    return list;
+  }
+}
+
+/**
+ * Error answered with the given HTTP status instead of 500
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read a JSON request body
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+module.exports = FixtureServer;
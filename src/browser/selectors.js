@@ -24,6 +24,30 @@ module.exports = {
 
   // Containers
   SCROLLABLE_FEED: '[role="feed"]',
+  BACK_BUTTON: 'button[aria-label="Back"]',
+
+  // Place page details
+  PLACE_ADDRESS: 'button[data-item-id="address"]',
+  PLACE_PHONE: 'button[data-item-id^="phone:tel:"]',
+  PLACE_WEBSITE: 'a[data-item-id="authority"]',
+  PLACE_CATEGORY: 'button[jsaction*="category"]',
+  PLACE_RATING: '[role="img"][aria-label*="stars"]',
+  PLACE_REVIEWS: '[role="img"][aria-label*="reviews"], button[aria-label*="reviews"]',
+  PLACE_PRICE: '[aria-label^="Price"]',
+
+  // Place page "Save" menu (one checkbox item per list)
+  SAVE_BUTTON: 'button[data-value="Save"], button[aria-label^="Save"]',
+  SAVE_MENU_ITEM: '[role="menuitemcheckbox"]',
+
+  // List management
+  NEW_LIST_BUTTON: 'button[aria-label="New list"]',
+  LIST_NAME_INPUT: 'input[aria-label="List name"]',
+  LIST_CREATE_BUTTON: 'button[aria-label="Create"]',
+  LIST_MORE_OPTIONS: 'button[aria-label="More options"]',
+  DELETE_LIST_MENU_ITEM: '[role="menuitem"][aria-label="Delete list"]',
+  EDIT_LIST_MENU_ITEM: '[role="menuitem"][aria-label="Edit list"]',
+  LIST_SAVE_BUTTON: 'button[aria-label="Save"]',
+  DELETE_CONFIRM_BUTTON: 'button[aria-label="Delete"]',
 
   // Sign-in detection
   SIGN_IN_LINK: 'a[href*="ServiceLogin"]',
@@ -0,0 +1,117 @@
+/**
+ * Command-line argument parsing shared by every gmaps command
+ *
+ * Option specs: { name, type: 'boolean'|'string'|'number', alias, value, optional, description }
+ *   --name value, --name=value, -a value   string/number options
+ *   --name, --no-name                      boolean options
+ *   optional: true                         string option whose value may be left out (--fixture [file])
+ * Anything else is a positional argument; "--" ends option parsing.
+ */
+
+/**
+ * Parse argv against option specs
+ * @param {string[]} argv - Arguments (without node and the script)
+ * @param {Object[]} specs - Option specs
+ * @returns {Object} { options, positionals } - options keyed by camelCased name
+ */
+function parseArgs(argv, specs) {
+  const options = {};
+  const positionals = [];
+
+  for (const spec of specs) {
+    if (spec.default !== undefined) {
+      options[camelCase(spec.name)] = spec.default;
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = splitInline(arg);
+    const negated = flag.startsWith('--no-') ? findSpec(specs, flag.slice(5)) : null;
+    if (negated && negated.type === 'boolean') {
+      options[camelCase(negated.name)] = false;
+      continue;
+    }
+
+    const spec = flag.startsWith('--')
+      ? findSpec(specs, flag.slice(2))
+      : specs.find(s => s.alias === flag.slice(1));
+    if (!spec) {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+
+    const key = camelCase(spec.name);
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option --${spec.name} doesn't take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else if (spec.optional) {
+        value = true;
+      } else {
+        throw new Error(`Option --${spec.name} needs a value`);
+      }
+    }
+
+    if (spec.type === 'number' && value !== true) {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new Error(`Option --${spec.name} needs a number, got "${value}"`);
+      }
+      value = number;
+    }
+    options[key] = value;
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Help lines for option specs, aligned
+ */
+function formatOptions(specs) {
+  const labels = specs.map(spec => {
+    const alias = spec.alias ? `-${spec.alias}, ` : '    ';
+    const value = spec.type === 'boolean' ? '' : spec.optional ? ` [${spec.value || 'value'}]` : ` <${spec.value || 'value'}>`;
+    return `${alias}--${spec.name}${value}`;
+  });
+  const width = Math.max(0, ...labels.map(label => label.length)) + 2;
+  return specs.map((spec, i) => `  ${labels[i].padEnd(width)}${spec.description || ''}`);
+}
+
+function splitInline(arg) {
+  const index = arg.indexOf('=');
+  return index === -1 ? [arg, undefined] : [arg.slice(0, index), arg.slice(index + 1)];
+}
+
+function findSpec(specs, name) {
+  return specs.find(spec => spec.name === name);
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+module.exports = {
+  parseArgs,
+  formatOptions
+};
@@ -0,0 +1,24 @@
+const LocalEditor = require('../../sync/local-editor');
+
+/**
+ * gmaps add - Add a place to a list
+ */
+module.exports = {
+  name: 'add',
+  summary: 'Add a place to a list (pushed on the next sync)',
+  usage: 'gmaps add <place> <list>',
+  description: 'A place is "#<id>" (see gmaps places), its place ID or Maps URL, or its exact name.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    if (positionals.length !== 2) {
+      throw new Error('Usage: gmaps add <place> <list>');
+    }
+
+    const { place, list } = new LocalEditor(ctx.openDb()).addToList(...positionals);
+    console.log(`✓ Added ${place.name} to ${list.name}`);
+    console.log('Run "gmaps sync" to push the change to Google Maps');
+    ctx.output({ place: place.id, list: list.name });
+    return 0;
+  }
+};
@@ -0,0 +1,95 @@
+const config = require('../../config');
+const CityGrouper = require('../../sync/city-grouper');
+
+/**
+ * gmaps cities - Derive each place's city and country, and build per-city smart lists
+ */
+module.exports = {
+  name: 'cities',
+  summary: 'Group places by city and build per-city smart lists',
+  usage: 'gmaps cities [--refresh] [--lists [--apply]] [--min <n>] [--max-distance <km>]',
+  description: [
+    'Cities come from a bundled dataset (src/geo/cities.csv) for places with coordinates,',
+    'otherwise from the address; nothing goes over the network.',
+    `--lists previews the "${config.LOCALITY.LIST_NAME}" smart lists; --apply creates or`,
+    'refreshes them as local edits that the next sync pushes.'
+  ].join('\n'),
+  options: [
+    { name: 'refresh', type: 'boolean', description: 'Derive the city of every place again, not just new ones' },
+    { name: 'lists', type: 'boolean', description: 'Preview the smart lists' },
+    { name: 'apply', type: 'boolean', description: 'Create and refresh the smart lists (implies --lists)' },
+    { name: 'min', type: 'number', value: 'n', description: `Smallest city that gets a list (default ${config.LOCALITY.MIN_PLACES})` },
+    { name: 'max-distance', type: 'number', value: 'km', description: `How far from a city's center places still belong to it (default ${config.LOCALITY.MAX_DISTANCE_KM})` }
+  ],
+
+  async run(ctx, options) {
+    const db = ctx.openDb();
+    const grouper = new CityGrouper(db, {
+      minPlaces: options.min,
+      maxDistanceKm: options.maxDistance
+    });
+
+    const stats = grouper.assignLocalities({ refresh: Boolean(options.refresh) });
+    console.log(`📍 Checked ${stats.checked} places: ${stats.fromCoordinates} located from coordinates, ` +
+      `${stats.fromAddress} from the address, ${stats.unknown} unknown`);
+    if (stats.unknown > 0) {
+      console.log('   Places without coordinates or address get them from a full sync: gmaps sync --full');
+    }
+
+    const cities = grouper.cities().map(city => ({
+      locality: city.locality,
+      country: city.country,
+      places: city.places.length
+    }));
+    if (!options.lists && !options.apply) {
+      ctx.output({ ...stats, cities }, () => {
+        console.log('');
+        cities.forEach(city => console.log(`${String(city.places).padStart(5)}  ${city.locality}, ${city.country}`));
+        if (cities.length > 0) {
+          console.log('\nPreview per-city smart lists with: gmaps cities --lists');
+        }
+      });
+      return 0;
+    }
+
+    const plans = grouper.planLists();
+    console.log('');
+    if (plans.length === 0) {
+      console.log(`No city has ${grouper.minPlaces} or more saved places`);
+    }
+    for (const plan of plans) {
+      if (plan.action === 'create') {
+        console.log(`  + ${plan.name} (new, ${plan.add.length} places)`);
+      } else if (plan.action === 'refresh') {
+        console.log(`  ~ ${plan.name}: +${plan.add.length} -${plan.remove.length}`);
+      } else {
+        console.log(`  = ${plan.name} (up to date, ${plan.places.length} places)`);
+      }
+    }
+
+    let applied = null;
+    if (options.apply) {
+      applied = grouper.applyPlan(plans);
+      console.log(`\n✅ Created ${applied.created} lists, added ${applied.added} and removed ${applied.removed} entries`);
+      if (applied.created + applied.added + applied.removed > 0) {
+        console.log('Changes will be pushed to Google Maps on the next sync: gmaps sync');
+      }
+    } else if (plans.some(plan => plan.action !== 'unchanged')) {
+      console.log('\n⚠️  Preview only. Run with --apply to create and refresh these lists.');
+    }
+
+    ctx.output({
+      ...stats,
+      cities,
+      lists: plans.map(plan => ({
+        name: plan.name,
+        action: plan.action,
+        places: plan.places.length,
+        add: plan.add.map(place => place.id),
+        remove: plan.remove.map(place => place.id)
+      })),
+      applied
+    });
+    return 0;
+  }
+};
@@ -0,0 +1,129 @@
+const config = require('../../config');
+const Cleaner = require('../../sync/cleaner');
+
+/**
+ * Fit a value into a table column
+ */
+function column(value, width) {
+  const text = value ? String(value).replace(/\s+/g, ' ') : '-';
+  return text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width);
+}
+
+/**
+ * Print the places a cleanup would remove
+ */
+function printReview(candidates) {
+  console.log(`\n${'ID'.padStart(6)}  ${column('Name', 32)}  ${column('Lists', 28)}  Why`);
+  for (const { place, lists, reasons } of candidates) {
+    console.log(`${('#' + place.id).padStart(6)}  ${column(place.name, 32)}  ` +
+      `${column(lists.map(list => list.name).join(', '), 28)}  ${reasons.join(', ')}`);
+  }
+}
+
+/**
+ * Print recent cleanups
+ */
+function printHistory(cleanups) {
+  if (cleanups.length === 0) {
+    console.log('No cleanups yet');
+    return;
+  }
+  for (const cleanup of cleanups) {
+    let state = `undo until ${cleanup.undo_until}`;
+    if (cleanup.undone_at) state = `undone ${cleanup.undone_at}`;
+    else if (!cleanup.undoable) state = 'final';
+    const criteria = Object.entries(cleanup.criteria).map(([key, value]) => (value === true ? key : `${key}=${value}`));
+    console.log(`#${cleanup.id}  ${cleanup.created_at}  ${cleanup.place_count} places  (${criteria.join(', ')})  ${state}`);
+  }
+}
+
+/**
+ * gmaps cleanup - Remove places matching every given criterion, with an undo window
+ */
+module.exports = {
+  name: 'cleanup',
+  summary: 'Remove places without notes, lists or recent use',
+  usage: 'gmaps cleanup [--without-notes] [--unlisted] [--untouched-since <date>] [--duplicates] [--apply]\n' +
+    '       gmaps cleanup --undo [<id>] | --history',
+  description: [
+    'Criteria combine: a place is removed only when it matches all of them.',
+    'Without --apply this only shows the review table. Removals are local deletes that',
+    `the next sync pushes to Google Maps once the undo window (${config.CLEANUP.UNDO_HOURS} hours) has passed.`
+  ].join('\n'),
+  options: [
+    { name: 'without-notes', type: 'boolean', description: 'Places without notes' },
+    { name: 'unlisted', type: 'boolean', description: `Places in no list other than ${config.SYSTEM_LISTS.join(' or ')}` },
+    { name: 'untouched-since', type: 'string', value: 'date', description: 'Places not saved to a list or edited since this date (YYYY-MM-DD)' },
+    { name: 'duplicates', type: 'boolean', description: 'Duplicate rows whose lists the kept row is in too (see gmaps dedupe)' },
+    { name: 'apply', type: 'boolean', description: 'Remove the places shown' },
+    { name: 'undo-window', type: 'number', value: 'hours', description: `How long --undo works (default ${config.CLEANUP.UNDO_HOURS})` },
+    { name: 'undo', type: 'string', optional: true, value: 'id', description: 'Put back what a cleanup removed (default the latest)' },
+    { name: 'history', type: 'boolean', description: 'Show recent cleanups' }
+  ],
+
+  async run(ctx, options) {
+    const db = ctx.openDb();
+    const cleaner = new Cleaner(db, { undoHours: options.undoWindow });
+
+    if (options.history) {
+      const cleanups = db.cleanups.findRecent();
+      ctx.output({ cleanups }, () => printHistory(cleanups));
+      return 0;
+    }
+
+    if (options.undo !== undefined) {
+      const id = options.undo === true ? null : Number(options.undo.replace(/^#/, ''));
+      if (Number.isNaN(id)) {
+        throw new Error(`Expected a cleanup ID, got "${options.undo}"`);
+      }
+      const result = cleaner.undo(id);
+      console.log(`↩️  Undid cleanup #${result.cleanupId}: restored ${result.places} places and ${result.entries} list entries`);
+      ctx.output(result);
+      return 0;
+    }
+
+    const criteria = {};
+    if (options.withoutNotes) criteria.withoutNotes = true;
+    if (options.unlisted) criteria.unlisted = true;
+    if (options.untouchedSince) criteria.untouchedSince = options.untouchedSince;
+    if (options.duplicates) criteria.duplicates = true;
+    if (Object.keys(criteria).length === 0) {
+      console.error('Pick at least one of --without-notes, --unlisted, --untouched-since, --duplicates');
+      console.error('Run "gmaps cleanup --help" for details.');
+      return 1;
+    }
+
+    const candidates = cleaner.findCandidates(criteria);
+    const summary = candidates.map(({ place, lists, reasons }) => ({
+      id: place.id,
+      name: place.name,
+      lists: lists.map(list => list.name),
+      reasons
+    }));
+
+    if (candidates.length === 0) {
+      console.log('✅ Nothing to clean up');
+      ctx.output({ candidates: summary, applied: null });
+      return 0;
+    }
+
+    printReview(candidates);
+    console.log(`\n${candidates.length} places match`);
+
+    let applied = null;
+    if (options.apply) {
+      applied = cleaner.apply(candidates, criteria);
+      console.log(`\n🧹 Cleanup #${applied.cleanupId}: removed ${applied.places} places ` +
+        `(${applied.queued} list entries queued for Google Maps, ${applied.localOnly} local only)`);
+      console.log(`Undo until ${applied.undoUntil} UTC with: gmaps cleanup --undo ${applied.cleanupId}`);
+      if (applied.queued > 0) {
+        console.log('After that, the next sync pushes the removals: gmaps sync');
+      }
+    } else {
+      console.log('\n⚠️  Review only. Run with --apply to remove these places.');
+    }
+
+    ctx.output({ candidates: summary, applied });
+    return 0;
+  }
+};
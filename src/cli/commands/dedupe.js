@@ -0,0 +1,116 @@
+const Deduplicator = require('../../sync/deduplicator');
+
+const COLUMN_WIDTH = 34;
+
+/**
+ * Fit a value into one table cell
+ */
+function cell(value) {
+  const text = value === null || value === undefined || value === '' ? '-' : String(value).replace(/\s+/g, ' ');
+  return text.length > COLUMN_WIDTH - 2
+    ? text.slice(0, COLUMN_WIDTH - 3) + '…'
+    : text.padEnd(COLUMN_WIDTH - 2);
+}
+
+/**
+ * Print a duplicate group with its rows side by side
+ */
+function printGroup(db, group, index, total) {
+  const rows = [group.keep, ...group.duplicates];
+  const line = (label, values) => console.log(`  ${label.padEnd(12)}${values.map(cell).join('  ')}`.trimEnd());
+
+  console.log('\n' + '-'.repeat(60));
+  console.log(`[${index + 1}/${total}] ${group.keep.name} (${group.reasons.join(', ')})`);
+  console.log('-'.repeat(60));
+
+  line('', rows.map(row => `#${row.id}${row.id === group.keep.id ? ' (keep)' : ''}`));
+  line('Name', rows.map(row => row.name));
+  line('Place ID', rows.map(row => row.google_place_id));
+  line('URL', rows.map(row => row.google_maps_url));
+  line('Lists', rows.map(row => db.placeLists.findListsForPlace(row.id).map(list => list.name).join(', ')));
+  line('Notes', rows.map(row => row.notes));
+  line('Location', rows.map(row => (row.latitude !== null ? `${row.latitude}, ${row.longitude}` : null)));
+  line('Address', rows.map(row => row.address));
+}
+
+/**
+ * gmaps dedupe - Find places stored twice under different IDs and merge them
+ */
+module.exports = {
+  name: 'dedupe',
+  summary: 'Merge places stored twice under different IDs',
+  usage: 'gmaps dedupe [--dry-run] [--max-distance <meters>]',
+  options: [
+    { name: 'dry-run', type: 'boolean', description: 'Show the duplicates without merging' },
+    { name: 'max-distance', type: 'number', value: 'meters', description: 'How close same-name places must be to count as one (default 100)' }
+  ],
+
+  async run(ctx, options) {
+    const dryRun = Boolean(options.dryRun);
+
+    console.log('='.repeat(60));
+    console.log('Google Maps Place Deduplication');
+    console.log('='.repeat(60));
+    if (dryRun) {
+      console.log('Mode: DRY-RUN (preview only, no changes will be applied)');
+    }
+
+    const db = ctx.openDb();
+    const deduplicator = new Deduplicator(db, {
+      maxDistance: options.maxDistance
+    });
+    const groups = deduplicator.findDuplicates();
+
+    if (groups.length === 0) {
+      console.log('\n✅ No duplicate places found');
+      ctx.output({ groups: [], merged: 0, skipped: 0 });
+      return 0;
+    }
+
+    console.log(`\n${groups.length} duplicate groups`);
+
+    let merged = 0;
+    let skipped = 0;
+    const results = groups.map((group, i) => {
+      printGroup(db, group, i, groups.length);
+      const summary = {
+        keepId: group.keep.id,
+        duplicateIds: group.duplicates.map(place => place.id),
+        reasons: group.reasons
+      };
+      if (dryRun) {
+        return summary;
+      }
+
+      const result = deduplicator.merge(group);
+      if (result.skipped) {
+        skipped++;
+        console.log(`  ⚠️  Not merged: ${result.skipped}`);
+        return { ...summary, skipped: result.skipped };
+      }
+      merged += result.mergedIds.length;
+      console.log(`  ✓ Merged ${result.mergedIds.map(id => `#${id}`).join(', ')} into #${result.keepId}`);
+      if (result.notes !== null) {
+        console.log(`  📝 Combined notes: "${result.notes.replace(/\n/g, '\\n')}"`);
+      }
+      return { ...summary, notes: result.notes };
+    });
+
+    console.log('\n' + '='.repeat(60));
+    if (dryRun) {
+      const wouldMerge = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+      console.log(`⚠️  DRY-RUN: ${wouldMerge} places would be merged. Run without --dry-run to merge them.`);
+    } else {
+      console.log(`Merged ${merged} duplicate places into ${groups.length - skipped}`);
+      if (skipped > 0) {
+        console.log(`⚠️  ${skipped} groups not merged (see above)`);
+      }
+      console.log('Combined notes will be pushed to Google Maps on the next sync: gmaps sync');
+    }
+    console.log('='.repeat(60));
+
+    ctx.output({ groups: results, merged, skipped });
+    return 0;
+  }
+};
+
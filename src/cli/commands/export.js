@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const PlaceExporter = require('../../sync/place-exporter');
+const { LIST_MANIFEST } = require('../../takeout/takeout');
+
+/**
+ * Format from --format, else from the --out extension, else GeoJSON
+ */
+function pickFormat(options) {
+  if (options.format) {
+    return options.format.toLowerCase();
+  }
+  const extension = options.out ? path.extname(options.out).toLowerCase() : '';
+  const match = Object.entries(PlaceExporter.FORMATS).find(([, format]) => format.extension === extension);
+  return match ? match[0] : 'geojson';
+}
+
+/**
+ * Write one Takeout CSV per list into a folder, and lists.json with each file's list name
+ */
+function exportCSV(ctx, exporter, listNames, dir) {
+  const { files, skipped } = exporter.toTakeoutCSV(listNames);
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const { list, file, places, text } of files) {
+    fs.writeFileSync(path.join(dir, file), text);
+    console.log(`  ${file}${file !== `${list}.csv` ? ` (${list})` : ''}: ${places} places`);
+  }
+  const manifest = Object.fromEntries(files.map(({ list, file }) => [file, list]));
+  fs.writeFileSync(path.join(dir, LIST_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`✓ Wrote ${files.length} lists to ${dir}`);
+  if (skipped.length > 0) {
+    console.log(`\n⚠️  ${skipped.length} entries have no URL or place ID and were left out:`);
+    skipped.forEach(({ list, place }) => console.log(`  #${place.id} ${place.name}  [${list}]`));
+  }
+
+  ctx.output({
+    dir,
+    format: 'csv',
+    files: files.map(({ list, file, places }) => ({ list, file, places })),
+    skipped: skipped.map(({ list, place }) => ({ id: place.id, name: place.name, list }))
+  });
+  return 0;
+}
+
+/**
+ * gmaps export - Write saved places as GeoJSON, KML, GPX or Takeout CSVs
+ */
+module.exports = {
+  name: 'export',
+  summary: 'Export places as GeoJSON, KML, GPX or Takeout CSVs',
+  usage: 'gmaps export [<list>...] [--format geojson|kml|gpx] [--out <file>]\n' +
+    '       gmaps export [<list>...] --format csv [--out <dir>]',
+  description: [
+    'Exports the given lists, or everything (every list, plus places in none).',
+    'Each place has its name, notes, Maps URL and the lists it\'s in; KML has one folder per list.',
+    'Places without coordinates are left out and listed; a full sync (gmaps sync --full) fills them in.',
+    '--format csv writes one "<List name>.csv" per list in Takeout\'s Title,Note,URL,Tags,Comment',
+    'format instead, plus lists.json with the exact list name of each file, so gmaps seed or',
+    'gmaps import reads them back into the same lists.'
+  ].join('\n'),
+  options: [
+    { name: 'format', alias: 'f', type: 'string', value: 'format', description: 'geojson, kml, gpx or csv (default: from --out, else geojson)' },
+    { name: 'out', alias: 'o', type: 'string', value: 'file', description: 'File to write (default places.<format>), or folder for csv (default saved/)' }
+  ],
+
+  async run(ctx, options, positionals) {
+    const format = pickFormat(options);
+    const formats = [...Object.keys(PlaceExporter.FORMATS), 'csv'];
+    if (!formats.includes(format)) {
+      throw new Error(`Unknown format: ${format} (expected ${formats.join(', ')})`);
+    }
+    const exporter = new PlaceExporter(ctx.openDb());
+    if (format === 'csv') {
+      return exportCSV(ctx, exporter, positionals, path.resolve(options.out || 'saved'));
+    }
+    const { text, collection } = exporter.export(format, positionals);
+    const out = path.resolve(options.out || `places${PlaceExporter.FORMATS[format].extension}`);
+
+    fs.writeFileSync(out, text);
+    console.log(`✓ Wrote ${collection.places.length} places from ${collection.lists.length} lists to ${out}`);
+    if (collection.missing.length > 0) {
+      console.log(`\n⚠️  ${collection.missing.length} places have no coordinates and were left out:`);
+      collection.missing.forEach(place => {
+        console.log(`  #${place.id} ${place.name}${place.lists.length > 0 ? `  [${place.lists.join(', ')}]` : ''}`);
+      });
+      console.log('Fetch their coordinates with: gmaps sync --full');
+    }
+
+    ctx.output({
+      file: out,
+      format,
+      lists: collection.lists.map(list => ({ name: list.name, places: list.places.length })),
+      places: collection.places.length,
+      missing: collection.missing.map(place => ({ id: place.id, name: place.name, lists: place.lists }))
+    });
+    return 0;
+  }
+};
@@ -0,0 +1,78 @@
+const path = require('path');
+const TakeoutImporter = require('../../sync/takeout-importer');
+const { readTakeout } = require('../../takeout/takeout');
+
+/**
+ * "3 new, 1 updated, 12 unchanged"
+ */
+function formatCounts(counts) {
+  const parts = [`${counts.new} new`, `${counts.updated} updated`, `${counts.unchanged} unchanged`];
+  if (counts.skipped > 0) {
+    parts.push(`${counts.skipped} deleted locally`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * gmaps import - Merge a Google Takeout export into the database
+ */
+module.exports = {
+  name: 'import',
+  summary: 'Import a Google Takeout export (zip or folder) of saved places',
+  usage: 'gmaps import <takeout.zip|folder|file> [--dry-run]',
+  description: [
+    'Reads Saved/*.csv (one list each, with Tags and Comment) and Saved Places.json (starred',
+    'places, with coordinates and address). List names are recovered from Takeout\'s file names',
+    '("Jason_s Vienna Research"). Places are matched by place ID: existing places only get',
+    'new list entries and missing notes, address and coordinates.'
+  ].join('\n'),
+  options: [
+    { name: 'dry-run', type: 'boolean', description: 'Show what would change without importing' }
+  ],
+
+  async run(ctx, options, positionals) {
+    if (positionals.length !== 1) {
+      console.error(`Usage: ${this.usage}`);
+      return 1;
+    }
+    const source = path.resolve(positionals[0]);
+
+    const db = ctx.openDb();
+    const importer = new TakeoutImporter(db);
+    const collections = readTakeout(source, db.lists.findAll().map(list => list.name));
+    const plan = importer.plan(collections);
+
+    console.log(`📦 ${source}`);
+    for (const collection of plan) {
+      const counts = importer.summarize([collection]).lists[0];
+      console.log(`\n${collection.file} → ${collection.name}: ${formatCounts(counts)}`);
+      for (const entry of collection.entries.filter(e => e.status === 'updated')) {
+        console.log(`  ~ ${entry.record.name}: ${entry.changes.join(', ')}`);
+      }
+      for (const row of collection.rejected) {
+        console.log(`  ⚠️  Line ${row.line} rejected: ${row.reason}`);
+      }
+    }
+
+    const result = options.dryRun ? importer.summarize(plan) : importer.apply(plan);
+    console.log(`\n📊 ${Object.values(result.places).reduce((a, b) => a + b, 0)} places: ${formatCounts(result.places)}`);
+    if (options.dryRun) {
+      console.log('⚠️  DRY-RUN: nothing was imported. Run without --dry-run to import.');
+    } else if (result.places.new + result.places.updated > 0) {
+      console.log('✅ Imported. Check with: gmaps lists');
+    }
+
+    ctx.output({
+      ...result,
+      rejected: plan.flatMap(collection => collection.rejected.map(row => ({ file: collection.file, ...row }))),
+      entries: plan.flatMap(collection => collection.entries.map(entry => ({
+        list: collection.name,
+        name: entry.record.name,
+        googlePlaceId: entry.googlePlaceId,
+        status: entry.status,
+        changes: entry.changes
+      })))
+    });
+    return 0;
+  }
+};
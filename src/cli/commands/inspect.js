@@ -0,0 +1,138 @@
+const GoogleMapsScraper = require('../../sync/scraper');
+
+const DEFAULT_PLACES = 5;
+
+/**
+ * Count the elements the scraper relies on
+ */
+async function getPageStats(page) {
+  return page.evaluate(() => ({
+    title: document.title,
+    url: location.href,
+    mapsLinks: document.querySelectorAll('a[href*="/maps/place/"]').length,
+    buttons: document.querySelectorAll('button').length,
+    listButtons: document.querySelectorAll('button.CsEnBe').length,
+    placeButtons: document.querySelectorAll('button[jsaction*="pane.wfvdle"][jslog*="metadata"]').length,
+    textareas: document.querySelectorAll('textarea').length
+  }));
+}
+
+/**
+ * Which name extraction strategies work on the first place containers
+ */
+async function getPlaceStructure(page, count) {
+  return page.evaluate(limit => {
+    const containers = Array.from(document.querySelectorAll('div.m6QErb.XiKgde'));
+    return containers.slice(0, limit).map((container, index) => ({
+      index,
+      classes: container.className,
+      hasButton: !!container.querySelector('button.SMP2wb.fHEb6e'),
+      hasTextarea: !!container.querySelector('textarea'),
+      strategies: {
+        fontHeadlineSmall: container.querySelector('div.fontHeadlineSmall')?.textContent?.trim() || null,
+        heading: container.querySelector('h1, h2, h3, h4, h5')?.textContent?.trim() || null,
+        buttonText: container.querySelector('button.SMP2wb.fHEb6e')?.textContent?.trim()?.split('\n')[0] || null
+      }
+    }));
+  }, count);
+}
+
+/**
+ * gmaps inspect - Check the scraper's selectors against the live page, without touching the database
+ */
+module.exports = {
+  name: 'inspect',
+  summary: 'Check the scraper against Google Maps without changing anything',
+  usage: 'gmaps inspect [--list <name>] [--limit <n>] [--structure] [--screenshot] [--wait <seconds>]',
+  description: [
+    'Opens Saved places, reports what the selectors find and scrapes the first places of one list',
+    '("Want to go", or the first list). Nothing is written to the database.'
+  ].join('\n'),
+  options: [
+    { name: 'list', type: 'string', value: 'name', description: 'List to scrape' },
+    { name: 'limit', type: 'number', value: 'n', description: `Places to scrape (default ${DEFAULT_PLACES})` },
+    { name: 'structure', type: 'boolean', description: 'Also dump the DOM structure of the first place containers' },
+    { name: 'screenshot', type: 'boolean', description: 'Save a screenshot to screenshots/' },
+    { name: 'wait', type: 'number', value: 'seconds', description: 'Keep the browser open afterwards for manual inspection' },
+    { name: 'real-profile', type: 'boolean', description: 'Use the installed Chrome profile (close Chrome first)' },
+    { name: 'fixture', type: 'string', optional: true, value: 'file', description: 'Inspect a local fixture server instead' }
+  ],
+
+  async run(ctx, options) {
+    const limit = options.limit || DEFAULT_PLACES;
+
+    console.log('='.repeat(60));
+    console.log('Google Maps Scraper Inspection');
+    console.log('='.repeat(60));
+    console.log('Read-only: the database is not touched.\n');
+
+    console.log('[1/4] Launching browser...');
+    const browserManager = await ctx.launchBrowser({
+      fixture: options.fixture,
+      realProfile: options.realProfile
+    });
+    const page = browserManager.page;
+    const scraper = new GoogleMapsScraper(browserManager, null);
+    scraper.page = page;
+
+    console.log('\n[2/4] Navigating to Google Maps Saved Places...');
+    await browserManager.navigateToSavedPlaces();
+    if (options.screenshot) {
+      await browserManager.screenshot('inspection');
+    }
+
+    const report = { page: await getPageStats(page), lists: [], list: null, places: [], structure: null };
+    console.log(`\n📄 ${report.page.title}`);
+    console.log(`📍 ${report.page.url}`);
+    console.log(`📊 ${report.page.listButtons} list buttons, ${report.page.placeButtons} place buttons, ${report.page.mapsLinks} place links`);
+
+    console.log('\n[3/4] Detecting lists...');
+    report.lists = await scraper.getLists();
+    if (report.lists.length === 0) {
+      console.log('❌ No lists found! Selectors may be incorrect, or you are not logged in.');
+    } else {
+      report.lists.forEach((list, i) => {
+        console.log(`   ${i + 1}. ${list.name}${list.google_list_id ? '' : '  (no list ID)'}`);
+      });
+    }
+
+    console.log('\n[4/4] Scraping places...');
+    if (report.lists.length > 0) {
+      const target = options.list
+        ? report.lists.find(list => list.name === options.list)
+        : report.lists.find(list => list.name.toLowerCase().includes('want to go')) || report.lists[0];
+      if (!target) {
+        throw new Error(`List not found: ${options.list}`);
+      }
+
+      report.list = target.name;
+      if (await scraper.navigateToList(target.name)) {
+        report.places = await scraper.scrapePlacesFromCurrentList(limit);
+        console.log(`${report.places.length > 0 ? '✅' : '❌'} ${report.places.length} places from "${target.name}":`);
+        report.places.forEach((place, i) => {
+          console.log(`   ${i + 1}. ${place.name}`);
+          console.log(`      ID: ${place.google_place_id || '❌'}  Notes: ${place.notes ? `${place.notes.length} chars` : '-'}`);
+        });
+
+        if (options.structure) {
+          report.structure = await getPlaceStructure(page, limit);
+          console.log('\n🔬 Place containers:');
+          report.structure.forEach(container => {
+            console.log(`   ${container.index + 1}. button ${container.hasButton ? '✅' : '❌'}  textarea ${container.hasTextarea ? '✅' : '❌'}  ${container.classes}`);
+            Object.entries(container.strategies).forEach(([strategy, value]) => {
+              console.log(`      ${strategy}: ${value || '❌ NULL'}`);
+            });
+          });
+        }
+      }
+    }
+
+    ctx.output(report);
+
+    if (options.wait) {
+      console.log(`\nBrowser will stay open for ${options.wait} seconds for manual inspection (Ctrl+C to close early)...`);
+      await page.waitForTimeout(options.wait * 1000);
+    }
+    return report.lists.length > 0 && report.places.length > 0 ? 0 : 1;
+  }
+};
@@ -0,0 +1,51 @@
+const LocalEditor = require('../../sync/local-editor');
+
+/**
+ * gmaps list - Create, rename or delete a list
+ */
+module.exports = {
+  name: 'list',
+  summary: 'Create, rename or delete a list (pushed on the next sync)',
+  usage: 'gmaps list create <name>\n       gmaps list rename <name> <new-name>\n       gmaps list delete <name>',
+  description: 'Deleting a list keeps its places in their other lists.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    const [action, ...names] = positionals;
+    const editor = new LocalEditor(ctx.openDb());
+    let result;
+
+    switch (action) {
+      case 'create': {
+        if (names.length !== 1) throw new Error('Usage: gmaps list create <name>');
+        const list = editor.createList(names[0]);
+        console.log(`✓ Created list ${list.name}`);
+        result = { action, list: list.name };
+        break;
+      }
+
+      case 'rename': {
+        if (names.length !== 2) throw new Error('Usage: gmaps list rename <name> <new-name>');
+        const { list, from } = editor.renameList(names[0], names[1]);
+        console.log(`✓ Renamed list ${from} → ${list.name}`);
+        result = { action, from, list: list.name };
+        break;
+      }
+
+      case 'delete': {
+        if (names.length !== 1) throw new Error('Usage: gmaps list delete <name>');
+        const list = editor.deleteList(names[0]);
+        console.log(`✓ Deleted list ${list.name}`);
+        result = { action, list: list.name };
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown action: ${action || '(none)'} (expected create, rename or delete)`);
+    }
+
+    console.log('Run "gmaps sync" to push the change to Google Maps');
+    ctx.output(result);
+    return 0;
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * gmaps lists - Show saved lists with their place counts
+ */
+module.exports = {
+  name: 'lists',
+  summary: 'Show saved lists and how many places each has',
+  usage: 'gmaps lists',
+  options: [],
+
+  async run(ctx) {
+    const db = ctx.openDb();
+    const lists = db.lists.findAll().map(list => ({
+      id: list.id,
+      name: list.name,
+      googleListId: list.google_list_id,
+      places: db.placeLists.findPlacesInList(list.id).length,
+      lastSynced: list.last_synced
+    }));
+
+    ctx.output(lists, rows => {
+      if (rows.length === 0) {
+        console.log('No lists yet. Run "gmaps sync" or "gmaps seed" first.');
+        return;
+      }
+      const width = Math.max(...rows.map(row => row.name.length)) + 2;
+      rows.forEach(row => {
+        console.log(`${row.name.padEnd(width)}${String(row.places).padStart(5)} places${row.lastSynced ? `  (synced ${row.lastSynced})` : ''}`);
+      });
+      const total = rows.reduce((sum, row) => sum + row.places, 0);
+      console.log(`\n${rows.length} lists, ${total} list entries, ${db.places.findAll().length} places`);
+    });
+    return 0;
+  }
+};
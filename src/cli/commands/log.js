@@ -0,0 +1,32 @@
+/**
+ * gmaps log - Show recent syncs
+ */
+module.exports = {
+  name: 'log',
+  summary: 'Show recent syncs and their stats',
+  usage: 'gmaps log [--limit <n>]',
+  options: [
+    { name: 'limit', type: 'number', value: 'n', description: 'Show at most n syncs (default 10)' }
+  ],
+
+  async run(ctx, options) {
+    const db = ctx.openDb();
+    const syncs = db.getRecentSyncs(options.limit || 10);
+
+    ctx.output(syncs, rows => {
+      if (rows.length === 0) {
+        console.log('No syncs yet');
+        return;
+      }
+      rows.forEach(sync => {
+        const icon = sync.status === 'success' ? '✅' : sync.status === 'in_progress' ? '⏳' : '⚠️ ';
+        console.log(`${icon} #${sync.id} ${sync.sync_type.padEnd(6)} ${sync.started_at}  ${sync.status}`);
+        console.log(`    pulled ${sync.places_pulled}, pushed ${sync.operations_pushed}, conflicts ${sync.conflicts_detected}`);
+        (sync.errors || []).forEach(err => {
+          console.log(`    ⚠️  ${err.list ? `${err.list}: ` : ''}${err.error || err}`);
+        });
+      });
+    });
+    return 0;
+  }
+};
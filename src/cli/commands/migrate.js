@@ -0,0 +1,75 @@
+const Migrator = require('../../db/migrator');
+
+/**
+ * Print every migration and whether it's applied
+ */
+function printStatus(migrator) {
+  console.log(`\nCurrent version: ${migrator.currentVersion()}\n`);
+  for (const m of migrator.status()) {
+    const mark = m.applied ? '✓' : ' ';
+    const when = m.applied ? `  (applied ${m.appliedAt})` : '  (pending)';
+    console.log(`  [${mark}] ${String(m.version).padStart(3, '0')} ${m.name}${when}`);
+  }
+}
+
+/**
+ * gmaps migrate - Show status, apply or revert schema migrations
+ */
+module.exports = {
+  name: 'migrate',
+  summary: 'Show, apply or revert schema migrations',
+  usage: 'gmaps migrate [status|up|down] [--to <version>] [--steps <n>]',
+  description: [
+    'up applies pending migrations (all, or up to --to); down reverts the last one',
+    '(or --steps n, or everything above --to). The database file is backed up to',
+    'db/backups/ before up/down change anything.'
+  ].join('\n'),
+  options: [
+    { name: 'to', type: 'number', value: 'version', description: 'Target version' },
+    { name: 'steps', type: 'number', value: 'n', description: 'Migrations to revert with down' }
+  ],
+
+  async run(ctx, options, positionals) {
+    const command = positionals[0] || 'status';
+
+    console.log('='.repeat(60));
+    console.log('Google Maps Database Migrations');
+    console.log('='.repeat(60));
+
+    const db = ctx.openDb({ migrate: false });
+    const migrator = new Migrator(db.getConnection(), { dbPath: db.connection.dbPath });
+    const migrateOptions = { to: options.to, steps: options.steps };
+
+    switch (command) {
+      case 'status':
+        printStatus(migrator);
+        ctx.output(migrator.status());
+        break;
+
+      case 'up': {
+        const applied = migrator.up(migrateOptions);
+        console.log(applied.length > 0
+          ? `\n✅ Applied ${applied.length} migrations`
+          : '\n✅ Already up to date');
+        printStatus(migrator);
+        ctx.output(applied);
+        break;
+      }
+
+      case 'down': {
+        const reverted = migrator.down(migrateOptions);
+        console.log(reverted.length > 0
+          ? `\n✅ Reverted ${reverted.length} migrations`
+          : '\n✅ Nothing to revert');
+        printStatus(migrator);
+        ctx.output(reverted);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command: ${command} (expected status, up or down)`);
+    }
+
+    return 0;
+  }
+};
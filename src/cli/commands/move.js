@@ -0,0 +1,24 @@
+const LocalEditor = require('../../sync/local-editor');
+
+/**
+ * gmaps move - Move a place from one list to another
+ */
+module.exports = {
+  name: 'move',
+  summary: 'Move a place between lists (pushed on the next sync)',
+  usage: 'gmaps move <place> <from-list> <to-list>',
+  description: 'A place is "#<id>" (see gmaps places), its place ID or Maps URL, or its exact name.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    if (positionals.length !== 3) {
+      throw new Error('Usage: gmaps move <place> <from-list> <to-list>');
+    }
+
+    const { place, from, to } = new LocalEditor(ctx.openDb()).movePlace(...positionals);
+    console.log(`✓ Moved ${place.name}: ${from.name} → ${to.name}`);
+    console.log('Run "gmaps sync" to push the change to Google Maps');
+    ctx.output({ place: place.id, from: from.name, to: to.name });
+    return 0;
+  }
+};
@@ -0,0 +1,36 @@
+const LocalEditor = require('../../sync/local-editor');
+
+/**
+ * gmaps note - Set or clear a place's notes
+ */
+module.exports = {
+  name: 'note',
+  summary: 'Set or clear a place\'s notes (pushed on the next sync)',
+  usage: 'gmaps note <place> <text...>\n       gmaps note <place> --clear',
+  description: 'A place is "#<id>" (see gmaps places), its place ID or Maps URL, or its exact name.',
+  options: [
+    { name: 'clear', type: 'boolean', description: 'Remove the notes' },
+    { name: 'append', type: 'boolean', description: 'Add the text as a new line instead of replacing the notes' }
+  ],
+
+  async run(ctx, options, positionals) {
+    const [placeRef, ...words] = positionals;
+    if (!placeRef || (words.length === 0 && !options.clear)) {
+      throw new Error('Usage: gmaps note <place> <text...> (or --clear)');
+    }
+
+    const db = ctx.openDb();
+    const editor = new LocalEditor(db);
+    let text = options.clear ? null : words.join(' ');
+    if (options.append && text !== null) {
+      const current = editor.findPlace(placeRef).notes;
+      text = current ? `${current}\n${text}` : text;
+    }
+
+    const { place, notes } = editor.setNotes(placeRef, text);
+    console.log(notes === null ? `✓ Cleared notes of ${place.name}` : `✓ Notes of ${place.name}: "${notes}"`);
+    console.log('Run "gmaps sync" to push the change to Google Maps');
+    ctx.output({ id: place.id, name: place.name, notes });
+    return 0;
+  }
+};
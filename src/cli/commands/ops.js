@@ -0,0 +1,48 @@
+const STATUSES = ['pending', 'in_progress', 'completed', 'failed'];
+
+/**
+ * Short description of an operation's payload
+ */
+function describePayload(payload) {
+  return Object.entries(payload)
+    .map(([key, value]) => `${key}=${typeof value === 'string' && value.length > 40 ? value.slice(0, 39) + '…' : value}`)
+    .join(' ');
+}
+
+/**
+ * gmaps ops - Show the queue of operations waiting to be pushed to Google Maps
+ */
+module.exports = {
+  name: 'ops',
+  summary: 'Show queued operations (pushed to Google Maps on sync)',
+  usage: 'gmaps ops [--status <status>] [--limit <n>]',
+  options: [
+    { name: 'status', type: 'string', value: 'status', description: 'pending, in_progress, completed or failed' },
+    { name: 'limit', type: 'number', value: 'n', description: 'Show at most n operations (default 50)' }
+  ],
+
+  async run(ctx, options) {
+    if (options.status && !STATUSES.includes(options.status)) {
+      throw new Error(`Unknown status: ${options.status} (expected ${STATUSES.join(', ')})`);
+    }
+
+    const db = ctx.openDb();
+    const ops = db.getOperations({ status: options.status, limit: options.limit });
+
+    ctx.output(ops, rows => {
+      if (rows.length === 0) {
+        console.log(options.status ? `No ${options.status} operations` : 'No operations queued');
+        return;
+      }
+      rows.forEach(op => {
+        const retries = op.retry_count > 0 ? ` (retry ${op.retry_count}/${op.max_retries})` : '';
+        console.log(`#${op.id} ${op.status.padEnd(11)} ${op.operation_type}  ${describePayload(op.payload)}${retries}`);
+        if (op.error_message) {
+          console.log(`    ⚠️  ${op.error_message}`);
+        }
+      });
+      console.log(`\n${rows.length} operations`);
+    });
+    return 0;
+  }
+};
@@ -0,0 +1,74 @@
+const Tagger = require('../../sync/tagger');
+
+/**
+ * gmaps places - Show places, optionally one list's
+ */
+module.exports = {
+  name: 'places',
+  summary: 'Show places (all, one list\'s or by tag)',
+  usage: 'gmaps places [--list <name>] [--without-notes] [--tag <tags>] [--any-tag <tags>] [--not-tag <tags>] [--limit <n>]',
+  description: 'Tag filters take comma-separated tags and combine: --tag brunch,kid-friendly --not-tag loud',
+  options: [
+    { name: 'list', type: 'string', value: 'name', description: 'Only places in this list' },
+    { name: 'without-notes', type: 'boolean', description: 'Only places that have no notes' },
+    { name: 'tag', type: 'string', value: 'tags', description: 'Only places with all of these tags' },
+    { name: 'any-tag', type: 'string', value: 'tags', description: 'Only places with at least one of these tags' },
+    { name: 'not-tag', type: 'string', value: 'tags', description: 'Only places with none of these tags' },
+    { name: 'limit', type: 'number', value: 'n', description: 'Show at most n places' }
+  ],
+
+  async run(ctx, options) {
+    const db = ctx.openDb();
+
+    let places;
+    if (options.list) {
+      const list = db.lists.findByName(options.list);
+      if (!list) {
+        throw new Error(`List not found: ${options.list}`);
+      }
+      places = db.placeLists.findPlacesInList(list.id);
+    } else {
+      places = db.places.findAll();
+    }
+
+    if (options.withoutNotes) {
+      places = places.filter(place => !place.notes);
+    }
+    if (options.tag || options.anyTag || options.notTag) {
+      const tagged = new Set(new Tagger(db).find({ all: options.tag, any: options.anyTag, none: options.notTag })
+        .map(place => place.id));
+      places = places.filter(place => tagged.has(place.id));
+    }
+    if (options.limit) {
+      places = places.slice(0, options.limit);
+    }
+
+    const rows = places.map(place => ({
+      id: place.id,
+      name: place.name,
+      placeId: place.google_place_id,
+      url: place.google_maps_url,
+      notes: place.notes,
+      address: place.address,
+      lists: db.placeLists.findListsForPlace(place.id).map(list => list.name),
+      tags: db.tags.findForPlace(place.id).map(tag => tag.name)
+    }));
+
+    ctx.output(rows, items => {
+      items.forEach(item => {
+        console.log(`#${item.id} ${item.name}${item.lists.length > 0 ? `  [${item.lists.join(', ')}]` : ''}`);
+        if (item.notes) {
+          console.log(`    📝 ${item.notes.replace(/\s*\n\s*/g, ' / ')}`);
+        }
+        if (item.tags.length > 0) {
+          console.log(`    🏷️  ${item.tags.map(tag => `#${tag}`).join(' ')}`);
+        }
+        if (item.address || item.url) {
+          console.log(`    ${item.address || item.url}`);
+        }
+      });
+      console.log(`\n${items.length} places`);
+    });
+    return 0;
+  }
+};
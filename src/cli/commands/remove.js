@@ -0,0 +1,24 @@
+const LocalEditor = require('../../sync/local-editor');
+
+/**
+ * gmaps remove - Remove a place from a list
+ */
+module.exports = {
+  name: 'remove',
+  summary: 'Remove a place from a list (pushed on the next sync)',
+  usage: 'gmaps remove <place> <list>',
+  description: 'A place is "#<id>" (see gmaps places), its place ID or Maps URL, or its exact name.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    if (positionals.length !== 2) {
+      throw new Error('Usage: gmaps remove <place> <list>');
+    }
+
+    const { place, list } = new LocalEditor(ctx.openDb()).removeFromList(...positionals);
+    console.log(`✓ Removed ${place.name} from ${list.name}`);
+    console.log('Run "gmaps sync" to push the change to Google Maps');
+    ctx.output({ place: place.id, list: list.name });
+    return 0;
+  }
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+const ConflictResolver = require('../../sync/conflict-resolver');
+const { merge3, hasConflictMarkers } = require('../../sync/text-merge');
+
+const EDIT_HEADER = [
+  '# Edit the notes for this place, then save and close the editor.',
+  '# Lines starting with # are ignored. Remove the conflict markers.',
+  ''
+].join('\n');
+
+/**
+ * Line-based prompt on stdin that also works with piped input
+ * The editor runs via spawnSync, so it owns the terminal while readline waits
+ */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    async ask(question) {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      return done ? 'q' : value.trim().toLowerCase();
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Build the combined version shown in the editor
+ * With the base text known, only the overlapping lines get conflict markers
+ */
+function combinedNotes(conflict) {
+  return merge3(conflict.base_value, conflict.local_value, conflict.remote_value).marked;
+}
+
+/**
+ * Open $VISUAL / $EDITOR on the combined notes and return the edited text
+ * Returns null if the editor failed or conflict markers are left in
+ */
+function editNotes(conflict) {
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const tmpFile = path.join(os.tmpdir(), `gmaps-conflict-${conflict.id}.txt`);
+  fs.writeFileSync(tmpFile, EDIT_HEADER + combinedNotes(conflict) + '\n');
+
+  try {
+    const result = spawnSync(editor, [tmpFile], { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      console.log(`  ⚠️  Editor exited with status ${result.status}`);
+      return null;
+    }
+
+    const edited = fs.readFileSync(tmpFile, 'utf8')
+      .split('\n')
+      .filter(line => !line.startsWith('#'))
+      .join('\n')
+      .trim();
+
+    if (hasConflictMarkers(edited)) {
+      console.log('  ⚠️  Conflict markers are still present');
+      return null;
+    }
+    return edited;
+  } finally {
+    fs.rmSync(tmpFile, { force: true });
+  }
+}
+
+/**
+ * Print one conflict with its three values
+ */
+function printConflict(db, conflict, index, total) {
+  const place = db.places.findById(conflict.place_id);
+  const list = conflict.list_id ? db.lists.findById(conflict.list_id) : null;
+  const kind = conflict.entity_type === 'place_notes' ? 'Notes' : 'List membership';
+
+  console.log('\n' + '-'.repeat(60));
+  console.log(`[${index + 1}/${total}] ${kind} conflict #${conflict.id}: ${place?.name || `place ${conflict.place_id}`}`);
+  if (list) {
+    console.log(`List: ${list.name}`);
+  }
+  console.log(`Detected: ${conflict.detected_at}${conflict.sync_id ? ` (sync #${conflict.sync_id})` : ''}`);
+  console.log('-'.repeat(60));
+
+  if (conflict.entity_type === 'place_notes') {
+    console.log(`Local:  "${conflict.local_value || ''}"`);
+    console.log(`Remote: "${conflict.remote_value || ''}"`);
+  } else {
+    console.log(`Local:  ${conflict.local_value === 'exists' ? 'in list' : 'removed'}`);
+    console.log(`Remote: ${conflict.remote_value === 'exists' ? 'in list' : 'removed'}`);
+  }
+}
+
+/**
+ * gmaps resolve - Walk unresolved conflicts interactively
+ */
+module.exports = {
+  name: 'resolve',
+  summary: 'Resolve sync conflicts interactively',
+  usage: 'gmaps resolve [--list]',
+  description: 'Notes conflicts can be merged in $VISUAL / $EDITOR. Resolutions are pushed on the next sync.',
+  options: [
+    { name: 'list', type: 'boolean', description: 'Only show the unresolved conflicts' }
+  ],
+
+  async run(ctx, options) {
+    console.log('='.repeat(60));
+    console.log('Google Maps Conflict Resolution');
+    console.log('='.repeat(60));
+
+    const db = ctx.openDb();
+    const resolver = new ConflictResolver(db);
+    const conflicts = db.conflicts.findUnresolved();
+
+    if (conflicts.length === 0) {
+      console.log('\n✅ No unresolved conflicts');
+      ctx.output([]);
+      return 0;
+    }
+
+    console.log(`\n${conflicts.length} unresolved conflicts`);
+
+    if (options.list) {
+      ctx.output(conflicts, rows => rows.forEach((conflict, i) => printConflict(db, conflict, i, conflicts.length)));
+      return 0;
+    }
+    if (ctx.json) {
+      throw new Error('Resolving is interactive; use --list with --json');
+    }
+
+    const prompt = createPrompt();
+    let resolved = 0;
+    let skipped = 0;
+
+    for (let i = 0; i < conflicts.length; i++) {
+      const conflict = conflicts[i];
+      const isNotes = conflict.entity_type === 'place_notes';
+      printConflict(db, conflict, i, conflicts.length);
+
+      const question = isNotes
+        ? '\n[l]ocal / [r]emote / [e]dit combined / [s]kip / [q]uit: '
+        : '\n[l]ocal / [r]emote / [s]kip / [q]uit: ';
+
+      let done = false;
+      while (!done) {
+        const answer = await prompt.ask(question);
+
+        switch (answer) {
+          case 'l':
+            resolver.resolve(conflict, 'local');
+            console.log('  ✓ Kept local');
+            resolved++;
+            done = true;
+            break;
+
+          case 'r':
+            resolver.resolve(conflict, 'remote');
+            console.log('  ✓ Took remote');
+            resolved++;
+            done = true;
+            break;
+
+          case 'e': {
+            if (!isNotes) {
+              console.log('  Editing is only available for notes conflicts');
+              break;
+            }
+            const edited = editNotes(conflict);
+            if (edited === null) {
+              break;
+            }
+            resolver.resolve(conflict, 'edit', edited);
+            console.log(`  ✓ Saved edited notes: "${edited}"`);
+            resolved++;
+            done = true;
+            break;
+          }
+
+          case 's':
+            skipped++;
+            done = true;
+            break;
+
+          case 'q':
+            i = conflicts.length;
+            done = true;
+            break;
+
+          default:
+            console.log('  Unknown choice');
+        }
+      }
+    }
+
+    prompt.close();
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Resolved: ${resolved}, skipped: ${skipped}, remaining: ${db.conflicts.countUnresolved()}`);
+    if (resolved > 0) {
+      console.log('Changes will be pushed to Google Maps on the next sync: gmaps sync');
+    }
+    console.log('='.repeat(60));
+    return 0;
+  }
+};
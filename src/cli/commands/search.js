@@ -0,0 +1,52 @@
+/**
+ * gmaps search - Full-text search over place names and notes
+ */
+module.exports = {
+  name: 'search',
+  summary: 'Search place names and notes',
+  usage: 'gmaps search <words...> [--list <name>] [--limit <n>]',
+  description: 'Every word must match, as a prefix: "ramen back" finds "Ramen ... back room".',
+  options: [
+    { name: 'list', type: 'string', value: 'name', description: 'Only places in this list' },
+    { name: 'limit', type: 'number', value: 'n', description: 'Show at most n results (default 20)' }
+  ],
+
+  async run(ctx, options, positionals) {
+    const query = positionals.join(' ');
+    if (!query) {
+      throw new Error('Nothing to search for. Usage: gmaps search <words...>');
+    }
+
+    const db = ctx.openDb();
+
+    let list = null;
+    if (options.list) {
+      list = db.lists.findByName(options.list);
+      if (!list) {
+        throw new Error(`List not found: ${options.list}`);
+      }
+    }
+
+    const results = db.places.search(query, {
+      listId: list?.id,
+      limit: options.limit
+    }).map(place => ({
+      ...place,
+      lists: db.placeLists.findListsForPlace(place.id).map(l => l.name)
+    }));
+
+    ctx.output(results, rows => {
+      console.log(`\n🔍 "${query}"${list ? ` in ${list.name}` : ''}: ${rows.length} results\n`);
+      rows.forEach((place, i) => {
+        console.log(`${String(i + 1).padStart(2)}. ${place.name}${place.lists.length > 0 ? `  [${place.lists.join(', ')}]` : ''}`);
+        if (place.snippet) {
+          console.log(`    ${place.snippet.replace(/\s*\n\s*/g, ' / ')}`);
+        }
+        if (place.address || place.google_maps_url) {
+          console.log(`    ${place.address || place.google_maps_url}`);
+        }
+      });
+    });
+    return 0;
+  }
+};
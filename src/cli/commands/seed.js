@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePlaceId } = require('../../sync/place-id');
+const { splitTags } = require('../../sync/tags');
+const { parseCSV } = require('../../takeout/csv');
+const { listNameForFile, readListManifest } = require('../../takeout/takeout');
+
+/**
+ * gmaps seed - Import Google Takeout "Saved" CSV files into the database
+ */
+module.exports = {
+  name: 'seed',
+  summary: 'Import Google Takeout Saved CSV files (one list per file)',
+  usage: 'gmaps seed [dir]',
+  description: 'Reads every .csv file in dir (default seed/). File names map to list names via the lists.json that\n' +
+    'gmaps export --format csv writes next to them, else CSV_NAME_MAPPINGS in src/config.js.\n' +
+    'To merge a whole Takeout export (zip, or with Saved Places.json) use gmaps import.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    const seedDir = path.resolve(positionals[0] || 'seed');
+    if (!fs.existsSync(seedDir)) {
+      throw new Error(`Seed directory not found: ${seedDir}`);
+    }
+
+    console.log('='.repeat(60));
+    console.log('Google Maps CSV Seed');
+    console.log('='.repeat(60));
+
+    console.log('\n[1/4] Initializing database...');
+    const db = ctx.openDb();
+    console.log('✅ Database initialized');
+
+    // Find all CSV files in seed directory
+    console.log('\n[2/4] Finding CSV files...');
+    const files = fs.readdirSync(seedDir).filter(f => f.endsWith('.csv'));
+    const manifest = readListManifest(seedDir);
+    console.log(`✅ Found ${files.length} CSV files`);
+
+    // Process each CSV file
+    console.log('\n[3/4] Processing CSV files...');
+    console.log('-'.repeat(60));
+
+    let totalPlaces = 0;
+    let totalDuplicates = 0;
+    const stats = [];
+
+    for (const file of files) {
+      const csvName = path.basename(file, '.csv');
+      // Exported name, else mapped name, existing list or unmangled file name (see listNameForFile)
+      const listName = manifest[file] || listNameForFile(csvName, db.lists.findAll().map(list => list.name));
+
+      console.log(`\nProcessing: ${csvName}${csvName !== listName ? ` → ${listName}` : ''}`);
+
+      // Read and parse CSV
+      const filePath = path.join(seedDir, file);
+      const { places, rejected } = parseCSV(fs.readFileSync(filePath));
+
+      console.log(`  Found ${places.length} places in CSV`);
+      rejected.forEach(row => console.log(`  ⚠️  Line ${row.line} rejected: ${row.reason}`));
+
+      // Create/get list (using the mapped name)
+      db.lists.upsert(listName);
+      const list = db.lists.findByName(listName);
+
+      // Import places
+      let imported = 0;
+      let duplicates = 0;
+
+      for (const place of places) {
+        try {
+          // Same canonical ID the scraper uses; keep the URL itself if it carries no place ID
+          const googlePlaceId = normalizePlaceId(place.URL) || place.URL;
+
+          // Check if place already exists
+          const existing = db.places.findByGoogleId(googlePlaceId);
+
+          const placeData = {
+            google_place_id: googlePlaceId,
+            google_maps_url: place.URL,
+            name: place.Title,
+            notes: place.Note || null,
+            last_synced: new Date().toISOString()
+          };
+
+          db.places.upsert(placeData);
+          const dbPlace = db.places.findByGoogleId(googlePlaceId);
+
+          // Associate with list (handles duplicates automatically)
+          db.placeLists.add(dbPlace.id, list.id);
+          db.placeLists.setTagsAndComment(dbPlace.id, list.id, place.Tags, place.Comment);
+          db.tags.addToPlace(dbPlace.id, splitTags(place.Tags), 'takeout');
+
+          if (existing) {
+            duplicates++;
+          } else {
+            imported++;
+          }
+        } catch (error) {
+          console.error(`    ⚠️  Error importing "${place.Title}": ${error.message}`);
+        }
+      }
+
+      console.log(`  ✅ Imported ${imported} new places, ${duplicates} already existed`);
+
+      totalPlaces += imported;
+      totalDuplicates += duplicates;
+      stats.push({ listName, imported, duplicates, total: places.length, rejected });
+    }
+
+    // Summary
+    console.log('\n[4/4] Summary');
+    console.log('='.repeat(60));
+    console.log(`\nProcessed ${files.length} lists:`);
+    stats.forEach(s => {
+      console.log(`  ${s.listName}: ${s.imported} new + ${s.duplicates} existing = ${s.total} total`);
+    });
+
+    console.log(`\n📊 Overall Statistics:`);
+    console.log(`  Total unique places: ${totalPlaces}`);
+    console.log(`  Total duplicate references: ${totalDuplicates}`);
+    console.log(`  Total place-list associations: ${totalPlaces + totalDuplicates}`);
+
+    // Verify database
+    const allPlaces = db.places.findAll();
+    const allLists = db.lists.findAll();
+
+    console.log(`\n✅ Database verification:`);
+    console.log(`  Places in database: ${allPlaces.length}`);
+    console.log(`  Lists in database: ${allLists.length}`);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('SEED COMPLETE');
+    console.log('='.repeat(60));
+    console.log('\nNext steps:');
+    console.log('1. Check lists: gmaps lists');
+    console.log('2. Run sync to update with latest changes: gmaps sync');
+
+    ctx.output({
+      lists: stats,
+      imported: totalPlaces,
+      duplicates: totalDuplicates,
+      places: allPlaces.length
+    });
+    return 0;
+  }
+};
@@ -0,0 +1,42 @@
+const config = require('../../config');
+const ApiServer = require('../../api/server');
+
+/**
+ * gmaps serve - Run the web UI and local REST API until interrupted
+ */
+module.exports = {
+  name: 'serve',
+  summary: 'Web UI and REST API over the local database',
+  usage: 'gmaps serve [--port <port>] [--host <host>] [--token <token>] [--tiles <url>]',
+  description: [
+    'Open the printed address for the web UI. Other tools can use the REST API under /api',
+    'to read and edit places without opening the SQLite file. Edits work like',
+    '"gmaps note"/"add"/"remove": the next sync pushes them.',
+    'With a token (or GMAPS_API_TOKEN), requests need "Authorization: Bearer <token>".'
+  ].join('\n'),
+  options: [
+    { name: 'port', type: 'number', value: 'port', description: `Port (default ${config.API.PORT})` },
+    { name: 'host', type: 'string', value: 'host', description: `Interface to listen on (default ${config.API.HOST})` },
+    { name: 'token', type: 'string', value: 'token', description: 'Require this bearer token (default $GMAPS_API_TOKEN)' },
+    { name: 'tiles', type: 'string', value: 'url', description: 'XYZ tile server for the map, e.g. http://127.0.0.1:8080/{z}/{x}/{y}.png' }
+  ],
+
+  async run(ctx, options) {
+    const server = new ApiServer(ctx.openDb(), {
+      port: options.port,
+      host: options.host,
+      token: options.token || process.env.GMAPS_API_TOKEN,
+      tiles: options.tiles
+    });
+    const apiUrl = await server.start();
+    console.log(`Web UI: ${apiUrl.replace(/\/api$/, '/')}`);
+    console.log('Press Ctrl+C to stop');
+
+    await new Promise(resolve => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    await server.stop();
+    return 0;
+  }
+};
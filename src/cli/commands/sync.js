@@ -0,0 +1,112 @@
+const GoogleMapsScraper = require('../../sync/scraper');
+const SyncOrchestrator = require('../../sync');
+
+const ENTITY_ALIASES = {
+  notes: 'place_notes',
+  membership: 'place_list'
+};
+
+/**
+ * Parse --conflict-strategy value
+ * "remote_wins" or "notes=manual,membership=local_wins" (entity names or aliases)
+ */
+function parseConflictStrategy(value) {
+  if (!value.includes('=')) {
+    return value;
+  }
+
+  const strategies = {};
+  for (const part of value.split(',')) {
+    const [scope, strategy] = part.split('=').map(s => s.trim());
+    strategies[ENTITY_ALIASES[scope] || scope] = strategy;
+  }
+  return strategies;
+}
+
+/**
+ * gmaps sync - Bidirectional sync with three-way merge
+ */
+module.exports = {
+  name: 'sync',
+  summary: 'Pull, merge and push changes with Google Maps',
+  usage: 'gmaps sync [--full] [--dry-run] [--conflict-strategy <strategy>] [--fixture [file]]\n       gmaps sync --details [--limit <n>] [--stale-days <n>]',
+  description: [
+    'Quick sync checks the first 50 places of each list; --full checks all of them and then',
+    'scrapes place pages for missing details. --conflict-strategy takes "remote_wins" or',
+    'per-entity strategies like "notes=manual,membership=local_wins".'
+  ].join('\n'),
+  options: [
+    { name: 'full', type: 'boolean', description: 'Deep sync: every place in every list' },
+    { name: 'dry-run', type: 'boolean', description: 'Preview changes without applying or pushing them' },
+    { name: 'conflict-strategy', type: 'string', value: 'strategy', description: 'local_wins, remote_wins, newest_wins or manual' },
+    { name: 'fixture', type: 'string', optional: true, value: 'file', description: 'Sync against a local fixture server (uses db/fixture.db unless --db)' },
+    { name: 'details', type: 'boolean', description: 'Only scrape place pages for missing/stale details (--no-details skips them in a full sync)' },
+    { name: 'limit', type: 'number', value: 'n', description: 'Place pages to open with --details' },
+    { name: 'stale-days', type: 'number', value: 'n', description: 'Re-scrape details older than this with --details' }
+  ],
+
+  async run(ctx, options) {
+    const conflictStrategy = options.conflictStrategy ? parseConflictStrategy(options.conflictStrategy) : null;
+    if (options.fixture && !ctx.globals.db) {
+      ctx.globals.db = './db/fixture.db';
+    }
+
+    console.log('='.repeat(60));
+    console.log('Google Maps Bidirectional Sync');
+    console.log('='.repeat(60));
+    if (options.details === true) {
+      console.log('Sync type: DETAILS (place pages only)');
+    } else {
+      console.log(`Sync type: ${options.full ? 'DEEP (all places)' : 'QUICK (first 50/list)'}`);
+    }
+    if (options.dryRun) {
+      console.log('Mode: DRY-RUN (preview only, no changes will be applied)');
+    }
+    if (options.conflictStrategy) {
+      console.log(`Conflict strategy: ${options.conflictStrategy}`);
+    }
+    console.log('='.repeat(60));
+
+    console.log('\n[1/4] Initializing database...');
+    const db = ctx.openDb();
+
+    console.log('\n[2/4] Launching browser...');
+    const browserManager = await ctx.launchBrowser({ fixture: options.fixture });
+    const scraper = new GoogleMapsScraper(browserManager, db);
+    scraper.page = browserManager.page;
+
+    const syncOrchestrator = new SyncOrchestrator(scraper, db, {
+      dryRun: options.dryRun,
+      conflictStrategy,
+      enrichDetails: options.details !== false
+    });
+
+    if (options.details === true) {
+      console.log('\n[3/3] Scraping place details...');
+      const result = await syncOrchestrator.enrichPlaceDetails({
+        limit: options.limit,
+        staleDays: options.staleDays
+      });
+      ctx.output(result);
+      return result.failed > 0 ? 1 : 0;
+    }
+
+    console.log('\n[3/4] Navigating to Google Maps Saved Places...');
+    await browserManager.navigateToSavedPlaces();
+
+    console.log('\n[4/4] Starting bidirectional sync...');
+    const result = options.full
+      ? await syncOrchestrator.deepSync()
+      : await syncOrchestrator.quickSync();
+
+    ctx.output(result, stats => {
+      if (stats.errors.length > 0) {
+        console.log('\n⚠️  Errors encountered:');
+        stats.errors.forEach((err, i) => {
+          console.log(`  ${i + 1}. ${err.list || 'Unknown'} [${err.phase}]: ${err.error}`);
+        });
+      }
+    });
+    return 0;
+  }
+};
@@ -0,0 +1,29 @@
+const Tagger = require('../../sync/tagger');
+
+/**
+ * gmaps tag - Tag a place
+ */
+module.exports = {
+  name: 'tag',
+  summary: 'Tag a place (local only, see gmaps tags --to-notes)',
+  usage: 'gmaps tag <place> <tag...>',
+  description: [
+    'A place is "#<id>" (see gmaps places), its place ID or Maps URL, or its exact name.',
+    'Tags are separated by spaces or commas and stored lowercase ("Kid friendly" is kid-friendly).'
+  ].join('\n'),
+  options: [],
+
+  async run(ctx, options, positionals) {
+    const [placeRef, ...tags] = positionals;
+    if (!placeRef || tags.length === 0) {
+      throw new Error('Usage: gmaps tag <place> <tag...>');
+    }
+
+    const result = new Tagger(ctx.openDb()).tag(placeRef, tags);
+    console.log(result.added.length > 0
+      ? `✓ Tagged ${result.place.name}: ${result.added.map(tag => `#${tag}`).join(' ')}`
+      : `${result.place.name} already has these tags`);
+    ctx.output({ id: result.place.id, name: result.place.name, added: result.added, tags: result.tags });
+    return 0;
+  }
+};
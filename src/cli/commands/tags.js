@@ -0,0 +1,69 @@
+const Tagger = require('../../sync/tagger');
+
+/**
+ * gmaps tags - Show tags, or move them between notes and place tags
+ */
+module.exports = {
+  name: 'tags',
+  summary: 'Show tags, read hashtags from notes or write tags into notes',
+  usage: 'gmaps tags\n       gmaps tags --from-notes [--dry-run]\n       gmaps tags --to-notes [--only <tags>] [--dry-run]',
+  description: [
+    'Tags are local. They come from Takeout\'s Tags column (gmaps import), gmaps tag, and',
+    '--from-notes, which reads hashtags such as "#brunch #kid-friendly" in notes.',
+    '--to-notes adds missing tags to notes as hashtags, a notes edit the next sync pushes,',
+    'so they show on Google Maps. Find tagged places with gmaps places --tag.'
+  ].join('\n'),
+  options: [
+    { name: 'from-notes', type: 'boolean', description: 'Tag places with the hashtags in their notes' },
+    { name: 'to-notes', type: 'boolean', description: 'Write tags into notes as hashtags' },
+    { name: 'only', type: 'string', value: 'tags', description: 'With --to-notes: only these tags (comma-separated)' },
+    { name: 'dry-run', type: 'boolean', description: 'Show what would change without changing it' }
+  ],
+
+  async run(ctx, options) {
+    if (options.fromNotes && options.toNotes) {
+      throw new Error('Use either --from-notes or --to-notes');
+    }
+    const db = ctx.openDb();
+    const tagger = new Tagger(db);
+    const dryRun = Boolean(options.dryRun);
+
+    if (options.fromNotes) {
+      const changes = tagger.fromNotes({ dryRun });
+      changes.forEach(({ place, tags }) => console.log(`  + #${place.id} ${place.name}: ${tags.map(tag => `#${tag}`).join(' ')}`));
+      console.log(`\n${dryRun ? 'Would tag' : '✓ Tagged'} ${changes.length} places from their notes`);
+      ctx.output(changes.map(({ place, tags }) => ({ id: place.id, name: place.name, added: tags })));
+      return 0;
+    }
+
+    if (options.toNotes) {
+      const { updated, skipped } = tagger.toNotes({ tags: options.only, dryRun });
+      updated.forEach(({ place, hashtags }) => console.log(`  ~ #${place.id} ${place.name}: ${hashtags.map(tag => `#${tag}`).join(' ')}`));
+      skipped.forEach(({ place, reason }) => console.log(`  ⚠️  #${place.id} ${place.name} skipped: ${reason}`));
+      if (dryRun) {
+        console.log(`\nWould add hashtags to the notes of ${updated.length} places`);
+      } else {
+        console.log(`\n✓ Added hashtags to the notes of ${updated.length} places`);
+        if (updated.length > 0) {
+          console.log('Run "gmaps sync" to push the change to Google Maps');
+        }
+      }
+      ctx.output({
+        updated: updated.map(({ place, hashtags, notes }) => ({ id: place.id, name: place.name, added: hashtags, notes })),
+        skipped: skipped.map(({ place, reason }) => ({ id: place.id, name: place.name, reason }))
+      });
+      return 0;
+    }
+
+    const tags = db.tags.findAll().map(tag => ({ name: tag.name, places: tag.place_count }));
+    ctx.output(tags, rows => {
+      if (rows.length === 0) {
+        console.log('No tags yet. Add some with "gmaps tag <place> <tag...>" or "gmaps tags --from-notes".');
+        return;
+      }
+      const width = Math.max(...rows.map(row => row.name.length)) + 3;
+      rows.forEach(row => console.log(`#${row.name.padEnd(width)}${String(row.places).padStart(5)} places`));
+    });
+    return 0;
+  }
+};
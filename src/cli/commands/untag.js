@@ -0,0 +1,35 @@
+const Tagger = require('../../sync/tagger');
+
+/**
+ * gmaps untag - Remove tags from a place
+ */
+module.exports = {
+  name: 'untag',
+  summary: 'Remove tags from a place',
+  usage: 'gmaps untag <place> <tag...>',
+  description: 'Hashtags for the tags in the place\'s notes are left alone; edit them with gmaps note.',
+  options: [],
+
+  async run(ctx, options, positionals) {
+    const [placeRef, ...tags] = positionals;
+    if (!placeRef || tags.length === 0) {
+      throw new Error('Usage: gmaps untag <place> <tag...>');
+    }
+
+    const result = new Tagger(ctx.openDb()).untag(placeRef, tags);
+    console.log(result.removed.length > 0
+      ? `✓ Untagged ${result.place.name}: ${result.removed.map(tag => `#${tag}`).join(' ')}`
+      : `${result.place.name} has none of these tags`);
+    if (result.inNotes.length > 0) {
+      console.log(`⚠️  Still in its notes: ${result.inNotes.map(tag => `#${tag}`).join(' ')} (gmaps tags --from-notes would add them again)`);
+    }
+    ctx.output({
+      id: result.place.id,
+      name: result.place.name,
+      removed: result.removed,
+      inNotes: result.inNotes,
+      tags: result.tags
+    });
+    return 0;
+  }
+};
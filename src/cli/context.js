@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../db');
+const BrowserManager = require('../browser/browser-manager');
+const FixtureServer = require('../browser/fixture-server');
+
+const DEFAULT_FIXTURE = path.join(__dirname, '../../test/fixtures/saved-places.json');
+
+/**
+ * CLI context - What every command gets: global options, the database, the browser and output
+ *
+ * Resources are opened on first use and closed by close(). With --json, progress
+ * logging goes to stderr so stdout only carries the JSON result.
+ */
+class CliContext {
+  /**
+   * @param {Object} globals - { db, profileDir, headless, json }
+   */
+  constructor(globals = {}) {
+    this.globals = globals;
+    this.json = Boolean(globals.json);
+    this.db = null;
+    this.browserManager = null;
+    this.fixtureServer = null;
+    this.tempProfileDir = null;
+    this.restoreConsole = null;
+
+    if (this.json) {
+      const log = console.log;
+      console.log = (...args) => console.error(...args);
+      this.restoreConsole = () => { console.log = log; };
+    }
+  }
+
+  /**
+   * Open the database (--db, default db/gmaps.db), applying pending migrations
+   * @param {Object} options - Passed to Database.init (e.g. { migrate: false })
+   */
+  openDb(options = {}) {
+    if (!this.db) {
+      this.db = new Database(this.globals.db || undefined);
+      this.db.init(options);
+    }
+    return this.db;
+  }
+
+  /**
+   * Launch the browser and return its BrowserManager
+   * @param {Object} options - { fixture: true|path, realProfile, headless }
+   *   fixture starts a FixtureServer and uses a throwaway profile and bundled Chromium
+   */
+  async launchBrowser(options = {}) {
+    if (options.fixture) {
+      const fixturePath = options.fixture === true ? DEFAULT_FIXTURE : options.fixture;
+      console.log(`Fixture: ${fixturePath}`);
+      this.fixtureServer = new FixtureServer(fixturePath);
+      const mapsUrl = await this.fixtureServer.start();
+      // Throwaway profile so fixture runs never touch the logged-in one
+      this.tempProfileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-fixture-'));
+      this.browserManager = new BrowserManager(this.tempProfileDir, false, { mapsUrl, channel: null });
+      await this.browserManager.launch(true);
+      return this.browserManager;
+    }
+
+    this.browserManager = new BrowserManager(this.globals.profileDir || null, Boolean(options.realProfile));
+    await this.browserManager.launch(Boolean(options.headless ?? this.globals.headless));
+    return this.browserManager;
+  }
+
+  /**
+   * Print a command's result: JSON with --json, otherwise through printText
+   */
+  output(data, printText) {
+    if (this.json) {
+      process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+    } else if (printText) {
+      printText(data);
+    }
+  }
+
+  /**
+   * Close everything the command opened
+   */
+  async close() {
+    if (this.browserManager) {
+      await this.browserManager.close();
+      this.browserManager = null;
+    }
+    if (this.fixtureServer) {
+      await this.fixtureServer.stop();
+      this.fixtureServer = null;
+    }
+    if (this.tempProfileDir) {
+      fs.rmSync(this.tempProfileDir, { recursive: true, force: true });
+      this.tempProfileDir = null;
+    }
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    if (this.restoreConsole) {
+      this.restoreConsole();
+      this.restoreConsole = null;
+    }
+  }
+}
+
+module.exports = CliContext;
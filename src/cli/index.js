@@ -0,0 +1,147 @@
+const { parseArgs, formatOptions } = require('./args');
+const CliContext = require('./context');
+
+const COMMANDS = [
+  require('./commands/sync'),
+  require('./commands/seed'),
+  require('./commands/import'),
+  require('./commands/export'),
+  require('./commands/lists'),
+  require('./commands/places'),
+  require('./commands/search'),
+  require('./commands/ops'),
+  require('./commands/log'),
+  require('./commands/note'),
+  require('./commands/add'),
+  require('./commands/remove'),
+  require('./commands/move'),
+  require('./commands/list'),
+  require('./commands/tag'),
+  require('./commands/untag'),
+  require('./commands/tags'),
+  require('./commands/serve'),
+  require('./commands/inspect'),
+  require('./commands/resolve'),
+  require('./commands/dedupe'),
+  require('./commands/cities'),
+  require('./commands/cleanup'),
+  require('./commands/migrate')
+];
+
+const GLOBAL_OPTIONS = [
+  { name: 'db', type: 'string', value: 'file', description: 'SQLite database (default db/gmaps.db)' },
+  { name: 'profile-dir', type: 'string', value: 'dir', description: 'Browser profile directory (default browser-data/)' },
+  { name: 'headless', type: 'boolean', description: 'Run the browser without a window' },
+  { name: 'json', type: 'boolean', description: 'Print results as JSON (progress goes to stderr)' },
+  { name: 'help', alias: 'h', type: 'boolean', description: 'Show help' }
+];
+
+/**
+ * Overall help: commands and global options
+ */
+function printHelp() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length)) + 2;
+  console.log('Usage: gmaps <command> [options]\n');
+  console.log('Sync Google Maps saved places with a local SQLite database.\n');
+  console.log('Commands:');
+  COMMANDS.forEach(command => console.log(`  ${command.name.padEnd(width)}${command.summary}`));
+  console.log('\nGlobal options:');
+  formatOptions(GLOBAL_OPTIONS).forEach(line => console.log(line));
+  console.log('\nRun "gmaps <command> --help" for a command\'s options.');
+}
+
+/**
+ * Help for one command
+ */
+function printCommandHelp(command) {
+  console.log(`Usage: ${command.usage}\n`);
+  console.log(`${command.summary}\n`);
+  if (command.description) {
+    console.log(`${command.description}\n`);
+  }
+  if (command.options.length > 0) {
+    console.log('Options:');
+    formatOptions(command.options).forEach(line => console.log(line));
+    console.log('');
+  }
+  console.log('Global options:');
+  formatOptions(GLOBAL_OPTIONS).forEach(line => console.log(line));
+}
+
+/**
+ * The command name: the first argument that isn't an option or a global option's value
+ */
+function findCommand(argv) {
+  const takesValue = GLOBAL_OPTIONS.filter(spec => spec.type !== 'boolean').map(spec => `--${spec.name}`);
+  for (let i = 0; i < argv.length; i++) {
+    if (takesValue.includes(argv[i])) {
+      i++;
+      continue;
+    }
+    if (!argv[i].startsWith('-')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Run the gmaps CLI
+ * @param {string[]} argv - Arguments after "gmaps"
+ * @returns {number} Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  const index = findCommand(argv);
+  const name = index === -1 ? null : argv[index];
+  const command = COMMANDS.find(c => c.name === name);
+  const rest = index === -1 ? argv : [...argv.slice(0, index), ...argv.slice(index + 1)];
+
+  if (!command) {
+    if (name) {
+      console.error(`Unknown command: ${name}\n`);
+    }
+    printHelp();
+    return name || !rest.some(arg => arg === '--help' || arg === '-h') ? 1 : 0;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, [...GLOBAL_OPTIONS, ...command.options]);
+  } catch (error) {
+    console.error(`${error.message}\n`);
+    printCommandHelp(command);
+    return 1;
+  }
+
+  const { options, positionals } = parsed;
+  if (options.help) {
+    printCommandHelp(command);
+    return 0;
+  }
+
+  const ctx = new CliContext({
+    db: options.db,
+    profileDir: options.profileDir,
+    headless: options.headless,
+    json: options.json
+  });
+
+  try {
+    const code = await command.run(ctx, options, positionals);
+    return code || 0;
+  } catch (error) {
+    console.error(`\n❌ ${command.name} failed: ${error.message}`);
+    if (process.env.DEBUG) {
+      console.error(error.stack);
+    }
+    return 1;
+  } finally {
+    await ctx.close();
+  }
+}
+
+module.exports = {
+  main,
+  COMMANDS,
+  GLOBAL_OPTIONS
+};
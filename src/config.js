@@ -6,11 +6,17 @@ module.exports = {
   // System lists that Google manages (can't be synced)
   SYSTEM_LISTS: ['Starred places', 'Saved places'],
 
-  // CSV filename to Google Maps list name mappings
+  // Takeout CSV file name to list name, for lists named differently on Google
+  // (the "_" Takeout puts in place of quotes and slashes is undone automatically)
   CSV_NAME_MAPPINGS: {
     'Favorite places': 'Favorites',
-    'Default list': 'Travel plans',
-    'Jason_s Vienna Research': "Jason's Vienna Research"
+    'Default list': 'Travel plans'
+  },
+
+  // Browser
+  BROWSER: {
+    MAPS_URL: 'https://google.com/maps', // Point at a FixtureServer to run without Google
+    CHANNEL: 'chrome'                    // Installed Chrome; null uses Playwright's bundled Chromium
   },
 
   // Timeouts (milliseconds)
@@ -20,6 +26,8 @@ module.exports = {
     BACK_NAVIGATION: 2000,
     MAPS_PAGE_LOAD: 5000,
     SAVED_BUTTON_WAIT: 10000,
+    PLACE_PAGE_LOAD: 4000,
+    PUSH_ACTION: 1500,
     SCREENSHOT_WAIT: 180000 // 3 minutes for manual inspection
   },
 
@@ -30,7 +38,9 @@ module.exports = {
     BETWEEN_LISTS_FULL_MIN: 2000,
     BETWEEN_LISTS_FULL_MAX: 4000,
     SCROLL_MIN: 1500,
-    SCROLL_MAX: 2500
+    SCROLL_MAX: 2500,
+    BETWEEN_OPERATIONS_MIN: 1500,
+    BETWEEN_OPERATIONS_MAX: 3000
   },
 
   // Scrolling configuration
@@ -43,5 +53,61 @@ module.exports = {
   SYNC: {
     QUICK_LIMIT: 50, // Places to scrape per list in quick sync
     RETRY_MAX: 3
+  },
+
+  // Place details enrichment (opens each place page; runs on deep sync or --details)
+  DETAILS: {
+    STALE_DAYS: 30,  // Re-scrape details older than this
+    RETRY_HOURS: 24, // Wait this long before opening a page that failed again
+    BATCH_LIMIT: 100 // Place pages opened per run
+  },
+
+  // Duplicate detection (gmaps dedupe): same-name places closer than this are one place
+  DEDUPE: {
+    MAX_DISTANCE_METERS: 100
+  },
+
+  // Cleanup (gmaps cleanup): removals are queued but not pushed until the undo window closes
+  CLEANUP: {
+    UNDO_HOURS: 24
+  },
+
+  // City grouping (gmaps cities): offline reverse geocoding and per-city smart lists
+  LOCALITY: {
+    DATASET: null,            // CSV of name,country,latitude,longitude; null uses src/geo/cities.csv
+    MAX_DISTANCE_KM: 40,      // Places further than this from every city fall back to their address
+    MIN_PLACES: 3,            // Smallest city that gets a smart list
+    LIST_NAME: '{city} – all saves'
+  },
+
+  // Place notes (Google Maps caps the note textarea at 4000 characters)
+  NOTES: {
+    MAX_LENGTH: 4000
+  },
+
+  // Local REST API (gmaps serve). Listening beyond loopback requires a token
+  API: {
+    PORT: 8941,
+    HOST: '127.0.0.1'
+  },
+
+  // Web UI map. Without a tile server the map is a plain projection with a lat/lng grid
+  MAP: {
+    TILE_URL: null,        // Self-hosted XYZ tiles, e.g. 'http://127.0.0.1:8080/tiles/{z}/{x}/{y}.png'
+    CLUSTER_MAX_ZOOM: 15   // Markers closer than ~48px are clustered below this zoom
+  },
+
+  // Conflict resolution: 'local_wins', 'remote_wins', 'newest_wins' or 'manual'
+  // Most specific wins: BY_LIST (per entity or whole list) -> BY_ENTITY -> STRATEGY
+  CONFLICTS: {
+    STRATEGY: 'local_wins',
+    BY_ENTITY: {
+      // place_notes: 'newest_wins',
+      // place_list: 'local_wins'
+    },
+    BY_LIST: {
+      // 'Want to go': 'remote_wins',
+      // 'Favorites': { place_notes: 'manual' }
+    }
   }
 };
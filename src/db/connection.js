@@ -1,6 +1,7 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const Migrator = require('./migrator');
 
 /**
  * Database connection and initialization
@@ -12,9 +13,10 @@ class DatabaseConnection {
   }
 
   /**
-   * Initialize database connection and create tables if needed
+   * Initialize database connection and apply pending migrations
+   * @param {Object} options - { migrate: false } opens without migrating (used by gmaps migrate)
    */
-  init() {
+  init(options = {}) {
     // Ensure db directory exists
     const dbDir = path.dirname(this.dbPath);
     if (!fs.existsSync(dbDir)) {
@@ -24,10 +26,12 @@ class DatabaseConnection {
     this.db = new Database(this.dbPath);
     this.db.pragma('journal_mode = WAL'); // Better concurrent access
 
-    // Load and execute schema
-    const schemaPath = path.join(__dirname, '../../db/schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    this.db.exec(schema);
+    if (options.migrate !== false) {
+      const applied = new Migrator(this.db, { dbPath: this.dbPath }).up();
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} database migrations`);
+      }
+    }
 
     console.log('Database initialized successfully');
     return this.db;
@@ -3,6 +3,9 @@ const PlacesRepository = require('./repositories/places');
 const ListsRepository = require('./repositories/lists');
 const PlaceListsRepository = require('./repositories/place-lists');
 const LastRemoteStateRepository = require('./repositories/last-remote-state');
+const ConflictsRepository = require('./repositories/conflicts');
+const CleanupsRepository = require('./repositories/cleanups');
+const TagsRepository = require('./repositories/tags');
 
 /**
  * Main database class - provides access to all repositories
@@ -17,19 +20,26 @@ class Database {
     this.lists = null;
     this.placeLists = null;
     this.lastRemoteState = null;
+    this.conflicts = null;
+    this.cleanups = null;
+    this.tags = null;
   }
 
   /**
    * Initialize database and all repositories
+   * @param {Object} options - Passed to DatabaseConnection.init()
    */
-  init() {
-    this.db = this.connection.init();
+  init(options = {}) {
+    this.db = this.connection.init(options);
 
     // Initialize all repositories with the database connection
     this.places = new PlacesRepository(this.db);
     this.lists = new ListsRepository(this.db);
     this.placeLists = new PlaceListsRepository(this.db);
     this.lastRemoteState = new LastRemoteStateRepository(this.db);
+    this.conflicts = new ConflictsRepository(this.db);
+    this.cleanups = new CleanupsRepository(this.db);
+    this.tags = new TagsRepository(this.db);
 
     return this;
   }
@@ -52,13 +62,33 @@ class Database {
 
   /**
    * Add a pending operation
+   * Skipped if an identical operation is already waiting to be pushed
+   * @param {Object} options - { notBefore } SQLite timestamp before which the operation isn't pushed
    */
-  addPendingOperation(operationType, payload) {
+  addPendingOperation(operationType, payload, options = {}) {
+    const payloadJson = JSON.stringify(payload);
+
+    const existing = this.db.prepare(`
+      SELECT id FROM pending_operations
+      WHERE operation_type = ? AND payload = ? AND status IN ('pending', 'in_progress')
+    `).get(operationType, payloadJson);
+    if (existing) {
+      return { changes: 0, lastInsertRowid: existing.id };
+    }
+
     const stmt = this.db.prepare(`
-      INSERT INTO pending_operations (operation_type, payload)
-      VALUES (?, ?)
+      INSERT INTO pending_operations (operation_type, payload, next_retry_at)
+      VALUES (?, ?, ?)
     `);
-    return stmt.run(operationType, JSON.stringify(payload));
+    return stmt.run(operationType, payloadJson, options.notBefore || null);
+  }
+
+  /**
+   * Drop an operation that hasn't been pushed yet
+   */
+  deletePendingOperation(operationId) {
+    const stmt = this.db.prepare("DELETE FROM pending_operations WHERE id = ? AND status = 'pending'");
+    return stmt.run(operationId);
   }
 
   /**
@@ -69,7 +99,7 @@ class Database {
       SELECT * FROM pending_operations
       WHERE status = 'pending'
         AND (next_retry_at IS NULL OR next_retry_at <= CURRENT_TIMESTAMP)
-      ORDER BY created_at ASC
+      ORDER BY created_at ASC, id ASC
     `);
 
     const ops = stmt.all();
@@ -79,6 +109,25 @@ class Database {
     }));
   }
 
+  /**
+   * Get operations in any state, newest first
+   * @param {Object} options - { status, limit }
+   */
+  getOperations(options = {}) {
+    const { status = null, limit = 50 } = options;
+    const stmt = this.db.prepare(`
+      SELECT * FROM pending_operations
+      WHERE ? IS NULL OR status = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(status, status, limit).map(op => ({
+      ...op,
+      payload: JSON.parse(op.payload)
+    }));
+  }
+
   /**
    * Update operation status
    */
@@ -93,6 +142,19 @@ class Database {
     return stmt.run(status, errorMessage, status, operationId);
   }
 
+  /**
+   * Put operations left in_progress by an interrupted push back in the queue
+   * @returns {number} How many were reset
+   */
+  resetInterruptedOperations() {
+    const stmt = this.db.prepare(`
+      UPDATE pending_operations
+      SET status = 'pending'
+      WHERE status = 'in_progress'
+    `);
+    return stmt.run().changes;
+  }
+
   /**
    * Mark operation as failed and schedule retry
    */
@@ -101,7 +163,7 @@ class Database {
       UPDATE pending_operations
       SET retry_count = retry_count + 1,
           error_message = ?,
-          next_retry_at = datetime('now', '+' || (retry_count + 1) * 5 || ' minutes'),
+          next_retry_at = datetime('now', '+' || ((retry_count + 1) * 5) || ' minutes'),
           status = CASE
             WHEN retry_count + 1 >= max_retries THEN 'failed'
             ELSE 'pending'
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../db/migrations');
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+/**
+ * Migrator - Versioned schema migrations tracked in schema_migrations
+ *
+ * Migrations are db/migrations/NNN_name.sql files with a "-- migrate:up"
+ * section and a "-- migrate:down" section, or NNN_name.js modules exporting
+ * up(db) and down(db) for data migrations SQL can't express. Each one runs
+ * in a transaction, and the database file is backed up before any pending
+ * migration runs.
+ */
+class Migrator {
+  /**
+   * @param {Object} db - better-sqlite3 connection
+   * @param {Object} options - { dbPath, migrationsDir, backupDir }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.dbPath = options.dbPath || null;
+    this.migrationsDir = options.migrationsDir || MIGRATIONS_DIR;
+    this.backupDir = options.backupDir ||
+      (this.dbPath ? path.join(path.dirname(this.dbPath), 'backups') : null);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Read all migration files, ordered by version
+   * @returns {Array} [{ version, name, file, up, down }] - up/down are SQL text or functions
+   */
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir)
+      .filter(file => /^\d+_.+\.(sql|js)$/.test(file))
+      .sort();
+
+    const migrations = files.map(file => {
+      const [, version, name, extension] = file.match(/^(\d+)_(.+)\.(sql|js)$/);
+
+      if (extension === 'js') {
+        const { up, down } = require(path.join(this.migrationsDir, file));
+        if (typeof up !== 'function' || typeof down !== 'function') {
+          throw new Error(`Migration ${file} must export up(db) and down(db)`);
+        }
+        return { version: parseInt(version, 10), name, file, up, down };
+      }
+
+      const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+
+      const upMatch = sql.match(UP_MARKER);
+      const downMatch = sql.match(DOWN_MARKER);
+      if (!upMatch || !downMatch || downMatch.index < upMatch.index) {
+        throw new Error(`Migration ${file} needs "-- migrate:up" followed by "-- migrate:down"`);
+      }
+
+      return {
+        version: parseInt(version, 10),
+        name,
+        file,
+        up: sql.slice(upMatch.index + upMatch[0].length, downMatch.index).trim(),
+        down: sql.slice(downMatch.index + downMatch[0].length).trim()
+      };
+    });
+
+    const versions = new Set();
+    for (const migration of migrations) {
+      if (versions.has(migration.version)) {
+        throw new Error(`Duplicate migration version: ${migration.version}`);
+      }
+      versions.add(migration.version);
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Applied migrations keyed by version
+   */
+  getApplied() {
+    const rows = this.db.prepare('SELECT * FROM schema_migrations ORDER BY version').all();
+    return new Map(rows.map(row => [row.version, row]));
+  }
+
+  /**
+   * Highest applied version (0 for a fresh database)
+   */
+  currentVersion() {
+    const row = this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row.version || 0;
+  }
+
+  /**
+   * Every migration with whether it's applied
+   * @returns {Array} [{ version, name, applied, appliedAt }]
+   */
+  status() {
+    const applied = this.getApplied();
+    return this.loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      applied: applied.has(m.version),
+      appliedAt: applied.get(m.version)?.applied_at || null
+    }));
+  }
+
+  /**
+   * Migrations not applied yet
+   */
+  pending() {
+    const applied = this.getApplied();
+    return this.loadMigrations().filter(m => !applied.has(m.version));
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - { to: version } stops after that version
+   * @returns {Array} Applied migrations
+   */
+  up(options = {}) {
+    const migrations = this.pending()
+      .filter(m => options.to === undefined || m.version <= options.to);
+
+    if (migrations.length === 0) {
+      return [];
+    }
+
+    this.backup();
+
+    for (const migration of migrations) {
+      this.db.transaction(() => {
+        this.run(migration.up);
+        this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)')
+          .run(migration.version, migration.name);
+      })();
+      console.log(`  ↑ ${migration.file}`);
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Revert applied migrations, newest first
+   * @param {Object} options - { steps: 1 } or { to: version } (reverts everything above it)
+   * @returns {Array} Reverted migrations
+   */
+  down(options = {}) {
+    const applied = this.getApplied();
+    let migrations = this.loadMigrations()
+      .filter(m => applied.has(m.version))
+      .reverse();
+
+    if (options.to !== undefined) {
+      migrations = migrations.filter(m => m.version > options.to);
+    } else {
+      migrations = migrations.slice(0, options.steps || 1);
+    }
+
+    if (migrations.length === 0) {
+      return [];
+    }
+
+    this.backup();
+
+    for (const migration of migrations) {
+      this.db.transaction(() => {
+        this.run(migration.down);
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      })();
+      console.log(`  ↓ ${migration.file}`);
+    }
+
+    return migrations;
+  }
+
+  /**
+   * Run one direction of a migration (SQL text or a JS function)
+   */
+  run(step) {
+    if (typeof step === 'function') {
+      step(this.db);
+    } else {
+      this.db.exec(step);
+    }
+  }
+
+  /**
+   * Copy the database file before changing its schema
+   * Skipped for in-memory databases and databases with no tables yet
+   * @returns {string|null} Backup path
+   */
+  backup() {
+    if (!this.dbPath || this.dbPath === ':memory:' || !this.backupDir) {
+      return null;
+    }
+
+    const hasTables = this.db.prepare(`
+      SELECT 1 FROM sqlite_master
+      WHERE type = 'table' AND name NOT IN ('schema_migrations', 'sqlite_sequence')
+      LIMIT 1
+    `).get();
+    if (!hasTables) {
+      return null;
+    }
+
+    fs.mkdirSync(this.backupDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const base = path.basename(this.dbPath, path.extname(this.dbPath));
+    const backupPath = path.join(this.backupDir, `${base}-v${this.currentVersion()}-${timestamp}.db`);
+
+    // VACUUM INTO writes a consistent copy, WAL contents included
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    console.log(`  Backed up database to ${backupPath}`);
+    return backupPath;
+  }
+}
+
+module.exports = Migrator;
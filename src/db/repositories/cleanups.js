@@ -0,0 +1,94 @@
+/**
+ * Cleanups repository - bulk removals made by gmaps cleanup and what they removed
+ * Rows are parsed: criteria is an object and undoable says whether the undo window is still open
+ */
+class CleanupsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Record a cleanup whose undo window closes undoHours from now
+   * @returns {number} Cleanup ID
+   */
+  create(criteria, undoHours) {
+    const stmt = this.db.prepare(`
+      INSERT INTO cleanups (criteria, undo_until)
+      VALUES (?, datetime('now', '+' || ? || ' hours'))
+    `);
+    return stmt.run(JSON.stringify(criteria), undoHours).lastInsertRowid;
+  }
+
+  /**
+   * Record one removed place or list entry
+   * @param {Object} item - { placeId, listId, baseState, operationId }
+   */
+  addItem(cleanupId, item) {
+    const stmt = this.db.prepare(`
+      INSERT INTO cleanup_items (cleanup_id, place_id, list_id, base_state, operation_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(cleanupId, item.placeId, item.listId ?? null, item.baseState ?? null, item.operationId ?? null);
+  }
+
+  /**
+   * Get cleanup by ID
+   */
+  findById(id) {
+    const stmt = this.db.prepare(`${this.selectSql()} WHERE c.id = ?`);
+    return this.parse(stmt.get(id));
+  }
+
+  /**
+   * Get the newest cleanup that can still be undone
+   */
+  findLatestUndoable() {
+    const stmt = this.db.prepare(`
+      ${this.selectSql()}
+      WHERE c.undone_at IS NULL AND c.undo_until > CURRENT_TIMESTAMP
+      ORDER BY c.id DESC
+      LIMIT 1
+    `);
+    return this.parse(stmt.get());
+  }
+
+  /**
+   * Get recent cleanups, newest first
+   */
+  findRecent(limit = 20) {
+    const stmt = this.db.prepare(`${this.selectSql()} ORDER BY c.id DESC LIMIT ?`);
+    return stmt.all(limit).map(row => this.parse(row));
+  }
+
+  /**
+   * Get everything a cleanup removed
+   */
+  findItems(cleanupId) {
+    const stmt = this.db.prepare('SELECT * FROM cleanup_items WHERE cleanup_id = ? ORDER BY id');
+    return stmt.all(cleanupId);
+  }
+
+  /**
+   * Mark a cleanup as undone
+   */
+  markUndone(id) {
+    const stmt = this.db.prepare('UPDATE cleanups SET undone_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  selectSql() {
+    return `
+      SELECT c.*,
+        (c.undone_at IS NULL AND c.undo_until > CURRENT_TIMESTAMP) AS undoable,
+        (SELECT COUNT(DISTINCT place_id) FROM cleanup_items WHERE cleanup_id = c.id) AS place_count
+      FROM cleanups c
+    `;
+  }
+
+  parse(row) {
+    if (!row) return row;
+    return { ...row, criteria: JSON.parse(row.criteria), undoable: Boolean(row.undoable) };
+  }
+}
+
+module.exports = CleanupsRepository;
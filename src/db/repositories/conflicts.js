@@ -0,0 +1,130 @@
+/**
+ * Conflicts repository - persistent record of three-way merge conflicts
+ * Unresolved rows are worked through by gmaps resolve
+ */
+class ConflictsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Record a conflict
+   * An unresolved conflict for the same entity is refreshed instead of duplicated,
+   * since 'manual' conflicts are detected again on every sync until resolved
+   */
+  record(conflict) {
+    const params = {
+      sync_id: conflict.syncId || null,
+      entity_type: conflict.entityType,
+      place_id: conflict.placeId,
+      list_id: conflict.listId || null,
+      base_value: conflict.baseValue ?? null,
+      local_value: conflict.localValue ?? null,
+      remote_value: conflict.remoteValue ?? null,
+      status: conflict.status || 'unresolved',
+      resolution: conflict.resolution || null,
+      resolved_value: conflict.resolvedValue ?? null
+    };
+
+    const existing = this.findUnresolvedFor(params.entity_type, params.place_id, params.list_id);
+    if (existing) {
+      const stmt = this.db.prepare(`
+        UPDATE conflicts
+        SET sync_id = @sync_id,
+            base_value = @base_value,
+            local_value = @local_value,
+            remote_value = @remote_value,
+            status = @status,
+            resolution = @resolution,
+            resolved_value = @resolved_value,
+            detected_at = CURRENT_TIMESTAMP,
+            resolved_at = CASE WHEN @status = 'resolved' THEN CURRENT_TIMESTAMP ELSE NULL END
+        WHERE id = @id
+      `);
+      stmt.run({ ...params, id: existing.id });
+      return existing.id;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO conflicts (
+        sync_id, entity_type, place_id, list_id,
+        base_value, local_value, remote_value,
+        status, resolution, resolved_value, resolved_at
+      )
+      VALUES (
+        @sync_id, @entity_type, @place_id, @list_id,
+        @base_value, @local_value, @remote_value,
+        @status, @resolution, @resolved_value,
+        CASE WHEN @status = 'resolved' THEN CURRENT_TIMESTAMP ELSE NULL END
+      )
+    `);
+    return stmt.run(params).lastInsertRowid;
+  }
+
+  /**
+   * Get conflict by ID
+   */
+  findById(id) {
+    const stmt = this.db.prepare('SELECT * FROM conflicts WHERE id = ?');
+    return stmt.get(id);
+  }
+
+  /**
+   * Get the unresolved conflict for an entity, if any
+   */
+  findUnresolvedFor(entityType, placeId, listId = null) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM conflicts
+      WHERE status = 'unresolved'
+        AND entity_type = ?
+        AND place_id = ?
+        AND list_id IS ?
+    `);
+    return stmt.get(entityType, placeId, listId);
+  }
+
+  /**
+   * Get all unresolved conflicts, oldest first
+   */
+  findUnresolved() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM conflicts
+      WHERE status = 'unresolved'
+      ORDER BY detected_at ASC, id ASC
+    `);
+    return stmt.all();
+  }
+
+  /**
+   * Get recent conflicts (resolved or not)
+   */
+  findRecent(limit = 50) {
+    const stmt = this.db.prepare('SELECT * FROM conflicts ORDER BY detected_at DESC, id DESC LIMIT ?');
+    return stmt.all(limit);
+  }
+
+  /**
+   * Count unresolved conflicts
+   */
+  countUnresolved() {
+    const stmt = this.db.prepare("SELECT COUNT(*) AS count FROM conflicts WHERE status = 'unresolved'");
+    return stmt.get().count;
+  }
+
+  /**
+   * Mark a conflict as resolved
+   */
+  resolve(id, resolution, resolvedValue = null) {
+    const stmt = this.db.prepare(`
+      UPDATE conflicts
+      SET status = 'resolved',
+          resolution = ?,
+          resolved_value = ?,
+          resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+    return stmt.run(resolution, resolvedValue, id);
+  }
+}
+
+module.exports = ConflictsRepository;
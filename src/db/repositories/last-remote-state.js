@@ -44,8 +44,17 @@ class LastRemoteStateRepository {
 
   /**
    * Save place notes state
+   * Empty notes hash to null, which is stored as "no row" (getPlaceNotes() returns null either way)
+   * @param {string} notes - Full notes text, kept for three-way text merges (optional)
    */
-  savePlaceNotes(placeId, notesHash) {
+  savePlaceNotes(placeId, notesHash, notes = undefined) {
+    if (notes !== undefined) {
+      this.savePlaceNotesText(placeId, notesHash === null ? null : notes);
+    }
+
+    if (notesHash === null || notesHash === undefined) {
+      return this.remove('place_notes', `place_${placeId}`);
+    }
     return this.upsert('place_notes', `place_${placeId}`, notesHash);
   }
 
@@ -57,6 +66,32 @@ class LastRemoteStateRepository {
     return result ? result.state_hash : null;
   }
 
+  /**
+   * Save the full base notes text (null/empty clears it)
+   */
+  savePlaceNotesText(placeId, notes) {
+    if (notes === null || notes === undefined || notes === '') {
+      return this.db.prepare('DELETE FROM last_remote_notes WHERE place_id = ?').run(placeId);
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO last_remote_notes (place_id, notes, synced_at)
+      VALUES (?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(place_id) DO UPDATE SET
+        notes = excluded.notes,
+        synced_at = CURRENT_TIMESTAMP
+    `);
+    return stmt.run(placeId, notes);
+  }
+
+  /**
+   * Get the full base notes text (null if empty or not tracked)
+   */
+  getPlaceNotesText(placeId) {
+    const result = this.db.prepare('SELECT notes FROM last_remote_notes WHERE place_id = ?').get(placeId);
+    return result ? result.notes : null;
+  }
+
   /**
    * Save place-list association state
    */
@@ -73,6 +108,32 @@ class LastRemoteStateRepository {
     return result ? result.state_hash : null;
   }
 
+  /**
+   * Save list state (hash of the list name, or 'not_exists' once deleted)
+   */
+  saveList(listId, stateHash) {
+    return this.upsert('list', `list_${listId}`, stateHash);
+  }
+
+  /**
+   * Get list state
+   */
+  getList(listId) {
+    const result = this.find('list', `list_${listId}`);
+    return result ? result.state_hash : null;
+  }
+
+  /**
+   * Get all tracked lists as a Map of list ID -> state hash
+   */
+  getAllLists() {
+    const states = new Map();
+    for (const row of this.findByType('list')) {
+      states.set(Number(row.entity_id.replace('list_', '')), row.state_hash);
+    }
+    return states;
+  }
+
   /**
    * Remove state tracking for an entity (when permanently deleted)
    */
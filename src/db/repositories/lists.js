@@ -23,14 +23,15 @@ class ListsRepository {
         VALUES (?, ?, CURRENT_TIMESTAMP)
         ON CONFLICT(google_list_id) DO UPDATE SET
           name = ?,
-          last_synced = CURRENT_TIMESTAMP
+          last_synced = CURRENT_TIMESTAMP,
+          is_deleted = FALSE
       `);
       return stmt.run(googleListId, name, name);
     } else {
       // Fallback: use name only (for CSV imports without google IDs)
       const existing = this.findByName(name);
       if (existing) {
-        const updateStmt = this.db.prepare('UPDATE lists SET last_synced = CURRENT_TIMESTAMP WHERE id = ?');
+        const updateStmt = this.db.prepare('UPDATE lists SET last_synced = CURRENT_TIMESTAMP, is_deleted = FALSE WHERE id = ?');
         return updateStmt.run(existing.id);
       }
 
@@ -60,12 +61,22 @@ class ListsRepository {
 
   /**
    * Get list by name
+   * A live list wins over a deleted one that had the same name
    */
   findByName(name) {
-    const stmt = this.db.prepare('SELECT * FROM lists WHERE name = ?');
+    const stmt = this.db.prepare('SELECT * FROM lists WHERE name = ? ORDER BY is_deleted ASC, id DESC');
     return stmt.get(name);
   }
 
+  /**
+   * Create a list that only exists locally (no Google ID until it's pushed)
+   * @returns {number} New list ID
+   */
+  create(name) {
+    const stmt = this.db.prepare('INSERT INTO lists (name) VALUES (?)');
+    return Number(stmt.run(name).lastInsertRowid);
+  }
+
   /**
    * Get all non-deleted lists
    */
@@ -81,6 +92,38 @@ class ListsRepository {
     const stmt = this.db.prepare('UPDATE lists SET is_deleted = TRUE, deleted_locally = TRUE WHERE id = ?');
     return stmt.run(id);
   }
+
+  /**
+   * Mark list as deleted (from remote)
+   */
+  markDeleted(id) {
+    const stmt = this.db.prepare('UPDATE lists SET is_deleted = TRUE, last_synced = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  /**
+   * Rename a list
+   */
+  rename(id, name) {
+    const stmt = this.db.prepare('UPDATE lists SET name = ?, last_synced = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(name, id);
+  }
+
+  /**
+   * Attach a Google list ID to a list that was created without one (e.g. from CSV)
+   */
+  setGoogleId(id, googleListId) {
+    const stmt = this.db.prepare('UPDATE lists SET google_list_id = ? WHERE id = ?');
+    return stmt.run(googleListId, id);
+  }
+
+  /**
+   * Get all lists deleted locally that haven't been pushed yet
+   */
+  findPendingLocalDeletes() {
+    const stmt = this.db.prepare('SELECT * FROM lists WHERE deleted_locally = TRUE');
+    return stmt.all();
+  }
 }
 
 module.exports = ListsRepository;
@@ -8,13 +8,30 @@ class PlaceListsRepository {
 
   /**
    * Add place to list
+   * @param {string} addedAt - When it was saved, if known (imports); defaults to now
    */
-  add(placeId, listId) {
+  add(placeId, listId, addedAt = null) {
     const stmt = this.db.prepare(`
-      INSERT OR IGNORE INTO place_lists (place_id, list_id)
-      VALUES (?, ?)
+      INSERT OR IGNORE INTO place_lists (place_id, list_id, added_at)
+      VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))
     `);
-    return stmt.run(placeId, listId);
+    return stmt.run(placeId, listId, addedAt);
+  }
+
+  /**
+   * Set the Tags and Comment a Takeout CSV has for this entry (empty clears them)
+   */
+  setTagsAndComment(placeId, listId, tags, comment) {
+    const stmt = this.db.prepare('UPDATE place_lists SET tags = ?, comment = ? WHERE place_id = ? AND list_id = ?');
+    return stmt.run(tags || null, comment || null, placeId, listId);
+  }
+
+  /**
+   * Get an association, including one deleted locally
+   */
+  find(placeId, listId) {
+    const stmt = this.db.prepare('SELECT * FROM place_lists WHERE place_id = ? AND list_id = ?');
+    return stmt.get(placeId, listId);
   }
 
   /**
@@ -33,6 +50,31 @@ class PlaceListsRepository {
     return stmt.run(placeId, listId);
   }
 
+  /**
+   * Undo a local soft delete (or add the association if it's missing)
+   */
+  restore(placeId, listId) {
+    const stmt = this.db.prepare('UPDATE place_lists SET deleted_locally = FALSE WHERE place_id = ? AND list_id = ?');
+    stmt.run(placeId, listId);
+    return this.add(placeId, listId);
+  }
+
+  /**
+   * Get a list's entries oldest first: places with the entry's comment and added_at
+   * Entries added at the same time (a seeded file) keep the order they were added in
+   */
+  findEntriesInList(listId) {
+    const stmt = this.db.prepare(`
+      SELECT p.*, pl.comment, pl.added_at FROM places p
+      JOIN place_lists pl ON p.id = pl.place_id
+      WHERE pl.list_id = ?
+        AND p.is_deleted = FALSE
+        AND pl.deleted_locally = FALSE
+      ORDER BY pl.added_at, pl.rowid
+    `);
+    return stmt.all(listId);
+  }
+
   /**
    * Get all places in a list
    */
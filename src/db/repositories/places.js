@@ -1,5 +1,18 @@
 const crypto = require('crypto');
 
+// Columns filled in from the list view and the place page
+const DETAIL_FIELDS = [
+  'category',
+  'rating',
+  'review_count',
+  'price_level',
+  'address',
+  'latitude',
+  'longitude',
+  'phone',
+  'website'
+];
+
 /**
  * Places repository - handles all place-related database operations
  */
@@ -53,6 +66,14 @@ class PlacesRepository {
     return stmt.get(googlePlaceId);
   }
 
+  /**
+   * Get non-deleted places by name (case-insensitive)
+   */
+  findByName(name) {
+    const stmt = this.db.prepare('SELECT * FROM places WHERE name = ? COLLATE NOCASE AND is_deleted = FALSE ORDER BY id');
+    return stmt.all(name);
+  }
+
   /**
    * Get all non-deleted places
    */
@@ -65,7 +86,7 @@ class PlacesRepository {
    * Get places without notes
    */
   findWithoutNotes() {
-    const stmt = this.db.prepare('SELECT * FROM places WHERE (notes IS NULL OR notes = "") AND is_deleted = FALSE');
+    const stmt = this.db.prepare("SELECT * FROM places WHERE (notes IS NULL OR notes = '') AND is_deleted = FALSE");
     return stmt.all();
   }
 
@@ -78,6 +99,104 @@ class PlacesRepository {
     return stmt.run(notes, notesHash, id);
   }
 
+  /**
+   * Full-text search over names and notes (places_fts), best matches first
+   * Every word must match; words match as prefixes ("ram" finds "ramen")
+   * @param {string} query - Plain words; FTS5 syntax characters are ignored
+   * @param {Object} options - { listId, limit } (limit defaults to 20, -1 for no limit)
+   * @returns {Array} Place rows with rank (lower is better) and snippet (notes excerpt, matches in [brackets])
+   */
+  search(query, options = {}) {
+    const terms = (query || '').match(/[\p{L}\p{N}_]+/gu) || [];
+    if (terms.length === 0) {
+      return [];
+    }
+    const match = terms.map(term => `"${term}"*`).join(' ');
+
+    const stmt = this.db.prepare(`
+      SELECT p.*,
+        bm25(places_fts, 10.0, 1.0) AS rank,
+        snippet(places_fts, 1, '[', ']', '…', 12) AS snippet
+      FROM places_fts
+      JOIN places p ON p.id = places_fts.rowid
+      ${options.listId ? 'JOIN place_lists pl ON pl.place_id = p.id AND pl.list_id = @listId AND pl.deleted_locally = FALSE' : ''}
+      WHERE places_fts MATCH @match
+        AND p.is_deleted = FALSE
+      ORDER BY rank
+      LIMIT @limit
+    `);
+    return stmt.all({ match, listId: options.listId, limit: options.limit ?? 20 });
+  }
+
+  /**
+   * Update detail columns (category, rating, address, coordinates, ...)
+   * Missing or null fields keep their stored value
+   * @param {Object} details - Any of DETAIL_FIELDS
+   * @param {Object} options - { enriched: true } also stamps details_synced_at
+   */
+  updateDetails(id, details, options = {}) {
+    const fields = DETAIL_FIELDS.filter(field => details[field] !== undefined && details[field] !== null);
+    const assignments = fields.map(field => `${field} = @${field}`);
+    if (options.enriched) {
+      assignments.push('details_synced_at = CURRENT_TIMESTAMP');
+    }
+    if (assignments.length === 0) {
+      return { changes: 0 };
+    }
+
+    const values = Object.fromEntries(fields.map(field => [field, details[field]]));
+    const stmt = this.db.prepare(`UPDATE places SET ${assignments.join(', ')} WHERE id = @id`);
+    return stmt.run({ ...values, id });
+  }
+
+  /**
+   * Places whose details were never scraped or are older than staleDays
+   * Places whose last attempt failed wait retryHours; never-tried places come first,
+   * then the least recently tried, so one broken page can't hold up the queue
+   * @param {Object} options - { staleDays, retryHours, limit }
+   */
+  findNeedingDetails(options = {}) {
+    const staleDays = options.staleDays ?? 30;
+    const retryHours = options.retryHours ?? 24;
+    const stmt = this.db.prepare(`
+      SELECT * FROM places
+      WHERE is_deleted = FALSE
+        AND google_maps_url IS NOT NULL
+        AND (details_synced_at IS NULL OR details_synced_at < datetime('now', '-' || ? || ' days'))
+        AND (details_attempted_at IS NULL
+          OR details_attempted_at <= details_synced_at
+          OR details_attempted_at < datetime('now', '-' || ? || ' hours'))
+      ORDER BY details_attempted_at IS NOT NULL, details_attempted_at, details_synced_at IS NOT NULL, details_synced_at, id
+      ${options.limit ? 'LIMIT ?' : ''}
+    `);
+    return options.limit ? stmt.all(staleDays, retryHours, options.limit) : stmt.all(staleDays, retryHours);
+  }
+
+  /**
+   * Stamp details_attempted_at before opening a place's page, whether or not it works
+   */
+  markDetailsAttempted(id) {
+    const stmt = this.db.prepare('UPDATE places SET details_attempted_at = CURRENT_TIMESTAMP WHERE id = ?');
+    return stmt.run(id);
+  }
+
+  /**
+   * Set the city and country derived by gmaps cities (null clears them)
+   * @param {Object|null} locality - { locality, country, source } - source is 'coordinates' or 'address'
+   */
+  updateLocality(id, locality) {
+    const stmt = this.db.prepare('UPDATE places SET locality = ?, country = ?, locality_source = ? WHERE id = ?');
+    return stmt.run(locality?.locality ?? null, locality?.country ?? null, locality?.source ?? null, id);
+  }
+
+  /**
+   * Set when a place was last saved or edited (imports carry the original save date)
+   */
+  setTouchedAt(id, timestamp) {
+    const stmt = this.db.prepare('UPDATE places SET touched_at = ? WHERE id = ?');
+    return stmt.run(timestamp, id);
+  }
+
   /**
    * Mark place as deleted locally (soft delete)
    */
@@ -86,6 +205,14 @@ class PlacesRepository {
     return stmt.run(id);
   }
 
+  /**
+   * Undo a local soft delete
+   */
+  restore(id) {
+    const stmt = this.db.prepare('UPDATE places SET is_deleted = FALSE, deleted_locally = FALSE WHERE id = ?');
+    return stmt.run(id);
+  }
+
   /**
    * Mark place as deleted (from remote)
    */
@@ -0,0 +1,137 @@
+/**
+ * Tags repository - tags and the places that have them
+ * Names are expected normalized (see src/sync/tags.js)
+ */
+class TagsRepository {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Get tag by name
+   */
+  findByName(name) {
+    const stmt = this.db.prepare('SELECT * FROM tags WHERE name = ?');
+    return stmt.get(name);
+  }
+
+  /**
+   * Get all tags with the number of live places that have them, most used first
+   */
+  findAll() {
+    const stmt = this.db.prepare(`
+      SELECT t.*, COUNT(p.id) AS place_count
+      FROM tags t
+      LEFT JOIN place_tags pt ON pt.tag_id = t.id
+      LEFT JOIN places p ON p.id = pt.place_id AND p.is_deleted = FALSE
+      GROUP BY t.id
+      ORDER BY place_count DESC, t.name
+    `);
+    return stmt.all();
+  }
+
+  /**
+   * Get a place's tags
+   * @returns {Array} [{ id, name, source, added_at }]
+   */
+  findForPlace(placeId) {
+    const stmt = this.db.prepare(`
+      SELECT t.id, t.name, pt.source, pt.added_at
+      FROM place_tags pt
+      JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.place_id = ?
+      ORDER BY t.name
+    `);
+    return stmt.all(placeId);
+  }
+
+  /**
+   * Tag a place, creating tags that don't exist yet
+   * @param {string} source - 'manual', 'takeout' or 'notes'
+   * @returns {string[]} The names the place didn't have before
+   */
+  addToPlace(placeId, names, source = 'manual') {
+    const insertTag = this.db.prepare('INSERT OR IGNORE INTO tags (name) VALUES (?)');
+    const tagPlace = this.db.prepare(`
+      INSERT OR IGNORE INTO place_tags (place_id, tag_id, source)
+      SELECT ?, id, ? FROM tags WHERE name = ?
+    `);
+
+    return names.filter(name => {
+      insertTag.run(name);
+      return tagPlace.run(placeId, source, name).changes > 0;
+    });
+  }
+
+  /**
+   * Untag a place; tags no place has any more are deleted
+   * @returns {string[]} The names the place had
+   */
+  removeFromPlace(placeId, names) {
+    const untag = this.db.prepare(`
+      DELETE FROM place_tags
+      WHERE place_id = ? AND tag_id = (SELECT id FROM tags WHERE name = ?)
+    `);
+
+    const removed = names.filter(name => untag.run(placeId, name).changes > 0);
+    this.deleteUnused();
+    return removed;
+  }
+
+  /**
+   * Give one place's tags to another (merging duplicates), keeping the other's own
+   */
+  moveToPlace(fromId, toId) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO place_tags (place_id, tag_id, source, added_at)
+      SELECT ?, tag_id, source, added_at FROM place_tags WHERE place_id = ?
+    `).run(toId, fromId);
+    return this.db.prepare('DELETE FROM place_tags WHERE place_id = ?').run(fromId);
+  }
+
+  /**
+   * Get live places by tag combination
+   * @param {Object} query - { all, any, none } tag names: every one of all, at least one of any
+   *   (if given) and none of none
+   * @returns {Array} Places, newest first
+   */
+  findPlaces({ all = [], any = [], none = [] } = {}) {
+    const conditions = ['p.is_deleted = FALSE'];
+    const params = [];
+    const hasTag = `EXISTS (
+      SELECT 1 FROM place_tags pt JOIN tags t ON t.id = pt.tag_id
+      WHERE pt.place_id = p.id AND t.name IN (%)
+    )`;
+    const placeholders = names => names.map(() => '?').join(', ');
+
+    for (const name of all) {
+      conditions.push(hasTag.replace('%', '?'));
+      params.push(name);
+    }
+    if (any.length > 0) {
+      conditions.push(hasTag.replace('%', placeholders(any)));
+      params.push(...any);
+    }
+    if (none.length > 0) {
+      conditions.push(`NOT ${hasTag.replace('%', placeholders(none))}`);
+      params.push(...none);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT p.* FROM places p
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY p.created_at DESC
+    `);
+    return stmt.all(...params);
+  }
+
+  /**
+   * Delete tags no place has
+   */
+  deleteUnused() {
+    const stmt = this.db.prepare('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM place_tags)');
+    return stmt.run();
+  }
+}
+
+module.exports = TagsRepository;
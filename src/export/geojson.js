@@ -0,0 +1,28 @@
+/**
+ * GeoJSON writer - One FeatureCollection, one Point feature per place
+ *
+ * Coordinates are [longitude, latitude] (RFC 7946). Properties: name, notes,
+ * url and lists (the names of every list the place is in).
+ */
+
+/**
+ * @param {Object} collection - From PlaceExporter.collect(), which leaves out places without coordinates
+ * @returns {string}
+ */
+function toGeoJSON(collection) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: collection.places.map(place => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [place.longitude, place.latitude] },
+      properties: {
+        name: place.name,
+        notes: place.notes,
+        url: place.url,
+        lists: place.lists
+      }
+    }))
+  }, null, 2) + '\n';
+}
+
+module.exports = { toGeoJSON };
@@ -0,0 +1,39 @@
+const { escapeXml, element } = require('./xml');
+
+/**
+ * GPX writer - GPX 1.1 waypoints, one per place
+ *
+ * GPS devices show name and desc (the notes); the Maps URL is the waypoint's link
+ * and type holds the names of its lists.
+ */
+
+/**
+ * @param {Object} collection - From PlaceExporter.collect(), which leaves out places without coordinates
+ * @returns {string}
+ */
+function toGPX(collection) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="gmaps" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    ...element('    ', 'name', collection.name),
+    '  </metadata>'
+  ];
+
+  for (const place of collection.places) {
+    // Child order is fixed by the GPX schema: name, desc, link, type
+    lines.push(
+      `  <wpt lat="${place.latitude}" lon="${place.longitude}">`,
+      ...element('    ', 'name', place.name),
+      ...element('    ', 'desc', place.notes),
+      ...(place.url ? [`    <link href="${escapeXml(place.url)}"><text>Google Maps</text></link>`] : []),
+      ...element('    ', 'type', place.lists.join(', ')),
+      '  </wpt>'
+    );
+  }
+
+  lines.push('</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { toGPX };
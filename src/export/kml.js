@@ -0,0 +1,52 @@
+const { escapeXml, element } = require('./xml');
+
+/**
+ * KML writer - One Folder per list, one Placemark per place in it
+ *
+ * A place in several of the exported lists appears in each of their folders.
+ * Notes are the description; the URL and the names of all its lists go in ExtendedData.
+ */
+
+/**
+ * @param {Object} collection - From PlaceExporter.collect(), which leaves out places without coordinates
+ * @returns {string}
+ */
+function toKML(collection) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...element('    ', 'name', collection.name)
+  ];
+
+  for (const list of collection.lists) {
+    lines.push('    <Folder>', ...element('      ', 'name', list.name));
+    for (const place of list.places) {
+      lines.push(
+        '      <Placemark>',
+        ...element('        ', 'name', place.name),
+        ...element('        ', 'description', place.notes),
+        '        <ExtendedData>',
+        ...data('url', place.url),
+        ...data('lists', place.lists.join(', ')),
+        '        </ExtendedData>',
+        `        <Point><coordinates>${place.longitude},${place.latitude}</coordinates></Point>`,
+        '      </Placemark>'
+      );
+    }
+    lines.push('    </Folder>');
+  }
+
+  lines.push('  </Document>', '</kml>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * ExtendedData entry, or nothing when the value is empty
+ */
+function data(name, value) {
+  if (!value) return [];
+  return [`          <Data name="${name}"><value>${escapeXml(value)}</value></Data>`];
+}
+
+module.exports = { toKML };
@@ -0,0 +1,27 @@
+/**
+ * XML helpers shared by the KML and GPX writers
+ */
+
+/**
+ * Escape text for element content and double-quoted attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * "<name>value</name>" indented, or nothing when value is empty
+ */
+function element(indent, name, value) {
+  if (value === null || value === undefined || value === '') return [];
+  return [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+}
+
+module.exports = {
+  escapeXml,
+  element
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const DEFAULT_DATASET = path.join(__dirname, 'cities.csv');
+
+// Country names Google writes differently from the dataset (or in the account's language)
+const COUNTRY_ALIASES = {
+  'usa': 'United States',
+  'us': 'United States',
+  'united states of america': 'United States',
+  'uk': 'United Kingdom',
+  'england': 'United Kingdom',
+  'scotland': 'United Kingdom',
+  'wales': 'United Kingdom',
+  'northern ireland': 'United Kingdom',
+  'czechia': 'Czech Republic',
+  'österreich': 'Austria',
+  'deutschland': 'Germany',
+  'schweiz': 'Switzerland',
+  'suisse': 'Switzerland',
+  'italia': 'Italy',
+  'españa': 'Spain',
+  'nederland': 'Netherlands',
+  'the netherlands': 'Netherlands',
+  'belgië': 'Belgium',
+  'belgique': 'Belgium',
+  'česko': 'Czech Republic',
+  'polska': 'Poland',
+  'magyarország': 'Hungary',
+  'türkiye': 'Turkey',
+  'méxico': 'Mexico',
+  'brasil': 'Brazil',
+  '日本': 'Japan'
+};
+
+// City names in addresses (local spellings) that the dataset has in English
+const LOCALITY_ALIASES = {
+  'wien': 'Vienna',
+  'münchen': 'Munich',
+  'köln': 'Cologne',
+  'nürnberg': 'Nuremberg',
+  'hannover': 'Hanover',
+  'zürich': 'Zurich',
+  'genève': 'Geneva',
+  'bruxelles': 'Brussels',
+  'brussel': 'Brussels',
+  'antwerpen': 'Antwerp',
+  'gent': 'Ghent',
+  'brugge': 'Bruges',
+  'den haag': 'The Hague',
+  'københavn': 'Copenhagen',
+  'göteborg': 'Gothenburg',
+  'praha': 'Prague',
+  'warszawa': 'Warsaw',
+  'beograd': 'Belgrade',
+  'bucurești': 'Bucharest',
+  'kiev': 'Kyiv',
+  'odessa': 'Odesa',
+  'athina': 'Athens',
+  'αθήνα': 'Athens',
+  'roma': 'Rome',
+  'milano': 'Milan',
+  'napoli': 'Naples',
+  'torino': 'Turin',
+  'firenze': 'Florence',
+  'venezia': 'Venice',
+  'genova': 'Genoa',
+  'sevilla': 'Seville',
+  'lisboa': 'Lisbon',
+  'new york city': 'New York',
+  'ciudad de méxico': 'Mexico City',
+  'cdmx': 'Mexico City'
+};
+
+/**
+ * Reverse Geocoder - Nearest city from a bundled dataset, without network calls
+ *
+ * The dataset is a CSV of name, country, latitude, longitude (src/geo/cities.csv,
+ * or config.LOCALITY.DATASET). A place belongs to the nearest city within
+ * maxDistanceKm, so suburbs and outer districts group with their city.
+ */
+class ReverseGeocoder {
+  /**
+   * @param {Array} cities - [{ name, country, latitude, longitude }]
+   * @param {Object} options - { maxDistanceKm } (default config.LOCALITY.MAX_DISTANCE_KM)
+   */
+  constructor(cities, options = {}) {
+    this.cities = cities;
+    this.maxDistanceKm = options.maxDistanceKm ?? config.LOCALITY.MAX_DISTANCE_KM;
+  }
+
+  /**
+   * Load a dataset CSV
+   * @param {string} file - Defaults to config.LOCALITY.DATASET, then the bundled cities.csv
+   */
+  static load(file = config.LOCALITY.DATASET || DEFAULT_DATASET, options = {}) {
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.trim());
+    const cities = lines.map(line => {
+      const values = line.split(',');
+      const row = Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]));
+      return {
+        name: row.name,
+        country: row.country,
+        latitude: Number(row.latitude),
+        longitude: Number(row.longitude)
+      };
+    }).filter(city => city.name && Number.isFinite(city.latitude) && Number.isFinite(city.longitude));
+
+    if (cities.length === 0) {
+      throw new Error(`No cities in ${file} (expected columns: name,country,latitude,longitude)`);
+    }
+    return new ReverseGeocoder(cities, options);
+  }
+
+  /**
+   * Dataset city for an address's city name, ignoring case and accents ("Krakow" -> Kraków)
+   * @returns {Object|null} { name, country, latitude, longitude }
+   */
+  findCity(name, country) {
+    const key = foldName(name);
+    return this.cities.find(city => foldName(city.name) === key && (!country || city.country === country)) || null;
+  }
+
+  /**
+   * Nearest city within maxDistanceKm
+   * @returns {Object|null} { locality, country, distanceKm }
+   */
+  locate(latitude, longitude) {
+    let best = null;
+    for (const city of this.cities) {
+      const distance = distanceKm(latitude, longitude, city.latitude, city.longitude);
+      if (distance <= this.maxDistanceKm && (!best || distance < best.distanceKm)) {
+        best = { locality: city.name, country: city.country, distanceKm: distance };
+      }
+    }
+    return best;
+  }
+}
+
+/**
+ * Locality and country from a Google Maps address
+ * "Neustiftgasse 16, 1070 Wien, Austria" -> { locality: 'Vienna', country: 'Austria' }
+ * Postal codes and state codes ("CA 94103", "NSW 2000") are skipped; city and
+ * country names are spelled like the dataset (LOCALITY_ALIASES, COUNTRY_ALIASES).
+ * @returns {Object|null} { locality, country }
+ */
+function parseAddress(address) {
+  const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) {
+    return null;
+  }
+
+  const countryPart = parts[parts.length - 1];
+  if (/\d/.test(countryPart)) {
+    return null;
+  }
+
+  for (let i = parts.length - 2; i >= 0; i--) {
+    // The first part is the street when it has a house number
+    if (i === 0 && /\d/.test(parts[0])) {
+      break;
+    }
+    const locality = parts[i]
+      .split(/\s+/)
+      .filter(token => !/\d/.test(token))
+      .join(' ')
+      .replace(/\s+[A-Z]{2,3}$/, '')
+      .trim();
+    if (locality && !/^[A-Z]{2,3}$/.test(locality)) {
+      return { locality: normalizeLocality(locality), country: normalizeCountry(countryPart) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Dataset spelling of a country name
+ */
+function normalizeCountry(country) {
+  return COUNTRY_ALIASES[country.trim().toLowerCase()] || country.trim();
+}
+
+/**
+ * Dataset spelling of a city name
+ */
+function normalizeLocality(locality) {
+  return LOCALITY_ALIASES[locality.trim().toLowerCase()] || locality.trim();
+}
+
+/**
+ * Lowercase without accents, for comparing city names
+ */
+function foldName(name) {
+  return String(name).normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().trim();
+}
+
+/**
+ * Great-circle distance in kilometers
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const rad = deg => (deg * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  ReverseGeocoder,
+  parseAddress,
+  normalizeLocality,
+  normalizeCountry
+};
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const config = require('../config');
 
 /**
  * Change Detector - Implements three-way merge logic
@@ -11,17 +12,19 @@ class ChangeDetector {
 
   /**
    * Hash function for change detection
+   * Empty values hash to null, matching PlacesRepository.hashNotes()
    */
   hash(value) {
-    if (value === null || value === undefined) return null;
+    if (value === null || value === undefined || value === '') return null;
     return crypto.createHash('sha256').update(String(value)).digest('hex');
   }
 
   /**
    * Detect changes for a single place's notes
-   * Returns: { type, placeId, localValue, remoteValue, baseValue, resolution }
+   * Conflicts get resolution 'resolve_conflict' - the Merger picks the outcome from its strategy
+   * Returns: { type, placeId, listId, localValue, remoteValue, baseValue, baseText?, resolution }
    */
-  detectPlaceNotesChange(placeId, localNotes, remoteNotes) {
+  detectPlaceNotesChange(placeId, localNotes, remoteNotes, listId = null) {
     // Get base state (what it was last sync)
     const baseHash = this.db.lastRemoteState.getPlaceNotes(placeId);
     const localHash = this.hash(localNotes);
@@ -38,6 +41,7 @@ class ChangeDetector {
         type: 'local_change',
         entity: 'place_notes',
         placeId,
+        listId,
         localValue: localNotes,
         remoteValue: remoteNotes,
         baseValue: baseHash,
@@ -51,6 +55,7 @@ class ChangeDetector {
         type: 'remote_change',
         entity: 'place_notes',
         placeId,
+        listId,
         localValue: localNotes,
         remoteValue: remoteNotes,
         baseValue: baseHash,
@@ -64,10 +69,12 @@ class ChangeDetector {
         type: 'conflict',
         entity: 'place_notes',
         placeId,
+        listId,
         localValue: localNotes,
         remoteValue: remoteNotes,
         baseValue: baseHash,
-        resolution: 'local_wins' // Default conflict resolution
+        baseText: this.baseNotesText(placeId, baseHash),
+        resolution: 'resolve_conflict'
       };
     }
 
@@ -77,6 +84,7 @@ class ChangeDetector {
         type: 'synchronized',
         entity: 'place_notes',
         placeId,
+        listId,
         localValue: localNotes,
         remoteValue: remoteNotes,
         baseValue: baseHash,
@@ -87,11 +95,27 @@ class ChangeDetector {
     return null;
   }
 
+  /**
+   * Full base notes text for a three-way text merge
+   * Returns undefined when it isn't known (e.g. base recorded before text was tracked)
+   */
+  baseNotesText(placeId, baseHash) {
+    if (baseHash === null) {
+      return null;
+    }
+    const text = this.db.lastRemoteState.getPlaceNotesText(placeId);
+    return this.hash(text) === baseHash ? text : undefined;
+  }
+
   /**
    * Detect changes for place-list association
+   * Membership is a boolean, so it can't conflict on its own - the conflicts are
+   * a removal on one side vs a notes edit on the other
+   * Conflicts get resolution 'resolve_conflict' - the Merger picks the outcome from its strategy
+   * @param {Object} notesModified - { local, remote }: whether each side's notes differ from base
    * Returns: { type, placeId, listId, existsLocal, existsRemote, existedInBase, resolution }
    */
-  detectPlaceListChange(placeId, listId, existsLocal, existsRemote) {
+  detectPlaceListChange(placeId, listId, existsLocal, existsRemote, notesModified = {}) {
     // Get base state
     const baseState = this.db.lastRemoteState.getPlaceListAssociation(placeId, listId);
     const existedInBase = baseState === 'exists';
@@ -101,6 +125,35 @@ class ChangeDetector {
       return null;
     }
 
+    // Conflict: removed remotely, but its notes were edited locally
+    if (existsLocal && !existsRemote && existedInBase && notesModified.local) {
+      return {
+        type: 'conflict',
+        entity: 'place_list',
+        placeId,
+        listId,
+        existsLocal,
+        existsRemote,
+        existedInBase,
+        resolution: 'resolve_conflict'
+      };
+    }
+
+    // Conflict: removed locally, but its notes were edited remotely
+    if (!existsLocal && existsRemote && existedInBase && notesModified.remote) {
+      return {
+        type: 'conflict',
+        entity: 'place_list',
+        placeId,
+        listId,
+        existsLocal,
+        existsRemote,
+        existedInBase,
+        remoteNotes: notesModified.remoteNotes,
+        resolution: 'resolve_conflict'
+      };
+    }
+
     // Added locally
     if (existsLocal && !existsRemote && !existedInBase) {
       return {
@@ -157,34 +210,158 @@ class ChangeDetector {
       };
     }
 
-    // Conflict: local removed, remote modified (or vice versa)
-    if (existsLocal && !existsRemote && existedInBase) {
+    // Added or removed on both sides (no conflict, base just needs to catch up)
+    if (existsLocal === existsRemote) {
       return {
-        type: 'conflict',
+        type: 'synchronized',
         entity: 'place_list',
         placeId,
         listId,
         existsLocal,
         existsRemote,
         existedInBase,
-        resolution: 'local_wins' // Keep local state (removed)
+        resolution: 'already_synced'
       };
     }
 
-    if (!existsLocal && existsRemote && existedInBase) {
-      return {
-        type: 'conflict',
-        entity: 'place_list',
-        placeId,
-        listId,
-        existsLocal,
-        existsRemote,
-        existedInBase,
-        resolution: 'local_wins' // Keep local state (removed)
+    return null;
+  }
+
+  /**
+   * Whether a place's notes changed since base on the side(s) where it's missing from the list
+   * Used to turn a one-sided removal into an edit-vs-remove conflict
+   */
+  notesModified(placeId, localPlace, remotePlace) {
+    if (localPlace && remotePlace) {
+      return {};
+    }
+
+    const baseHash = this.db.lastRemoteState.getPlaceNotes(placeId);
+    if (localPlace) {
+      return { local: this.hash(localPlace.notes) !== baseHash };
+    }
+    return {
+      remote: this.hash(remotePlace.notes) !== baseHash,
+      remoteNotes: remotePlace.notes
+    };
+  }
+
+  /**
+   * Find the local list a scraped list corresponds to
+   * Matches by google_list_id first, then by name (for lists without an ID),
+   * then by base name (the list was renamed locally since last sync)
+   */
+  matchLocalList(remoteList, localLists, baseStates, matchedIds) {
+    const candidates = localLists.filter(l => !matchedIds.has(l.id));
+    const idsCompatible = l => !l.google_list_id || !remoteList.google_list_id;
+
+    if (remoteList.google_list_id) {
+      const byId = candidates.find(l => l.google_list_id === remoteList.google_list_id);
+      if (byId) return byId;
+    }
+
+    const byName = candidates.find(l => l.name === remoteList.name && idsCompatible(l));
+    if (byName) return byName;
+
+    const remoteHash = this.hash(remoteList.name);
+    return candidates.find(l => baseStates.get(l.id) === remoteHash && idsCompatible(l)) || null;
+  }
+
+  /**
+   * Detect list-level changes (created, renamed or deleted on either side)
+   * The scraper always returns every list, so deletions can be detected on quick syncs too
+   * @param {Array} remoteLists - [{ name, google_list_id }] from scraper.getLists()
+   * @returns {Array} [{ type, entity, listId, localValue, remoteValue, baseValue, resolution }]
+   */
+  detectListChanges(remoteLists) {
+    const changes = [];
+    const baseStates = this.db.lastRemoteState.getAllLists();
+    const localLists = [
+      ...this.db.lists.findAll(),
+      ...this.db.lists.findPendingLocalDeletes()
+    ].filter(l => !config.SYSTEM_LISTS.includes(l.name));
+    const matchedIds = new Set();
+
+    for (const remoteList of remoteLists) {
+      const localList = this.matchLocalList(remoteList, localLists, baseStates, matchedIds);
+
+      // Created remotely
+      if (!localList) {
+        changes.push({
+          type: 'remote_new_list',
+          entity: 'list',
+          listId: null,
+          localValue: null,
+          remoteValue: remoteList,
+          baseValue: null,
+          resolution: 'create_locally'
+        });
+        continue;
+      }
+
+      matchedIds.add(localList.id);
+      const baseHash = baseStates.get(localList.id) || null;
+      const change = {
+        entity: 'list',
+        listId: localList.id,
+        localValue: localList,
+        remoteValue: remoteList,
+        baseValue: baseHash
       };
+
+      // Deleted locally, still exists remotely
+      if (localList.deleted_locally) {
+        changes.push({ ...change, type: 'local_delete_list', resolution: 'push_delete' });
+        continue;
+      }
+
+      const localHash = this.hash(localList.name);
+      const remoteHash = this.hash(remoteList.name);
+      const needsLink = !localList.google_list_id && !!remoteList.google_list_id;
+
+      if (localHash === remoteHash) {
+        // Same name on both sides - record base state / link the Google ID if missing
+        if (baseHash !== localHash || needsLink) {
+          changes.push({ ...change, type: 'synchronized', resolution: 'already_synced' });
+        }
+        continue;
+      }
+
+      // Renamed remotely (or first time we see this list with a different name).
+      // Renamed on both sides also follows remote - there's no list-level conflict
+      if (remoteHash !== baseHash) {
+        changes.push({ ...change, type: 'remote_rename', resolution: 'rename_locally' });
+      } else {
+        // Renamed locally, Google still has the base name
+        changes.push({ ...change, type: 'local_rename', resolution: 'push_rename' });
+      }
     }
 
-    return null;
+    for (const localList of localLists) {
+      if (matchedIds.has(localList.id) || localList.deleted_locally) {
+        continue;
+      }
+
+      const baseHash = baseStates.get(localList.id) || null;
+      const existedInBase = baseHash !== null && baseHash !== 'not_exists';
+      const change = {
+        entity: 'list',
+        listId: localList.id,
+        localValue: localList,
+        remoteValue: null,
+        baseValue: baseHash
+      };
+
+      if (existedInBase) {
+        // Deleted remotely
+        changes.push({ ...change, type: 'remote_delete_list', resolution: 'delete_locally' });
+      } else {
+        // Created locally, never pushed
+        changes.push({ ...change, type: 'local_new_list', resolution: 'push_create' });
+      }
+    }
+
+    return changes;
   }
 
   /**
@@ -192,7 +369,7 @@ class ChangeDetector {
    * @param {string} listName - Name of the list to check
    * @param {Array} remotePlaces - Places scraped from Google Maps
    * @param {boolean} isIncremental - If true, only checks scraped places (no deletion detection)
-   * @returns {Object} { notesChanges: [], associationChanges: [], conflicts: [] }
+   * @returns {Object} { placeChanges: [], notesChanges: [], associationChanges: [], conflicts: [] }
    */
   detectChangesForList(listName, remotePlaces, isIncremental = false) {
     const list = this.db.lists.findByName(listName);
@@ -201,6 +378,7 @@ class ChangeDetector {
     }
 
     const changes = {
+      placeChanges: [],
       notesChanges: [],
       associationChanges: [],
       conflicts: []
@@ -231,7 +409,8 @@ class ChangeDetector {
         const notesChange = this.detectPlaceNotesChange(
           localPlace.id,
           localPlace.notes,
-          remotePlace.notes
+          remotePlace.notes,
+          list.id
         );
 
         if (notesChange) {
@@ -254,6 +433,19 @@ class ChangeDetector {
         // Place exists remotely but not locally - need to find or create it
         const existingPlace = this.db.places.findByGoogleId(googlePlaceId);
         placeId = existingPlace ? existingPlace.id : null;
+
+        if (!existingPlace) {
+          // Never seen locally - Merger creates the place, association and base state
+          changes.placeChanges.push({
+            type: 'remote_new_place',
+            entity: 'place',
+            placeId: null,
+            listId: list.id,
+            googlePlaceId,
+            remoteValue: remotePlace,
+            resolution: 'create_locally'
+          });
+        }
       }
 
       if (placeId) {
@@ -261,7 +453,8 @@ class ChangeDetector {
           placeId,
           list.id,
           existsLocal,
-          existsRemote
+          existsRemote,
+          this.notesModified(placeId, localPlace, remotePlace)
         );
 
         if (assocChange) {
@@ -273,16 +466,84 @@ class ChangeDetector {
       }
     }
 
+    if (isIncremental) {
+      changes.associationChanges.push(...this.detectUnscrapedAssociationChanges(list, localPlaceMap, remotePlaceMap));
+    }
+
+    return changes;
+  }
+
+  /**
+   * Local membership edits an incremental pull can't see: additions (which Google
+   * doesn't have, so they're never scraped) and removals further down the list
+   * Only entries with a known base count - an unscraped entry without one may just
+   * be an old entry the pull didn't scroll to
+   */
+  detectUnscrapedAssociationChanges(list, localPlaceMap, remotePlaceMap) {
+    const changes = [];
+
+    for (const [googlePlaceId, localPlace] of localPlaceMap) {
+      if (remotePlaceMap.has(googlePlaceId)) continue;
+      if (this.db.lastRemoteState.getPlaceListAssociation(localPlace.id, list.id) === 'not_exists') {
+        changes.push(this.detectPlaceListChange(localPlace.id, list.id, true, false));
+      }
+    }
+
+    for (const row of this.db.placeLists.findPendingLocalDeletes()) {
+      if (row.list_id !== list.id) continue;
+      const place = this.db.places.findById(row.place_id);
+      if (!place || remotePlaceMap.has(place.google_place_id)) continue;
+      if (this.db.lastRemoteState.getPlaceListAssociation(place.id, list.id) === 'exists') {
+        changes.push(this.detectPlaceListChange(place.id, list.id, false, true));
+      }
+    }
+
+    return changes.filter(Boolean);
+  }
+
+  /**
+   * Local notes edits on places an incremental pull didn't reach
+   * Google's notes are assumed unchanged (the base); the next deep sync checks that.
+   * Only places synced before count - seeded places have no base to compare with
+   * @param {Set} scrapedIds - google_place_ids of every scraped place
+   * @returns {Array} local_change notes changes
+   */
+  detectUnscrapedNotesChanges(scrapedIds) {
+    const changes = [];
+
+    for (const place of this.db.places.findAll()) {
+      if (scrapedIds.has(place.google_place_id)) continue;
+
+      const baseHash = this.db.lastRemoteState.getPlaceNotes(place.id);
+      if (this.hash(place.notes) === baseHash) continue;
+
+      const syncedList = this.db.placeLists.findListsForPlace(place.id)
+        .find(l => this.db.lastRemoteState.getPlaceListAssociation(place.id, l.id) === 'exists');
+      if (!syncedList) continue;
+
+      changes.push({
+        type: 'local_change',
+        entity: 'place_notes',
+        placeId: place.id,
+        listId: syncedList.id,
+        localValue: place.notes,
+        remoteValue: undefined,
+        baseValue: baseHash,
+        resolution: 'keep_local'
+      });
+    }
+
     return changes;
   }
 
   /**
    * Detect all changes across all lists (full sync)
    * @param {Object} remoteState - { listName: [places] }
-   * @returns {Object} { notesChanges: [], associationChanges: [], conflicts: [] }
+   * @returns {Object} { placeChanges: [], notesChanges: [], associationChanges: [], conflicts: [] }
    */
   detectAllChanges(remoteState) {
     const allChanges = {
+      placeChanges: [],
       notesChanges: [],
       associationChanges: [],
       conflicts: []
@@ -291,6 +552,7 @@ class ChangeDetector {
     for (const [listName, remotePlaces] of Object.entries(remoteState)) {
       const listChanges = this.detectChangesForList(listName, remotePlaces);
 
+      allChanges.placeChanges.push(...listChanges.placeChanges);
       allChanges.notesChanges.push(...listChanges.notesChanges);
       allChanges.associationChanges.push(...listChanges.associationChanges);
       allChanges.conflicts.push(...listChanges.conflicts);
@@ -0,0 +1,191 @@
+const config = require('../config');
+const LocalEditor = require('./local-editor');
+const { ReverseGeocoder, parseAddress } = require('../geo/locality');
+
+/**
+ * City Grouper - Derives each place's city and country, and keeps per-city smart lists
+ *
+ * Localities come from the bundled reverse-geocoding dataset when the place has
+ * coordinates, otherwise from its address text, named as in the dataset when it
+ * has that city so both end up in the same group; nothing goes over the network.
+ * Smart lists ("Tokyo – all saves", see config.LOCALITY.LIST_NAME) hold every
+ * saved place in that city. They are recognized by name, created and refreshed
+ * through LocalEditor, so the next sync pushes them like any other local edit.
+ */
+class CityGrouper {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} options - { geocoder, minPlaces, maxDistanceKm }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.geocoder = options.geocoder || ReverseGeocoder.load(undefined, { maxDistanceKm: options.maxDistanceKm });
+    this.minPlaces = options.minPlaces ?? config.LOCALITY.MIN_PLACES;
+    this.editor = new LocalEditor(db);
+
+    const [prefix, suffix = ''] = config.LOCALITY.LIST_NAME.split('{city}');
+    this.listPrefix = prefix;
+    this.listSuffix = suffix;
+  }
+
+  /**
+   * City and country of one place
+   * @returns {Object|null} { locality, country, source }
+   */
+  locate(place) {
+    if (place.latitude !== null && place.longitude !== null) {
+      const city = this.geocoder.locate(place.latitude, place.longitude);
+      if (city) {
+        return { locality: city.locality, country: city.country, source: 'coordinates' };
+      }
+    }
+    const parsed = parseAddress(place.address);
+    if (!parsed) {
+      return null;
+    }
+    const city = this.geocoder.findCity(parsed.locality, parsed.country);
+    return city
+      ? { locality: city.name, country: city.country, source: 'address' }
+      : { ...parsed, source: 'address' };
+  }
+
+  /**
+   * Store the locality of places that don't have one yet (or of all places, with refresh)
+   * @param {Object} options - { refresh }
+   * @returns {Object} { checked, fromCoordinates, fromAddress, unknown }
+   */
+  assignLocalities(options = {}) {
+    const places = this.db.places.findAll().filter(place => options.refresh || !place.locality_source);
+    const stats = { checked: places.length, fromCoordinates: 0, fromAddress: 0, unknown: 0 };
+
+    this.db.getConnection().transaction(() => {
+      for (const place of places) {
+        const locality = this.locate(place);
+        this.db.places.updateLocality(place.id, locality);
+        if (!locality) stats.unknown++;
+        else if (locality.source === 'coordinates') stats.fromCoordinates++;
+        else stats.fromAddress++;
+      }
+    })();
+    return stats;
+  }
+
+  /**
+   * Saved places grouped by city, biggest first
+   * Only places in at least one list other than the smart lists count as saved
+   * @returns {Array} [{ locality, country, places }]
+   */
+  cities() {
+    const lists = this.db.lists.findAll();
+    const regularIds = new Set(lists.filter(list => !this.isSmartList(list.name)).map(list => list.id));
+    const saved = new Set(this.db.placeLists.findAll()
+      .filter(association => regularIds.has(association.list_id))
+      .map(association => association.place_id));
+
+    const groups = new Map();
+    for (const place of this.db.places.findAll()) {
+      if (!place.locality || !saved.has(place.id)) continue;
+      const key = `${place.country}\u0000${place.locality}`;
+      if (!groups.has(key)) {
+        groups.set(key, { locality: place.locality, country: place.country, places: [] });
+      }
+      groups.get(key).places.push(place);
+    }
+
+    return [...groups.values()].sort((a, b) =>
+      b.places.length - a.places.length || a.locality.localeCompare(b.locality));
+  }
+
+  /**
+   * What creating or refreshing the smart lists would change
+   * Cities below minPlaces only get a list if they already have one
+   * @returns {Array} [{ name, locality, country, action, list, places, add, remove }]
+   *   action is 'create', 'refresh' or 'unchanged'
+   */
+  planLists() {
+    const cities = this.cities();
+    const nameCount = new Map();
+    cities.forEach(city => nameCount.set(city.locality, (nameCount.get(city.locality) || 0) + 1));
+
+    const plans = [];
+    const planned = new Set();
+    for (const city of cities) {
+      // Same city name in two countries (Valencia, Spain / Valencia, Venezuela)
+      const label = nameCount.get(city.locality) > 1 ? `${city.locality}, ${city.country}` : city.locality;
+      const name = this.listName(label);
+      const list = this.findSmartList(name);
+      if (!list && city.places.length < this.minPlaces) continue;
+
+      plans.push(this.plan(name, city, list));
+      planned.add(name);
+    }
+
+    // Smart lists whose city has no saved places left
+    for (const list of this.db.lists.findAll()) {
+      if (this.isSmartList(list.name) && !planned.has(list.name)) {
+        plans.push(this.plan(list.name, { locality: null, country: null, places: [] }, list));
+      }
+    }
+    return plans;
+  }
+
+  /**
+   * Create and refresh smart lists as planned
+   * @returns {Object} { created, added, removed }
+   */
+  applyPlan(plans) {
+    const result = { created: 0, added: 0, removed: 0 };
+
+    this.db.getConnection().transaction(() => {
+      for (const plan of plans) {
+        if (!plan.list) {
+          this.editor.createList(plan.name);
+          result.created++;
+        }
+        for (const place of plan.add) {
+          this.editor.addToList(`#${place.id}`, plan.name);
+          result.added++;
+        }
+        for (const place of plan.remove) {
+          this.editor.removeFromList(`#${place.id}`, plan.name);
+          result.removed++;
+        }
+      }
+    })();
+    return result;
+  }
+
+  /**
+   * Changes for one smart list
+   */
+  plan(name, city, list) {
+    const current = list ? this.db.placeLists.findPlacesInList(list.id) : [];
+    const currentIds = new Set(current.map(place => place.id));
+    const cityIds = new Set(city.places.map(place => place.id));
+    const add = city.places.filter(place => !currentIds.has(place.id));
+    const remove = current.filter(place => !cityIds.has(place.id));
+
+    let action = 'unchanged';
+    if (!list) action = 'create';
+    else if (add.length > 0 || remove.length > 0) action = 'refresh';
+
+    return { name, locality: city.locality, country: city.country, action, list: list || null, places: city.places, add, remove };
+  }
+
+  listName(city) {
+    return `${this.listPrefix}${city}${this.listSuffix}`;
+  }
+
+  isSmartList(name) {
+    return name.length > this.listPrefix.length + this.listSuffix.length &&
+      name.startsWith(this.listPrefix) &&
+      name.endsWith(this.listSuffix);
+  }
+
+  findSmartList(name) {
+    const list = this.db.lists.findByName(name);
+    return list && !list.is_deleted ? list : null;
+  }
+}
+
+module.exports = CityGrouper;
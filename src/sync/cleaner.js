@@ -0,0 +1,201 @@
+const config = require('../config');
+const Deduplicator = require('./deduplicator');
+
+// Criterion -> label shown in the review table
+const CRITERIA = {
+  withoutNotes: 'no notes',
+  unlisted: 'in no list',
+  untouchedSince: 'untouched',
+  duplicates: 'duplicate'
+};
+
+/**
+ * Cleaner - Removes places matching every given criterion, with an undo window
+ *
+ * Removals are local edits: list entries Google has are soft-deleted and get a
+ * queued remove_place_from_list operation, so the next sync pushes them. The
+ * operations aren't pushed before the undo window closes (next_retry_at), and
+ * undoing a cleanup restores the entries, their base state and the places, and
+ * drops the operations. Entries Google doesn't have (system lists, local
+ * additions, redundant duplicate rows) are removed locally only.
+ */
+class Cleaner {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} options - { undoHours } (default config.CLEANUP.UNDO_HOURS)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.undoHours = options.undoHours ?? config.CLEANUP.UNDO_HOURS;
+  }
+
+  /**
+   * Places matching every criterion
+   * @param {Object} criteria - { withoutNotes, unlisted, untouchedSince: 'YYYY-MM-DD', duplicates }
+   *   unlisted: in no list other than a system list
+   *   duplicates: a duplicate row whose lists the kept row is in too (see Deduplicator)
+   * @returns {Array} [{ place, lists, reasons, keep }] - keep is the kept row for duplicates
+   */
+  findCandidates(criteria) {
+    const active = Object.keys(CRITERIA).filter(key => criteria[key]);
+    if (active.length === 0) {
+      throw new Error(`Pick at least one criterion: ${Object.keys(CRITERIA).join(', ')}`);
+    }
+    if (criteria.untouchedSince && !/^\d{4}-\d{2}-\d{2}$/.test(criteria.untouchedSince)) {
+      throw new Error(`Expected a date like 2024-01-31, got "${criteria.untouchedSince}"`);
+    }
+
+    const withoutNotes = criteria.withoutNotes
+      ? new Set(this.db.places.findWithoutNotes().map(place => place.id))
+      : null;
+    const keepers = criteria.duplicates ? this.redundantDuplicates() : null;
+
+    const candidates = [];
+    for (const place of this.db.places.findAll()) {
+      const lists = this.liveLists(place.id);
+      const touchedAt = place.touched_at || place.created_at;
+      const reasons = [];
+
+      if (withoutNotes) {
+        if (!withoutNotes.has(place.id)) continue;
+        reasons.push(CRITERIA.withoutNotes);
+      }
+      if (criteria.unlisted) {
+        if (!lists.every(list => config.SYSTEM_LISTS.includes(list.name))) continue;
+        reasons.push(CRITERIA.unlisted);
+      }
+      if (criteria.untouchedSince) {
+        if (touchedAt >= criteria.untouchedSince) continue;
+        reasons.push(`${CRITERIA.untouchedSince} since ${touchedAt.slice(0, 10)}`);
+      }
+      if (keepers) {
+        if (!keepers.has(place.id)) continue;
+        reasons.push(`${CRITERIA.duplicates} of #${keepers.get(place.id).id}`);
+      }
+
+      candidates.push({ place, lists, reasons, keep: keepers ? keepers.get(place.id) : null });
+    }
+
+    return candidates.sort((a, b) => a.place.name.localeCompare(b.place.name));
+  }
+
+  /**
+   * Remove candidates as local deletes
+   * @returns {Object} { cleanupId, undoUntil, places, queued, localOnly }
+   */
+  apply(candidates, criteria) {
+    let result;
+
+    this.db.getConnection().transaction(() => {
+      const cleanupId = this.db.cleanups.create(criteria, this.undoHours);
+      const cleanup = this.db.cleanups.findById(cleanupId);
+      result = { cleanupId, undoUntil: cleanup.undo_until, places: candidates.length, queued: 0, localOnly: 0 };
+
+      for (const { place, lists, keep } of candidates) {
+        if (lists.length === 0) {
+          this.db.cleanups.addItem(cleanupId, { placeId: place.id });
+        }
+
+        for (const list of lists) {
+          const baseState = this.db.lastRemoteState.getPlaceListAssociation(place.id, list.id);
+          const item = { placeId: place.id, listId: list.id, baseState };
+
+          // A duplicate row may carry the kept place's Google ID: pushing its removal would remove the kept place
+          if (keep || baseState === 'not_exists' || config.SYSTEM_LISTS.includes(list.name)) {
+            this.db.placeLists.remove(place.id, list.id);
+            result.localOnly++;
+          } else {
+            this.db.placeLists.markDeletedLocally(place.id, list.id);
+            // Seeded entries were never synced, but they came from Google
+            if (baseState === null) {
+              this.db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+            }
+            const op = this.db.addPendingOperation('remove_place_from_list', {
+              placeId: place.id,
+              listId: list.id
+            }, { notBefore: cleanup.undo_until });
+            item.operationId = op.changes > 0 ? op.lastInsertRowid : null;
+            result.queued++;
+          }
+          this.db.cleanups.addItem(cleanupId, item);
+        }
+
+        this.db.places.markDeletedLocally(place.id);
+      }
+    })();
+
+    return result;
+  }
+
+  /**
+   * Put back everything a cleanup removed, while its undo window is open
+   * @param {number} cleanupId - Defaults to the newest cleanup that can be undone
+   * @returns {Object} { cleanupId, places, entries }
+   */
+  undo(cleanupId = null) {
+    const cleanup = cleanupId ? this.db.cleanups.findById(cleanupId) : this.db.cleanups.findLatestUndoable();
+    if (!cleanup) {
+      throw new Error(cleanupId ? `Cleanup not found: #${cleanupId}` : 'No cleanup left to undo');
+    }
+    if (cleanup.undone_at) {
+      throw new Error(`Cleanup #${cleanup.id} was already undone on ${cleanup.undone_at}`);
+    }
+    if (!cleanup.undoable) {
+      throw new Error(`The undo window of cleanup #${cleanup.id} closed on ${cleanup.undo_until}`);
+    }
+
+    const items = this.db.cleanups.findItems(cleanup.id);
+    const placeIds = new Set();
+    let entries = 0;
+
+    this.db.getConnection().transaction(() => {
+      for (const item of items) {
+        placeIds.add(item.place_id);
+        if (item.list_id === null) continue;
+
+        this.db.placeLists.restore(item.place_id, item.list_id);
+        if (item.operation_id) {
+          this.db.deletePendingOperation(item.operation_id);
+        }
+        // A sync during the window may have moved the base on; Google still has the entry
+        if (item.base_state === null) {
+          this.db.lastRemoteState.remove('place_list_association', `place_${item.place_id}_list_${item.list_id}`);
+        } else {
+          this.db.lastRemoteState.savePlaceListAssociation(item.place_id, item.list_id, item.base_state === 'exists');
+        }
+        entries++;
+      }
+
+      placeIds.forEach(id => this.db.places.restore(id));
+      this.db.cleanups.markUndone(cleanup.id);
+    })();
+
+    return { cleanupId: cleanup.id, places: placeIds.size, entries };
+  }
+
+  /**
+   * Lists a place is in, leaving out deleted lists
+   */
+  liveLists(placeId) {
+    return this.db.placeLists.findListsForPlace(placeId).filter(list => !list.is_deleted);
+  }
+
+  /**
+   * Duplicate rows that add nothing: the kept row is in all of their lists
+   * @returns {Map} place ID -> kept place row
+   */
+  redundantDuplicates() {
+    const redundant = new Map();
+    for (const group of new Deduplicator(this.db).findDuplicates()) {
+      const keepLists = new Set(this.liveLists(group.keep.id).map(list => list.id));
+      for (const duplicate of group.duplicates) {
+        if (this.liveLists(duplicate.id).every(list => keepLists.has(list.id))) {
+          redundant.set(duplicate.id, group.keep);
+        }
+      }
+    }
+    return redundant;
+  }
+}
+
+module.exports = Cleaner;
@@ -0,0 +1,120 @@
+/**
+ * Conflict Resolver - Applies a user's decision to a queued conflict
+ *
+ * Whatever the choice, the base state becomes the remote value (that's what
+ * Google still has), local becomes the chosen value, and a push op is queued
+ * when the two differ. The next sync then sees a plain local change.
+ */
+class ConflictResolver {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Resolve a conflict
+   * @param {Object|number} conflict - conflicts row or its ID
+   * @param {string} choice - 'local', 'remote' or 'edit' (notes only)
+   * @param {string} editedValue - Notes to keep when choice is 'edit'
+   * @returns {Object} The updated conflicts row
+   */
+  resolve(conflict, choice, editedValue = null) {
+    const row = typeof conflict === 'object' ? conflict : this.db.conflicts.findById(conflict);
+    if (!row) {
+      throw new Error(`Conflict ${conflict} not found`);
+    }
+    if (row.status !== 'unresolved') {
+      throw new Error(`Conflict ${row.id} is already ${row.status}`);
+    }
+
+    const apply = row.entity_type === 'place_notes'
+      ? () => this.resolveNotes(row, choice, editedValue)
+      : () => this.resolveAssociation(row, choice);
+
+    this.db.getConnection().transaction(apply)();
+    return this.db.conflicts.findById(row.id);
+  }
+
+  /**
+   * Resolve a notes conflict
+   */
+  resolveNotes(row, choice, editedValue) {
+    let value;
+    let resolution;
+
+    switch (choice) {
+      case 'local':
+        value = row.local_value;
+        resolution = 'local_wins';
+        break;
+      case 'remote':
+        value = row.remote_value;
+        resolution = 'remote_wins';
+        break;
+      case 'edit':
+        if (editedValue === null || editedValue === undefined) {
+          throw new Error('Edited notes are required to resolve with "edit"');
+        }
+        value = editedValue;
+        resolution = 'merged';
+        break;
+      default:
+        throw new Error(`Unknown choice for notes conflict: ${choice}`);
+    }
+
+    this.db.places.updateNotes(row.place_id, value);
+    this.db.lastRemoteState.savePlaceNotes(row.place_id, this.db.places.hashNotes(row.remote_value), row.remote_value);
+
+    if (value !== row.remote_value) {
+      this.db.addPendingOperation('update_notes', {
+        placeId: row.place_id,
+        notes: value
+      });
+    }
+
+    this.db.conflicts.resolve(row.id, resolution, value);
+  }
+
+  /**
+   * Resolve a list membership conflict
+   */
+  resolveAssociation(row, choice) {
+    let keep;
+    let resolution;
+
+    switch (choice) {
+      case 'local':
+        keep = row.local_value === 'exists';
+        resolution = 'local_wins';
+        break;
+      case 'remote':
+        keep = row.remote_value === 'exists';
+        resolution = 'remote_wins';
+        break;
+      default:
+        throw new Error(`Unknown choice for list membership conflict: ${choice}`);
+    }
+
+    const remoteExists = row.remote_value === 'exists';
+    this.db.lastRemoteState.savePlaceListAssociation(row.place_id, row.list_id, remoteExists);
+
+    if (keep) {
+      this.db.placeLists.restore(row.place_id, row.list_id);
+    } else if (remoteExists) {
+      // Soft delete - the row is dropped once the push succeeds
+      this.db.placeLists.markDeletedLocally(row.place_id, row.list_id);
+    } else {
+      this.db.placeLists.remove(row.place_id, row.list_id);
+    }
+
+    if (keep !== remoteExists) {
+      this.db.addPendingOperation(keep ? 'add_place_to_list' : 'remove_place_from_list', {
+        placeId: row.place_id,
+        listId: row.list_id
+      });
+    }
+
+    this.db.conflicts.resolve(row.id, resolution, keep ? 'exists' : 'not_exists');
+  }
+}
+
+module.exports = ConflictResolver;
@@ -0,0 +1,338 @@
+const config = require('../config');
+const { normalizePlaceId } = require('./place-id');
+
+// Columns filled in from a duplicate when the kept row doesn't have them
+const FILL_COLUMNS = [
+  'google_maps_url',
+  'category',
+  'rating',
+  'review_count',
+  'price_level',
+  'address',
+  'latitude',
+  'longitude',
+  'phone',
+  'website',
+  'locality',
+  'country',
+  'locality_source'
+];
+
+/**
+ * Deduplicator - Finds places stored twice under different IDs and merges them
+ *
+ * Older seeds keyed places by URL-derived IDs and older scrapes by jslog
+ * metadata, so one place could end up as two rows, each with its own list
+ * associations and base state. Rows are duplicates when they share a
+ * canonical place ID, or have the same normalized name and either nearby
+ * coordinates or the same URL. Rows with different canonical IDs are never
+ * merged, however similar their names (chains have many branches).
+ */
+class Deduplicator {
+  /**
+   * @param {Object} db - Database
+   * @param {Object} options - { maxDistance } in meters (default config.DEDUPE.MAX_DISTANCE_METERS)
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.maxDistance = options.maxDistance ?? config.DEDUPE.MAX_DISTANCE_METERS;
+  }
+
+  /**
+   * Find groups of duplicate places
+   * @returns {Array} [{ keep, duplicates, places, reasons }] - keep is the row the others merge into
+   */
+  findDuplicates() {
+    const places = this.db.getConnection()
+      .prepare('SELECT * FROM places WHERE is_deleted = FALSE ORDER BY id')
+      .all()
+      .map(place => ({
+        place,
+        canonicalId: normalizePlaceId(place.google_place_id) || normalizePlaceId(place.google_maps_url),
+        nameKey: normalizeName(place.name),
+        urlKey: normalizeUrl(place.google_maps_url)
+      }));
+
+    // Union-find over places; each group remembers its canonical ID so chains
+    // like A(id 1) ~ B(no id) ~ C(id 2) can't join two different places
+    const parent = places.map((_, i) => i);
+    const groupId = places.map(p => p.canonicalId);
+    const reasons = places.map(() => new Set());
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+
+    const union = (a, b, reason) => {
+      const ra = root(a);
+      const rb = root(b);
+      if (ra === rb) {
+        reasons[ra].add(reason);
+        return;
+      }
+      if (groupId[ra] && groupId[rb] && groupId[ra] !== groupId[rb]) {
+        return;
+      }
+      parent[rb] = ra;
+      groupId[ra] = groupId[ra] || groupId[rb];
+      reasons[ra] = new Set([...reasons[ra], ...reasons[rb], reason]);
+    };
+
+    const byCanonicalId = new Map();
+    const byName = new Map();
+    places.forEach((p, i) => {
+      if (p.canonicalId) {
+        if (byCanonicalId.has(p.canonicalId)) {
+          union(byCanonicalId.get(p.canonicalId), i, 'same place ID');
+        } else {
+          byCanonicalId.set(p.canonicalId, i);
+        }
+      }
+      if (p.nameKey) {
+        byName.set(p.nameKey, [...(byName.get(p.nameKey) || []), i]);
+      }
+    });
+
+    for (const indexes of byName.values()) {
+      for (let x = 0; x < indexes.length; x++) {
+        for (let y = x + 1; y < indexes.length; y++) {
+          const a = places[indexes[x]];
+          const b = places[indexes[y]];
+          const distance = distanceMeters(a.place, b.place);
+          if (distance !== null && distance <= this.maxDistance) {
+            union(indexes[x], indexes[y], 'same name and location');
+          } else if (a.urlKey && a.urlKey === b.urlKey) {
+            union(indexes[x], indexes[y], 'same name and URL');
+          }
+        }
+      }
+    }
+
+    const groups = new Map();
+    places.forEach((p, i) => {
+      const r = root(i);
+      groups.set(r, [...(groups.get(r) || []), p.place]);
+    });
+
+    return [...groups.entries()]
+      .filter(([, rows]) => rows.length > 1)
+      .map(([r, rows]) => {
+        const keep = this.pickKeeper(rows);
+        return {
+          keep,
+          duplicates: rows.filter(row => row.id !== keep.id),
+          places: rows,
+          canonicalId: groupId[r],
+          reasons: [...reasons[r]]
+        };
+      });
+  }
+
+  /**
+   * The row duplicates merge into: canonical ID first, then most lists, then oldest
+   */
+  pickKeeper(rows) {
+    const listCount = id => this.db.placeLists.findListsForPlace(id).length;
+    return [...rows].sort((a, b) =>
+      (/^\d+$/.test(b.google_place_id) - /^\d+$/.test(a.google_place_id)) ||
+      (listCount(b.id) - listCount(a.id)) ||
+      (a.id - b.id)
+    )[0];
+  }
+
+  /**
+   * Merge a group found by findDuplicates() into its keeper
+   * Lists, tags, base state, base notes, conflicts and pending operations move to the
+   * kept row; empty fields are filled from the duplicates; differing notes are combined.
+   * Groups whose combined notes would be too long for Google Maps, or whose canonical ID
+   * is held by a deleted place (findDuplicates() skips those), are left as they are.
+   * @returns {Object} { keepId, mergedIds, notes, skipped } - notes is the combined text when
+   *   it changed, skipped the reason nothing was merged (null otherwise)
+   */
+  merge(group) {
+    const conn = this.db.getConnection();
+    const keep = group.keep;
+    const notes = combineNotes(group.places.map(place => place.notes), keep.notes);
+    const notesChanged = notes !== (keep.notes || null);
+
+    if (notes !== null && notes.length > config.NOTES.MAX_LENGTH) {
+      return {
+        keepId: keep.id,
+        mergedIds: [],
+        notes: null,
+        skipped: `Combined notes would be ${notes.length} characters, Google Maps allows ${config.NOTES.MAX_LENGTH}`
+      };
+    }
+
+    const holder = group.canonicalId && keep.google_place_id !== group.canonicalId
+      ? conn.prepare('SELECT id, name FROM places WHERE google_place_id = ?').get(group.canonicalId)
+      : null;
+    if (holder && !group.places.some(place => place.id === holder.id)) {
+      return {
+        keepId: keep.id,
+        mergedIds: [],
+        notes: null,
+        skipped: `Place ID ${group.canonicalId} belongs to deleted place #${holder.id} (${holder.name})`
+      };
+    }
+
+    conn.transaction(() => {
+      for (const duplicate of group.duplicates) {
+        this.moveAssociations(duplicate.id, keep.id);
+        this.moveBaseState(duplicate.id, keep.id);
+        conn.prepare('UPDATE conflicts SET place_id = ? WHERE place_id = ?').run(keep.id, duplicate.id);
+        this.db.tags.moveToPlace(duplicate.id, keep.id);
+        this.movePendingOperations(duplicate.id, keep.id);
+        conn.prepare('DELETE FROM places WHERE id = ?').run(duplicate.id);
+      }
+
+      const fill = {};
+      for (const column of FILL_COLUMNS) {
+        if (keep[column] === null || keep[column] === undefined) {
+          const source = group.duplicates.find(d => d[column] !== null && d[column] !== undefined);
+          if (source) fill[column] = source[column];
+        }
+      }
+      if (group.canonicalId && keep.google_place_id !== group.canonicalId) {
+        fill.google_place_id = group.canonicalId;
+      }
+      if (Object.keys(fill).length > 0) {
+        const assignments = Object.keys(fill).map(column => `${column} = @${column}`).join(', ');
+        conn.prepare(`UPDATE places SET ${assignments} WHERE id = @id`).run({ ...fill, id: keep.id });
+      }
+
+      if (notesChanged) {
+        this.db.places.updateNotes(keep.id, notes);
+      }
+    })();
+
+    return {
+      keepId: keep.id,
+      mergedIds: group.duplicates.map(d => d.id),
+      notes: notesChanged ? notes : null,
+      skipped: null
+    };
+  }
+
+  /**
+   * Re-point list associations; a list both rows are in stays active if either was
+   */
+  moveAssociations(fromId, toId) {
+    const conn = this.db.getConnection();
+    const rows = conn.prepare('SELECT * FROM place_lists WHERE place_id = ?').all(fromId);
+
+    for (const row of rows) {
+      const existing = conn.prepare('SELECT * FROM place_lists WHERE place_id = ? AND list_id = ?').get(toId, row.list_id);
+      if (!existing) {
+        conn.prepare('UPDATE place_lists SET place_id = ? WHERE place_id = ? AND list_id = ?').run(toId, fromId, row.list_id);
+        continue;
+      }
+      if (existing.deleted_locally && !row.deleted_locally) {
+        conn.prepare('UPDATE place_lists SET deleted_locally = FALSE WHERE place_id = ? AND list_id = ?').run(toId, row.list_id);
+      }
+      conn.prepare('DELETE FROM place_lists WHERE place_id = ? AND list_id = ?').run(fromId, row.list_id);
+    }
+  }
+
+  /**
+   * Rewrite place_<id> keys in last_remote_state (and last_remote_notes)
+   * The kept row's own base state wins; an association that existed on either side exists
+   */
+  moveBaseState(fromId, toId) {
+    const conn = this.db.getConnection();
+    const rows = conn.prepare(`
+      SELECT * FROM last_remote_state
+      WHERE entity_id = ? OR entity_id LIKE ? ESCAPE '\\'
+    `).all(`place_${fromId}`, `place\\_${fromId}\\_list\\_%`);
+
+    for (const row of rows) {
+      const entityId = row.entity_id.replace(`place_${fromId}`, `place_${toId}`);
+      const existing = this.db.lastRemoteState.find(row.entity_type, entityId);
+
+      if (!existing) {
+        conn.prepare('UPDATE last_remote_state SET entity_id = ? WHERE entity_type = ? AND entity_id = ?')
+          .run(entityId, row.entity_type, row.entity_id);
+        continue;
+      }
+      if (row.entity_type === 'place_list_association' && row.state_hash === 'exists') {
+        this.db.lastRemoteState.upsert(row.entity_type, entityId, 'exists');
+      }
+      this.db.lastRemoteState.remove(row.entity_type, row.entity_id);
+    }
+
+    if (this.db.lastRemoteState.getPlaceNotesText(toId) === null) {
+      conn.prepare('UPDATE last_remote_notes SET place_id = ? WHERE place_id = ?').run(toId, fromId);
+    }
+    conn.prepare('DELETE FROM last_remote_notes WHERE place_id = ?').run(fromId);
+  }
+
+  /**
+   * Point queued operations at the kept row
+   */
+  movePendingOperations(fromId, toId) {
+    const conn = this.db.getConnection();
+    const ops = conn.prepare(`SELECT id, payload FROM pending_operations WHERE json_extract(payload, '$.placeId') = ?`).all(fromId);
+
+    for (const op of ops) {
+      const payload = { ...JSON.parse(op.payload), placeId: toId };
+      conn.prepare('UPDATE pending_operations SET payload = ? WHERE id = ?').run(JSON.stringify(payload), op.id);
+    }
+  }
+}
+
+/**
+ * Lowercase, accent-free, punctuation-free name for comparisons
+ */
+function normalizeName(name) {
+  if (!name) return null;
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim() || null;
+}
+
+/**
+ * The part of a Maps URL that identifies the place (host and query noise removed)
+ */
+function normalizeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    const cid = parsed.searchParams.get('cid');
+    const path = decodeURIComponent(parsed.pathname).replace(/\/+$/, '').replace(/\+/g, ' ').toLowerCase();
+    return cid ? `${path}?cid=${cid}` : path;
+  } catch (error) {
+    return url.trim().toLowerCase();
+  }
+}
+
+/**
+ * Great-circle distance between two places, or null if either has no coordinates
+ */
+function distanceMeters(a, b) {
+  if ([a.latitude, a.longitude, b.latitude, b.longitude].some(v => v === null || v === undefined)) {
+    return null;
+  }
+  const rad = deg => (deg * Math.PI) / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLng = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Notes for the merged place: the kept row's notes plus any other distinct notes
+ * Notes contained in another row's notes are dropped
+ */
+function combineNotes(allNotes, keptNotes) {
+  const distinct = [keptNotes, ...allNotes]
+    .map(notes => (notes || '').trim())
+    .filter(Boolean)
+    .filter((notes, i, list) => list.indexOf(notes) === i);
+
+  const kept = distinct.filter(notes => !distinct.some(other => other !== notes && other.includes(notes)));
+  return kept.length > 0 ? kept.join('\n\n') : null;
+}
+
+module.exports = Deduplicator;
@@ -1,5 +1,6 @@
 const ChangeDetector = require("./change-detector");
 const Merger = require("./merger");
+const PushExecutor = require("./push-executor");
 const config = require("../config");
 
 /**
@@ -9,8 +10,9 @@ const config = require("../config");
  * 1. PULL: Scrape remote state (incremental: first 50/list)
  * 2. DETECT: Compare base vs local vs remote
  * 3. MERGE: Apply changes (local wins conflicts)
- * 4. PUSH: Execute pending operations (future)
+ * 4. PUSH: Execute pending operations against Google Maps
  * 5. UPDATE: Save new base state
+ * 6. DETAILS (deep sync): Open place pages to fill in address, coordinates, phone, ...
  */
 class SyncOrchestrator {
   constructor(scraper, db, options = {}) {
@@ -18,7 +20,18 @@ class SyncOrchestrator {
     this.db = db;
     this.changeDetector = new ChangeDetector(db);
     this.merger = new Merger(db);
+    this.pushExecutor = new PushExecutor(scraper, db);
     this.dryRun = options.dryRun || false;
+    this.enrichDetails = options.enrichDetails !== false;
+
+    // Conflict strategy overrides: 'remote_wins' or { default, place_notes, place_list }
+    if (typeof options.conflictStrategy === "string") {
+      this.merger.setConflictStrategy(options.conflictStrategy);
+    } else if (options.conflictStrategy) {
+      for (const [scope, strategy] of Object.entries(options.conflictStrategy)) {
+        this.merger.setConflictStrategy(strategy, scope === "default" ? {} : { entity: scope });
+      }
+    }
   }
 
   /**
@@ -43,7 +56,8 @@ class SyncOrchestrator {
       console.log("\n📥 PHASE 1: PULL (Scraping remote state)");
       console.log("-".repeat(60));
 
-      const lists = await this.scraper.getListNames();
+      const remoteLists = await this.scraper.getLists();
+      const lists = remoteLists.map(list => list.name);
       console.log(`Found ${lists.length} lists\n`);
 
       const remoteState = {};
@@ -110,116 +124,14 @@ class SyncOrchestrator {
       console.log("✅ All lists scraped successfully. Proceeding to change detection.\n");
 
       // PHASE 2: DETECT - Find changes
-      console.log("\n🔍 PHASE 2: DETECT (Comparing states)");
-      console.log("-".repeat(60));
-
-      const allChanges = {
-        notesChanges: [],
-        associationChanges: [],
-        conflicts: [],
-      };
-
-      for (const [listName, remotePlaces] of Object.entries(remoteState)) {
-        try {
-          console.log(`Detecting changes for: ${listName}`);
-          const changes = this.changeDetector.detectChangesForList(
-            listName,
-            remotePlaces,
-            true  // isIncremental = true (only check scraped places)
-          );
-
-          allChanges.notesChanges.push(...changes.notesChanges);
-          allChanges.associationChanges.push(...changes.associationChanges);
-          allChanges.conflicts.push(...changes.conflicts);
-
-          console.log(
-            `  Notes: ${changes.notesChanges.length}, Associations: ${changes.associationChanges.length}, Conflicts: ${changes.conflicts.length}`
-          );
-        } catch (error) {
-          console.error(
-            `  ❌ Error detecting changes for ${listName}:`,
-            error.message
-          );
-          stats.errors.push({
-            list: listName,
-            phase: "detect",
-            error: error.message,
-          });
-        }
-      }
-
-      stats.conflictsDetected = allChanges.conflicts.length;
+      const allChanges = this.detectChanges(remoteLists, remoteState, true, stats);  // incremental: only check scraped places
 
       // PHASE 3: MERGE - Apply changes (or show preview if dry-run)
-      console.log("\n🔀 PHASE 3: MERGE (Applying changes)");
-      console.log("-".repeat(60));
-
-      let mergeResult;
-      if (this.dryRun) {
-        console.log("🔍 DRY-RUN MODE: Showing what would change (no modifications)\n");
-
-        // Show notes changes
-        if (allChanges.notesChanges.length > 0) {
-          console.log(`📝 Notes changes (${allChanges.notesChanges.length}):`);
-          allChanges.notesChanges.slice(0, 10).forEach(change => {
-            const place = this.db.places.findById(change.placeId);
-            console.log(`  • ${place?.name || 'Unknown'} (${change.resolution})`);
-            if (change.localValue) console.log(`    Local:  "${change.localValue.substring(0, 50)}..."`);
-            if (change.remoteValue) console.log(`    Remote: "${change.remoteValue.substring(0, 50)}..."`);
-          });
-          if (allChanges.notesChanges.length > 10) {
-            console.log(`  ... and ${allChanges.notesChanges.length - 10} more`);
-          }
-        }
+      const mergeResult = this.mergeChanges(allChanges, syncId);
+      this.saveListDetails(remoteState);
 
-        // Show association changes
-        if (allChanges.associationChanges.length > 0) {
-          console.log(`\n🔗 Association changes (${allChanges.associationChanges.length}):`);
-          allChanges.associationChanges.slice(0, 10).forEach(change => {
-            const place = this.db.places.findById(change.placeId);
-            const list = this.db.lists.findById(change.listId);
-            console.log(`  • ${place?.name || 'Unknown'} ↔ ${list?.name || 'Unknown'} (${change.resolution})`);
-          });
-          if (allChanges.associationChanges.length > 10) {
-            console.log(`  ... and ${allChanges.associationChanges.length - 10} more`);
-          }
-        }
-
-        // Show conflicts
-        if (allChanges.conflicts.length > 0) {
-          console.log(`\n⚠️  Conflicts (${allChanges.conflicts.length}):`);
-          allChanges.conflicts.forEach(conflict => {
-            console.log(`  • ${conflict.entity} conflict (local wins)`);
-          });
-        }
-
-        if (allChanges.notesChanges.length === 0 &&
-            allChanges.associationChanges.length === 0 &&
-            allChanges.conflicts.length === 0) {
-          console.log("✅ No changes detected - everything is in sync!");
-        }
-
-        console.log("\n⚠️  DRY-RUN: No changes were actually applied.");
-        console.log("   Run without --dry-run to apply these changes.\n");
-
-        mergeResult = {
-          applied: 0,
-          conflicts: allChanges.conflicts.length,
-          wouldApply: allChanges.notesChanges.length + allChanges.associationChanges.length
-        };
-      } else {
-        mergeResult = this.merger.applyChanges(allChanges);
-      }
-
-      // PHASE 4: PUSH - Execute pending operations (placeholder for now)
-      console.log("\n📤 PHASE 4: PUSH (Executing pending operations)");
-      console.log("-".repeat(60));
-      console.log("⚠️  Write operations not yet implemented");
-      console.log("Pending operations will be queued for future execution\n");
-
-      const pendingOps = this.db.getPendingOperations();
-      stats.operationsPushed = 0; // Will be implemented later
-      console.log(`Queued ${pendingOps.length} operations for future push`);
+      // PHASE 4: PUSH - Execute pending operations
+      const pushResult = await this.pushPendingOperations(stats);
 
       // Complete sync
       stats.status = stats.errors.length === 0 ? "success" : "partial";
@@ -231,7 +143,10 @@ class SyncOrchestrator {
       console.log(`Places pulled: ${stats.placesPulled}`);
       console.log(`Changes applied: ${mergeResult.applied}`);
       console.log(`Conflicts resolved: ${mergeResult.conflicts}`);
-      console.log(`Operations queued: ${pendingOps.length}`);
+      console.log(`Conflicts unresolved: ${mergeResult.unresolved || 0}`);
+      console.log(`Operations pushed: ${pushResult.completed}`);
+      console.log(`Operations pending: ${pushResult.pending}`);
+      console.log(`Operations failed: ${pushResult.failed}`);
       console.log(`Errors: ${stats.errors.length}`);
       console.log("=".repeat(60));
 
@@ -267,7 +182,8 @@ class SyncOrchestrator {
       console.log("-".repeat(60));
       console.log("⚠️  This may take a while...\n");
 
-      const lists = await this.scraper.getListNames();
+      const remoteLists = await this.scraper.getLists();
+      const lists = remoteLists.map(list => list.name);
       console.log(`Found ${lists.length} lists\n`);
 
       const remoteState = {};
@@ -332,107 +248,18 @@ class SyncOrchestrator {
       console.log("✅ All lists scraped successfully. Proceeding to change detection.\n");
 
       // PHASE 2-4: Same as quick sync
-      console.log("\n🔍 PHASE 2: DETECT (Comparing states)");
-      console.log("-".repeat(60));
+      const allChanges = this.detectChanges(remoteLists, remoteState, false, stats);  // full scrape: can detect deletions
 
-      const allChanges = {
-        notesChanges: [],
-        associationChanges: [],
-        conflicts: [],
-      };
+      const mergeResult = this.mergeChanges(allChanges, syncId);
+      this.saveListDetails(remoteState);
 
-      for (const [listName, remotePlaces] of Object.entries(remoteState)) {
-        try {
-          const changes = this.changeDetector.detectChangesForList(
-            listName,
-            remotePlaces,
-            false  // isIncremental = false (can detect deletions with full scrape)
-          );
-          allChanges.notesChanges.push(...changes.notesChanges);
-          allChanges.associationChanges.push(...changes.associationChanges);
-          allChanges.conflicts.push(...changes.conflicts);
-        } catch (error) {
-          console.error(
-            `  ❌ Error detecting changes for ${listName}:`,
-            error.message
-          );
-          stats.errors.push({
-            list: listName,
-            phase: "detect",
-            error: error.message,
-          });
-        }
-      }
-
-      stats.conflictsDetected = allChanges.conflicts.length;
-
-      console.log("\n🔀 PHASE 3: MERGE (Applying changes)");
-      console.log("-".repeat(60));
-
-      let mergeResult;
-      if (this.dryRun) {
-        console.log("🔍 DRY-RUN MODE: Showing what would change (no modifications)\n");
-
-        // Show notes changes
-        if (allChanges.notesChanges.length > 0) {
-          console.log(`📝 Notes changes (${allChanges.notesChanges.length}):`);
-          allChanges.notesChanges.slice(0, 10).forEach(change => {
-            const place = this.db.places.findById(change.placeId);
-            console.log(`  • ${place?.name || 'Unknown'} (${change.resolution})`);
-            if (change.localValue) console.log(`    Local:  "${change.localValue.substring(0, 50)}..."`);
-            if (change.remoteValue) console.log(`    Remote: "${change.remoteValue.substring(0, 50)}..."`);
-          });
-          if (allChanges.notesChanges.length > 10) {
-            console.log(`  ... and ${allChanges.notesChanges.length - 10} more`);
-          }
-        }
-
-        // Show association changes
-        if (allChanges.associationChanges.length > 0) {
-          console.log(`\n🔗 Association changes (${allChanges.associationChanges.length}):`);
-          allChanges.associationChanges.slice(0, 10).forEach(change => {
-            const place = this.db.places.findById(change.placeId);
-            const list = this.db.lists.findById(change.listId);
-            console.log(`  • ${place?.name || 'Unknown'} ↔ ${list?.name || 'Unknown'} (${change.resolution})`);
-          });
-          if (allChanges.associationChanges.length > 10) {
-            console.log(`  ... and ${allChanges.associationChanges.length - 10} more`);
-          }
-        }
-
-        // Show conflicts
-        if (allChanges.conflicts.length > 0) {
-          console.log(`\n⚠️  Conflicts (${allChanges.conflicts.length}):`);
-          allChanges.conflicts.forEach(conflict => {
-            console.log(`  • ${conflict.entity} conflict (local wins)`);
-          });
-        }
+      const pushResult = await this.pushPendingOperations(stats);
 
-        if (allChanges.notesChanges.length === 0 &&
-            allChanges.associationChanges.length === 0 &&
-            allChanges.conflicts.length === 0) {
-          console.log("✅ No changes detected - everything is in sync!");
-        }
-
-        console.log("\n⚠️  DRY-RUN: No changes were actually applied.");
-        console.log("   Run without --dry-run to apply these changes.\n");
-
-        mergeResult = {
-          applied: 0,
-          conflicts: allChanges.conflicts.length,
-          wouldApply: allChanges.notesChanges.length + allChanges.associationChanges.length
-        };
-      } else {
-        mergeResult = this.merger.applyChanges(allChanges);
+      // PHASE 5: DETAILS - Fill in place page details (skipped in dry-run)
+      if (this.enrichDetails && !this.dryRun) {
+        await this.enrichPlaceDetails({}, stats);
       }
 
-      console.log("\n📤 PHASE 4: PUSH (Executing pending operations)");
-      console.log("-".repeat(60));
-      console.log("⚠️  Write operations not yet implemented\n");
-
-      const pendingOps = this.db.getPendingOperations();
-      stats.operationsPushed = 0;
-
       // Complete sync
       stats.status = stats.errors.length === 0 ? "success" : "partial";
       this.db.completeSync(syncId, stats);
@@ -443,7 +270,10 @@ class SyncOrchestrator {
       console.log(`Places pulled: ${stats.placesPulled}`);
       console.log(`Changes applied: ${mergeResult.applied}`);
       console.log(`Conflicts resolved: ${mergeResult.conflicts}`);
-      console.log(`Operations queued: ${pendingOps.length}`);
+      console.log(`Conflicts unresolved: ${mergeResult.unresolved || 0}`);
+      console.log(`Operations pushed: ${pushResult.completed}`);
+      console.log(`Operations pending: ${pushResult.pending}`);
+      console.log(`Operations failed: ${pushResult.failed}`);
       console.log(`Errors: ${stats.errors.length}`);
       console.log("=".repeat(60));
 
@@ -455,6 +285,300 @@ class SyncOrchestrator {
       throw error;
     }
   }
+
+  /**
+   * PHASE 2: DETECT - Compare base vs local vs remote for lists, then for every scraped list's places
+   * List changes are applied immediately (outside dry-run) since place detection needs the lists to exist.
+   * Detection errors are recorded in stats.errors; stats.conflictsDetected is updated
+   * @param {Array} remoteLists - [{ name, google_list_id }]
+   * @param {Object} remoteState - { listName: [places] }
+   * @param {boolean} isIncremental - If true, only scraped places are checked
+   * @returns {Object} { listChanges, placeChanges, notesChanges, associationChanges, conflicts }
+   */
+  detectChanges(remoteLists, remoteState, isIncremental, stats) {
+    console.log("\n🔍 PHASE 2: DETECT (Comparing states)");
+    console.log("-".repeat(60));
+
+    const listChanges = this.changeDetector.detectListChanges(remoteLists);
+    const unknownLists = new Set();
+    console.log(`List changes: ${listChanges.length}`);
+
+    if (this.dryRun) {
+      listChanges.forEach(change => {
+        const name = change.remoteValue?.name || change.localValue?.name;
+        console.log(`  • ${name} (${change.resolution})`);
+        if (change.resolution === "create_locally" || change.resolution === "rename_locally") {
+          unknownLists.add(change.remoteValue.name);
+        }
+      });
+    } else {
+      const applied = this.merger.applyListChanges(listChanges);
+      console.log(`  ✓ Applied ${applied} list changes`);
+    }
+    console.log("");
+
+    const allChanges = {
+      listChanges,
+      placeChanges: [],
+      notesChanges: [],
+      associationChanges: [],
+      conflicts: [],
+    };
+
+    // Lists renamed locally are scraped under their old name; lists created
+    // locally aren't on Google yet, so everything in them is a local addition
+    const localNames = new Map();
+    const listsToCheck = Object.entries(remoteState);
+    listChanges.forEach(change => {
+      if (change.resolution === "push_rename") {
+        localNames.set(change.remoteValue.name, change.localValue.name);
+      } else if (change.resolution === "push_create") {
+        listsToCheck.push([change.localValue.name, []]);
+      }
+    });
+
+    for (const [listName, remotePlaces] of listsToCheck) {
+      if (unknownLists.has(listName)) {
+        console.log(`Skipping ${listName}: list doesn't exist locally yet (dry-run)`);
+        continue;
+      }
+
+      try {
+        console.log(`Detecting changes for: ${listName}`);
+        const changes = this.changeDetector.detectChangesForList(
+          localNames.get(listName) || listName,
+          remotePlaces,
+          isIncremental
+        );
+
+        allChanges.placeChanges.push(...changes.placeChanges);
+        allChanges.notesChanges.push(...changes.notesChanges);
+        allChanges.associationChanges.push(...changes.associationChanges);
+        allChanges.conflicts.push(...changes.conflicts);
+
+        console.log(
+          `  New places: ${changes.placeChanges.length}, Notes: ${changes.notesChanges.length}, Associations: ${changes.associationChanges.length}, Conflicts: ${changes.conflicts.length}`
+        );
+      } catch (error) {
+        console.error(
+          `  ❌ Error detecting changes for ${listName}:`,
+          error.message
+        );
+        stats.errors.push({
+          list: listName,
+          phase: "detect",
+          error: error.message,
+        });
+      }
+    }
+
+    if (isIncremental) {
+      const scrapedIds = new Set(Object.values(remoteState).flat().map(place => place.google_place_id));
+      const notesChanges = this.changeDetector.detectUnscrapedNotesChanges(scrapedIds);
+      if (notesChanges.length > 0) {
+        console.log(`Local notes edits beyond the scraped places: ${notesChanges.length}`);
+        allChanges.notesChanges.push(...notesChanges);
+      }
+    }
+
+    stats.conflictsDetected = allChanges.conflicts.length;
+    return allChanges;
+  }
+
+  /**
+   * PHASE 3: MERGE - Apply changes (or show preview if dry-run)
+   * @param {number} syncId - Recorded on any conflicts the merge produces
+   * @returns {Object} { applied, conflicts, wouldApply? }
+   */
+  mergeChanges(allChanges, syncId) {
+    console.log("\n🔀 PHASE 3: MERGE (Applying changes)");
+    console.log("-".repeat(60));
+
+    if (!this.dryRun) {
+      return this.merger.applyChanges(allChanges, syncId);
+    }
+
+    console.log("🔍 DRY-RUN MODE: Showing what would change (no modifications)\n");
+
+    // Show new places
+    if (allChanges.placeChanges.length > 0) {
+      console.log(`🆕 New places (${allChanges.placeChanges.length}):`);
+      allChanges.placeChanges.slice(0, 10).forEach(change => {
+        const list = this.db.lists.findById(change.listId);
+        console.log(`  • ${change.remoteValue.name} → ${list?.name || 'Unknown'} (${change.resolution})`);
+      });
+      if (allChanges.placeChanges.length > 10) {
+        console.log(`  ... and ${allChanges.placeChanges.length - 10} more`);
+      }
+    }
+
+    // Show notes changes
+    if (allChanges.notesChanges.length > 0) {
+      console.log(`\n📝 Notes changes (${allChanges.notesChanges.length}):`);
+      allChanges.notesChanges.slice(0, 10).forEach(change => {
+        const place = this.db.places.findById(change.placeId);
+        console.log(`  • ${place?.name || 'Unknown'} (${change.resolution})`);
+        if (change.localValue) console.log(`    Local:  "${change.localValue.substring(0, 50)}..."`);
+        if (change.remoteValue) console.log(`    Remote: "${change.remoteValue.substring(0, 50)}..."`);
+      });
+      if (allChanges.notesChanges.length > 10) {
+        console.log(`  ... and ${allChanges.notesChanges.length - 10} more`);
+      }
+    }
+
+    // Show association changes
+    if (allChanges.associationChanges.length > 0) {
+      console.log(`\n🔗 Association changes (${allChanges.associationChanges.length}):`);
+      allChanges.associationChanges.slice(0, 10).forEach(change => {
+        const place = this.db.places.findById(change.placeId);
+        const list = this.db.lists.findById(change.listId);
+        console.log(`  • ${place?.name || 'Unknown'} ↔ ${list?.name || 'Unknown'} (${change.resolution})`);
+      });
+      if (allChanges.associationChanges.length > 10) {
+        console.log(`  ... and ${allChanges.associationChanges.length - 10} more`);
+      }
+    }
+
+    // Show conflicts
+    if (allChanges.conflicts.length > 0) {
+      console.log(`\n⚠️  Conflicts (${allChanges.conflicts.length}):`);
+      allChanges.conflicts.forEach(conflict => {
+        const merge = conflict.entity === 'place_notes' ? this.merger.mergeNotes(conflict) : null;
+        const resolution = merge && merge.clean ? 'merged' : this.merger.resolveConflict(conflict);
+        console.log(`  • ${conflict.entity} conflict (${resolution})`);
+      });
+    }
+
+    const wouldApply = allChanges.listChanges.length +
+      allChanges.placeChanges.length +
+      allChanges.notesChanges.length +
+      allChanges.associationChanges.length;
+
+    if (wouldApply === 0 && allChanges.conflicts.length === 0) {
+      console.log("✅ No changes detected - everything is in sync!");
+    }
+
+    console.log("\n⚠️  DRY-RUN: No changes were actually applied.");
+    console.log("   Run without --dry-run to apply these changes.\n");
+
+    return {
+      applied: 0,
+      conflicts: allChanges.conflicts.length,
+      wouldApply
+    };
+  }
+
+  /**
+   * Store the category/rating/price shown in the list view on the scraped places
+   * @param {Object} remoteState - { listName: [places] }
+   */
+  saveListDetails(remoteState) {
+    if (this.dryRun) {
+      return;
+    }
+
+    for (const places of Object.values(remoteState)) {
+      for (const place of places) {
+        const local = this.db.places.findByGoogleId(place.google_place_id);
+        if (local) {
+          this.db.places.updateDetails(local.id, place);
+        }
+      }
+    }
+  }
+
+  /**
+   * DETAILS - Open the pages of places with missing or stale details and store what they show
+   * Also runs on its own (gmaps sync --details)
+   * Every attempt is recorded, so failed pages wait config.DETAILS.RETRY_HOURS; failures go in stats.errors
+   * @param {Object} options - { limit, staleDays } (defaults from config.DETAILS)
+   * @returns {Object} { enriched, failed }
+   */
+  async enrichPlaceDetails(options = {}, stats = { errors: [] }) {
+    console.log("\n🗺️  PHASE 5: DETAILS (Scraping place pages)");
+    console.log("-".repeat(60));
+
+    const places = this.db.places.findNeedingDetails({
+      staleDays: options.staleDays ?? config.DETAILS.STALE_DAYS,
+      retryHours: config.DETAILS.RETRY_HOURS,
+      limit: options.limit ?? config.DETAILS.BATCH_LIMIT
+    });
+
+    if (places.length === 0) {
+      console.log("✅ All place details are up to date");
+      return { enriched: 0, failed: 0 };
+    }
+
+    console.log(`Scraping details for ${places.length} places...`);
+    let enriched = 0;
+    let failed = 0;
+
+    for (const place of places) {
+      try {
+        this.db.places.markDetailsAttempted(place.id);
+        const details = await this.scraper.scrapePlaceDetails(place);
+        this.db.places.updateDetails(place.id, details, { enriched: true });
+        enriched++;
+        console.log(`  ✓ ${place.name}${details.address ? ` - ${details.address}` : ''}`);
+      } catch (error) {
+        failed++;
+        console.error(`  ❌ ${place.name}: ${error.message}`);
+        stats.errors.push({ phase: "details", error: `${place.name}: ${error.message}` });
+      }
+
+      await this.scraper.browser.randomDelay(config.DELAYS.BETWEEN_OPERATIONS_MIN, config.DELAYS.BETWEEN_OPERATIONS_MAX);
+    }
+
+    console.log(`\nDetails: ${enriched} updated, ${failed} failed`);
+    return { enriched, failed };
+  }
+
+  /**
+   * PHASE 4: PUSH - Execute pending operations against Google Maps
+   * Records push failures in stats.errors and the pushed count in stats.operationsPushed
+   * @returns {Object} { completed, failed, pending }
+   */
+  async pushPendingOperations(stats) {
+    console.log("\n📤 PHASE 4: PUSH (Executing pending operations)");
+    console.log("-".repeat(60));
+
+    // A push killed mid-operation leaves it in_progress, where nothing would pick it up again
+    if (!this.dryRun) {
+      const interrupted = this.db.resetInterruptedOperations();
+      if (interrupted > 0) {
+        console.log(`↩️  Re-queued ${interrupted} operations interrupted by an earlier push`);
+      }
+    }
+
+    const pendingOps = this.db.getPendingOperations();
+
+    if (this.dryRun) {
+      console.log(`🔍 DRY-RUN MODE: ${pendingOps.length} operations would be pushed`);
+      pendingOps.slice(0, 10).forEach(op => {
+        console.log(`  • #${op.id} ${op.operation_type} ${JSON.stringify(op.payload)}`);
+      });
+      if (pendingOps.length > 10) {
+        console.log(`  ... and ${pendingOps.length - 10} more`);
+      }
+      return { completed: 0, failed: 0, pending: pendingOps.length };
+    }
+
+    const result = await this.pushExecutor.executeAll(pendingOps);
+    stats.operationsPushed = result.completed;
+
+    result.errors.forEach(err => {
+      stats.errors.push({
+        phase: "push",
+        error: `${err.operationType} #${err.operationId}: ${err.error}`,
+      });
+    });
+
+    return {
+      completed: result.completed,
+      failed: result.failed,
+      pending: result.retrying,
+    };
+  }
 }
 
 module.exports = SyncOrchestrator;
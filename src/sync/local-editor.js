@@ -0,0 +1,205 @@
+const config = require('../config');
+const { normalizePlaceId } = require('./place-id');
+
+/**
+ * Local Editor - Edits places and lists in the local database
+ *
+ * Nothing is pushed from here. Edits only change local state, and the next sync's
+ * three-way merge sees them as local changes (local_change, local_add,
+ * local_remove, local_new_list, local_rename, local_delete_list) and queues the
+ * push operations itself, so a conflicting edit on Google is still caught.
+ *
+ * Quick syncs only scrape the first places of each list. For membership edits
+ * the editor therefore records what Google had when it isn't known yet, so the
+ * change detector can tell a local addition from an entry it hasn't scrolled to.
+ */
+class LocalEditor {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Find a place by "#<local id>", place ID, Google Maps URL or exact name (case-insensitive)
+   */
+  findPlace(ref) {
+    const text = String(ref).trim();
+    let place = null;
+
+    if (/^#\d+$/.test(text)) {
+      place = this.db.places.findById(Number(text.slice(1)));
+    } else {
+      place = this.db.places.findByGoogleId(text) ||
+        this.db.places.findByGoogleId(normalizePlaceId(text));
+      if (!place) {
+        const matches = this.db.places.findByName(text);
+        if (matches.length > 1) {
+          const candidates = matches.map(p => `#${p.id}`).join(', ');
+          throw new Error(`"${text}" matches ${matches.length} places (${candidates}), use #<id> instead`);
+        }
+        place = matches[0] || null;
+      }
+    }
+
+    if (!place || place.is_deleted) {
+      throw new Error(`Place not found: ${text}`);
+    }
+    return place;
+  }
+
+  /**
+   * Find a live list by name
+   */
+  findList(name) {
+    const list = this.db.lists.findByName(name);
+    if (!list || list.is_deleted) {
+      throw new Error(`List not found: ${name}`);
+    }
+    if (config.SYSTEM_LISTS.includes(list.name)) {
+      throw new Error(`"${list.name}" is managed by Google Maps and can't be edited`);
+    }
+    return list;
+  }
+
+  /**
+   * Replace a place's notes (null or '' clears them)
+   * @returns {Object} { place, notes }
+   */
+  setNotes(placeRef, notes) {
+    const place = this.findPlace(placeRef);
+    const value = notes === '' ? null : notes;
+    if (value !== null && value.length > config.NOTES.MAX_LENGTH) {
+      throw new Error(`Notes are ${value.length} characters, Google Maps allows ${config.NOTES.MAX_LENGTH}`);
+    }
+
+    this.db.getConnection().transaction(() => {
+      // Seeded notes were never synced, but they came from Google: keep them as the base,
+      // so the next sync sees a local edit rather than a conflict
+      if (this.db.lastRemoteState.getPlaceNotes(place.id) === null && place.notes) {
+        this.db.lastRemoteState.savePlaceNotes(place.id, this.db.places.hashNotes(place.notes), place.notes);
+      }
+      this.db.places.updateNotes(place.id, value);
+    })();
+    return { place, notes: value };
+  }
+
+  /**
+   * Add a place to a list
+   * @returns {Object} { place, list }
+   */
+  addToList(placeRef, listName) {
+    const place = this.findPlace(placeRef);
+    const list = this.findList(listName);
+    if (this.db.placeLists.exists(place.id, list.id)) {
+      throw new Error(`${place.name} is already in ${list.name}`);
+    }
+
+    this.db.getConnection().transaction(() => {
+      this.db.placeLists.restore(place.id, list.id);
+      // Not on Google as far as we know - a quick sync won't find it there either way
+      if (this.db.lastRemoteState.getPlaceListAssociation(place.id, list.id) === null) {
+        this.db.lastRemoteState.savePlaceListAssociation(place.id, list.id, false);
+      }
+    })();
+    return { place, list };
+  }
+
+  /**
+   * Remove a place from a list
+   * Entries Google has are soft-deleted until the removal is pushed;
+   * additions that were never pushed are simply dropped
+   * @returns {Object} { place, list }
+   */
+  removeFromList(placeRef, listName) {
+    const place = this.findPlace(placeRef);
+    const list = this.findList(listName);
+    if (!this.db.placeLists.exists(place.id, list.id)) {
+      throw new Error(`${place.name} is not in ${list.name}`);
+    }
+
+    const base = this.db.lastRemoteState.getPlaceListAssociation(place.id, list.id);
+    this.db.getConnection().transaction(() => {
+      if (base === 'not_exists') {
+        this.db.placeLists.remove(place.id, list.id);
+        return;
+      }
+      this.db.placeLists.markDeletedLocally(place.id, list.id);
+      // Seeded entries were never synced, but they came from Google
+      if (base === null) {
+        this.db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      }
+    })();
+    return { place, list };
+  }
+
+  /**
+   * Move a place from one list to another
+   * @returns {Object} { place, from, to }
+   */
+  movePlace(placeRef, fromName, toName) {
+    const from = this.findList(fromName);
+    const to = this.findList(toName);
+    if (from.id === to.id) {
+      throw new Error('Source and target list are the same');
+    }
+
+    let result;
+    this.db.getConnection().transaction(() => {
+      const { place } = this.removeFromList(placeRef, from.name);
+      this.addToList(`#${place.id}`, to.name);
+      result = { place, from, to };
+    })();
+    return result;
+  }
+
+  /**
+   * Create a list
+   * @returns {Object} The new lists row
+   */
+  createList(name) {
+    const listName = this.validateListName(name);
+    const id = this.db.lists.create(listName);
+    return this.db.lists.findById(id);
+  }
+
+  /**
+   * Rename a list
+   * @returns {Object} { list, from } - list is the updated row
+   */
+  renameList(name, newName) {
+    const list = this.findList(name);
+    const listName = this.validateListName(newName);
+
+    this.db.lists.rename(list.id, listName);
+    return { list: this.db.lists.findById(list.id), from: list.name };
+  }
+
+  /**
+   * Delete a list (its places stay in their other lists)
+   * @returns {Object} The deleted lists row
+   */
+  deleteList(name) {
+    const list = this.findList(name);
+    this.db.lists.markDeletedLocally(list.id);
+    return list;
+  }
+
+  /**
+   * Trimmed list name, if it's usable and not taken
+   */
+  validateListName(name) {
+    const listName = String(name || '').trim();
+    if (!listName) {
+      throw new Error('List name is required');
+    }
+    if (config.SYSTEM_LISTS.includes(listName)) {
+      throw new Error(`"${listName}" is reserved by Google Maps`);
+    }
+    const existing = this.db.lists.findByName(listName);
+    if (existing && !existing.is_deleted) {
+      throw new Error(`List already exists: ${listName}`);
+    }
+    return listName;
+  }
+}
+
+module.exports = LocalEditor;
@@ -1,18 +1,301 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { merge3 } = require('./text-merge');
+
+const CONFLICT_STRATEGIES = ['local_wins', 'remote_wins', 'newest_wins', 'manual'];
+const CONFLICT_ENTITIES = ['place_notes', 'place_list'];
+
 /**
  * Merger - Applies changes detected by ChangeDetector
  * Handles conflicts using configurable resolution strategies
+ *
+ * Strategies are looked up most-specific first:
+ *   per list + entity -> per list -> per entity -> default
  */
 class Merger {
   constructor(db) {
     this.db = db;
+    this.syncId = null; // sync_log row conflicts are recorded against
     this.conflictStrategy = 'local_wins'; // default strategy
+    this.entityStrategies = {};            // { place_notes: 'remote_wins' }
+    this.listStrategies = {};              // { 'Want to go': 'manual' | { place_notes: 'manual' } }
+
+    const conflictConfig = config.CONFLICTS || {};
+    if (conflictConfig.STRATEGY) {
+      this.setConflictStrategy(conflictConfig.STRATEGY);
+    }
+    for (const [entity, strategy] of Object.entries(conflictConfig.BY_ENTITY || {})) {
+      this.setConflictStrategy(strategy, { entity });
+    }
+    for (const [list, setting] of Object.entries(conflictConfig.BY_LIST || {})) {
+      if (typeof setting === 'string') {
+        this.setConflictStrategy(setting, { list });
+      } else {
+        for (const [entity, strategy] of Object.entries(setting)) {
+          this.setConflictStrategy(strategy, { list, entity });
+        }
+      }
+    }
   }
 
   /**
    * Set conflict resolution strategy
+   * @param {string} strategy - 'local_wins', 'remote_wins', 'newest_wins' or 'manual'
+   * @param {Object} scope - { entity: 'place_notes'|'place_list', list: listName } (both optional)
+   */
+  setConflictStrategy(strategy, scope = {}) {
+    if (!strategy) return;
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown conflict strategy: ${strategy} (expected one of ${CONFLICT_STRATEGIES.join(', ')})`);
+    }
+    if (scope.entity && !CONFLICT_ENTITIES.includes(scope.entity)) {
+      throw new Error(`Unknown conflict entity: ${scope.entity} (expected one of ${CONFLICT_ENTITIES.join(', ')})`);
+    }
+
+    if (scope.list) {
+      const current = this.listStrategies[scope.list];
+      const listSetting = typeof current === 'object' ? current : { default: current };
+      listSetting[scope.entity || 'default'] = strategy;
+      this.listStrategies[scope.list] = listSetting;
+    } else if (scope.entity) {
+      this.entityStrategies[scope.entity] = strategy;
+    } else {
+      this.conflictStrategy = strategy;
+    }
+  }
+
+  /**
+   * Get the configured strategy for an entity type within a list
+   */
+  getConflictStrategy(entity, listId = null) {
+    const list = listId ? this.db.lists.findById(listId) : null;
+    const listSetting = list ? this.listStrategies[list.name] : null;
+
+    return (listSetting && (listSetting[entity] || listSetting.default)) ||
+      this.entityStrategies[entity] ||
+      this.conflictStrategy;
+  }
+
+  /**
+   * Decide how a conflict is resolved: 'local_wins', 'remote_wins' or 'manual'
+   * newest_wins compares the place's last_synced with the base state's synced_at
+   */
+  resolveConflict(change) {
+    const strategy = this.getConflictStrategy(change.entity, change.listId);
+    if (strategy !== 'newest_wins') {
+      return strategy;
+    }
+
+    const place = this.db.places.findById(change.placeId);
+    const base = change.entity === 'place_notes'
+      ? this.db.lastRemoteState.find('place_notes', `place_${change.placeId}`)
+      : this.db.lastRemoteState.find('place_list_association', `place_${change.placeId}_list_${change.listId}`);
+
+    const localTime = parseTimestamp(place && place.last_synced);
+    const remoteTime = parseTimestamp(base && base.synced_at);
+    return localTime >= remoteTime ? 'local_wins' : 'remote_wins';
+  }
+
+  /**
+   * Persist a conflict with all three values
+   * Auto-resolved conflicts are stored as resolved; 'manual' ones wait for gmaps resolve
+   * @param {string} resolvedValue - Notes actually kept (defaults to the winning side)
+   */
+  recordConflict(change, resolution, resolvedValue = undefined) {
+    const isNotes = change.entity === 'place_notes';
+    const existence = exists => (exists ? 'exists' : 'not_exists');
+    const manual = resolution === 'manual';
+
+    if (isNotes && resolvedValue === undefined) {
+      resolvedValue = resolution === 'local_wins' ? change.localValue : change.remoteValue;
+    }
+
+    this.db.conflicts.record({
+      syncId: this.syncId,
+      entityType: change.entity,
+      placeId: change.placeId,
+      listId: change.listId,
+      baseValue: isNotes ? (change.baseText ?? null) : existence(change.existedInBase),
+      localValue: isNotes ? change.localValue : existence(change.existsLocal),
+      remoteValue: isNotes ? change.remoteValue : existence(change.existsRemote),
+      status: manual ? 'unresolved' : 'resolved',
+      resolution: manual ? null : resolution,
+      resolvedValue: manual || !isNotes ? null : resolvedValue
+    });
+  }
+
+  /**
+   * Three-way merge of conflicting notes against the stored base text
+   * Returns null when the base text is unknown or the result wouldn't fit in a note
+   * @param {string} favor - 'local' or 'remote' side for overlapping edits
+   */
+  mergeNotes(change, favor = undefined) {
+    if (change.baseText === undefined) {
+      return null;
+    }
+
+    const result = merge3(change.baseText, change.localValue, change.remoteValue, { favor });
+    if (result.merged.length > config.NOTES.MAX_LENGTH) {
+      return null;
+    }
+    return result;
+  }
+
+  /**
+   * Make merged notes the local value, queue a push if Google doesn't have them yet
+   */
+  saveMergedNotes(change, merged) {
+    if (merged !== change.localValue) {
+      this.db.places.updateNotes(change.placeId, merged);
+    }
+    if (merged !== change.remoteValue) {
+      this.db.addPendingOperation('update_notes', {
+        placeId: change.placeId,
+        notes: merged
+      });
+    }
+    this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(merged), merged);
+  }
+
+  /**
+   * Hash a list name for base state tracking
+   */
+  hashListName(name) {
+    return crypto.createHash('sha256').update(String(name)).digest('hex');
+  }
+
+  /**
+   * Apply a list-level change to the database
+   */
+  applyListChange(change) {
+    const remote = change.remoteValue;
+
+    switch (change.resolution) {
+      case 'create_locally': {
+        // Remote created this list - add it locally
+        this.db.lists.upsert(remote.google_list_id, remote.name);
+        const list = remote.google_list_id
+          ? this.db.lists.findByGoogleId(remote.google_list_id)
+          : this.db.lists.findByName(remote.name);
+        this.db.lastRemoteState.saveList(list.id, this.hashListName(remote.name));
+        console.log(`  ✓ Created list from remote: ${remote.name}`);
+        break;
+      }
+
+      case 'rename_locally':
+        // Remote renamed this list - follow it
+        this.db.lists.rename(change.listId, remote.name);
+        this.linkGoogleListId(change);
+        this.db.lastRemoteState.saveList(change.listId, this.hashListName(remote.name));
+        console.log(`  ✓ Renamed list from remote: ${change.localValue.name} → ${remote.name}`);
+        break;
+
+      case 'delete_locally':
+        // Remote deleted this list - mark it deleted locally
+        this.db.lists.markDeleted(change.listId);
+        this.db.lastRemoteState.saveList(change.listId, 'not_exists');
+        console.log(`  ✓ Deleted list locally: ${change.localValue.name}`);
+        break;
+
+      case 'push_create':
+        // Local created this list - queue for push to remote
+        console.log(`  → Queue create list on remote: ${change.localValue.name}`);
+        this.db.addPendingOperation('create_list', {
+          listId: change.listId,
+          name: change.localValue.name
+        });
+        this.db.lastRemoteState.saveList(change.listId, this.hashListName(change.localValue.name));
+        break;
+
+      case 'push_rename':
+        // Local renamed this list - queue for push to remote
+        console.log(`  → Queue rename list on remote: ${remote.name} → ${change.localValue.name}`);
+        this.db.addPendingOperation('rename_list', {
+          listId: change.listId,
+          from: remote.name,
+          name: change.localValue.name
+        });
+        this.linkGoogleListId(change);
+        this.db.lastRemoteState.saveList(change.listId, this.hashListName(change.localValue.name));
+        break;
+
+      case 'push_delete':
+        // Local deleted this list - queue for push to remote
+        console.log(`  → Queue delete list on remote: ${change.localValue.name}`);
+        this.db.addPendingOperation('delete_list', {
+          listId: change.listId,
+          name: remote.name
+        });
+        this.db.lastRemoteState.saveList(change.listId, 'not_exists');
+        break;
+
+      case 'already_synced':
+        // Same on both sides, just link the ID and update base
+        this.linkGoogleListId(change);
+        this.db.lastRemoteState.saveList(change.listId, this.hashListName(remote.name));
+        break;
+
+      default:
+        console.warn(`Unknown resolution strategy: ${change.resolution}`);
+    }
+  }
+
+  /**
+   * Store the remote list's Google ID on a local list that doesn't have one yet
+   */
+  linkGoogleListId(change) {
+    if (change.remoteValue.google_list_id && !change.localValue.google_list_id) {
+      this.db.lists.setGoogleId(change.listId, change.remoteValue.google_list_id);
+    }
+  }
+
+  /**
+   * Apply all list-level changes
+   * Runs before place detection, which needs every remote list to exist locally
+   * @returns {number} Number of changes applied
    */
-  setConflictStrategy(strategy) {
-    this.conflictStrategy = strategy;
+  applyListChanges(listChanges) {
+    let applied = 0;
+
+    for (const change of listChanges) {
+      try {
+        this.applyListChange(change);
+        applied++;
+      } catch (error) {
+        console.error(`  ❌ Error applying list change:`, error.message);
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Apply a place-level change to the database
+   */
+  applyPlaceChange(change) {
+    switch (change.resolution) {
+      case 'create_locally': {
+        // Remote has a place we've never seen - create it with its association and base state
+        const remote = change.remoteValue;
+        this.db.places.upsert({
+          google_place_id: change.googlePlaceId,
+          google_maps_url: remote.google_maps_url,
+          name: remote.name,
+          notes: remote.notes,
+          last_synced: new Date().toISOString()
+        });
+        const place = this.db.places.findByGoogleId(change.googlePlaceId);
+
+        this.db.placeLists.add(place.id, change.listId);
+        this.db.lastRemoteState.savePlaceNotes(place.id, this.db.places.hashNotes(remote.notes), remote.notes);
+        this.db.lastRemoteState.savePlaceListAssociation(place.id, change.listId, true);
+        console.log(`  ✓ Created place from remote: ${remote.name} (list ${change.listId})`);
+        break;
+      }
+
+      default:
+        console.warn(`Unknown resolution strategy: ${change.resolution}`);
+    }
   }
 
   /**
@@ -25,44 +308,112 @@ class Merger {
       return;
     }
 
-    switch (change.resolution) {
+    let resolution = change.resolution;
+    let merge = null;
+
+    if (change.type === 'conflict') {
+      // Edits to different lines merge cleanly; real overlaps go to the strategy
+      merge = this.mergeNotes(change);
+      resolution = merge && merge.clean ? 'merged' : this.resolveConflict(change);
+
+      if (merge && !merge.clean && resolution !== 'manual') {
+        merge = this.mergeNotes(change, resolution === 'local_wins' ? 'local' : 'remote');
+      }
+      this.recordConflict(change, resolution, merge ? merge.merged : undefined);
+    }
+
+    switch (resolution) {
       case 'keep_local':
-        // Local already has the right value, just update base state
-        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue));
+        // Local already has the right value - queue push and update base state
+        this.db.addPendingOperation('update_notes', {
+          placeId: change.placeId,
+          notes: change.localValue
+        });
+        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue), change.localValue);
         console.log(`  ✓ Kept local notes for place ${place.name}`);
         break;
 
       case 'take_remote':
         // Update local with remote value
         this.db.places.updateNotes(change.placeId, change.remoteValue);
-        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.remoteValue));
+        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.remoteValue), change.remoteValue);
         console.log(`  ✓ Updated notes from remote for place ${place.name}`);
         break;
 
+      case 'merged':
+        // Conflict: both sides edited different lines, keep both edits
+        this.saveMergedNotes(change, merge.merged);
+        console.log(`  ✓ Merged local and remote note edits for place ${place.name}`);
+        break;
+
       case 'local_wins':
-        // Conflict: local wins, but log it
-        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue));
+        // Conflict: local wins (only on overlapping lines when a merge was possible), but log it
+        if (merge) {
+          this.saveMergedNotes(change, merge.merged);
+        } else {
+          this.db.addPendingOperation('update_notes', {
+            placeId: change.placeId,
+            notes: change.localValue
+          });
+          this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue), change.localValue);
+        }
         console.log(`  ⚠️  CONFLICT: Kept local notes for place ${place.name}`);
-        console.log(`     Local: "${change.localValue}"`);
-        console.log(`     Remote: "${change.remoteValue}"`);
+        this.logNotesConflict(change, merge);
+        break;
+
+      case 'remote_wins':
+        // Conflict: remote wins (only on overlapping lines when a merge was possible), but log it
+        if (merge) {
+          this.saveMergedNotes(change, merge.merged);
+        } else {
+          this.db.places.updateNotes(change.placeId, change.remoteValue);
+          this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.remoteValue), change.remoteValue);
+        }
+        console.log(`  ⚠️  CONFLICT: Took remote notes for place ${place.name}`);
+        this.logNotesConflict(change, merge);
+        break;
+
+      case 'manual':
+        // Conflict: leave both sides and the base alone so it's detected again next sync
+        console.log(`  ⚠️  CONFLICT: Queued notes for manual resolution: ${place.name} (run gmaps resolve)`);
+        this.logNotesConflict(change, merge);
         break;
 
       case 'already_synced':
         // Both changed to same value, just update base
-        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue));
+        this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.localValue), change.localValue);
         console.log(`  ✓ Already synchronized: ${place.name}`);
         break;
 
       default:
         console.warn(`Unknown resolution strategy: ${change.resolution}`);
     }
+
+    return resolution;
+  }
+
+  /**
+   * Print both sides of a notes conflict, or the overlapping lines with conflict markers
+   */
+  logNotesConflict(change, merge) {
+    if (merge) {
+      merge.marked.split('\n').forEach(line => console.log(`     ${line}`));
+      return;
+    }
+    console.log(`     Local: "${change.localValue}"`);
+    console.log(`     Remote: "${change.remoteValue}"`);
   }
 
   /**
    * Apply an association change to the database
    */
   applyAssociationChange(change) {
-    switch (change.resolution) {
+    const resolution = change.type === 'conflict' ? this.resolveConflict(change) : change.resolution;
+    if (change.type === 'conflict') {
+      this.recordConflict(change, resolution);
+    }
+
+    switch (resolution) {
       case 'push_add':
         // Local added this - queue for push to remote
         console.log(`  → Queue add to remote: place ${change.placeId} to list ${change.listId}`);
@@ -120,33 +471,89 @@ class Merger {
         }
         break;
 
+      case 'remote_wins':
+        // Conflict: follow remote state
+        if (change.existsRemote) {
+          // Remote kept it (and edited it), local removed it - restore locally with remote notes
+          console.log(`  ⚠️  CONFLICT: Restoring remote association (place ${change.placeId} in list ${change.listId})`);
+          this.db.placeLists.restore(change.placeId, change.listId);
+          if (change.remoteNotes !== undefined) {
+            this.db.places.updateNotes(change.placeId, change.remoteNotes);
+            this.db.lastRemoteState.savePlaceNotes(change.placeId, this.db.places.hashNotes(change.remoteNotes), change.remoteNotes);
+          }
+          this.db.lastRemoteState.savePlaceListAssociation(change.placeId, change.listId, true);
+        } else {
+          // Remote removed it, local edited it - remove locally
+          console.log(`  ⚠️  CONFLICT: Accepting remote removal (place ${change.placeId} from list ${change.listId})`);
+          this.db.placeLists.remove(change.placeId, change.listId);
+          this.db.lastRemoteState.savePlaceListAssociation(change.placeId, change.listId, false);
+        }
+        break;
+
+      case 'already_synced':
+        // Both sides agree - drop a leftover soft delete and update base
+        if (!change.existsLocal) {
+          this.db.placeLists.remove(change.placeId, change.listId);
+        }
+        this.db.lastRemoteState.savePlaceListAssociation(change.placeId, change.listId, change.existsLocal);
+        break;
+
+      case 'manual':
+        // Conflict: leave both sides and the base alone so it's detected again next sync
+        console.log(`  ⚠️  CONFLICT: Queued association for manual resolution: place ${change.placeId}, list ${change.listId} (run gmaps resolve)`);
+        break;
+
       default:
         console.warn(`Unknown resolution strategy: ${change.resolution}`);
     }
+
+    return resolution;
   }
 
   /**
    * Apply all changes detected by ChangeDetector
-   * @param {Object} changes - { notesChanges, associationChanges, conflicts }
-   * @returns {Object} { applied: number, conflicts: number }
+   * @param {Object} changes - { placeChanges, notesChanges, associationChanges, conflicts }
+   * @param {number} syncId - sync_log row that detected the changes (recorded on conflicts)
+   * @returns {Object} { applied: number, conflicts: number, unresolved: number }
    */
-  applyChanges(changes) {
+  applyChanges(changes, syncId = null) {
+    this.syncId = syncId;
+
     console.log('\n📝 Applying changes...');
+    console.log(`  New places: ${changes.placeChanges.length}`);
     console.log(`  Notes changes: ${changes.notesChanges.length}`);
     console.log(`  Association changes: ${changes.associationChanges.length}`);
     console.log(`  Conflicts: ${changes.conflicts.length}`);
 
     let applied = 0;
     let conflicts = 0;
+    let unresolved = 0;
+
+    const countConflict = (change, resolution) => {
+      if (change.type !== 'conflict') return;
+      if (resolution === 'manual') {
+        unresolved++;
+      } else {
+        conflicts++;
+      }
+    };
+
+    // Apply place changes first so later changes can reference the new rows
+    for (const change of changes.placeChanges) {
+      try {
+        this.applyPlaceChange(change);
+        applied++;
+      } catch (error) {
+        console.error(`  ❌ Error applying place change:`, error.message);
+      }
+    }
 
     // Apply notes changes
     for (const change of changes.notesChanges) {
       try {
-        this.applyNotesChange(change);
+        const resolution = this.applyNotesChange(change);
         applied++;
-        if (change.type === 'conflict') {
-          conflicts++;
-        }
+        countConflict(change, resolution);
       } catch (error) {
         console.error(`  ❌ Error applying notes change:`, error.message);
       }
@@ -155,20 +562,31 @@ class Merger {
     // Apply association changes
     for (const change of changes.associationChanges) {
       try {
-        this.applyAssociationChange(change);
+        const resolution = this.applyAssociationChange(change);
         applied++;
-        if (change.type === 'conflict') {
-          conflicts++;
-        }
+        countConflict(change, resolution);
       } catch (error) {
         console.error(`  ❌ Error applying association change:`, error.message);
       }
     }
 
-    console.log(`\n✅ Applied ${applied} changes (${conflicts} conflicts resolved)`);
+    console.log(`\n✅ Applied ${applied} changes (${conflicts} conflicts resolved, ${unresolved} left for manual resolution)`);
 
-    return { applied, conflicts };
+    return { applied, conflicts, unresolved };
   }
 }
 
+/**
+ * Parse an ISO or SQLite (UTC "YYYY-MM-DD HH:MM:SS") timestamp to epoch ms; 0 when missing
+ */
+function parseTimestamp(value) {
+  if (!value) return 0;
+  const iso = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? 0 : time;
+}
+
+Merger.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES;
+Merger.CONFLICT_ENTITIES = CONFLICT_ENTITIES;
+
 module.exports = Merger;
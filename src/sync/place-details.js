@@ -0,0 +1,111 @@
+/**
+ * Place details parsing - turns the text Google Maps shows into places columns
+ *
+ * The list view shows "4.5(2,345) · Café · €€" under each place name; the place page
+ * has the address, phone, website, rating and price, and its URL carries the coordinates.
+ */
+
+const PRICE_PATTERN = /^([$€£¥₩₹]{1,4}|[$€£¥₩₹]\s?\d+[–-]\d+)$/;
+
+/**
+ * Rating from "4.5", "4,5" or "4.5 stars"
+ * @returns {number|null}
+ */
+function parseRating(text) {
+  const match = text ? String(text).match(/(?:^|[^\d])([0-5])[.,](\d)(?!\d)/) : null;
+  return match ? parseFloat(`${match[1]}.${match[2]}`) : null;
+}
+
+/**
+ * Review count from "(2,345)", "2.345 reviews" or "1 234"
+ * @returns {number|null}
+ */
+function parseReviewCount(text) {
+  const match = text ? String(text).match(/(\d[\d,.\s  ]*)/) : null;
+  if (!match) return null;
+  const count = parseInt(match[1].replace(/[^\d]/g, ''), 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+/**
+ * Coordinates from a place URL
+ * Prefers the pin ("!3d<lat>!4d<lng>") over the viewport ("@<lat>,<lng>,17z")
+ * @returns {Object|null} { latitude, longitude }
+ */
+function parseCoordinates(url) {
+  if (!url) return null;
+  const text = String(url);
+  const match = text.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/) ||
+                text.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  if (!match) return null;
+
+  const latitude = parseFloat(match[1]);
+  const longitude = parseFloat(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Rating, review count, category and price from a list entry's text
+ * @param {string} text - Entry text, e.g. "Café Sperl 4.5(2,345) · Café · €€"
+ * @param {string} name - Place name, removed before parsing
+ * @returns {Object} { rating, review_count, category, price_level } (null when not shown)
+ */
+function parseListEntry(text, name = '') {
+  const details = { rating: null, review_count: null, category: null, price_level: null };
+  if (!text) return details;
+
+  let rest = String(text);
+  if (name && rest.startsWith(name)) {
+    rest = rest.slice(name.length);
+  }
+
+  const ratingMatch = rest.match(/^\s*([0-5][.,]\d)\s*(?:\(([\d,.\s  ]+)\))?/);
+  if (ratingMatch) {
+    details.rating = parseRating(ratingMatch[1]);
+    details.review_count = ratingMatch[2] ? parseReviewCount(ratingMatch[2]) : null;
+    rest = rest.slice(ratingMatch[0].length);
+  }
+
+  const parts = rest.split(/[·•\n]/).map(part => part.trim()).filter(Boolean);
+  for (const part of parts) {
+    if (PRICE_PATTERN.test(part)) {
+      details.price_level = details.price_level || part;
+    } else if (!details.category && part.length < 60 && !/\d{3,}/.test(part)) {
+      details.category = part;
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Place page fields to places columns
+ * @param {Object} raw - Strings read from the page: { category, rating, reviews, price, address, phone, website }
+ * @param {string} url - Page URL (after Google adds the coordinates)
+ * @returns {Object} Only the fields that were found
+ */
+function parsePlaceDetails(raw, url) {
+  const details = {
+    category: raw.category ? raw.category.trim() : null,
+    rating: parseRating(raw.rating),
+    review_count: parseReviewCount(raw.reviews),
+    price_level: raw.price ? raw.price.replace(/^Price:\s*/i, '').trim() : null,
+    address: raw.address ? raw.address.replace(/^Address:\s*/i, '').trim() : null,
+    phone: raw.phone ? raw.phone.replace(/^(phone:)?tel:/i, '').replace(/^Phone:\s*/i, '').trim() : null,
+    website: raw.website ? raw.website.trim() : null,
+    ...parseCoordinates(url)
+  };
+
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== null && value !== ''));
+}
+
+module.exports = {
+  parseRating,
+  parseReviewCount,
+  parseCoordinates,
+  parseListEntry,
+  parsePlaceDetails
+};
@@ -0,0 +1,152 @@
+const { toGeoJSON } = require('../export/geojson');
+const { toKML } = require('../export/kml');
+const { toGPX } = require('../export/gpx');
+const { formatCSV } = require('../takeout/csv');
+const { fileNameForList } = require('../takeout/takeout');
+const { normalizePlaceId, buildPlaceUrl } = require('./place-id');
+
+const FORMATS = {
+  geojson: { extension: '.geojson', write: toGeoJSON },
+  kml: { extension: '.kml', write: toKML },
+  gpx: { extension: '.gpx', write: toGPX }
+};
+
+// KML folder for places in no list, when exporting everything
+const UNLISTED = 'No list';
+
+/**
+ * Place Exporter - Collects saved places for mapping tools and GPS devices
+ *
+ * Exports one list, several, or everything (every list plus places in none).
+ * Each place carries the names of all the lists it's in, not only the exported
+ * ones. Formats need a location, so places without coordinates are left out and
+ * returned separately; a full sync fills in coordinates.
+ *
+ * toTakeoutCSV() writes lists back out as Takeout "Saved" CSVs instead, which
+ * gmaps seed and gmaps import read back into the same lists, notes, tags and comments.
+ */
+class PlaceExporter {
+  /**
+   * @param {Object} db - Database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Gather lists and places
+   * @param {string[]} listNames - Lists to export; empty for everything
+   * @returns {Object} { name, lists: [{ name, places }], places, missing } - places: each located place once;
+   *   missing: places without coordinates. A place is { id, name, notes, url, latitude, longitude, lists }
+   */
+  collect(listNames = []) {
+    const lists = listNames.length > 0 ? listNames.map(name => this.findList(name)) : this.db.lists.findAll();
+    const records = new Map();
+    const record = (place) => {
+      if (!records.has(place.id)) {
+        records.set(place.id, {
+          id: place.id,
+          name: place.name,
+          notes: place.notes,
+          url: place.google_maps_url,
+          latitude: place.latitude,
+          longitude: place.longitude,
+          lists: this.db.placeLists.findListsForPlace(place.id)
+            .filter(list => !list.is_deleted)
+            .map(list => list.name)
+        });
+      }
+      return records.get(place.id);
+    };
+
+    const folders = lists.map(list => ({
+      name: list.name,
+      places: this.db.placeLists.findPlacesInList(list.id).map(record)
+    }));
+    if (listNames.length === 0) {
+      const unlisted = this.db.places.findAll().filter(place => !records.has(place.id)).map(record);
+      if (unlisted.length > 0) {
+        folders.push({ name: UNLISTED, places: unlisted });
+      }
+    }
+
+    const located = place => place.latitude !== null && place.longitude !== null;
+    const places = [...records.values()];
+    return {
+      name: lists.length === 1 && listNames.length > 0 ? lists[0].name : 'Saved places',
+      lists: folders.map(folder => ({ name: folder.name, places: folder.places.filter(located) })),
+      places: places.filter(located),
+      missing: places.filter(place => !located(place))
+    };
+  }
+
+  /**
+   * Collect and write in one of FORMATS
+   * @returns {Object} { text, collection }
+   */
+  export(format, listNames = []) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    const collection = this.collect(listNames);
+    return { text: FORMATS[format].write(collection), collection };
+  }
+
+  /**
+   * Takeout "Saved" CSVs, one per list: Title, Note, URL, Tags (the place's tags) and Comment (the entry's)
+   * File names are what Takeout would use (see fileNameForList), numbered if two lists end up the same.
+   * @param {string[]} listNames - Lists to export; empty for all of them
+   * @returns {Object} { files: [{ list, file, places, text }], skipped: [{ list, place }] }
+   *   skipped: places with neither a URL nor a place ID to build one from, which seeding would reject
+   */
+  toTakeoutCSV(listNames = []) {
+    const lists = listNames.length > 0 ? listNames.map(name => this.findList(name)) : this.db.lists.findAll();
+    const used = new Set();
+    const files = [];
+    const skipped = [];
+
+    for (const list of lists) {
+      const rows = [];
+      for (const entry of this.db.placeLists.findEntriesInList(list.id)) {
+        const url = entry.google_maps_url || buildPlaceUrl({ cid: normalizePlaceId(entry.google_place_id) });
+        if (!url) {
+          skipped.push({ list: list.name, place: entry });
+          continue;
+        }
+        rows.push({
+          Title: entry.name,
+          Note: entry.notes,
+          URL: url,
+          Tags: this.db.tags.findForPlace(entry.id).map(tag => tag.name).join(', '),
+          Comment: entry.comment
+        });
+      }
+
+      const base = fileNameForList(list.name);
+      let file = `${base}.csv`;
+      // Case-insensitive, like the file systems it may be written to
+      for (let n = 2; used.has(file.toLowerCase()); n++) {
+        file = `${base} (${n}).csv`;
+      }
+      used.add(file.toLowerCase());
+      files.push({ list: list.name, file, places: rows.length, text: formatCSV(rows) });
+    }
+
+    return { files, skipped };
+  }
+
+  /**
+   * Live list by name
+   */
+  findList(name) {
+    const list = this.db.lists.findByName(name);
+    if (!list || list.is_deleted) {
+      throw new Error(`List not found: ${name}`);
+    }
+    return list;
+  }
+}
+
+PlaceExporter.FORMATS = FORMATS;
+
+module.exports = PlaceExporter;
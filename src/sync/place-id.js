@@ -0,0 +1,83 @@
+/**
+ * Place ID normalizer - one canonical ID per place, shared by the seed and scrape paths
+ *
+ * Google identifies a place by a feature ID ("0x47d8a0b3fd4fbd1d:0x6f8ab2a3e5b0d4a1",
+ * the "!1s..." part of /maps/place/ URLs) or by its CID (decimal, "?cid=..."). The
+ * CID is the second half of the feature ID, so the canonical ID is the CID.
+ */
+
+const FEATURE_ID_PATTERN = /0x[0-9a-f]{1,16}:0x[0-9a-f]{1,16}/i;
+const CID_PATTERN = /[?&]cid=(\d+)/;
+
+/**
+ * Find a feature ID anywhere in a string (URL, jslog, data attribute)
+ * @returns {string|null} Lowercase feature ID
+ */
+function findFeatureId(text) {
+  if (!text) return null;
+  const match = String(text).match(FEATURE_ID_PATTERN);
+  return match ? match[0].toLowerCase() : null;
+}
+
+/**
+ * CID (decimal string) for a feature ID
+ */
+function featureIdToCid(featureId) {
+  const [, cidHex] = featureId.split(':');
+  return BigInt(cidHex).toString(10);
+}
+
+/**
+ * Feature ID and CID found in a string, without treating bare numbers as CIDs
+ * @returns {Object|null} { featureId, cid } - featureId is null for "?cid=" links
+ */
+function extractPlaceId(text) {
+  const featureId = findFeatureId(text);
+  if (featureId) {
+    return { featureId, cid: featureIdToCid(featureId) };
+  }
+
+  const cidMatch = text ? String(text).match(CID_PATTERN) : null;
+  return cidMatch ? { featureId: null, cid: BigInt(cidMatch[1]).toString(10) } : null;
+}
+
+/**
+ * Canonical place ID from a feature ID, CID, or a URL/string containing either
+ * @returns {string|null} CID as a decimal string, or null if none can be found
+ */
+function normalizePlaceId(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return BigInt(text).toString(10);
+  }
+
+  const ids = extractPlaceId(text);
+  return ids ? ids.cid : null;
+}
+
+/**
+ * Real place URL
+ * With a feature ID this is the /maps/place/ URL Google itself uses, otherwise a CID link
+ * @param {Object} place - { name, featureId, cid }
+ * @param {string} mapsUrl - Base Maps URL (config.BROWSER.MAPS_URL or a fixture server)
+ */
+function buildPlaceUrl({ name, featureId, cid }, mapsUrl = 'https://www.google.com/maps') {
+  if (featureId) {
+    const slug = encodeURIComponent(name || '').replace(/%20/g, '+');
+    return `${mapsUrl}/place/${slug}/data=!4m2!3m1!1s${featureId}`;
+  }
+  if (cid) {
+    return `${mapsUrl}?cid=${cid}`;
+  }
+  return null;
+}
+
+module.exports = {
+  findFeatureId,
+  featureIdToCid,
+  extractPlaceId,
+  normalizePlaceId,
+  buildPlaceUrl
+};
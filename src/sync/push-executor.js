@@ -0,0 +1,291 @@
+const config = require('../config');
+const selectors = require('../browser/selectors');
+
+/**
+ * Push Executor - Drains pending_operations against Google Maps
+ * Each operation moves pending -> in_progress -> completed, or back to
+ * pending (with backoff) / failed via Database.retryOperation()
+ */
+class PushExecutor {
+  constructor(scraper, db) {
+    this.scraper = scraper;
+    this.browser = scraper.browser;
+    this.db = db;
+  }
+
+  get page() {
+    return this.scraper.page;
+  }
+
+  /**
+   * Execute all operations that are ready to run
+   * @param {Array} operations - Defaults to db.getPendingOperations()
+   * @returns {Object} { completed, failed, retrying, errors: [] }
+   */
+  async executeAll(operations = this.db.getPendingOperations()) {
+    const result = { completed: 0, failed: 0, retrying: 0, errors: [] };
+
+    if (operations.length === 0) {
+      console.log('No pending operations');
+      return result;
+    }
+
+    console.log(`Executing ${operations.length} pending operations...`);
+
+    for (const op of operations) {
+      this.db.updateOperationStatus(op.id, 'in_progress');
+
+      try {
+        await this.execute(op);
+        this.db.updateOperationStatus(op.id, 'completed');
+        result.completed++;
+        console.log(`  ✓ #${op.id} ${op.operation_type}`);
+      } catch (error) {
+        this.db.retryOperation(op.id, error.message);
+
+        const willRetry = op.retry_count + 1 < op.max_retries;
+        if (willRetry) {
+          result.retrying++;
+        } else {
+          result.failed++;
+        }
+        result.errors.push({ operationId: op.id, operationType: op.operation_type, error: error.message });
+        console.error(`  ❌ #${op.id} ${op.operation_type}: ${error.message}${willRetry ? ' (will retry)' : ' (giving up)'}`);
+      }
+
+      await this.browser.randomDelay(config.DELAYS.BETWEEN_OPERATIONS_MIN, config.DELAYS.BETWEEN_OPERATIONS_MAX);
+    }
+
+    // Leave the page where the next pull expects it
+    await this.browser.navigateToSavedPlaces();
+
+    return result;
+  }
+
+  /**
+   * Dispatch a single operation to its handler
+   */
+  async execute(op) {
+    switch (op.operation_type) {
+      case 'add_place_to_list':
+        return this.addPlaceToList(op.payload);
+      case 'remove_place_from_list':
+        return this.removePlaceFromList(op.payload);
+      case 'update_notes':
+        return this.updateNotes(op.payload);
+      case 'create_list':
+        return this.createList(op.payload);
+      case 'rename_list':
+        return this.renameList(op.payload);
+      case 'delete_list':
+        return this.deleteList(op.payload);
+      default:
+        throw new Error(`Unknown operation type: ${op.operation_type}`);
+    }
+  }
+
+  // ============ HANDLERS ============
+
+  /**
+   * Tick the list in the place page's "Save" menu
+   */
+  async addPlaceToList({ placeId, listId }) {
+    const place = this.getPlace(placeId);
+    const list = this.getList(listId);
+
+    await this.openSaveMenu(place);
+    await this.setSaveMenuItem(list.name, true);
+  }
+
+  /**
+   * Untick the list in the place page's "Save" menu
+   */
+  async removePlaceFromList({ placeId, listId }) {
+    const place = this.getPlace(placeId);
+    const list = this.getList(listId);
+
+    await this.openSaveMenu(place);
+    await this.setSaveMenuItem(list.name, false);
+
+    // The soft-deleted row has done its job once Google agrees
+    this.db.placeLists.remove(placeId, listId);
+  }
+
+  /**
+   * Edit the note textarea shown under the place in one of its lists
+   * Google Maps saves the note when the textarea loses focus
+   */
+  async updateNotes({ placeId, notes }) {
+    const place = this.getPlace(placeId);
+    const list = this.db.placeLists.findListsForPlace(placeId).find(l => !l.is_deleted);
+    if (!list) {
+      throw new Error(`Place ${place.name} is not in any list, cannot edit its note`);
+    }
+
+    await this.browser.navigateToSavedPlaces();
+    const navigated = await this.scraper.navigateToList(list.name);
+    if (!navigated) {
+      throw new Error(`Could not navigate to list: ${list.name}`);
+    }
+
+    const textarea = await this.findNotesTextarea(place);
+    await textarea.fill(notes || '');
+    await textarea.press('Tab');
+    await this.page.waitForTimeout(config.TIMEOUTS.PUSH_ACTION);
+  }
+
+  /**
+   * Create a new list from the Saved view
+   */
+  async createList({ listId, name }) {
+    const listName = name || this.getList(listId).name;
+
+    await this.browser.navigateToSavedPlaces();
+    await this.page.click(selectors.NEW_LIST_BUTTON);
+    await this.page.waitForSelector(selectors.LIST_NAME_INPUT, { timeout: config.TIMEOUTS.PUSH_ACTION * 2 });
+    await this.page.fill(selectors.LIST_NAME_INPUT, listName);
+    await this.page.click(selectors.LIST_CREATE_BUTTON);
+    await this.page.waitForTimeout(config.TIMEOUTS.PUSH_ACTION);
+  }
+
+  /**
+   * Rename a list via its "More options" menu
+   * The list is still under its old name on Google until this runs
+   */
+  async renameList({ listId, from, name }) {
+    const listName = name || this.getList(listId).name;
+
+    await this.browser.navigateToSavedPlaces();
+    const navigated = await this.scraper.navigateToList(from);
+    if (!navigated) {
+      throw new Error(`Could not navigate to list: ${from}`);
+    }
+
+    await this.page.click(selectors.LIST_MORE_OPTIONS);
+    await this.page.click(selectors.EDIT_LIST_MENU_ITEM);
+    await this.page.waitForSelector(selectors.LIST_NAME_INPUT, { timeout: config.TIMEOUTS.PUSH_ACTION * 2 });
+    await this.page.fill(selectors.LIST_NAME_INPUT, listName);
+    await this.page.click(selectors.LIST_SAVE_BUTTON);
+    await this.page.waitForTimeout(config.TIMEOUTS.PUSH_ACTION);
+  }
+
+  /**
+   * Delete a list via its "More options" menu
+   */
+  async deleteList({ listId, name }) {
+    const listName = name || this.getList(listId).name;
+
+    await this.browser.navigateToSavedPlaces();
+    const navigated = await this.scraper.navigateToList(listName);
+    if (!navigated) {
+      throw new Error(`Could not navigate to list: ${listName}`);
+    }
+
+    await this.page.click(selectors.LIST_MORE_OPTIONS);
+    await this.page.click(selectors.DELETE_LIST_MENU_ITEM);
+    await this.page.click(selectors.DELETE_CONFIRM_BUTTON);
+    await this.page.waitForTimeout(config.TIMEOUTS.PUSH_ACTION);
+  }
+
+  // ============ HELPERS ============
+
+  getPlace(placeId) {
+    const place = this.db.places.findById(placeId);
+    if (!place) {
+      throw new Error(`Place ${placeId} not found`);
+    }
+    return place;
+  }
+
+  getList(listId) {
+    const list = this.db.lists.findById(listId);
+    if (!list) {
+      throw new Error(`List ${listId} not found`);
+    }
+    return list;
+  }
+
+  /**
+   * Open the place page and its "Save" menu
+   */
+  async openSaveMenu(place) {
+    if (!place.google_maps_url) {
+      throw new Error(`Place ${place.name} has no Google Maps URL`);
+    }
+
+    await this.page.goto(place.google_maps_url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await this.page.waitForTimeout(config.TIMEOUTS.PLACE_PAGE_LOAD);
+
+    const saveButton = await this.page.$(selectors.SAVE_BUTTON);
+    if (!saveButton) {
+      throw new Error(`Could not find Save button for place: ${place.name}`);
+    }
+    await saveButton.click();
+    await this.page.waitForSelector(selectors.SAVE_MENU_ITEM, { timeout: config.TIMEOUTS.PUSH_ACTION * 2 });
+  }
+
+  /**
+   * Check or uncheck a list in the open "Save" menu
+   */
+  async setSaveMenuItem(listName, checked) {
+    const items = await this.page.$$(selectors.SAVE_MENU_ITEM);
+
+    for (const item of items) {
+      const text = (await item.textContent()) || '';
+      if (!text.trim().startsWith(listName)) {
+        continue;
+      }
+
+      const isChecked = (await item.getAttribute('aria-checked')) === 'true';
+      if (isChecked !== checked) {
+        await item.click();
+        await this.page.waitForTimeout(config.TIMEOUTS.PUSH_ACTION);
+      }
+      await this.page.keyboard.press('Escape');
+      return;
+    }
+
+    throw new Error(`List "${listName}" not found in Save menu`);
+  }
+
+  /**
+   * Scroll the current list until the place shows up, then return its textarea
+   */
+  async findNotesTextarea(place) {
+    for (let attempt = 0; attempt < config.SCROLL.MAX_ATTEMPTS; attempt++) {
+      const buttons = await this.page.$$(selectors.PLACE_BUTTON);
+
+      for (const button of buttons) {
+        const nameElement = await button.$(selectors.PLACE_NAME);
+        const name = nameElement ? (await nameElement.textContent()).trim() : null;
+        if (name !== place.name) {
+          continue;
+        }
+
+        const container = await button.evaluateHandle(el => el.closest('div'));
+        const textarea = await container.$(selectors.NOTES_TEXTAREA) ||
+                         await container.$(selectors.NOTES_TEXTAREA_ALT);
+        if (!textarea) {
+          throw new Error(`Could not find note field for place: ${place.name}`);
+        }
+        return textarea;
+      }
+
+      const before = buttons.length;
+      await this.page.evaluate((feedSelector) => {
+        const feed = document.querySelector(feedSelector);
+        if (feed) feed.scrollTop = feed.scrollHeight;
+      }, selectors.SCROLLABLE_FEED);
+      await this.browser.randomDelay(config.DELAYS.SCROLL_MIN, config.DELAYS.SCROLL_MAX);
+
+      const after = (await this.page.$$(selectors.PLACE_BUTTON)).length;
+      if (after === before) {
+        break;
+      }
+    }
+
+    throw new Error(`Could not find place in list: ${place.name}`);
+  }
+}
+
+module.exports = PushExecutor;
@@ -1,5 +1,7 @@
 const config = require('../config');
 const selectors = require('../browser/selectors');
+const { extractPlaceId, buildPlaceUrl } = require('./place-id');
+const { parseListEntry, parsePlaceDetails } = require('./place-details');
 
 class GoogleMapsScraper {
   constructor(browserManager, database) {
@@ -10,11 +12,12 @@ class GoogleMapsScraper {
 
 
   /**
-   * Get all list names from the saved places page
+   * Get all lists from the saved places page
    * Excludes shared lists (under "Lists you saved" section) and system lists
+   * @returns {Array} [{ name, google_list_id }] - google_list_id is null when the button has no jslog metadata
    */
-  async getListNames() {
-    console.log('Fetching list names...');
+  async getLists() {
+    console.log('Fetching lists...');
 
     // Wait for lists to load
     await this.page.waitForTimeout(config.TIMEOUTS.LISTS_LOAD);
@@ -47,25 +50,41 @@ class GoogleMapsScraper {
           }
 
           const nameElement = button.querySelector('div.Io6YTe.fontBodyLarge');
-          return nameElement ? nameElement.textContent.trim() : null;
+          if (!nameElement) {
+            return null;
+          }
+
+          // Stable list ID from the button's jslog metadata, if Google provides one
+          const jslogAttr = button.getAttribute('jslog') || '';
+          const listId = jslogAttr.match(/metadata:\[([^\]]+)\]/)?.[1] || null;
+
+          return { name: nameElement.textContent.trim(), google_list_id: listId };
         })
         .filter(Boolean);
     }, sharedListsStartIndex);
 
     // Filter out system lists
-    const filteredLists = lists.filter(name => !config.SYSTEM_LISTS.includes(name));
+    const filteredLists = lists.filter(list => !config.SYSTEM_LISTS.includes(list.name));
 
     console.log(`Found ${filteredLists.length} lists (excluding ${lists.length - filteredLists.length} shared/system lists)`);
     return filteredLists;
   }
 
+  /**
+   * Get all list names from the saved places page
+   */
+  async getListNames() {
+    const lists = await this.getLists();
+    return lists.map(list => list.name);
+  }
+
   /**
    * Navigate back to the main Saved Places list view
    */
   async navigateBackToLists() {
     // Click the back button or navigate to saved places URL
     try {
-      const backButton = await this.page.$('button[aria-label="Back"]');
+      const backButton = await this.page.$(selectors.BACK_BUTTON);
       if (backButton) {
         await backButton.click();
         await this.page.waitForTimeout(config.TIMEOUTS.BACK_NAVIGATION);
@@ -113,6 +132,7 @@ class GoogleMapsScraper {
     console.log(`Scraping places from current list (limit: ${limit || 'none'})...`);
 
     const places = [];
+    const resolvedByEntry = new Map(); // Entries whose ID needed a click, so each is only clicked once
     let scrollAttempts = 0;
     const maxScrollAttempts = limit
       ? Math.ceil(limit / config.SCROLL.ITEMS_PER_SCROLL)
@@ -122,7 +142,7 @@ class GoogleMapsScraper {
     // All real places have buttons with jsaction containing "pane.wfvdle" and jslog with metadata
     while (scrollAttempts < maxScrollAttempts) {
       // Get currently visible places
-      const newPlaces = await this.page.$$eval('button[jsaction*="pane.wfvdle"][jslog*="metadata"]', (buttons) => {
+      const entries = await this.page.$$eval('button[jsaction*="pane.wfvdle"][jslog*="metadata"]', (buttons) => {
         return buttons.map((placeButton, index) => {
           try {
             // Additional filter: must have jslog with metadata (real places)
@@ -163,13 +183,6 @@ class GoogleMapsScraper {
               return null;
             }
 
-            // Generate a unique ID from the button's jslog metadata
-            const placeId = jslogAttr.match(/metadata:\[([^\]]+)\]/)?.[1] || `place_${index}_${name.replace(/\s+/g, '_')}`;
-
-            // Try to extract URL from button onclick or jsaction
-            // For now, we'll construct it from the place name as a fallback
-            const url = `https://www.google.com/maps/search/${encodeURIComponent(name)}`;
-
             // Get notes from textarea - use stable aria-label attribute
             const container = placeButton.closest('div');
             const notesElement = container?.querySelector('textarea[aria-label="Note"]') ||
@@ -177,12 +190,30 @@ class GoogleMapsScraper {
                                 container?.querySelector('textarea');
             const notes = notesElement ? notesElement.value.trim() : null;
 
-            return {
-              google_place_id: placeId,
-              google_maps_url: url,
-              name,
-              notes
-            };
+            // Everything that may carry the feature ID or CID: the jslog (its metadata
+            // is sometimes base64-encoded), data attributes and links in the entry
+            const idSources = [jslogAttr];
+            const metadata = jslogAttr.match(/metadata:\[([^\]]+)\]/)?.[1];
+            if (metadata) {
+              try {
+                idSources.push(atob(metadata.replace(/-/g, '+').replace(/_/g, '/')));
+              } catch (error) {
+                // Not base64
+              }
+            }
+            const elements = [placeButton, ...(container ? container.querySelectorAll('[data-item-id], a[href]') : [])];
+            for (const element of elements) {
+              for (const attr of element.attributes) {
+                if (attr.name.startsWith('data-') || attr.name === 'href') {
+                  idSources.push(attr.value);
+                }
+              }
+            }
+
+            // Rating, review count, category and price shown under the name
+            const summary = (placeButton.innerText || placeButton.textContent || '').trim();
+
+            return { index, name, notes, summary, idSources };
           } catch (error) {
             return null;
           }
@@ -190,7 +221,11 @@ class GoogleMapsScraper {
       });
 
       // Add new places that we haven't seen yet
-      for (const place of newPlaces) {
+      for (const entry of entries) {
+        const place = await this.resolvePlace(entry, resolvedByEntry);
+        if (!place) {
+          continue;
+        }
         if (!places.find(p => p.google_place_id === place.google_place_id)) {
           places.push(place);
           if (limit && places.length >= limit) {
@@ -242,6 +277,95 @@ class GoogleMapsScraper {
     return places;
   }
 
+  /**
+   * Turn a scraped list entry into a place with its canonical ID and real URL
+   * Falls back to opening the place when the entry itself doesn't carry an ID. Opened IDs are
+   * remembered per entry (position and name), not per name: two branches of a chain share a name
+   * @returns {Object|null} { google_place_id, google_maps_url, name, notes, category, rating, ... } or null if unresolvable
+   */
+  async resolvePlace(entry, resolvedByEntry = new Map()) {
+    const key = `${entry.index}:${entry.name}`;
+    let ids = entry.idSources.map(extractPlaceId).find(Boolean) || resolvedByEntry.get(key);
+
+    if (!ids) {
+      ids = await this.resolvePlaceByOpening(entry);
+      if (!ids) {
+        console.warn(`  ⚠️  Could not resolve a place ID for ${entry.name}, skipping`);
+        return null;
+      }
+      resolvedByEntry.set(key, ids);
+    }
+
+    return {
+      google_place_id: ids.cid,
+      google_maps_url: buildPlaceUrl({ name: entry.name, ...ids }, this.browser.mapsUrl),
+      name: entry.name,
+      notes: entry.notes,
+      ...parseListEntry(entry.summary, entry.name)
+    };
+  }
+
+  /**
+   * Click a list entry, read the feature ID from the /maps/place/ URL, then go back to the list
+   * @returns {Object|null} { featureId, cid }
+   */
+  async resolvePlaceByOpening(entry) {
+    const buttons = await this.page.$$(selectors.PLACE_BUTTON);
+    const button = buttons[entry.index];
+    if (!button) {
+      return null;
+    }
+
+    try {
+      await button.click();
+      await this.page.waitForURL(/\/maps\/place\//, { timeout: config.TIMEOUTS.PLACE_PAGE_LOAD });
+      return extractPlaceId(this.page.url());
+    } catch (error) {
+      return null;
+    } finally {
+      const backButton = await this.page.$(selectors.BACK_BUTTON);
+      if (backButton && this.page.url().includes('/maps/place/')) {
+        await backButton.click();
+        await this.page.waitForTimeout(config.TIMEOUTS.BACK_NAVIGATION);
+      }
+    }
+  }
+
+  /**
+   * Open a place page and read its details
+   * @param {Object} place - Place row (needs google_maps_url)
+   * @returns {Object} Detail fields that were found (address, latitude, longitude, phone, ...)
+   */
+  async scrapePlaceDetails(place) {
+    if (!place.google_maps_url) {
+      throw new Error(`Place ${place.name} has no Google Maps URL`);
+    }
+
+    await this.page.goto(place.google_maps_url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await this.page.waitForSelector('h1', { timeout: config.TIMEOUTS.PLACE_PAGE_LOAD });
+    // Google rewrites the URL with "@lat,lng" once the map has moved to the place
+    await this.page.waitForURL(/@-?\d/, { timeout: config.TIMEOUTS.PLACE_PAGE_LOAD }).catch(() => {});
+
+    const raw = await this.page.evaluate((s) => {
+      const read = (selector, attribute) => {
+        const element = document.querySelector(selector);
+        if (!element) return null;
+        return attribute ? element.getAttribute(attribute) : element.textContent.trim();
+      };
+      return {
+        category: read(s.PLACE_CATEGORY),
+        rating: read(s.PLACE_RATING, 'aria-label'),
+        reviews: read(s.PLACE_REVIEWS, 'aria-label'),
+        price: read(s.PLACE_PRICE, 'aria-label') || read(s.PLACE_PRICE),
+        address: read(s.PLACE_ADDRESS, 'aria-label') || read(s.PLACE_ADDRESS),
+        phone: read(s.PLACE_PHONE, 'data-item-id'),
+        website: read(s.PLACE_WEBSITE, 'href')
+      };
+    }, selectors);
+
+    return parsePlaceDetails(raw, this.page.url());
+  }
+
   /**
    * Sync a specific list to database
    */
@@ -277,6 +401,7 @@ class GoogleMapsScraper {
         // Repository automatically calculates notes_hash
         this.db.places.upsert(placeData);
         const dbPlace = this.db.places.findByGoogleId(place.google_place_id);
+        this.db.places.updateDetails(dbPlace.id, place);
 
         // Associate place with list
         this.db.placeLists.add(dbPlace.id, list.id);
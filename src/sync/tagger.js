@@ -0,0 +1,158 @@
+const config = require('../config');
+const LocalEditor = require('./local-editor');
+const { splitTags, findHashtags, formatHashtags } = require('./tags');
+
+// A notes line made only of hashtags, where toNotes() adds more
+const HASHTAG_LINE = /^#[\p{L}\p{N}_-]+(\s+#[\p{L}\p{N}_-]+)*$/u;
+
+/**
+ * Tagger - Tags places, finds them by tag and moves tags between notes and place_tags
+ *
+ * Tags are local only: Google Maps has no tags, just the Tags column of a Takeout
+ * export. Writing them into notes as hashtags (toNotes) is what makes them visible
+ * on Google; that's an ordinary notes edit, pushed by the next sync.
+ */
+class Tagger {
+  /**
+   * @param {Object} db - Database
+   */
+  constructor(db) {
+    this.db = db;
+    this.editor = new LocalEditor(db);
+  }
+
+  /**
+   * Tag a place
+   * @param {string|string[]} tags - Names, or one comma-separated string
+   * @returns {Object} { place, added, tags } - added: tags it didn't have; tags: all of them now
+   */
+  tag(placeRef, tags) {
+    const place = this.editor.findPlace(placeRef);
+    const names = requireTags(tags);
+    const added = this.db.tags.addToPlace(place.id, names, 'manual');
+    return { place, added, tags: this.tagsOf(place.id) };
+  }
+
+  /**
+   * Untag a place
+   * @returns {Object} { place, removed, inNotes, tags } - inNotes: removed tags still written as
+   *   hashtags in its notes (tags --from-notes would bring them back)
+   */
+  untag(placeRef, tags) {
+    const place = this.editor.findPlace(placeRef);
+    const names = requireTags(tags);
+    const removed = this.db.tags.removeFromPlace(place.id, names);
+    const hashtags = findHashtags(place.notes);
+    return {
+      place,
+      removed,
+      inNotes: removed.filter(name => hashtags.includes(name)),
+      tags: this.tagsOf(place.id)
+    };
+  }
+
+  /**
+   * Places by tag combination
+   * @param {Object} query - { all, any, none }, each names or a comma-separated string
+   */
+  find(query) {
+    const all = splitTags(query.all);
+    const any = splitTags(query.any);
+    const none = splitTags(query.none);
+    if (all.length + any.length + none.length === 0) {
+      throw new Error('No tags given');
+    }
+    return this.db.tags.findPlaces({ all, any, none });
+  }
+
+  /**
+   * Tag places with the hashtags in their notes
+   * @param {Object} options - { dryRun }
+   * @returns {Array} [{ place, tags }] - only places that get new tags
+   */
+  fromNotes(options = {}) {
+    const changes = [];
+    for (const place of this.db.places.findAll()) {
+      const current = this.tagsOf(place.id);
+      const tags = findHashtags(place.notes).filter(tag => !current.includes(tag));
+      if (tags.length > 0) {
+        changes.push({ place, tags });
+      }
+    }
+
+    if (!options.dryRun) {
+      this.db.getConnection().transaction(() => {
+        changes.forEach(({ place, tags }) => this.db.tags.addToPlace(place.id, tags, 'notes'));
+      })();
+    }
+    return changes;
+  }
+
+  /**
+   * Write tags into notes as hashtags, so they show on Google Maps after the next sync
+   * Missing hashtags go on the last line if it's only hashtags, otherwise on a new line.
+   * @param {Object} options - { tags, dryRun } - tags: only write these (default all)
+   * @returns {Object} { updated: [{ place, hashtags, notes }], skipped: [{ place, reason }] }
+   */
+  toNotes(options = {}) {
+    const only = splitTags(options.tags);
+    const updated = [];
+    const skipped = [];
+
+    for (const place of this.db.places.findAll()) {
+      const written = findHashtags(place.notes);
+      const hashtags = this.tagsOf(place.id)
+        .filter(tag => (only.length === 0 || only.includes(tag)) && !written.includes(tag));
+      if (hashtags.length === 0) continue;
+
+      const notes = appendHashtags(place.notes, hashtags);
+      if (notes.length > config.NOTES.MAX_LENGTH) {
+        skipped.push({ place, reason: `Notes would be ${notes.length} characters, Google Maps allows ${config.NOTES.MAX_LENGTH}` });
+        continue;
+      }
+      updated.push({ place, hashtags, notes });
+    }
+
+    if (!options.dryRun) {
+      this.db.getConnection().transaction(() => {
+        updated.forEach(({ place, notes }) => this.editor.setNotes(`#${place.id}`, notes));
+      })();
+    }
+    return { updated, skipped };
+  }
+
+  /**
+   * A place's tag names
+   */
+  tagsOf(placeId) {
+    return this.db.tags.findForPlace(placeId).map(tag => tag.name);
+  }
+}
+
+/**
+ * Normalized names, or an error if none are left
+ */
+function requireTags(tags) {
+  const names = splitTags(tags);
+  if (names.length === 0) {
+    throw new Error('No tags given');
+  }
+  return names;
+}
+
+/**
+ * Notes with hashtags added to a trailing hashtag line, or on a line of their own
+ */
+function appendHashtags(notes, tags) {
+  const text = formatHashtags(tags);
+  if (!notes) return text;
+
+  const lines = notes.replace(/\s+$/, '').split('\n');
+  if (HASHTAG_LINE.test(lines[lines.length - 1].trim())) {
+    lines[lines.length - 1] = `${lines[lines.length - 1].trim()} ${text}`;
+    return lines.join('\n');
+  }
+  return `${lines.join('\n')}\n${text}`;
+}
+
+module.exports = Tagger;
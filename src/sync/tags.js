@@ -0,0 +1,63 @@
+/**
+ * Tag names - one spelling per tag, shared by Takeout's Tags column, hashtags in notes and the commands
+ *
+ * Tags are lowercase words of letters, digits, "_" and "-"; anything else (spaces,
+ * "&", "/") becomes a single "-", so "Kid friendly" and "#kid-friendly" are the same
+ * tag and every tag can be written back into notes as a hashtag.
+ */
+
+const HASHTAG_PATTERN = /(^|[\s([{,;])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+
+/**
+ * Canonical tag name ('' when nothing is left)
+ */
+function normalizeTag(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_-]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Tags from a comma-separated list such as Takeout's "brunch, kid friendly"
+ * Also takes an array of such strings; empty and repeated tags are dropped
+ * @returns {string[]}
+ */
+function splitTags(text) {
+  if (!text) return [];
+  const parts = (Array.isArray(text) ? text : [text]).flatMap(part => String(part).split(','));
+  return [...new Set(parts.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Hashtags in notes, e.g. "Great pancakes #brunch #kid-friendly"
+ * Needs a letter, so "#1 ramen in town" isn't a tag; "#" inside words and URLs is ignored
+ * @returns {string[]}
+ */
+function findHashtags(notes) {
+  if (!notes) return [];
+  const tags = [];
+  for (const match of String(notes).matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeTag(match[2]);
+    if (/\p{L}/u.test(tag) && !tags.includes(tag)) {
+      tags.push(tag);
+    }
+  }
+  return tags;
+}
+
+/**
+ * "#brunch #kid-friendly"
+ */
+function formatHashtags(tags) {
+  return tags.map(tag => `#${tag}`).join(' ');
+}
+
+module.exports = {
+  normalizeTag,
+  splitTags,
+  findHashtags,
+  formatHashtags
+};
@@ -0,0 +1,206 @@
+const { normalizePlaceId } = require('./place-id');
+const { splitTags } = require('./tags');
+
+/**
+ * Takeout Importer - Merges a Google Takeout export into the database
+ *
+ * Places are matched by canonical place ID, so an export of places that were
+ * seeded or synced before updates them instead of adding copies. Takeout is a
+ * snapshot of Google's side, which may be older than local edits: it only adds
+ * list entries and fills in notes, address and coordinates that are missing,
+ * never overwrites them. The CSVs' Tags and Comment are only known from Takeout
+ * and are replaced; their tags are added to the place's tags, which are local and
+ * never removed by an import. Places deleted locally are left deleted.
+ */
+class TakeoutImporter {
+  /**
+   * @param {Object} db - Database
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * What importing would change, without writing anything
+   * @param {Array} collections - From readTakeout(): [{ file, name, places }]
+   * @returns {Array} [{ file, name, rejected, entries }] - entries: [{ record, googlePlaceId, status, changes }]
+   *   status is 'new', 'updated', 'unchanged' or 'skipped' (deleted locally);
+   *   changes lists 'list', 'notes', 'tags', 'comment', 'address', 'coordinates' and 'restored' (deleted on Google before)
+   */
+  plan(collections) {
+    const seen = new Map();
+    return collections.map(collection => {
+      const list = this.findList(collection.name);
+      return {
+        file: collection.file,
+        name: collection.name,
+        rejected: collection.rejected || [],
+        entries: collection.places.map(record => this.planEntry(record, collection.name, list, seen))
+      };
+    });
+  }
+
+  /**
+   * Write a plan
+   * @returns {Object} Same counts as summarize()
+   */
+  apply(plan) {
+    const created = new Set();
+
+    this.db.getConnection().transaction(() => {
+      for (const collection of plan) {
+        const pending = collection.entries.filter(entry => entry.status === 'new' || entry.status === 'updated');
+        if (pending.length === 0) continue;
+
+        this.db.lists.upsert(collection.name);
+        const list = this.db.lists.findByName(collection.name);
+
+        for (const { record, googlePlaceId, changes } of pending) {
+          let place = this.db.places.findByGoogleId(googlePlaceId);
+          if (!place) {
+            this.db.places.upsert({
+              google_place_id: googlePlaceId,
+              google_maps_url: record.url,
+              name: record.name,
+              notes: record.notes,
+              last_synced: new Date().toISOString()
+            });
+            place = this.db.places.findByGoogleId(googlePlaceId);
+            created.add(place.id);
+          }
+
+          if (changes.includes('restored')) {
+            this.db.places.restore(place.id);
+          }
+          if (changes.includes('notes') && place.notes !== record.notes) {
+            this.db.places.updateNotes(place.id, record.notes);
+          }
+          this.db.places.updateDetails(place.id, {
+            address: changes.includes('address') ? record.address : null,
+            latitude: changes.includes('coordinates') ? record.latitude : null,
+            longitude: changes.includes('coordinates') ? record.longitude : null
+          });
+          if (changes.includes('list')) {
+            this.db.placeLists.add(place.id, list.id, record.date);
+          }
+          if (['list', 'tags', 'comment'].some(change => changes.includes(change))) {
+            this.db.placeLists.setTagsAndComment(place.id, list.id, record.tags, record.comment);
+            this.db.tags.addToPlace(place.id, splitTags(record.tags), 'takeout');
+          }
+          // Saved long ago: gmaps cleanup --untouched-since should see the original date
+          if (created.has(place.id) && record.date) {
+            this.db.places.setTouchedAt(place.id, record.date);
+          }
+        }
+      }
+    })();
+
+    return this.summarize(plan);
+  }
+
+  /**
+   * Counts per list and over distinct places
+   * @returns {Object} { lists: [{ file, name, new, updated, unchanged, skipped, rejected }], places: { new, updated, unchanged, skipped } }
+   *   rejected counts CSV rows that couldn't be read
+   */
+  summarize(plan) {
+    const byPlace = new Map();
+    const rank = { new: 3, updated: 2, skipped: 1, unchanged: 0 };
+
+    const lists = plan.map(collection => {
+      const counts = {
+        file: collection.file,
+        name: collection.name,
+        new: 0,
+        updated: 0,
+        unchanged: 0,
+        skipped: 0,
+        rejected: collection.rejected.length
+      };
+      for (const entry of collection.entries) {
+        counts[entry.status]++;
+        const previous = byPlace.get(entry.googlePlaceId);
+        if (!previous || rank[entry.status] > rank[previous]) {
+          byPlace.set(entry.googlePlaceId, entry.status);
+        }
+      }
+      return counts;
+    });
+
+    const places = { new: 0, updated: 0, unchanged: 0, skipped: 0 };
+    byPlace.forEach(status => places[status]++);
+    return { lists, places };
+  }
+
+  /**
+   * Compare one exported place with the database and the entries planned before it
+   */
+  planEntry(record, listName, list, seen) {
+    // Same canonical ID the scraper uses; keep the URL itself if it carries no place ID
+    const googlePlaceId = normalizePlaceId(record.url) || record.url;
+
+    if (!seen.has(googlePlaceId)) {
+      const row = this.db.places.findByGoogleId(googlePlaceId) || null;
+      seen.set(googlePlaceId, {
+        row,
+        restored: false,
+        notes: row ? row.notes : null,
+        address: row ? row.address : null,
+        latitude: row ? row.latitude : null,
+        lists: new Set()
+      });
+    }
+    const state = seen.get(googlePlaceId);
+    const entry = { record, googlePlaceId, status: 'unchanged', changes: [] };
+
+    if (state.row && state.row.deleted_locally) {
+      entry.status = 'skipped';
+      return entry;
+    }
+
+    if (state.row && state.row.is_deleted && !state.restored) {
+      entry.changes.push('restored');
+      state.restored = true;
+    }
+    const association = list && state.row ? this.db.placeLists.find(state.row.id, list.id) : null;
+    if (!state.lists.has(listName) && !association) {
+      entry.changes.push('list');
+    }
+    state.lists.add(listName);
+
+    // Only Takeout has these, so it's always right about them
+    if (association && (record.tags || null) !== association.tags) {
+      entry.changes.push('tags');
+    }
+    if (association && (record.comment || null) !== association.comment) {
+      entry.changes.push('comment');
+    }
+
+    if (!state.notes && record.notes) {
+      entry.changes.push('notes');
+      state.notes = record.notes;
+    }
+    if (!state.address && record.address) {
+      entry.changes.push('address');
+      state.address = record.address;
+    }
+    if (state.latitude === null && record.latitude !== null) {
+      entry.changes.push('coordinates');
+      state.latitude = record.latitude;
+    }
+
+    if (!state.row) entry.status = 'new';
+    else if (entry.changes.length > 0) entry.status = 'updated';
+    return entry;
+  }
+
+  /**
+   * Live list by name
+   */
+  findList(name) {
+    const list = this.db.lists.findByName(name);
+    return list && !list.is_deleted ? list : null;
+  }
+}
+
+module.exports = TakeoutImporter;
@@ -0,0 +1,184 @@
+/**
+ * Text Merge - Line-level three-way (diff3) merge for place notes
+ *
+ * Edits from each side are computed as hunks against the base. Hunks that
+ * touch different base lines are applied together; hunks that overlap (or
+ * insert at the same spot) with different results are conflicts.
+ */
+
+const MARKER_LOCAL = '<<<<<<< local';
+const MARKER_SEPARATOR = '=======';
+const MARKER_REMOTE = '>>>>>>> remote';
+
+/**
+ * Split text into lines (null/empty -> no lines)
+ */
+function splitLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  return String(text).split('\n');
+}
+
+/**
+ * Compute the edits that turn `base` into `other`
+ * @returns {Array} [{ baseStart, baseEnd, lines }] - replace base[baseStart, baseEnd) with lines
+ */
+function diffHunks(base, other) {
+  const n = base.length;
+  const m = other.length;
+
+  // LCS lengths of every suffix pair (notes are capped at 4000 chars, so this stays small)
+  const lcs = Array.from({ length: n + 1 }, () => new Int32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = base[i] === other[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let current = null;
+  let i = 0;
+  let j = 0;
+
+  while (i < n || j < m) {
+    if (i < n && j < m && base[i] === other[j]) {
+      if (current) hunks.push(current);
+      current = null;
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      // Line inserted in other
+      current = current || { baseStart: i, baseEnd: i, lines: [] };
+      current.lines.push(other[j]);
+      j++;
+    } else {
+      // Base line deleted in other
+      current = current || { baseStart: i, baseEnd: i, lines: [] };
+      current.baseEnd = i + 1;
+      i++;
+    }
+  }
+  if (current) hunks.push(current);
+
+  return hunks;
+}
+
+/**
+ * Apply one side's hunks to base[start, end)
+ */
+function applyHunks(base, start, end, hunks) {
+  const lines = [];
+  let pos = start;
+
+  for (const hunk of hunks) {
+    lines.push(...base.slice(pos, hunk.baseStart), ...hunk.lines);
+    pos = hunk.baseEnd;
+  }
+  lines.push(...base.slice(pos, end));
+
+  return lines;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge
+ * @param {string} base - Notes at last sync
+ * @param {string} local - Current local notes
+ * @param {string} remote - Current remote notes
+ * @param {Object} options - { favor: 'local'|'remote' } picks a side for overlapping hunks;
+ *                           without it, overlaps are written with conflict markers
+ * @returns {Object} { merged, clean, conflicts: [{ base, local, remote }], marked }
+ *   marked is the merge with conflict markers around every overlap
+ */
+function merge3(base, local, remote, options = {}) {
+  const baseLines = splitLines(base);
+  const localHunks = diffHunks(baseLines, splitLines(local)).map(h => ({ ...h, side: 'local' }));
+  const remoteHunks = diffHunks(baseLines, splitLines(remote)).map(h => ({ ...h, side: 'remote' }));
+
+  const hunks = [...localHunks, ...remoteHunks]
+    .sort((a, b) => a.baseStart - b.baseStart || (a.side === 'local' ? -1 : 1));
+
+  const merged = [];
+  const marked = [];
+  const conflicts = [];
+  let pos = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    // Group hunks whose base ranges overlap or that insert at the same position
+    const group = [hunks[i]];
+    const start = hunks[i].baseStart;
+    let end = hunks[i].baseEnd;
+    i++;
+
+    while (i < hunks.length && (hunks[i].baseStart < end || hunks[i].baseStart === start)) {
+      group.push(hunks[i]);
+      end = Math.max(end, hunks[i].baseEnd);
+      i++;
+    }
+
+    const unchanged = baseLines.slice(pos, start);
+    merged.push(...unchanged);
+    marked.push(...unchanged);
+    pos = end;
+
+    const localRegion = applyHunks(baseLines, start, end, group.filter(h => h.side === 'local'));
+    const remoteRegion = applyHunks(baseLines, start, end, group.filter(h => h.side === 'remote'));
+    const sides = new Set(group.map(h => h.side));
+
+    if (sides.size === 1 || sameLines(localRegion, remoteRegion)) {
+      const region = sides.has('local') ? localRegion : remoteRegion;
+      merged.push(...region);
+      marked.push(...region);
+      continue;
+    }
+
+    conflicts.push({
+      base: baseLines.slice(start, end).join('\n'),
+      local: localRegion.join('\n'),
+      remote: remoteRegion.join('\n')
+    });
+
+    const markedRegion = [MARKER_LOCAL, ...localRegion, MARKER_SEPARATOR, ...remoteRegion, MARKER_REMOTE];
+    marked.push(...markedRegion);
+
+    if (options.favor === 'local') {
+      merged.push(...localRegion);
+    } else if (options.favor === 'remote') {
+      merged.push(...remoteRegion);
+    } else {
+      merged.push(...markedRegion);
+    }
+  }
+
+  const tail = baseLines.slice(pos);
+  merged.push(...tail);
+  marked.push(...tail);
+
+  return {
+    merged: merged.join('\n'),
+    clean: conflicts.length === 0,
+    conflicts,
+    marked: marked.join('\n')
+  };
+}
+
+/**
+ * Whether text still contains conflict markers
+ */
+function hasConflictMarkers(text) {
+  return /^(<{7}|={7}|>{7})( |$)/m.test(text || '');
+}
+
+module.exports = {
+  merge3,
+  diffHunks,
+  hasConflictMarkers,
+  MARKER_LOCAL,
+  MARKER_SEPARATOR,
+  MARKER_REMOTE
+};
@@ -0,0 +1,216 @@
+const { StringDecoder } = require('string_decoder');
+
+// Columns of a Takeout "Saved" CSV
+const TAKEOUT_HEADER = ['Title', 'Note', 'URL', 'Tags', 'Comment'];
+
+/**
+ * CSV Parser - Streaming RFC 4180 parser
+ *
+ * Text can be written in chunks of any size (strings or Buffers, split anywhere,
+ * even inside a UTF-8 character); each record is passed to onRecord as soon as
+ * it's complete. Quoted fields may contain commas, line breaks and "" escapes.
+ * Records end at CRLF, LF or CR; line breaks inside quoted fields become \n.
+ * A leading byte order mark is skipped and blank lines are ignored.
+ *
+ * Each record also says which of its fields were quoted, so callers can trim only
+ * the unquoted ones. Malformed records are still emitted, with an error:
+ *   text after a closing quote ('"a"b,c'), or a quoted field still open at the end.
+ */
+class CsvParser {
+  /**
+   * @param {Function} onRecord - Called with { fields, quoted, line, error } - quoted[i] is true for
+   *   fields written in quotes; line is where the record starts (1-based)
+   */
+  constructor(onRecord) {
+    this.onRecord = onRecord;
+    this.decoder = new StringDecoder('utf8');
+    this.started = false;
+
+    this.fields = [];
+    this.quoted = [];
+    this.field = '';
+    this.fieldQuoted = false;
+    this.state = 'start';   // start of a field, 'unquoted', 'quoted', 'quote' (quote seen inside a quoted field)
+    this.error = null;
+    this.line = 1;          // Current physical line
+    this.recordLine = 1;
+    this.pendingCR = false; // Last chunk ended in \r: a \n next belongs to it
+  }
+
+  /**
+   * Feed more text
+   */
+  write(chunk) {
+    let text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      text = text.replace(/^\uFEFF/, '');
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      switch (this.state) {
+        case 'quoted':
+          if (char === '"') {
+            this.state = 'quote';
+          } else if (char === '\r' || char === '\n') {
+            this.field += '\n';
+            this.newLine(char);
+          } else {
+            this.field += char;
+          }
+          break;
+
+        case 'quote':
+          if (char === '"') {
+            this.field += '"';
+            this.state = 'quoted';
+          } else if (char === ',') {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord();
+            this.newLine(char);
+          } else {
+            this.error = this.error || 'Text after a closing quote';
+            this.field += char;
+            this.state = 'unquoted';
+          }
+          break;
+
+        default: // 'start' and 'unquoted'
+          if (char === '"' && this.state === 'start') {
+            this.state = 'quoted';
+            this.fieldQuoted = true;
+          } else if (char === ',') {
+            this.endField();
+          } else if (char === '\r' || char === '\n') {
+            this.endRecord();
+            this.newLine(char);
+          } else {
+            this.field += char;
+            this.state = 'unquoted';
+          }
+      }
+    }
+  }
+
+  /**
+   * No more text: emit the last record
+   */
+  end() {
+    const rest = this.decoder.end();
+    if (rest) this.write(rest);
+
+    if (this.state === 'quoted') {
+      this.error = this.error || 'Quoted field never closed';
+    }
+    this.endRecord();
+  }
+
+  newLine(char) {
+    this.line++;
+    if (char === '\r') this.pendingCR = true;
+    if (this.state !== 'quoted') this.recordLine = this.line;
+  }
+
+  endField() {
+    this.fields.push(this.field);
+    this.quoted.push(this.fieldQuoted);
+    this.field = '';
+    this.fieldQuoted = false;
+    this.state = 'start';
+  }
+
+  endRecord() {
+    this.endField();
+    const { fields, quoted } = this;
+    const blank = fields.length === 1 && fields[0] === '';
+    if (!blank || this.error) {
+      this.onRecord({ fields, quoted, line: this.recordLine, error: this.error });
+    }
+    this.fields = [];
+    this.quoted = [];
+    this.error = null;
+  }
+}
+
+/**
+ * Parse a Takeout "Saved" CSV into objects keyed by the header
+ * Format: Title,Note,URL,Tags,Comment
+ * Unquoted fields are trimmed; quoted ones are kept exactly, since formatCSV() quotes
+ * values with surrounding spaces or line breaks to keep them
+ * @param {string|Buffer|Iterable} input - The whole text, or chunks of it
+ * @returns {Object} { places, rejected } - rejected: [{ line, reason }] for rows that were skipped
+ */
+function parseCSV(input) {
+  const places = [];
+  const rejected = [];
+  let header = null;
+
+  const parser = new CsvParser(({ fields, quoted, line, error }) => {
+    if (!header) {
+      header = fields.map(h => h.trim());
+      return;
+    }
+    if (error) {
+      rejected.push({ line, reason: error });
+      return;
+    }
+    if (fields.length > header.length) {
+      rejected.push({ line, reason: `${fields.length} fields, the header has ${header.length}` });
+      return;
+    }
+
+    // Create place object
+    const place = {};
+    header.forEach((key, index) => {
+      const value = fields[index] || '';
+      place[key] = quoted[index] ? value : value.trim();
+    });
+
+    // Only add if we have at least a title and URL
+    if (!place.Title || !place.URL) {
+      rejected.push({ line, reason: `No ${place.Title ? 'URL' : 'Title'}` });
+      return;
+    }
+    places.push(place);
+  });
+
+  const chunks = typeof input === 'string' || Buffer.isBuffer(input) ? [input] : input;
+  for (const chunk of chunks) {
+    parser.write(chunk);
+  }
+  parser.end();
+
+  return { places, rejected };
+}
+
+/**
+ * Write objects as CSV (RFC 4180: CRLF line ends; fields with commas, quotes,
+ * line breaks or surrounding spaces are quoted, quotes doubled)
+ * @param {Array} rows - Objects keyed by the header; missing and null values are empty
+ * @param {string[]} header - Default: Title,Note,URL,Tags,Comment
+ * @returns {string}
+ */
+function formatCSV(rows, header = TAKEOUT_HEADER) {
+  const lines = [header, ...rows.map(row => header.map(key => row[key]))];
+  return lines.map(fields => fields.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  CsvParser,
+  parseCSV,
+  formatCSV,
+  TAKEOUT_HEADER
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const ZipReader = require('./zip');
+const { parseCSV } = require('./csv');
+
+// Saved Places.json holds the starred places
+const STARRED_LIST = 'Starred places';
+const SAVED_PLACES_JSON = /^saved places\.json$/i;
+
+// Written by gmaps export next to its CSVs: { "<file>.csv": "<list name>" }, since file names lose characters
+const LIST_MANIFEST = 'lists.json';
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Characters Takeout replaces with "_" in list file names
+const MANGLED = /['"/\\:*?<>|]/g;
+
+/**
+ * Read the saved places in a Google Takeout export
+ * Takes the zip, the unzipped folder, a Saved folder of CSVs, or a single CSV or JSON file.
+ * CSVs (Takeout/Saved/<list>.csv) are one list each; Saved Places.json is the starred places.
+ * A lists.json next to the CSVs (see LIST_MANIFEST) names their lists exactly.
+ * @param {string} source - Path to the export
+ * @param {Array} knownLists - Existing list names, used to undo file name mangling
+ * @returns {Array} [{ file, name, places, rejected }]
+ *   places: [{ name, url, notes, tags, comment, address, latitude, longitude, date }]
+ *   rejected: [{ line, reason }] - CSV rows that couldn't be read
+ */
+function readTakeout(source, knownLists = []) {
+  const files = listFiles(source);
+  const manifests = new Map(files
+    .filter(file => path.basename(file.path) === LIST_MANIFEST)
+    .map(file => [path.dirname(file.path), parseListManifest(Buffer.concat([...file.chunks()]).toString('utf8'), file.path)]));
+  const collections = [];
+
+  for (const file of files) {
+    const base = path.basename(file.path);
+    if (base === LIST_MANIFEST) {
+      continue;
+    }
+    if (/\.json$/i.test(base)) {
+      const content = Buffer.concat([...file.chunks()]).toString('utf8');
+      collections.push({ file: file.path, name: STARRED_LIST, places: parseSavedPlaces(content), rejected: [] });
+    } else {
+      const { places, rejected } = parseCSV(file.chunks());
+      collections.push({
+        file: file.path,
+        name: manifests.get(path.dirname(file.path))?.[base] ||
+          listNameForFile(path.basename(base, path.extname(base)), knownLists),
+        places: places.map(row => ({
+          name: row.Title,
+          url: row.URL,
+          notes: row.Note || null,
+          tags: row.Tags || null,
+          comment: row.Comment || null,
+          address: null,
+          latitude: null,
+          longitude: null,
+          date: null
+        })),
+        rejected
+      });
+    }
+  }
+
+  if (collections.length === 0) {
+    throw new Error(`No saved places found in ${source} (expected Saved/*.csv or Saved Places.json)`);
+  }
+  return collections;
+}
+
+/**
+ * Whether a file in the export holds saved places
+ * CSVs count in a Saved folder, or at the top level so a plain folder of CSVs works too
+ */
+function isSavedPlacesFile(filePath, topLevel) {
+  const base = path.basename(filePath);
+  return SAVED_PLACES_JSON.test(base) || base === LIST_MANIFEST ||
+    (/\.csv$/i.test(base) && (topLevel || path.basename(path.dirname(filePath)) === 'Saved'));
+}
+
+/**
+ * Saved places files in a zip or folder: [{ path, chunks() }] - chunks() yields Buffers
+ */
+function listFiles(source) {
+  if (!fs.existsSync(source)) {
+    throw new Error(`Not found: ${source}`);
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    const files = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        const relative = path.relative(source, full);
+        if (entry.isDirectory()) walk(full);
+        else if (isSavedPlacesFile(relative, dir === source)) files.push({ path: relative, chunks: () => readChunks(full) });
+      }
+    };
+    walk(source);
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  if (/\.zip$/i.test(source)) {
+    const zip = ZipReader.open(source);
+    try {
+      // Other entries (photos, other products) are never loaded
+      return zip.entries
+        .filter(entry => isSavedPlacesFile(entry.name, !entry.name.includes('/')))
+        .map(entry => {
+          const content = zip.read(entry);
+          return { path: entry.name, chunks: () => [content] };
+        })
+        .sort((a, b) => a.path.localeCompare(b.path));
+    } finally {
+      zip.close();
+    }
+  }
+
+  if (!/\.(csv|json)$/i.test(source)) {
+    return [];
+  }
+  const manifest = path.join(path.dirname(source), LIST_MANIFEST);
+  return [source, ...(/\.csv$/i.test(source) && fs.existsSync(manifest) ? [manifest] : [])]
+    .map(file => ({ path: path.basename(file), chunks: () => readChunks(file) }));
+}
+
+/**
+ * A file in 64KB pieces
+ */
+function* readChunks(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      yield Buffer.from(buffer.subarray(0, bytes));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Places in Saved Places.json (GeoJSON)
+ * Handles the current format (properties.location, date) and the older one
+ * (properties.Location with "Business Name" and "Geo Coordinates", Published)
+ */
+function parseSavedPlaces(content) {
+  const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  if (!Array.isArray(data.features)) {
+    throw new Error('Saved Places.json is not a GeoJSON FeatureCollection');
+  }
+
+  return data.features.map(feature => {
+    const props = feature.properties || {};
+    const location = props.location || props.Location || {};
+    const geo = location['Geo Coordinates'];
+    let [longitude, latitude] = feature.geometry?.coordinates || [];
+    if (geo) {
+      latitude = Number(geo.Latitude);
+      longitude = Number(geo.Longitude);
+    }
+    // Places without a location are exported at 0,0
+    const located = Number.isFinite(latitude) && Number.isFinite(longitude) && (latitude !== 0 || longitude !== 0);
+    const date = props.date || props.Published || null;
+
+    return {
+      name: location.name || location['Business Name'] || props.Title || location.address || location.Address || null,
+      url: props.google_maps_url || props['Google Maps URL'] || null,
+      notes: null,
+      tags: null,
+      comment: props.Comment || null,
+      address: location.address || location.Address || null,
+      latitude: located ? latitude : null,
+      longitude: located ? longitude : null,
+      date: date ? toSqliteTimestamp(date) : null
+    };
+  }).filter(place => place.name && place.url);
+}
+
+/**
+ * List name for a Takeout CSV file name
+ * Takeout replaces characters like ' and / with "_" ("Jason_s Vienna Research"), so:
+ * CSV_NAME_MAPPINGS first, then a known list that mangles to the same name, then
+ * apostrophes put back in contractions ("_s", "_t", "_ll", ...)
+ */
+function listNameForFile(fileName, knownLists = []) {
+  if (config.CSV_NAME_MAPPINGS[fileName]) {
+    return config.CSV_NAME_MAPPINGS[fileName];
+  }
+  const known = knownLists.find(name => name === fileName) || knownLists.find(name => mangleListName(name) === fileName);
+  if (known) {
+    return known;
+  }
+  return fileName.replace(/(\w)_(s|t|d|m|ll|re|ve)\b/g, "$1'$2");
+}
+
+/**
+ * File name Takeout gives a list
+ */
+function mangleListName(name) {
+  return name.replace(MANGLED, '_');
+}
+
+/**
+ * File name (without .csv) to export a list as, so listNameForFile() maps it back
+ * The reverse of CSV_NAME_MAPPINGS, else Takeout's own mangling
+ */
+function fileNameForList(listName) {
+  const mapped = Object.keys(config.CSV_NAME_MAPPINGS).find(file => config.CSV_NAME_MAPPINGS[file] === listName);
+  return mapped || mangleListName(listName);
+}
+
+/**
+ * File name → list name from a folder's lists.json, or {} without one
+ */
+function readListManifest(dir) {
+  const file = path.join(dir, LIST_MANIFEST);
+  return fs.existsSync(file) ? parseListManifest(fs.readFileSync(file, 'utf8'), file) : {};
+}
+
+/**
+ * Check and parse lists.json
+ */
+function parseListManifest(content, file) {
+  let manifest;
+  try {
+    manifest = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid ${file}: ${error.message}`);
+  }
+  if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest) ||
+      Object.values(manifest).some(name => typeof name !== 'string' || !name)) {
+    throw new Error(`Invalid ${file}: expected {"<file>.csv": "<list name>", ...}`);
+  }
+  return manifest;
+}
+
+/**
+ * ISO date to SQLite's CURRENT_TIMESTAMP format (UTC)
+ */
+function toSqliteTimestamp(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+module.exports = {
+  readTakeout,
+  parseSavedPlaces,
+  listNameForFile,
+  fileNameForList,
+  mangleListName,
+  readListManifest,
+  STARRED_LIST,
+  LIST_MANIFEST
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+
+/**
+ * Zip Reader - Lists and extracts entries of a zip archive (Google Takeout exports)
+ *
+ * Only the central directory is read up front; entries are read from disk one
+ * at a time, so large exports with photos don't have to fit in memory.
+ * Supports stored and deflated entries. Zip64 archives (over 4GB) are not supported.
+ */
+class ZipReader {
+  constructor(file) {
+    this.file = file;
+    this.fd = fs.openSync(file, 'r');
+    this.size = fs.fstatSync(this.fd).size;
+    this.entries = this.readCentralDirectory();
+  }
+
+  /**
+   * Open a zip file
+   */
+  static open(file) {
+    return new ZipReader(file);
+  }
+
+  /**
+   * Contents of one entry
+   * @param {Object} entry - One of this.entries
+   * @returns {Buffer}
+   */
+  read(entry) {
+    const header = this.readAt(entry.localHeaderOffset, 30);
+    if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt zip entry: ${entry.name}`);
+    }
+    const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = this.readAt(dataOffset, entry.compressedSize);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data);
+    throw new Error(`Unsupported compression method ${entry.method} for ${entry.name}`);
+  }
+
+  close() {
+    fs.closeSync(this.fd);
+  }
+
+  readAt(position, length) {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(this.fd, buffer, 0, length, position);
+    return buffer;
+  }
+
+  /**
+   * Entries from the central directory: [{ name, method, compressedSize, size, localHeaderOffset }]
+   */
+  readCentralDirectory() {
+    const tailLength = Math.min(this.size, EOCD_MIN_SIZE + MAX_COMMENT);
+    const tail = this.readAt(this.size - tailLength, tailLength);
+
+    let eocd = -1;
+    for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new Error(`Not a zip file: ${this.file}`);
+    }
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error(`Zip64 archives are not supported: ${this.file} (unzip it and import the folder)`);
+    }
+
+    const directory = this.readAt(directoryOffset, directorySize);
+    const entries = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+        throw new Error(`Corrupt zip central directory: ${this.file}`);
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (!name.endsWith('/')) {
+        entries.push({
+          name,
+          method: directory.readUInt16LE(offset + 10),
+          compressedSize: directory.readUInt32LE(offset + 20),
+          size: directory.readUInt32LE(offset + 24),
+          localHeaderOffset: directory.readUInt32LE(offset + 42)
+        });
+      }
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  }
+}
+
+module.exports = ZipReader;
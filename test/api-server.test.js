@@ -0,0 +1,276 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ApiServer = require('../src/api/server');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('ApiServer', () => {
+  let db;
+  let server;
+  let baseUrl;
+  let sperl;
+  let ramen;
+  let favorites;
+  let wantToGo;
+
+  beforeEach(async (t) => {
+    quiet(t);
+    db = createTestDb();
+    favorites = addList(db, 'Favorites');
+    wantToGo = addList(db, 'Want to go');
+    sperl = addPlace(db, { googleId: '111', name: 'Café Sperl', notes: 'Sachertorte is better here' });
+    ramen = addPlace(db, { googleId: '222', name: 'Ramen Bar' });
+    db.placeLists.add(sperl.id, favorites.id);
+    db.placeLists.add(sperl.id, wantToGo.id);
+    db.placeLists.add(ramen.id, wantToGo.id);
+
+    server = new ApiServer(db, { port: 0 });
+    baseUrl = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+    db.close();
+  });
+
+  /**
+   * Call the API and return its status and parsed body
+   */
+  async function request(method, path, body, headers = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  describe('reads', () => {
+    it('lists lists with place counts and the places in a list', async () => {
+      const lists = await request('GET', '/lists');
+      assert.deepEqual(lists.body.map(list => [list.name, list.place_count]), [['Favorites', 1], ['Want to go', 2]]);
+
+      const page = await request('GET', `/lists/${wantToGo.id}/places?limit=1&offset=1`);
+      assert.equal(page.body.total, 2);
+      assert.equal(page.body.places.length, 1);
+    });
+
+    it('shows a place with its lists', async () => {
+      const { status, body } = await request('GET', `/places/${sperl.id}`);
+
+      assert.equal(status, 200);
+      assert.equal(body.notes, 'Sachertorte is better here');
+      assert.deepEqual(body.lists.map(list => list.name).sort(), ['Favorites', 'Want to go']);
+    });
+
+    it('searches names and notes', async () => {
+      const { body } = await request('GET', `/search?q=sacher&list=${favorites.id}`);
+
+      assert.deepEqual(body.map(place => place.name), ['Café Sperl']);
+      assert.match(body[0].snippet, /\[Sachertorte\]/);
+    });
+
+    it('returns places with coordinates for the map, filtered by list and query', async () => {
+      db.places.updateDetails(sperl.id, { latitude: 48.1986, longitude: 16.3634 });
+      db.places.updateDetails(ramen.id, { latitude: 48.2006, longitude: 16.3700 });
+
+      const all = await request('GET', '/map');
+      assert.deepEqual(all.body.lists.map(list => list.name), ['Favorites', 'Want to go']);
+      assert.deepEqual(all.body.places.find(place => place.id === sperl.id).lists, [favorites.id, wantToGo.id]);
+      assert.equal(all.body.withoutCoordinates, 0);
+
+      const filtered = await request('GET', `/map?list=${wantToGo.id}&q=ramen`);
+      assert.deepEqual(filtered.body.places.map(place => place.name), ['Ramen Bar']);
+      assert.equal(filtered.body.lists.length, 2);
+    });
+
+    it('shows sync_log and pending_operations', async () => {
+      db.completeSync(db.startSync('quick'), { placesPulled: 2 });
+      db.addPendingOperation('update_notes', { placeId: sperl.id, notes: null });
+
+      const syncs = await request('GET', '/syncs');
+      assert.equal(syncs.body[0].places_pulled, 2);
+
+      const ops = await request('GET', '/operations?status=pending');
+      assert.deepEqual(ops.body.map(op => op.payload), [{ placeId: sperl.id, notes: null }]);
+    });
+  });
+
+  describe('writes', () => {
+    it('edits notes and membership locally', async () => {
+      const notes = await request('PUT', `/places/${ramen.id}/notes`, { notes: 'Ask for the back room' });
+      assert.equal(notes.body.notes, 'Ask for the back room');
+
+      const add = await request('POST', `/lists/${favorites.id}/places`, { place: 'Ramen Bar' });
+      assert.equal(add.status, 201);
+
+      const remove = await request('DELETE', `/lists/${wantToGo.id}/places/${ramen.id}`);
+      assert.equal(remove.status, 200);
+
+      assert.deepEqual(db.placeLists.findListsForPlace(ramen.id).map(list => list.name), ['Favorites']);
+      // Soft-deleted until the next sync pushes the removal
+      assert.equal(db.placeLists.findPendingLocalDeletes().length, 1);
+    });
+
+    it('tags and untags places and filters places by tag', async () => {
+      const tagged = await request('PUT', `/places/${sperl.id}/tags/Kid%20friendly`, {});
+      assert.deepEqual(tagged.body.tags, ['kid-friendly']);
+      await request('PUT', `/places/${sperl.id}/tags/brunch`, {});
+      await request('PUT', `/places/${ramen.id}/tags/brunch`, {});
+
+      const tags = await request('GET', '/tags');
+      assert.deepEqual(tags.body.map(tag => [tag.name, tag.place_count]), [['brunch', 2], ['kid-friendly', 1]]);
+
+      const filtered = await request('GET', '/places?tag=brunch&notTag=kid-friendly');
+      assert.deepEqual(filtered.body.places.map(place => [place.name, place.tags]), [['Ramen Bar', ['brunch']]]);
+      assert.equal((await request('GET', '/places?anyTag=brunch,cake&limit=1')).body.total, 2);
+
+      const untagged = await request('DELETE', `/places/${sperl.id}/tags/brunch`);
+      assert.deepEqual(untagged.body.tags, ['kid-friendly']);
+      assert.equal((await request('DELETE', `/places/${sperl.id}/tags/brunch`)).status, 404);
+      assert.equal((await request('PUT', `/places/${sperl.id}/tags/%23`, {})).status, 400);
+    });
+
+    it('moves places and creates, renames and deletes lists', async () => {
+      const created = await request('POST', '/lists', { name: 'Lunch' });
+      assert.equal(created.status, 201);
+
+      const move = await request('POST', `/places/${ramen.id}/move`, { from: wantToGo.id, to: created.body.id });
+      assert.deepEqual(move.body.lists.map(list => list.name), ['Lunch']);
+
+      const renamed = await request('PATCH', `/lists/${created.body.id}`, { name: 'Brunch' });
+      assert.equal(renamed.body.name, 'Brunch');
+
+      assert.equal((await request('DELETE', `/lists/${favorites.id}`)).status, 200);
+      assert.deepEqual((await request('GET', '/lists')).body.map(list => list.name), ['Brunch', 'Want to go']);
+    });
+
+    it('maps bad input to 4xx errors', async () => {
+      assert.equal((await request('GET', '/places/999')).status, 404);
+      assert.equal((await request('GET', '/nope')).status, 404);
+      assert.equal((await request('GET', '/search')).status, 400);
+      assert.equal((await request('POST', '/lists', { name: 'Favorites' })).status, 400);
+      assert.equal((await request('PUT', `/places/${ramen.id}/notes`, { notes: 42 })).status, 400);
+      assert.equal((await request('POST', `/lists/${favorites.id}/places`, { place: 'Café Sperl' })).status, 409);
+      assert.equal((await request('DELETE', `/lists/${favorites.id}/places/${ramen.id}`)).status, 404);
+
+      const { status, body } = await request('POST', `/lists/${favorites.id}/places`, { place: 'Nope' });
+      assert.equal(status, 404);
+      assert.match(body.error, /Place not found/);
+    });
+
+    it('rejects bodies that are not JSON objects and malformed paths', async () => {
+      for (const body of [null, [], 'Cake', 42]) {
+        const notes = await request('PUT', `/places/${sperl.id}/notes`, body);
+        assert.equal(notes.status, 400);
+        assert.equal(notes.body.error, 'Body must be a JSON object');
+        assert.equal((await request('POST', '/lists', body)).status, 400);
+      }
+      assert.equal(db.places.findById(sperl.id).notes, 'Sachertorte is better here');
+
+      const malformed = await request('GET', '/places/%E0%A4%A');
+      assert.equal(malformed.status, 400);
+      assert.match(malformed.body.error, /Malformed path/);
+    });
+  });
+
+  describe('conflicts', () => {
+    beforeEach(() => {
+      db.conflicts.record({
+        entityType: 'place_notes',
+        placeId: sperl.id,
+        baseValue: 'Cake',
+        localValue: 'Cake with cream',
+        remoteValue: 'Sachertorte'
+      });
+    });
+
+    it('lists unresolved conflicts with a combined version of the notes', async () => {
+      const { body } = await request('GET', '/conflicts');
+
+      assert.equal(body.length, 1);
+      assert.equal(body[0].place_name, 'Café Sperl');
+      assert.match(body[0].combined, /<<<<<<< local/);
+    });
+
+    it('resolves with local, remote or edited notes', async () => {
+      const [conflict] = (await request('GET', '/conflicts')).body;
+
+      const markers = await request('POST', `/conflicts/${conflict.id}/resolve`, { choice: 'edit', notes: conflict.combined });
+      assert.equal(markers.status, 400);
+
+      const edited = await request('POST', `/conflicts/${conflict.id}/resolve`, { choice: 'edit', notes: 'Sachertorte\nBilliards' });
+      assert.equal(edited.body.resolution, 'merged');
+      assert.equal(db.places.findById(sperl.id).notes, 'Sachertorte\nBilliards');
+
+      assert.equal((await request('POST', `/conflicts/${conflict.id}/resolve`, { choice: 'local' })).status, 409);
+      assert.deepEqual((await request('GET', '/conflicts')).body, []);
+    });
+  });
+
+  describe('web UI', () => {
+    it('serves the page and its assets', async () => {
+      const root = baseUrl.replace(/\/api$/, '');
+      const page = await fetch(`${root}/`);
+      assert.match(page.headers.get('content-type'), /text\/html/);
+      assert.match(await page.text(), /<script src="\/app.js">/);
+
+      for (const asset of ['/app.js', '/app.css', '/map', '/map.js', '/map-cluster.js']) {
+        assert.equal((await fetch(`${root}${asset}`)).status, 200);
+      }
+      assert.equal((await fetch(`${root}/../package.json`)).status, 404);
+    });
+  });
+
+  describe('auth', () => {
+    it('requires the bearer token when one is set', async () => {
+      await server.stop();
+      server = new ApiServer(db, { port: 0, token: 's3cret' });
+      baseUrl = await server.start();
+
+      assert.equal((await request('GET', '/lists')).status, 401);
+      assert.equal((await request('GET', '/lists', undefined, { Authorization: 'Bearer wrong' })).status, 401);
+      assert.equal((await request('GET', '/lists', undefined, { Authorization: 'Bearer s3cret' })).status, 200);
+    });
+
+    it('refuses other origins and hosts', async () => {
+      const { port } = new URL(baseUrl);
+      // fetch() always sends its own Host, so set it through http
+      const status = headers => new Promise((resolve, reject) => {
+        http.get(`${baseUrl}/lists`, { headers }, res => resolve(res.resume().statusCode)).on('error', reject);
+      });
+
+      assert.equal(await status({ Origin: `http://127.0.0.1:${port}` }), 200);
+      assert.equal(await status({ Host: `localhost:${port}`, Origin: `http://localhost:${port}` }), 200);
+      assert.equal(await status({ Host: `[::1]:${port}` }), 200);
+
+      assert.equal(await status({ Origin: 'http://evil.example' }), 403);
+      assert.equal(await status({ Origin: 'null' }), 403);
+      assert.equal(await status({ Origin: `http://localhost:${port}` }), 403);
+      assert.equal(await status({ Host: `evil.example:${port}` }), 403);
+      assert.equal(await status({ Host: '127.0.0.1:1' }), 403);
+
+      const write = await request('POST', '/lists', { name: 'Lunch' }, { Origin: 'http://evil.example' });
+      assert.equal(write.status, 403);
+      assert.equal(db.lists.findByName('Lunch'), undefined);
+    });
+
+    it('only takes JSON bodies for writes', async () => {
+      const form = await fetch(`${baseUrl}/lists`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: JSON.stringify({ name: 'Lunch' })
+      });
+      assert.equal(form.status, 415);
+      assert.equal((await fetch(`${baseUrl}/places/${sperl.id}/tags/brunch`, { method: 'PUT' })).status, 415);
+      assert.equal(db.lists.findByName('Lunch'), undefined);
+
+      const json = await request('POST', '/lists', { name: 'Lunch' }, { 'Content-Type': 'application/json; charset=utf-8' });
+      assert.equal(json.status, 201);
+    });
+
+    it('refuses to listen beyond loopback without a token', () => {
+      assert.throws(() => new ApiServer(db, { host: '0.0.0.0' }), /without a token/);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ChangeDetector = require('../src/sync/change-detector');
+const { createTestDb, addPlace, addList } = require('./helpers');
+
+describe('ChangeDetector', () => {
+  let db;
+  let detector;
+  let place;
+  let list;
+
+  beforeEach(() => {
+    db = createTestDb();
+    detector = new ChangeDetector(db);
+    place = addPlace(db, { googleId: 'g1', name: 'Café Sperl' });
+    list = addList(db, 'Favorites');
+  });
+
+  describe('detectPlaceNotesChange', () => {
+    // [base, local, remote, expected type]
+    const cases = [
+      [null, null, null, null],
+      [null, 'A', null, 'local_change'],
+      [null, null, 'A', 'remote_change'],
+      [null, 'A', 'A', 'synchronized'],
+      [null, 'A', 'B', 'conflict'],
+      ['A', 'A', 'A', null],
+      ['A', 'B', 'A', 'local_change'],
+      ['A', null, 'A', 'local_change'],
+      ['A', 'A', 'B', 'remote_change'],
+      ['A', 'A', null, 'remote_change'],
+      ['A', 'B', 'B', 'synchronized'],
+      ['A', null, null, 'synchronized'],
+      ['A', 'B', 'C', 'conflict'],
+      ['A', null, 'B', 'conflict'],
+      ['A', 'B', null, 'conflict'],
+      // Empty notes are the same as no notes
+      [null, '', null, null],
+      [null, '', 'A', 'remote_change'],
+      ['A', '', 'A', 'local_change']
+    ];
+
+    const resolutions = {
+      local_change: 'keep_local',
+      remote_change: 'take_remote',
+      synchronized: 'already_synced',
+      conflict: 'resolve_conflict'
+    };
+
+    for (const [base, local, remote, expected] of cases) {
+      it(`base=${JSON.stringify(base)} local=${JSON.stringify(local)} remote=${JSON.stringify(remote)} -> ${expected}`, () => {
+        db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes(base), base);
+
+        const change = detector.detectPlaceNotesChange(place.id, local, remote, list.id);
+
+        if (expected === null) {
+          assert.equal(change, null);
+          return;
+        }
+        assert.equal(change.type, expected);
+        assert.equal(change.resolution, resolutions[expected]);
+        assert.equal(change.entity, 'place_notes');
+        assert.equal(change.listId, list.id);
+        assert.equal(change.localValue, local);
+        assert.equal(change.remoteValue, remote);
+      });
+    }
+
+    it('includes the base text on conflicts', () => {
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('A'), 'A');
+      const change = detector.detectPlaceNotesChange(place.id, 'B', 'C');
+      assert.equal(change.baseText, 'A');
+    });
+
+    it('leaves the base text undefined when only the hash is known', () => {
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('A'));
+      const change = detector.detectPlaceNotesChange(place.id, 'B', 'C');
+      assert.equal(change.baseText, undefined);
+    });
+  });
+
+  describe('detectPlaceListChange', () => {
+    // [base, local, remote, notesModified, expected type, expected resolution]
+    const cases = [
+      [false, false, false, {}, null, null],
+      [true, true, true, {}, null, null],
+      [false, true, false, {}, 'local_add', 'push_add'],
+      [false, false, true, {}, 'remote_add', 'add_locally'],
+      [false, true, true, {}, 'synchronized', 'already_synced'],
+      [true, false, true, {}, 'local_remove', 'push_remove'],
+      [true, true, false, {}, 'remote_remove', 'remove_locally'],
+      [true, false, false, {}, 'synchronized', 'already_synced'],
+      // A removal on one side vs a notes edit on the other
+      [true, true, false, { local: true }, 'conflict', 'resolve_conflict'],
+      [true, false, true, { remote: true, remoteNotes: 'edited' }, 'conflict', 'resolve_conflict'],
+      // Edits on the same side as the removal don't conflict
+      [true, true, false, { local: false }, 'remote_remove', 'remove_locally'],
+      [true, false, true, { remote: false }, 'local_remove', 'push_remove']
+    ];
+
+    for (const [base, local, remote, notesModified, expected, resolution] of cases) {
+      it(`base=${base} local=${local} remote=${remote} notes=${JSON.stringify(notesModified)} -> ${expected}`, () => {
+        if (base) {
+          db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+        }
+
+        const change = detector.detectPlaceListChange(place.id, list.id, local, remote, notesModified);
+
+        if (expected === null) {
+          assert.equal(change, null);
+          return;
+        }
+        assert.equal(change.type, expected);
+        assert.equal(change.resolution, resolution);
+        assert.equal(change.existedInBase, base);
+        assert.equal(change.existsLocal, local);
+        assert.equal(change.existsRemote, remote);
+      });
+    }
+
+    it('carries the remote notes on remote-edit conflicts', () => {
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      const change = detector.detectPlaceListChange(place.id, list.id, false, true, { remote: true, remoteNotes: 'edited' });
+      assert.equal(change.remoteNotes, 'edited');
+    });
+  });
+
+  describe('detectChangesForList', () => {
+    it('reports places never seen locally as remote_new_place', () => {
+      const changes = detector.detectChangesForList('Favorites', [
+        { google_place_id: 'g2', name: 'Figlmüller', notes: null }
+      ]);
+
+      assert.equal(changes.placeChanges.length, 1);
+      assert.equal(changes.placeChanges[0].type, 'remote_new_place');
+      assert.equal(changes.placeChanges[0].googlePlaceId, 'g2');
+      assert.equal(changes.placeChanges[0].listId, list.id);
+    });
+
+    it('only detects removals on full syncs', () => {
+      db.placeLists.add(place.id, list.id);
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+
+      assert.equal(detector.detectChangesForList('Favorites', [], true).associationChanges.length, 0);
+
+      const changes = detector.detectChangesForList('Favorites', [], false);
+      assert.equal(changes.associationChanges.length, 1);
+      assert.equal(changes.associationChanges[0].type, 'remote_remove');
+    });
+
+    it('collects conflicts alongside their changes', () => {
+      db.placeLists.add(place.id, list.id);
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('A'), 'A');
+      db.places.updateNotes(place.id, 'B');
+
+      const changes = detector.detectChangesForList('Favorites', [
+        { google_place_id: 'g1', name: 'Café Sperl', notes: 'C' }
+      ]);
+
+      assert.equal(changes.notesChanges.length, 1);
+      assert.deepEqual(changes.conflicts, changes.notesChanges);
+    });
+
+    it('picks up local membership edits a quick sync did not scrape', () => {
+      const added = addPlace(db, { googleId: 'g2', name: 'Figlmüller' });
+      db.placeLists.add(added.id, list.id);
+      db.lastRemoteState.savePlaceListAssociation(added.id, list.id, false);
+      db.placeLists.add(place.id, list.id);
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      db.placeLists.markDeletedLocally(place.id, list.id);
+      // Seeded, never synced: may just be further down the list
+      const seeded = addPlace(db, { googleId: 'g3', name: 'Albertina' });
+      db.placeLists.add(seeded.id, list.id);
+
+      const changes = detector.detectChangesForList('Favorites', [], true);
+      const byPlace = Object.fromEntries(changes.associationChanges.map(c => [c.placeId, c.type]));
+      assert.deepEqual(byPlace, { [added.id]: 'local_add', [place.id]: 'local_remove' });
+    });
+
+    it('throws for unknown lists', () => {
+      assert.throws(() => detector.detectChangesForList('Nope', []), /List not found/);
+    });
+  });
+
+  describe('detectListChanges', () => {
+    const types = changes => changes.map(c => c.type).sort();
+
+    it('detects lists created remotely', () => {
+      const changes = detector.detectListChanges([
+        { name: 'Favorites', google_list_id: null },
+        { name: 'Brunch', google_list_id: 'L2' }
+      ]);
+      assert.deepEqual(types(changes), ['remote_new_list', 'synchronized']);
+    });
+
+    it('detects remote renames by Google list ID', () => {
+      db.lists.setGoogleId(list.id, 'L1');
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+
+      const changes = detector.detectListChanges([{ name: 'Faves', google_list_id: 'L1' }]);
+      assert.deepEqual(types(changes), ['remote_rename']);
+      assert.equal(changes[0].listId, list.id);
+    });
+
+    it('detects remote deletes and local creates', () => {
+      const pushed = addList(db, 'Pushed');
+      db.lastRemoteState.saveList(pushed.id, detector.hash('Pushed'));
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+      addList(db, 'Brand new');
+
+      const changes = detector.detectListChanges([{ name: 'Favorites', google_list_id: null }]);
+      assert.deepEqual(types(changes), ['local_new_list', 'remote_delete_list']);
+    });
+
+    it('detects local deletes that still exist remotely', () => {
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+      db.lists.markDeletedLocally(list.id);
+
+      const changes = detector.detectListChanges([{ name: 'Favorites', google_list_id: null }]);
+      assert.deepEqual(types(changes), ['local_delete_list']);
+    });
+
+    it('detects local renames and pushes them', () => {
+      db.lists.setGoogleId(list.id, 'L1');
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+      db.lists.rename(list.id, 'Faves');
+
+      const changes = detector.detectListChanges([{ name: 'Favorites', google_list_id: 'L1' }]);
+      assert.deepEqual(types(changes), ['local_rename']);
+      assert.equal(changes[0].resolution, 'push_rename');
+    });
+
+    it('detects local renames of lists without a Google ID by base name', () => {
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+      db.lists.rename(list.id, 'Faves');
+
+      const changes = detector.detectListChanges([{ name: 'Favorites', google_list_id: null }]);
+      assert.deepEqual(types(changes), ['local_rename']);
+    });
+
+    it('ignores system lists', () => {
+      addList(db, 'Starred places');
+      db.lastRemoteState.saveList(list.id, detector.hash('Favorites'));
+
+      const changes = detector.detectListChanges([{ name: 'Favorites', google_list_id: null }]);
+      assert.deepEqual(changes, []);
+    });
+  });
+
+  describe('detectUnscrapedNotesChanges', () => {
+    it('reports local edits on synced places that were not scraped', () => {
+      db.placeLists.add(place.id, list.id);
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('A'), 'A');
+      db.places.updateNotes(place.id, 'B');
+      const seeded = addPlace(db, { googleId: 'g2', name: 'Figlmüller', notes: 'Seeded notes' });
+      db.placeLists.add(seeded.id, list.id);
+
+      const changes = detector.detectUnscrapedNotesChanges(new Set());
+      assert.equal(changes.length, 1);
+      assert.equal(changes[0].type, 'local_change');
+      assert.equal(changes[0].placeId, place.id);
+      assert.equal(changes[0].localValue, 'B');
+
+      assert.deepEqual(detector.detectUnscrapedNotesChanges(new Set(['g1'])), []);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CityGrouper = require('../src/sync/city-grouper');
+const { ReverseGeocoder, parseAddress } = require('../src/geo/locality');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('parseAddress', () => {
+  it('takes the city before the country, without postal and state codes', () => {
+    assert.deepEqual(parseAddress('Neustiftgasse 16, 1070 Wien, Austria'), { locality: 'Vienna', country: 'Austria' });
+    assert.deepEqual(parseAddress('Marienplatz 1, 80331 München, Deutschland'), { locality: 'Munich', country: 'Germany' });
+    assert.deepEqual(parseAddress('1 Ferry Building, San Francisco, CA 94111, USA'), { locality: 'San Francisco', country: 'United States' });
+    assert.deepEqual(parseAddress('Shop 5, 1 Macquarie St, Sydney NSW 2000, Australia'), { locality: 'Sydney', country: 'Australia' });
+    assert.deepEqual(parseAddress('1 Chome-2-3 Jinnan, Shibuya City, Tokyo 150-0041, Japan'), { locality: 'Tokyo', country: 'Japan' });
+  });
+
+  it('gives up on addresses without a city', () => {
+    assert.equal(parseAddress('Via Roma 1, Italy'), null);
+    assert.equal(parseAddress('Somewhere'), null);
+    assert.equal(parseAddress(null), null);
+  });
+});
+
+describe('ReverseGeocoder', () => {
+  it('finds the nearest bundled city within the distance limit', () => {
+    const geocoder = ReverseGeocoder.load();
+
+    // Café Sperl, 6th district
+    assert.equal(geocoder.locate(48.1986, 16.3634).locality, 'Vienna');
+    // Kichijoji, western Tokyo
+    assert.equal(geocoder.locate(35.7033, 139.5797).locality, 'Tokyo');
+    // Middle of the Atlantic
+    assert.equal(geocoder.locate(30, -40), null);
+  });
+
+  it('finds a city by name, ignoring case and accents', () => {
+    const geocoder = ReverseGeocoder.load();
+
+    assert.equal(geocoder.findCity('krakow', 'Poland').name, 'Kraków');
+    assert.equal(geocoder.findCity('Vienna').country, 'Austria');
+    assert.equal(geocoder.findCity('Vienna', 'Germany'), null);
+  });
+});
+
+describe('CityGrouper', () => {
+  let db;
+  let grouper;
+  let wantToGo;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    grouper = new CityGrouper(db, { minPlaces: 2 });
+    wantToGo = addList(db, 'Want to go');
+
+    const places = [
+      { googleId: 'v1', name: 'Café Sperl', latitude: 48.1986, longitude: 16.3634 },
+      { googleId: 'v2', name: 'Figlmüller', latitude: 48.2087, longitude: 16.3748 },
+      { googleId: 'v3', name: 'Heuriger', address: 'Cobenzlgasse 10, 1190 Wien, Austria' },
+      { googleId: 't1', name: 'Ichiran Shibuya', latitude: 35.6618, longitude: 139.7004 },
+      { googleId: 'x1', name: 'Nowhere' }
+    ];
+    for (const { latitude, longitude, address, ...place } of places) {
+      const row = addPlace(db, place);
+      db.places.updateDetails(row.id, { latitude, longitude, address });
+      db.placeLists.add(row.id, wantToGo.id);
+    }
+  });
+
+  const names = places => places.map(place => place.name).sort();
+
+  it('stores the locality of each place', () => {
+    const stats = grouper.assignLocalities();
+
+    assert.deepEqual(stats, { checked: 5, fromCoordinates: 3, fromAddress: 1, unknown: 1 });
+    const sperl = db.places.findByGoogleId('v1');
+    assert.deepEqual([sperl.locality, sperl.country, sperl.locality_source], ['Vienna', 'Austria', 'coordinates']);
+    // "Wien" in the address is the dataset's Vienna
+    const heuriger = db.places.findByGoogleId('v3');
+    assert.deepEqual([heuriger.locality, heuriger.country, heuriger.locality_source], ['Vienna', 'Austria', 'address']);
+    // Only new places are checked again
+    assert.equal(grouper.assignLocalities().checked, 1);
+  });
+
+  it('previews smart lists for cities with enough places', () => {
+    grouper.assignLocalities();
+
+    const plans = grouper.planLists();
+
+    // The Heuriger has only an address, and joins the places located by coordinates
+    assert.deepEqual(plans.map(plan => [plan.name, plan.action]), [['Vienna – all saves', 'create']]);
+    assert.deepEqual(names(plans[0].add), ['Café Sperl', 'Figlmüller', 'Heuriger']);
+    assert.equal(db.lists.findByName('Vienna – all saves'), undefined);
+  });
+
+  it('creates and refreshes smart lists through local edits', () => {
+    grouper.assignLocalities();
+    assert.deepEqual(grouper.applyPlan(grouper.planLists()), { created: 1, added: 3, removed: 0 });
+
+    const list = db.lists.findByName('Vienna – all saves');
+    assert.deepEqual(names(db.placeLists.findPlacesInList(list.id)), ['Café Sperl', 'Figlmüller', 'Heuriger']);
+    // Not on Google yet: the next sync pushes the list and its places
+    assert.equal(list.google_list_id, null);
+
+    // Figlmüller is no longer saved anywhere else; the Prater is a new save in Vienna
+    const figlmueller = db.places.findByGoogleId('v2');
+    db.placeLists.remove(figlmueller.id, wantToGo.id);
+    const prater = addPlace(db, { googleId: 'v4', name: 'Prater' });
+    db.places.updateDetails(prater.id, { address: 'Riesenradplatz 1, 1020 Wien, Österreich' });
+    db.placeLists.add(prater.id, wantToGo.id);
+    grouper.assignLocalities();
+
+    const [plan] = grouper.planLists();
+    assert.equal(plan.action, 'refresh');
+    assert.deepEqual(names(plan.add), ['Prater']);
+    assert.deepEqual(names(plan.remove), ['Figlmüller']);
+
+    grouper.applyPlan([plan]);
+    assert.deepEqual(names(db.placeLists.findPlacesInList(list.id)), ['Café Sperl', 'Heuriger', 'Prater']);
+    assert.equal(grouper.planLists()[0].action, 'unchanged');
+  });
+});
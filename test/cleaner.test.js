@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Cleaner = require('../src/sync/cleaner');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('Cleaner', () => {
+  let db;
+  let cleaner;
+  let wantToGo;
+  let starred;
+
+  const setTouched = (place, timestamp) =>
+    db.getConnection().prepare('UPDATE places SET touched_at = ? WHERE id = ?').run(timestamp, place.id);
+  const names = candidates => candidates.map(candidate => candidate.place.name);
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    cleaner = new Cleaner(db, { undoHours: 24 });
+    wantToGo = addList(db, 'Want to go');
+    starred = addList(db, 'Starred places');
+  });
+
+  describe('findCandidates', () => {
+    it('requires at least one criterion', () => {
+      assert.throws(() => cleaner.findCandidates({}), /at least one criterion/);
+    });
+
+    it('combines criteria: every one must match', () => {
+      const bare = addPlace(db, { googleId: 'a', name: 'Bare' });
+      const noted = addPlace(db, { googleId: 'b', name: 'Noted', notes: 'Great' });
+      const listed = addPlace(db, { googleId: 'c', name: 'Listed' });
+      addPlace(db, { googleId: 'd', name: 'Starred only' });
+      db.placeLists.add(bare.id, starred.id);
+      db.placeLists.add(noted.id, starred.id);
+      db.placeLists.add(listed.id, wantToGo.id);
+      db.placeLists.add(listed.id, starred.id);
+
+      assert.deepEqual(names(cleaner.findCandidates({ withoutNotes: true })), ['Bare', 'Listed', 'Starred only']);
+      assert.deepEqual(names(cleaner.findCandidates({ unlisted: true })), ['Bare', 'Noted', 'Starred only']);
+      assert.deepEqual(names(cleaner.findCandidates({ withoutNotes: true, unlisted: true })), ['Bare', 'Starred only']);
+    });
+
+    it('finds places not saved or edited since a date', () => {
+      const old = addPlace(db, { googleId: 'a', name: 'Old' });
+      const fresh = addPlace(db, { googleId: 'b', name: 'Fresh' });
+      setTouched(old, '2022-05-01 10:00:00');
+      setTouched(fresh, '2022-05-01 10:00:00');
+      db.places.updateNotes(fresh.id, 'Edited just now');
+
+      const candidates = cleaner.findCandidates({ untouchedSince: '2023-01-01' });
+      assert.deepEqual(names(candidates), ['Old']);
+      assert.deepEqual(candidates[0].reasons, ['untouched since 2022-05-01']);
+      assert.throws(() => cleaner.findCandidates({ untouchedSince: 'last year' }), /Expected a date/);
+    });
+
+    it('only picks duplicates the kept row covers', () => {
+      const favorites = addList(db, 'Favorites');
+      const keep = addPlace(db, { googleId: '1', name: 'Ramen Bar', notes: 'Good' });
+      const covered = addPlace(db, { googleId: 'ramen-bar', name: 'Ramen Bar', url: 'https://maps.google.com/?cid=1' });
+      db.placeLists.add(keep.id, wantToGo.id);
+      db.placeLists.add(covered.id, wantToGo.id);
+
+      assert.deepEqual(cleaner.findCandidates({ duplicates: true }).map(c => [c.place.id, c.keep.id]), [[covered.id, keep.id]]);
+
+      // The duplicate is the only row in Favorites: removing it would lose that
+      db.placeLists.add(covered.id, favorites.id);
+      assert.deepEqual(cleaner.findCandidates({ duplicates: true }), []);
+    });
+  });
+
+  describe('apply', () => {
+    it('soft-deletes synced entries and queues their removal after the undo window', () => {
+      const place = addPlace(db, { googleId: 'a', name: 'Bare' });
+      db.placeLists.add(place.id, wantToGo.id);
+      db.placeLists.add(place.id, starred.id);
+
+      const result = cleaner.apply(cleaner.findCandidates({ withoutNotes: true }), { withoutNotes: true });
+
+      assert.equal(result.places, 1);
+      assert.equal(result.queued, 1);
+      assert.equal(result.localOnly, 1);
+      assert.equal(db.places.findById(place.id).is_deleted, 1);
+      assert.equal(db.placeLists.findPendingLocalDeletes().length, 1);
+      // Seeded entry came from Google: its base is recorded so sync pushes the removal
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, wantToGo.id), 'exists');
+
+      const [op] = db.getOperations();
+      assert.equal(op.operation_type, 'remove_place_from_list');
+      assert.deepEqual(op.payload, { placeId: place.id, listId: wantToGo.id });
+      assert.equal(op.next_retry_at, result.undoUntil);
+      assert.deepEqual(db.getPendingOperations(), [], 'not pushed before the undo window closes');
+    });
+
+    it('removes entries Google never had locally only', () => {
+      const place = addPlace(db, { googleId: 'a', name: 'Local add' });
+      db.placeLists.add(place.id, wantToGo.id);
+      db.lastRemoteState.savePlaceListAssociation(place.id, wantToGo.id, false);
+
+      const result = cleaner.apply(cleaner.findCandidates({ withoutNotes: true }), { withoutNotes: true });
+
+      assert.equal(result.queued, 0);
+      assert.equal(db.placeLists.findPendingLocalDeletes().length, 0);
+      assert.deepEqual(db.getOperations(), []);
+    });
+  });
+
+  describe('undo', () => {
+    it('puts back places, entries and base state and drops the queued operations', () => {
+      const place = addPlace(db, { googleId: 'a', name: 'Bare' });
+      const other = addPlace(db, { googleId: 'b', name: 'Also bare' });
+      db.placeLists.add(place.id, wantToGo.id);
+      db.placeLists.add(other.id, starred.id);
+      const { cleanupId } = cleaner.apply(cleaner.findCandidates({ withoutNotes: true }), { withoutNotes: true });
+
+      const result = cleaner.undo();
+
+      assert.deepEqual(result, { cleanupId, places: 2, entries: 2 });
+      assert.equal(db.places.findAll().length, 2);
+      assert.equal(db.placeLists.exists(place.id, wantToGo.id), true);
+      assert.equal(db.placeLists.exists(other.id, starred.id), true);
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, wantToGo.id), null);
+      assert.deepEqual(db.getOperations(), []);
+      assert.throws(() => cleaner.undo(cleanupId), /already undone/);
+      assert.throws(() => cleaner.undo(), /No cleanup left/);
+    });
+
+    it('refuses once the undo window has closed', () => {
+      const place = addPlace(db, { googleId: 'a', name: 'Bare' });
+      db.placeLists.add(place.id, wantToGo.id);
+      const { cleanupId } = new Cleaner(db, { undoHours: 0 })
+        .apply(cleaner.findCandidates({ withoutNotes: true }), { withoutNotes: true });
+
+      assert.throws(() => cleaner.undo(cleanupId), /undo window of cleanup #\d+ closed/);
+      assert.equal(db.getPendingOperations().length, 1, 'the removal is pushed on the next sync');
+      assert.equal(db.cleanups.findById(cleanupId).undoable, false);
+    });
+  });
+});
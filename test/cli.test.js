@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/db');
+const { parseArgs } = require('../src/cli/args');
+const { main } = require('../src/cli');
+const { addPlace, addList, quiet } = require('./helpers');
+
+const SPECS = [
+  { name: 'db', type: 'string' },
+  { name: 'json', type: 'boolean' },
+  { name: 'dry-run', type: 'boolean' },
+  { name: 'details', type: 'boolean' },
+  { name: 'limit', alias: 'n', type: 'number' },
+  { name: 'fixture', type: 'string', optional: true },
+  { name: 'help', alias: 'h', type: 'boolean' }
+];
+
+describe('parseArgs', () => {
+  it('parses flags, values and positionals into camelCased options', () => {
+    const { options, positionals } = parseArgs(
+      ['ramen', '--dry-run', '--limit', '5', '--db=x.db', 'back', '-h'],
+      SPECS
+    );
+
+    assert.deepEqual(options, { dryRun: true, limit: 5, db: 'x.db', help: true });
+    assert.deepEqual(positionals, ['ramen', 'back']);
+  });
+
+  it('supports --no-<flag>, aliases and "--"', () => {
+    const { options, positionals } = parseArgs(['--no-details', '-n', '3', '--', '--json'], SPECS);
+
+    assert.deepEqual(options, { details: false, limit: 3 });
+    assert.deepEqual(positionals, ['--json']);
+  });
+
+  it('lets optional values be left out', () => {
+    assert.equal(parseArgs(['--fixture', '--json'], SPECS).options.fixture, true);
+    assert.equal(parseArgs(['--fixture', 'places.json'], SPECS).options.fixture, 'places.json');
+  });
+
+  it('rejects unknown options, missing values and bad numbers', () => {
+    assert.throws(() => parseArgs(['--bogus'], SPECS), /Unknown option: --bogus/);
+    assert.throws(() => parseArgs(['--db'], SPECS), /--db needs a value/);
+    assert.throws(() => parseArgs(['--limit', 'lots'], SPECS), /needs a number/);
+    assert.throws(() => parseArgs(['--json=yes'], SPECS), /doesn't take a value/);
+  });
+});
+
+describe('gmaps CLI', () => {
+  let tmpDir;
+  let dbPath;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-cli-'));
+    dbPath = path.join(tmpDir, 'test.db');
+
+    const db = new Database(dbPath);
+    const log = console.log;
+    console.log = () => {};
+    try {
+      db.init();
+    } finally {
+      console.log = log;
+    }
+    const wantToGo = addList(db, 'Want to go');
+    const favorites = addList(db, 'Favorites');
+    const sperl = addPlace(db, { googleId: '111', name: 'Café Sperl', notes: 'Sachertorte is better here' });
+    const ramen = addPlace(db, { googleId: '222', name: 'Ramen Bar' });
+    db.placeLists.add(sperl.id, wantToGo.id);
+    db.placeLists.add(sperl.id, favorites.id);
+    db.placeLists.add(ramen.id, wantToGo.id);
+    db.addPendingOperation('update_notes', { placeId: '111', notes: 'Sachertorte is better here' });
+    db.completeSync(db.startSync('quick'), { placesPulled: 2 });
+    db.close();
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the CLI with --json and return its exit code and parsed stdout
+   */
+  async function run(t, args) {
+    quiet(t);
+    let stdout = '';
+    t.mock.method(process.stdout, 'write', chunk => {
+      stdout += chunk;
+      return true;
+    });
+    const code = await main([...args, '--json', '--db', dbPath]);
+    t.mock.restoreAll();
+    return { code, data: stdout ? JSON.parse(stdout) : null };
+  }
+
+  it('lists lists with place counts', async (t) => {
+    const { code, data } = await run(t, ['lists']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(data.map(list => [list.name, list.places]), [['Favorites', 1], ['Want to go', 2]]);
+  });
+
+  it('shows places, filtered by list and notes', async (t) => {
+    const { data } = await run(t, ['places', '--list', 'Want to go', '--without-notes']);
+
+    assert.deepEqual(data.map(place => place.name), ['Ramen Bar']);
+    assert.deepEqual(data[0].lists, ['Want to go']);
+  });
+
+  it('searches names and notes', async (t) => {
+    const { code, data } = await run(t, ['search', 'sacher']);
+
+    assert.equal(code, 0);
+    assert.deepEqual(data.map(place => place.name), ['Café Sperl']);
+    assert.deepEqual(data[0].lists.sort(), ['Favorites', 'Want to go']);
+  });
+
+  it('shows queued operations and recent syncs', async (t) => {
+    const ops = await run(t, ['ops', '--status', 'pending']);
+    assert.equal(ops.data.length, 1);
+    assert.equal(ops.data[0].operation_type, 'update_notes');
+    assert.equal(ops.data[0].payload.placeId, '111');
+
+    const log = await run(t, ['log']);
+    assert.equal(log.data.length, 1);
+    assert.equal(log.data[0].places_pulled, 2);
+  });
+
+  it('edits places and lists locally', async (t) => {
+    const note = await run(t, ['note', 'Ramen Bar', 'Ask', 'for', 'the', 'back', 'room']);
+    assert.equal(note.code, 0);
+    assert.equal(note.data.notes, 'Ask for the back room');
+
+    assert.equal((await run(t, ['list', 'create', 'Lunch'])).code, 0);
+    const move = await run(t, ['move', 'Ramen Bar', 'Want to go', 'Lunch']);
+    assert.deepEqual(move.data, { place: 2, from: 'Want to go', to: 'Lunch' });
+
+    const { data } = await run(t, ['places', '--list', 'Lunch']);
+    assert.deepEqual(data.map(place => [place.name, place.notes]), [['Ramen Bar', 'Ask for the back room']]);
+  });
+
+  it('tags places and filters by tag', async (t) => {
+    const tag = await run(t, ['tag', 'Café Sperl', 'brunch,', 'Kid', 'friendly']);
+    assert.equal(tag.code, 0);
+    assert.deepEqual(tag.data.added, ['brunch', 'kid', 'friendly']);
+    await run(t, ['untag', 'Café Sperl', 'kid', 'friendly']);
+    await run(t, ['tag', 'Ramen Bar', 'late-night']);
+
+    const { data } = await run(t, ['places', '--any-tag', 'brunch,late-night', '--not-tag', 'late-night']);
+    assert.deepEqual(data.map(place => [place.name, place.tags]), [['Café Sperl', ['brunch']]]);
+
+    const tags = await run(t, ['tags']);
+    assert.deepEqual(tags.data, [{ name: 'brunch', places: 1 }, { name: 'late-night', places: 1 }]);
+  });
+
+  it('fails with exit code 1 on errors', async (t) => {
+    assert.equal((await run(t, ['places', '--list', 'Nope'])).code, 1);
+    assert.equal((await run(t, ['ops', '--status', 'stuck'])).code, 1);
+    assert.equal((await run(t, ['places', '--bogus'])).code, 1);
+    assert.equal((await run(t, ['frobnicate'])).code, 1);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ConflictResolver = require('../src/sync/conflict-resolver');
+const { createTestDb, addPlace, addList } = require('./helpers');
+
+describe('ConflictResolver', () => {
+  let db;
+  let resolver;
+  let place;
+  let list;
+
+  beforeEach(() => {
+    db = createTestDb();
+    resolver = new ConflictResolver(db);
+    place = addPlace(db, { googleId: 'g1', notes: 'local' });
+    list = addList(db, 'Favorites');
+  });
+
+  const notesConflict = () => db.conflicts.record({
+    entityType: 'place_notes',
+    placeId: place.id,
+    listId: list.id,
+    baseValue: 'base',
+    localValue: 'local',
+    remoteValue: 'remote'
+  });
+
+  it('keeps local notes and queues a push', () => {
+    const row = resolver.resolve(notesConflict(), 'local');
+
+    assert.equal(row.status, 'resolved');
+    assert.equal(row.resolution, 'local_wins');
+    assert.equal(db.lastRemoteState.getPlaceNotesText(place.id), 'remote');
+    assert.deepEqual(db.getPendingOperations().map(op => op.payload), [{ placeId: place.id, notes: 'local' }]);
+  });
+
+  it('takes remote notes without a push', () => {
+    resolver.resolve(notesConflict(), 'remote');
+
+    assert.equal(db.places.findById(place.id).notes, 'remote');
+    assert.equal(db.getPendingOperations().length, 0);
+  });
+
+  it('saves edited notes as merged', () => {
+    const row = resolver.resolve(notesConflict(), 'edit', 'local and remote');
+
+    assert.equal(row.resolution, 'merged');
+    assert.equal(db.places.findById(place.id).notes, 'local and remote');
+  });
+
+  it('restores a membership removed locally when keeping remote', () => {
+    db.placeLists.add(place.id, list.id);
+    db.placeLists.markDeletedLocally(place.id, list.id);
+    const id = db.conflicts.record({
+      entityType: 'place_list',
+      placeId: place.id,
+      listId: list.id,
+      baseValue: 'exists',
+      localValue: 'not_exists',
+      remoteValue: 'exists'
+    });
+
+    resolver.resolve(id, 'remote');
+
+    assert.equal(db.placeLists.exists(place.id, list.id), true);
+    assert.equal(db.getPendingOperations().length, 0);
+  });
+
+  it('refuses to resolve twice', () => {
+    const id = notesConflict();
+    resolver.resolve(id, 'local');
+    assert.throws(() => resolver.resolve(id, 'remote'), /already resolved/);
+  });
+});
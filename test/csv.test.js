@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CsvParser, parseCSV, formatCSV } = require('../src/takeout/csv');
+
+/**
+ * Records from feeding the parser one piece at a time
+ */
+function records(chunks) {
+  const result = [];
+  const parser = new CsvParser(record => result.push(record));
+  chunks.forEach(chunk => parser.write(chunk));
+  parser.end();
+  return result;
+}
+
+describe('CsvParser', () => {
+  it('handles quoted commas, line breaks and escaped quotes', () => {
+    const result = records(['a,"b, c","line 1\nline 2","say ""hi"""\nd,,""\n']);
+
+    assert.deepEqual(result.map(r => r.fields), [
+      ['a', 'b, c', 'line 1\nline 2', 'say "hi"'],
+      ['d', '', '']
+    ]);
+    assert.deepEqual(result.map(r => r.quoted), [[false, true, true, true], [false, false, true]]);
+    assert.deepEqual(result.map(r => r.line), [1, 3]);
+  });
+
+  it('skips a byte order mark, accepts CRLF and ignores blank lines', () => {
+    const result = records(['\uFEFFTitle,Note\r\n\r\nA,"x\r\ny"\r\nB,z']);
+
+    assert.deepEqual(result.map(r => r.fields), [['Title', 'Note'], ['A', 'x\ny'], ['B', 'z']]);
+    assert.deepEqual(result.map(r => r.line), [1, 3, 5]);
+  });
+
+  it('gives the same records whatever the chunk boundaries', () => {
+    const text = 'Title,Note\r\n"Café ""Sperl""","Melange\r\nund Torte"\r\nFiglmüller,Schnitzel\r\n';
+    const bytes = Buffer.from(text);
+    const whole = records([text]);
+
+    assert.deepEqual(records([...bytes].map(byte => Buffer.from([byte]))), whole);
+    assert.deepEqual(records([bytes.subarray(0, 11), bytes.subarray(11, 17), bytes.subarray(17)]), whole);
+  });
+
+  it('flags malformed records and keeps going', () => {
+    const result = records(['a,"b"c,d\nok,1\n"never closed,2\n']);
+
+    assert.equal(result[0].error, 'Text after a closing quote');
+    assert.deepEqual(result[1], { fields: ['ok', '1'], quoted: [false, false], line: 2, error: null });
+    assert.equal(result[2].error, 'Quoted field never closed');
+    assert.equal(result[2].line, 3);
+  });
+});
+
+describe('parseCSV', () => {
+  it('keeps Tags and Comment and reports rejected rows with their line', () => {
+    const { places, rejected } = parseCSV([
+      'Title,Note,URL,Tags,Comment',
+      'Café Sperl,"Go early\nor late",https://maps.google.com/?cid=1,"cafe, cake",Closed Sundays',
+      ',No title,https://maps.google.com/?cid=2,,',
+      'Figlmüller,,https://maps.google.com/?cid=3,,,extra',
+      'Bad "quote",,https://maps.google.com/?cid=4,,',
+      '"Broken"x,,https://maps.google.com/?cid=5,,'
+    ].join('\n'));
+
+    assert.deepEqual(places, [
+      { Title: 'Café Sperl', Note: 'Go early\nor late', URL: 'https://maps.google.com/?cid=1', Tags: 'cafe, cake', Comment: 'Closed Sundays' },
+      { Title: 'Bad "quote"', Note: '', URL: 'https://maps.google.com/?cid=4', Tags: '', Comment: '' }
+    ]);
+    assert.deepEqual(rejected, [
+      { line: 4, reason: 'No Title' },
+      { line: 5, reason: '6 fields, the header has 5' },
+      { line: 7, reason: 'Text after a closing quote' }
+    ]);
+  });
+});
+
+describe('formatCSV', () => {
+  it('quotes only where needed and reads back unchanged', () => {
+    const rows = [
+      { Title: 'Café "Sperl"', Note: 'Melange, Torte\nund Billard', URL: 'https://maps.google.com/?cid=1', Tags: 'cafe, cake', Comment: null },
+      { Title: 'Figlmüller', Note: ' padded ', URL: 'https://maps.google.com/?cid=2' },
+      { Title: 'Naschmarkt', Note: '  indented line\nsecond\n', URL: 'https://maps.google.com/?cid=3', Comment: '\tTabbed' }
+    ];
+    const text = formatCSV(rows);
+
+    assert.equal(text, [
+      'Title,Note,URL,Tags,Comment',
+      '"Café ""Sperl""","Melange, Torte\nund Billard",https://maps.google.com/?cid=1,"cafe, cake",',
+      'Figlmüller," padded ",https://maps.google.com/?cid=2,,',
+      'Naschmarkt,"  indented line\nsecond\n",https://maps.google.com/?cid=3,,"\tTabbed"',
+      ''
+    ].join('\r\n'));
+    assert.deepEqual(records([text])[1].fields,
+      ['Café "Sperl"', 'Melange, Torte\nund Billard', 'https://maps.google.com/?cid=1', 'cafe, cake', '']);
+    // Quoted fields keep their surrounding whitespace; unquoted ones are trimmed
+    assert.deepEqual(parseCSV(text).places.map(place => [place.Note, place.Comment]),
+      [['Melange, Torte\nund Billard', ''], [' padded ', ''], ['  indented line\nsecond\n', '\tTabbed']]);
+    assert.equal(parseCSV('Title,Note,URL\n  Sperl , cake ,x\n').places[0].Note, 'cake');
+  });
+});
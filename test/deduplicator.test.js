@@ -0,0 +1,147 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Deduplicator = require('../src/sync/deduplicator');
+const { createTestDb, addPlace, addList } = require('./helpers');
+
+const FEATURE_ID = '0x47d8a0b3fd4fbd1d:0x6f8ab2a3e5b0d4a1';
+const CID = BigInt('0x6f8ab2a3e5b0d4a1').toString(10);
+
+describe('Deduplicator', () => {
+  let db;
+  let deduplicator;
+  let favorites;
+  let wantToGo;
+
+  beforeEach(() => {
+    db = createTestDb();
+    deduplicator = new Deduplicator(db, { maxDistance: 100 });
+    favorites = addList(db, 'Favorites');
+    wantToGo = addList(db, 'Want to go');
+  });
+
+  const locate = (place, latitude, longitude) => db.places.updateDetails(place.id, { latitude, longitude });
+
+  describe('findDuplicates', () => {
+    it('groups rows that share a canonical place ID', () => {
+      const seeded = addPlace(db, { googleId: FEATURE_ID, name: 'Café Sperl' });
+      const scraped = addPlace(db, { googleId: CID, name: 'Cafe Sperl Wien' });
+
+      const [group] = deduplicator.findDuplicates();
+      assert.equal(group.keep.id, scraped.id);
+      assert.deepEqual(group.duplicates.map(p => p.id), [seeded.id]);
+      assert.deepEqual(group.reasons, ['same place ID']);
+    });
+
+    it('groups same-name places that are close together or share a URL', () => {
+      const a = addPlace(db, { googleId: 'place_1_Café_Sperl', name: 'Café Sperl' });
+      const b = addPlace(db, { googleId: 'seed-b', name: 'cafe sperl' });
+      locate(a, 48.2008, 16.3611);
+      locate(b, 48.2009, 16.3612);
+      addPlace(db, { googleId: 'u1', name: 'Figlmüller', url: 'https://www.google.com/maps/search/Figlm%C3%BCller' });
+      addPlace(db, { googleId: 'u2', name: 'Figlmüller', url: 'https://google.com/maps/search/Figlmüller/' });
+
+      const reasons = deduplicator.findDuplicates().map(group => group.reasons[0]).sort();
+      assert.deepEqual(reasons, ['same name and URL', 'same name and location']);
+    });
+
+    it('keeps far apart or differently identified branches apart', () => {
+      const vienna = addPlace(db, { googleId: 'a', name: 'Starbucks' });
+      const graz = addPlace(db, { googleId: 'b', name: 'Starbucks' });
+      locate(vienna, 48.2, 16.37);
+      locate(graz, 47.07, 15.44);
+      addPlace(db, { googleId: '0x1:0x10', name: 'Billa', url: 'https://www.google.com/maps/search/Billa' });
+      addPlace(db, { googleId: '0x1:0x20', name: 'Billa', url: 'https://www.google.com/maps/search/Billa' });
+
+      assert.deepEqual(deduplicator.findDuplicates(), []);
+    });
+  });
+
+  describe('merge', () => {
+    it('moves lists, base state, conflicts and pending operations to the kept row', () => {
+      const seeded = addPlace(db, { googleId: FEATURE_ID, name: 'Café Sperl', notes: 'Sachertorte' });
+      const scraped = addPlace(db, { googleId: CID, name: 'Café Sperl', notes: 'Sachertorte\nGo early' });
+      db.places.updateDetails(seeded.id, { address: 'Gumpendorfer Str. 11' });
+
+      db.placeLists.add(seeded.id, favorites.id);
+      db.placeLists.add(seeded.id, wantToGo.id);
+      db.placeLists.add(scraped.id, favorites.id);
+      db.placeLists.markDeletedLocally(scraped.id, favorites.id);
+      db.lastRemoteState.savePlaceListAssociation(seeded.id, wantToGo.id, true);
+      db.lastRemoteState.savePlaceNotes(seeded.id, db.places.hashNotes('Sachertorte'), 'Sachertorte');
+      db.conflicts.record({ entityType: 'place_notes', placeId: seeded.id, localValue: 'a', remoteValue: 'b' });
+      db.addPendingOperation('add_place_to_list', { placeId: seeded.id, listId: wantToGo.id });
+
+      const [group] = deduplicator.findDuplicates();
+      const result = deduplicator.merge(group);
+
+      assert.deepEqual(result, { keepId: scraped.id, mergedIds: [seeded.id], notes: null, skipped: null });
+      assert.equal(db.places.findById(seeded.id), undefined);
+
+      const kept = db.places.findById(scraped.id);
+      assert.equal(kept.notes, 'Sachertorte\nGo early');
+      assert.equal(kept.address, 'Gumpendorfer Str. 11');
+      assert.deepEqual(db.placeLists.findListsForPlace(scraped.id).map(l => l.name).sort(), ['Favorites', 'Want to go']);
+
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(scraped.id, wantToGo.id), 'exists');
+      assert.equal(db.lastRemoteState.getPlaceNotesText(scraped.id), 'Sachertorte');
+      assert.equal(db.lastRemoteState.find('place_notes', `place_${seeded.id}`), undefined);
+      assert.equal(db.conflicts.findRecent()[0].place_id, scraped.id);
+      assert.deepEqual(db.getPendingOperations().map(op => op.payload), [{ placeId: scraped.id, listId: wantToGo.id }]);
+    });
+
+    it('combines different notes and adopts the canonical ID', () => {
+      const a = addPlace(db, { googleId: 'place_1', name: 'Naschmarkt', notes: 'Saturday flea market', url: 'https://www.google.com/maps/search/Naschmarkt' });
+      const b = addPlace(db, { googleId: 'seed', name: 'Naschmarkt', notes: 'Try the falafel', url: `https://www.google.com/maps/place/Naschmarkt/data=!4m2!3m1!1s${FEATURE_ID}` });
+      locate(a, 48.1986, 16.3631);
+      locate(b, 48.1987, 16.3632);
+      db.placeLists.add(a.id, favorites.id);
+
+      const [group] = deduplicator.findDuplicates();
+      const result = deduplicator.merge(group);
+
+      const kept = db.places.findById(a.id);
+      assert.equal(result.notes, 'Saturday flea market\n\nTry the falafel');
+      assert.equal(kept.notes, result.notes);
+      assert.equal(kept.notes_hash, db.places.hashNotes(result.notes));
+      assert.equal(kept.google_place_id, CID);
+      assert.equal(db.places.findById(b.id), undefined);
+    });
+
+    it('leaves groups alone whose combined notes would be too long for Google Maps', () => {
+      const seeded = addPlace(db, { googleId: FEATURE_ID, name: 'Café Sperl', notes: 'a'.repeat(2500) });
+      const scraped = addPlace(db, { googleId: CID, name: 'Café Sperl', notes: 'b'.repeat(2500) });
+      db.placeLists.add(seeded.id, favorites.id);
+
+      const [group] = deduplicator.findDuplicates();
+      const result = deduplicator.merge(group);
+
+      assert.deepEqual(result, {
+        keepId: scraped.id,
+        mergedIds: [],
+        notes: null,
+        skipped: 'Combined notes would be 5002 characters, Google Maps allows 4000'
+      });
+      assert.equal(db.places.findById(seeded.id).notes, 'a'.repeat(2500));
+      assert.equal(db.places.findById(scraped.id).notes, 'b'.repeat(2500));
+      assert.deepEqual(db.placeLists.findListsForPlace(seeded.id).map(list => list.name), ['Favorites']);
+    });
+
+    it('leaves groups alone whose canonical ID a deleted place still holds', () => {
+      const a = addPlace(db, { googleId: 'place_1', name: 'Naschmarkt', url: 'https://www.google.com/maps/search/Naschmarkt' });
+      const b = addPlace(db, { googleId: 'seed', name: 'Naschmarkt', url: `https://www.google.com/maps/place/Naschmarkt/data=!4m2!3m1!1s${FEATURE_ID}` });
+      locate(a, 48.1986, 16.3631);
+      locate(b, 48.1987, 16.3632);
+      const deleted = addPlace(db, { googleId: CID, name: 'Naschmarkt' });
+      db.places.markDeleted(deleted.id);
+
+      const [group] = deduplicator.findDuplicates();
+      assert.equal(group.canonicalId, CID);
+      const result = deduplicator.merge(group);
+
+      assert.equal(result.skipped, `Place ID ${CID} belongs to deleted place #${deleted.id} (Naschmarkt)`);
+      assert.deepEqual(result.mergedIds, []);
+      assert.equal(db.places.findById(a.id).google_place_id, 'place_1');
+      assert.ok(db.places.findById(b.id));
+    });
+  });
+});
@@ -0,0 +1,233 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../src/db');
+const PlaceExporter = require('../src/sync/place-exporter');
+const { main } = require('../src/cli');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('PlaceExporter', () => {
+  let db;
+  let exporter;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    exporter = new PlaceExporter(db);
+
+    const favorites = addList(db, 'Favorites');
+    const vienna = addList(db, "Jason's <Vienna>");
+    const sperl = addPlace(db, { googleId: '111', name: 'Café Sperl', notes: 'Cake & "Melange"', url: 'https://maps.google.com/?cid=111' });
+    const belvedere = addPlace(db, { googleId: '222', name: 'Belvedere', url: 'https://maps.google.com/?cid=222' });
+    const pin = addPlace(db, { googleId: '333', name: 'Dropped pin' });
+    const park = addPlace(db, { googleId: '444', name: 'Stadtpark' });
+    db.places.updateDetails(sperl.id, { latitude: 48.2008, longitude: 16.3611 });
+    db.places.updateDetails(belvedere.id, { latitude: 48.1915, longitude: 16.3809 });
+    db.places.updateDetails(park.id, { latitude: 48.2046, longitude: 16.3798 });
+    db.placeLists.add(sperl.id, favorites.id);
+    db.placeLists.add(sperl.id, vienna.id);
+    db.placeLists.add(belvedere.id, vienna.id);
+    db.placeLists.add(pin.id, vienna.id);
+  });
+
+  it('collects lists with every list each place is in, and places without coordinates', () => {
+    const collection = exporter.collect(['Favorites']);
+
+    assert.equal(collection.name, 'Favorites');
+    assert.deepEqual(collection.lists.map(list => [list.name, list.places.map(p => p.name)]), [['Favorites', ['Café Sperl']]]);
+    assert.deepEqual(collection.places[0].lists.sort(), ['Favorites', "Jason's <Vienna>"]);
+    assert.deepEqual(collection.missing, []);
+
+    const everything = exporter.collect();
+    assert.equal(everything.name, 'Saved places');
+    assert.deepEqual(everything.lists.map(list => [list.name, list.places.length]),
+      [['Favorites', 1], ["Jason's <Vienna>", 2], ['No list', 1]]);
+    assert.deepEqual(everything.places.map(p => p.name), ['Café Sperl', 'Belvedere', 'Stadtpark']);
+    assert.deepEqual(everything.missing.map(p => [p.name, p.lists]), [['Dropped pin', ["Jason's <Vienna>"]]]);
+
+    assert.throws(() => exporter.collect(['Nope']), /List not found: Nope/);
+  });
+
+  it('writes a GeoJSON FeatureCollection', () => {
+    const { text } = exporter.export('geojson', ['Favorites', "Jason's <Vienna>"]);
+    const geojson = JSON.parse(text);
+
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.deepEqual(geojson.features.map(f => f.properties.name), ['Café Sperl', 'Belvedere']);
+    assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [16.3611, 48.2008] });
+    const { lists, ...properties } = geojson.features[0].properties;
+    assert.deepEqual(properties, { name: 'Café Sperl', notes: 'Cake & "Melange"', url: 'https://maps.google.com/?cid=111' });
+    assert.deepEqual(lists.sort(), ['Favorites', "Jason's <Vienna>"]);
+  });
+
+  it('writes KML with one folder per list', () => {
+    const { text } = exporter.export('kml');
+    const folders = [...text.matchAll(/<Folder>\s*<name>(.*?)<\/name>([\s\S]*?)<\/Folder>/g)]
+      .map(([, name, body]) => [name, [...body.matchAll(/<Placemark>\s*<name>(.*?)<\/name>/g)].map(m => m[1])]);
+
+    assert.match(text, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<kml xmlns="http:\/\/www.opengis.net\/kml\/2.2">/);
+    assert.deepEqual(folders, [
+      ['Favorites', ['Café Sperl']],
+      ["Jason's &lt;Vienna&gt;", ['Café Sperl', 'Belvedere']],
+      ['No list', ['Stadtpark']]
+    ]);
+    assert.match(text, /<description>Cake &amp; &quot;Melange&quot;<\/description>/);
+    assert.match(text, /<Point><coordinates>16.3611,48.2008<\/coordinates><\/Point>/);
+  });
+
+  it('writes GPX waypoints', () => {
+    const { text } = exporter.export('gpx', ["Jason's <Vienna>"]);
+
+    assert.match(text, /<gpx version="1.1" creator="gmaps" xmlns="http:\/\/www.topografix.com\/GPX\/1\/1">/);
+    assert.deepEqual([...text.matchAll(/<wpt lat="([\d.]+)" lon="([\d.]+)">\s*<name>(.*?)<\/name>/g)].map(m => m.slice(1)), [
+      ['48.2008', '16.3611', 'Café Sperl'],
+      ['48.1915', '16.3809', 'Belvedere']
+    ]);
+    assert.match(text, /<link href="https:\/\/maps.google.com\/\?cid=222"><text>Google Maps<\/text><\/link>/);
+    assert.doesNotMatch(text, /Dropped pin/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => exporter.export('shp'), /Unknown format: shp \(expected geojson, kml, gpx\)/);
+  });
+});
+
+describe('Takeout CSV export', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the CLI against a database in the temp folder
+   */
+  async function run(t, dbName, args) {
+    quiet(t);
+    const code = await main([...args, '--db', path.join(dir, dbName)]);
+    t.mock.restoreAll();
+    return code;
+  }
+
+  /**
+   * File name → contents of every file in a folder
+   */
+  function readFiles(folder) {
+    return Object.fromEntries(fs.readdirSync(folder).sort().map(file => [file, fs.readFileSync(path.join(folder, file), 'utf8')]));
+  }
+
+  /**
+   * Live list names in a database
+   */
+  function listNames(t, dbName) {
+    quiet(t);
+    const db = new Database(path.join(dir, dbName));
+    try {
+      db.init();
+      return db.lists.findAll().map(list => list.name).sort();
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Notes of the place with a given name
+   */
+  function placeNotes(t, dbName, name) {
+    quiet(t);
+    const db = new Database(path.join(dir, dbName));
+    try {
+      db.init();
+      return db.places.findAll().find(place => place.name === name).notes;
+    } finally {
+      db.close();
+    }
+  }
+
+  it('writes what seed and import read back into the same lists, notes, tags and comments', async (t) => {
+    const db = new Database(path.join(dir, 'original.db'));
+    quiet(t);
+    db.init();
+    const favorites = addList(db, 'Favorites');
+    const jasons = addList(db, "Jason's Vienna Research");
+    const sperl = addPlace(db, {
+      googleId: '111',
+      name: 'Café "Sperl"',
+      notes: 'Melange, Torte\nand billiards',
+      url: 'https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s0x1:0x6f'
+    });
+    const naschmarkt = addPlace(db, { googleId: '222', name: 'Naschmarkt' });
+    const pin = addPlace(db, { googleId: 'http://maps.google.com/?q=Somewhere', name: 'Dropped pin', url: 'http://maps.google.com/?q=Somewhere' });
+    db.placeLists.add(naschmarkt.id, jasons.id);
+    db.placeLists.add(sperl.id, jasons.id, '2020-01-01 00:00:00');
+    db.placeLists.add(sperl.id, favorites.id);
+    db.placeLists.add(pin.id, favorites.id);
+    db.placeLists.setTagsAndComment(naschmarkt.id, jasons.id, null, 'Go before 10, "early"');
+    // Whitespace at either end of notes and comments is part of them
+    const prater = addPlace(db, { googleId: '333', name: 'Prater', notes: '  indented line\nsecond\n' });
+    db.placeLists.add(prater.id, favorites.id);
+    db.placeLists.setTagsAndComment(prater.id, favorites.id, null, ' with kids ');
+    db.tags.addToPlace(sperl.id, ['cafe', 'kid-friendly']);
+    // Names Takeout's file naming can't keep, two of them ending up as the same file
+    for (const name of ['Food/drinks', 'Food:drinks', 'What? "Really"']) {
+      db.placeLists.add(naschmarkt.id, addList(db, name).id);
+    }
+    db.close();
+
+    assert.equal(await run(t, 'original.db', ['export', '--format', 'csv', '--out', path.join(dir, 'first')]), 0);
+    assert.equal(await run(t, 'seeded.db', ['seed', path.join(dir, 'first')]), 0);
+    assert.equal(await run(t, 'seeded.db', ['export', '--format', 'csv', '--out', path.join(dir, 'second')]), 0);
+    assert.equal(await run(t, 'imported.db', ['import', path.join(dir, 'first')]), 0);
+
+    const original = listNames(t, 'original.db');
+    assert.deepEqual(original, ['Favorites', 'Food/drinks', 'Food:drinks', "Jason's Vienna Research", 'What? "Really"']);
+    assert.deepEqual(listNames(t, 'seeded.db'), original);
+    assert.deepEqual(listNames(t, 'imported.db'), original);
+    assert.equal(placeNotes(t, 'seeded.db', 'Prater'), '  indented line\nsecond\n');
+    assert.equal(placeNotes(t, 'imported.db', 'Prater'), '  indented line\nsecond\n');
+
+    const naschmarktOnly = [
+      'Title,Note,URL,Tags,Comment',
+      'Naschmarkt,,https://www.google.com/maps?cid=222,,',
+      ''
+    ].join('\r\n');
+    const first = readFiles(path.join(dir, 'first'));
+    const manifest = JSON.parse(first['lists.json']);
+    assert.deepEqual(manifest, {
+      'Favorite places.csv': 'Favorites',
+      'Food_drinks.csv': 'Food/drinks',
+      'Food_drinks (2).csv': 'Food:drinks',
+      'Jason_s Vienna Research.csv': "Jason's Vienna Research",
+      'What_ _Really_.csv': 'What? "Really"'
+    });
+    delete first['lists.json'];
+    assert.deepEqual(first, {
+      'Favorite places.csv': [
+        'Title,Note,URL,Tags,Comment',
+        '"Café ""Sperl""","Melange, Torte\nand billiards",https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s0x1:0x6f,"cafe, kid-friendly",',
+        'Dropped pin,,http://maps.google.com/?q=Somewhere,,',
+        'Prater,"  indented line\nsecond\n",https://www.google.com/maps?cid=333,," with kids "',
+        ''
+      ].join('\r\n'),
+      'Jason_s Vienna Research.csv': [
+        'Title,Note,URL,Tags,Comment',
+        '"Café ""Sperl""","Melange, Torte\nand billiards",https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s0x1:0x6f,"cafe, kid-friendly",',
+        'Naschmarkt,,https://www.google.com/maps?cid=222,,"Go before 10, ""early"""',
+        ''
+      ].join('\r\n'),
+      'Food_drinks (2).csv': naschmarktOnly,
+      'Food_drinks.csv': naschmarktOnly,
+      'What_ _Really_.csv': naschmarktOnly
+    });
+    const second = readFiles(path.join(dir, 'second'));
+    assert.deepEqual(JSON.parse(second['lists.json']), manifest);
+    delete second['lists.json'];
+    assert.deepEqual(second, first);
+  });
+});
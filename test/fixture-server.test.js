@@ -0,0 +1,203 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const Database = require('../src/db');
+const FixtureServer = require('../src/browser/fixture-server');
+const { main } = require('../src/cli');
+const { quiet } = require('./helpers');
+
+const FEATURE_ID = '0x476d079b259d2a7f:0x9f3e4f2f4b0a1c2d';
+const CID = BigInt('0x9f3e4f2f4b0a1c2d').toString(10);
+
+// The bundled fixture: Want to go has 12 places, more than one page of 8
+const FIXTURE = path.join(__dirname, 'fixtures', 'saved-places.json');
+const HAS_CHROMIUM = fs.existsSync(chromium.executablePath());
+
+describe('FixtureServer', () => {
+  let fixture;
+  let server;
+  let root;
+
+  beforeEach(async (t) => {
+    quiet(t);
+    fixture = {
+      pageSize: 2,
+      lists: [{
+        id: 'L1',
+        name: 'Favorites',
+        places: [
+          { id: FEATURE_ID, name: 'Café Sperl', notes: 'Cake' },
+          { id: 'P2', name: 'Figlmüller', notes: '' },
+          { id: 'P3', name: 'Naschmarkt', notes: '' }
+        ]
+      }],
+      sharedLists: [{ id: 'S1', name: "Anna's picks", places: [{ id: 'P4', name: 'Prater', notes: '' }] }]
+    };
+    server = new FixtureServer(fixture);
+    root = (await server.start()).replace(/\/maps$/, '');
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  /**
+   * Call the fixture server and return its status and body (parsed when JSON)
+   */
+  async function request(method, urlPath, body) {
+    const res = await fetch(`${root}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: /json/.test(res.headers.get('content-type')) ? JSON.parse(text) : text };
+  }
+
+  /**
+   * State and route the page hands to fixture-client.js
+   */
+  function embedded(html) {
+    return JSON.parse(html.match(/window\.__FIXTURE__ = (.*);<\/script>/)[1]);
+  }
+
+  it('serves the app shell with every place, for the client to page through', async () => {
+    const { status, body } = await request('GET', '/maps');
+
+    assert.equal(status, 200);
+    assert.match(body, /<script src="\/fixture-client.js"><\/script>/);
+    const { state, route } = embedded(body);
+    assert.deepEqual(route, { view: 'home' });
+    assert.equal(state.pageSize, 2);
+    assert.deepEqual(state.lists[0].places.map(place => place.name), ['Café Sperl', 'Figlmüller', 'Naschmarkt']);
+    assert.deepEqual(state.sharedLists.map(list => list.name), ["Anna's picks"]);
+
+    const client = await request('GET', '/fixture-client.js');
+    assert.equal(client.status, 200);
+    assert.match(client.body, /state\.pageSize/);
+  });
+
+  it('opens place pages by CID, place URL and search name', async () => {
+    const byCid = await request('GET', `/maps?cid=${CID}`);
+    assert.deepEqual(embedded(byCid.body).route, { view: 'place', placeId: FEATURE_ID });
+
+    const byUrl = await request('GET', `/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s${FEATURE_ID}`);
+    assert.deepEqual(embedded(byUrl.body).route, { view: 'place', placeId: FEATURE_ID });
+
+    const bySearch = await request('GET', `/maps/search/${encodeURIComponent('Prater')}`);
+    assert.deepEqual(embedded(bySearch.body).route, { view: 'place', placeId: 'P4' });
+
+    assert.equal((await request('GET', '/maps/search/Nowhere')).status, 404);
+    assert.equal((await request('GET', '/elsewhere')).status, 404);
+  });
+
+  it('keeps edits made through the API in memory', async () => {
+    await request('PUT', '/api/notes', { placeId: FEATURE_ID, notes: 'Melange' });
+    const created = await request('POST', '/api/lists', { name: 'Lunch' });
+    await request('PUT', `/api/lists/${created.body.id}`, { name: 'Brunch' });
+    await request('POST', `/api/lists/${created.body.id}/places`, { placeId: 'P2' });
+    await request('DELETE', '/api/lists/L1/places/P3');
+
+    const { body: state } = await request('GET', '/api/state');
+    assert.equal(state.lists[0].places[0].notes, 'Melange');
+    assert.deepEqual(state.lists[0].places.map(place => place.id), [FEATURE_ID, 'P2']);
+    assert.deepEqual(state.lists[1], { id: created.body.id, name: 'Brunch', places: [{ id: 'P2', name: 'Figlmüller', notes: '' }] });
+
+    await request('DELETE', `/api/lists/${created.body.id}`);
+    assert.deepEqual(server.getState().lists.map(list => list.name), ['Favorites']);
+    // The caller's fixture is never edited
+    assert.equal(fixture.lists[0].places.length, 3);
+    assert.equal(fixture.lists[0].places[0].notes, 'Cake');
+  });
+
+  it('answers unknown routes and missing lists or places with 404 and bad edits with 400', async () => {
+    assert.equal((await request('GET', '/api/nope')).status, 404);
+    assert.equal((await request('PATCH', '/api/lists/L1', { name: 'x' })).status, 404);
+
+    assert.deepEqual(await request('POST', '/api/lists/NOPE/places', { placeId: 'P2' }),
+      { status: 404, body: { error: 'List NOPE not found' } });
+    assert.deepEqual(await request('POST', '/api/lists/L1/places', { placeId: 'NOPE' }),
+      { status: 404, body: { error: 'Place NOPE not found' } });
+    assert.equal((await request('DELETE', '/api/lists/NOPE')).status, 404);
+
+    assert.deepEqual(await request('POST', '/api/lists', {}), { status: 400, body: { error: 'List name is required' } });
+    assert.equal((await request('PUT', '/api/lists/L1', { name: '' })).status, 400);
+    const res = await fetch(`${root}/api/lists`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('sync against the fixture server', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-fixture-sync-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('pulls every list, paging through long ones', {
+    skip: !HAS_CHROMIUM && 'Playwright Chromium is not installed (npx playwright install chromium)',
+    timeout: 300000
+  }, async (t) => {
+    const dbPath = path.join(dir, 'fixture.db');
+    quiet(t);
+
+    assert.equal(await main(['sync', '--fixture', FIXTURE, '--full', '--no-details', '--db', dbPath]), 0);
+
+    const expected = JSON.parse(fs.readFileSync(FIXTURE, 'utf8')).lists;
+    const db = new Database(dbPath);
+    try {
+      db.init();
+      for (const list of expected) {
+        const synced = db.lists.findByName(list.name);
+        assert.ok(synced, `list ${list.name}`);
+        assert.deepEqual(
+          db.placeLists.findPlacesInList(synced.id).map(place => place.name).sort(),
+          list.places.map(place => place.name).sort()
+        );
+      }
+    } finally {
+      db.close();
+    }
+  });
+
+  it('pushes queued edits to the fixture', {
+    skip: !HAS_CHROMIUM && 'Playwright Chromium is not installed (npx playwright install chromium)',
+    timeout: 300000
+  }, async (t) => {
+    const dbPath = path.join(dir, 'fixture.db');
+    quiet(t);
+    // The CLI owns its fixture server; keep what it holds when the CLI stops it
+    let pushed = null;
+    const stop = FixtureServer.prototype.stop;
+    t.mock.method(FixtureServer.prototype, 'stop', function () {
+      pushed = JSON.parse(JSON.stringify(this.getState()));
+      return stop.call(this);
+    });
+
+    assert.equal(await main(['sync', '--fixture', FIXTURE, '--full', '--no-details', '--db', dbPath]), 0);
+    assert.equal(await main(['note', 'Figlmüller', 'Order', 'the', 'Schnitzel', '--db', dbPath]), 0);
+    assert.equal(await main(['add', 'Prater', 'Favorites', '--db', dbPath]), 0);
+    assert.equal(await main(['sync', '--fixture', FIXTURE, '--no-details', '--db', dbPath]), 0);
+
+    const favorites = pushed.lists.find(list => list.name === 'Favorites');
+    assert.equal(favorites.places.find(place => place.name === 'Figlmüller').notes, 'Order the Schnitzel');
+    assert.ok(favorites.places.some(place => place.name === 'Prater'), 'Prater added to Favorites');
+
+    const db = new Database(dbPath);
+    try {
+      db.init();
+      assert.deepEqual(db.getPendingOperations(), []);
+      assert.deepEqual(db.getOperations().map(op => [op.operation_type, op.status]).sort(),
+        [['add_place_to_list', 'completed'], ['update_notes', 'completed']]);
+    } finally {
+      db.close();
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const { mock } = require('node:test');
+const Database = require('../src/db');
+
+/**
+ * Shared test helpers - in-memory database and small data builders
+ */
+
+/**
+ * Fresh in-memory database with the full schema
+ */
+function createTestDb() {
+  const log = mock.method(console, 'log', () => {});
+  try {
+    return new Database(':memory:').init();
+  } finally {
+    log.mock.restore();
+  }
+}
+
+/**
+ * Insert a place and return its row
+ */
+function addPlace(db, { googleId, name = googleId, notes = null, url = null }) {
+  db.places.upsert({
+    google_place_id: googleId,
+    google_maps_url: url,
+    name,
+    notes,
+    last_synced: null
+  });
+  return db.places.findByGoogleId(googleId);
+}
+
+/**
+ * Insert a list and return its row
+ */
+function addList(db, name, googleListId = null) {
+  db.lists.upsert(googleListId, name);
+  return db.lists.findByName(name);
+}
+
+/**
+ * Silence console output from the code under test for the rest of a test
+ */
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+module.exports = {
+  createTestDb,
+  addPlace,
+  addList,
+  quiet
+};
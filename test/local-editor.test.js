@@ -0,0 +1,199 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LocalEditor = require('../src/sync/local-editor');
+const ChangeDetector = require('../src/sync/change-detector');
+const Merger = require('../src/sync/merger');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('LocalEditor', () => {
+  let db;
+  let editor;
+  let detector;
+  let merger;
+  let sperl;
+  let favorites;
+  let wantToGo;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    editor = new LocalEditor(db);
+    detector = new ChangeDetector(db);
+    merger = new Merger(db);
+
+    favorites = addList(db, 'Favorites');
+    wantToGo = addList(db, 'Want to go');
+    sperl = addPlace(db, { googleId: '111', name: 'Café Sperl', notes: 'Cake' });
+    db.placeLists.add(sperl.id, favorites.id);
+
+    // Last sync saw Café Sperl in Favorites with its notes
+    db.lastRemoteState.savePlaceListAssociation(sperl.id, favorites.id, true);
+    db.lastRemoteState.savePlaceNotes(sperl.id, db.places.hashNotes('Cake'), 'Cake');
+    db.lastRemoteState.saveList(favorites.id, detector.hash('Favorites'));
+    db.lastRemoteState.saveList(wantToGo.id, detector.hash('Want to go'));
+  });
+
+  const remoteSperl = { google_place_id: '111', name: 'Café Sperl', notes: 'Cake' };
+  const pendingOps = () => db.getPendingOperations().map(op => ({ type: op.operation_type, payload: op.payload }));
+
+  /**
+   * Detect and merge like a quick sync that scraped the given places
+   */
+  function quickSync(remoteState) {
+    merger.applyListChanges(detector.detectListChanges(Object.keys(remoteState).map(name => ({ name, google_list_id: null }))));
+    for (const [listName, places] of Object.entries(remoteState)) {
+      merger.applyChanges(detector.detectChangesForList(listName, places, true));
+    }
+  }
+
+  describe('findPlace', () => {
+    it('finds places by #id, place ID, URL or name', () => {
+      assert.equal(editor.findPlace(`#${sperl.id}`).id, sperl.id);
+      assert.equal(editor.findPlace('111').id, sperl.id);
+      assert.equal(editor.findPlace('https://www.google.com/maps?cid=111').id, sperl.id);
+      assert.equal(editor.findPlace('café sperl').id, sperl.id);
+    });
+
+    it('rejects unknown and ambiguous places', () => {
+      addPlace(db, { googleId: '222', name: 'Café Sperl' });
+
+      assert.throws(() => editor.findPlace('Nope'), /Place not found: Nope/);
+      assert.throws(() => editor.findPlace('Café Sperl'), /matches 2 places/);
+    });
+  });
+
+  describe('notes', () => {
+    it('is pushed as a local change', () => {
+      editor.setNotes('111', 'Cake, and the billiard tables');
+
+      quickSync({ Favorites: [remoteSperl], 'Want to go': [] });
+
+      assert.deepEqual(pendingOps(), [
+        { type: 'update_notes', payload: { placeId: sperl.id, notes: 'Cake, and the billiard tables' } }
+      ]);
+    });
+
+    it('is pushed even when the quick sync did not reach the place', () => {
+      editor.setNotes('111', null);
+
+      const changes = detector.detectUnscrapedNotesChanges(new Set());
+      merger.applyChanges({ placeChanges: [], notesChanges: changes, associationChanges: [], conflicts: [] });
+
+      assert.deepEqual(pendingOps(), [{ type: 'update_notes', payload: { placeId: sperl.id, notes: null } }]);
+    });
+
+    it('is pushed as a local change for seeded places that were never synced', () => {
+      const ramen = addPlace(db, { googleId: '222', name: 'Ramen Bar', notes: 'old' });
+      db.placeLists.add(ramen.id, favorites.id);
+      db.lastRemoteState.savePlaceListAssociation(ramen.id, favorites.id, true);
+
+      editor.setNotes('222', 'new');
+      // A conflict would throw the edit away
+      merger.setConflictStrategy('remote_wins');
+      quickSync({ Favorites: [remoteSperl, { google_place_id: '222', name: 'Ramen Bar', notes: 'old' }], 'Want to go': [] });
+
+      assert.deepEqual(pendingOps(), [{ type: 'update_notes', payload: { placeId: ramen.id, notes: 'new' } }]);
+      assert.deepEqual(db.conflicts.findUnresolved(), []);
+    });
+
+    it('rejects notes longer than Google allows', () => {
+      assert.throws(() => editor.setNotes('111', 'x'.repeat(4001)), /allows 4000/);
+    });
+  });
+
+  describe('membership', () => {
+    it('pushes additions and removals', () => {
+      editor.addToList('111', 'Want to go');
+      editor.removeFromList('111', 'Favorites');
+
+      quickSync({ Favorites: [remoteSperl], 'Want to go': [] });
+
+      assert.deepEqual(pendingOps(), [
+        { type: 'remove_place_from_list', payload: { placeId: sperl.id, listId: favorites.id } },
+        { type: 'add_place_to_list', payload: { placeId: sperl.id, listId: wantToGo.id } }
+      ]);
+    });
+
+    it('moves a place between lists', () => {
+      const { from, to } = editor.movePlace('Café Sperl', 'Favorites', 'Want to go');
+
+      assert.equal(from.id, favorites.id);
+      assert.equal(to.id, wantToGo.id);
+      assert.deepEqual(db.placeLists.findListsForPlace(sperl.id).map(l => l.name), ['Want to go']);
+
+      // Café Sperl is further down Favorites than the quick sync scrolled
+      quickSync({ Favorites: [], 'Want to go': [] });
+      assert.deepEqual(pendingOps().map(op => op.type).sort(), ['add_place_to_list', 'remove_place_from_list']);
+    });
+
+    it('drops additions that were never pushed instead of queueing a removal', () => {
+      editor.addToList('111', 'Want to go');
+      editor.removeFromList('111', 'Want to go');
+
+      quickSync({ Favorites: [remoteSperl], 'Want to go': [] });
+
+      assert.deepEqual(pendingOps(), []);
+      assert.equal(db.placeLists.findPendingLocalDeletes().length, 0);
+    });
+
+    it('rejects adding twice and removing what is not there', () => {
+      assert.throws(() => editor.addToList('111', 'Favorites'), /already in Favorites/);
+      assert.throws(() => editor.removeFromList('111', 'Want to go'), /not in Want to go/);
+      assert.throws(() => editor.addToList('111', 'Nope'), /List not found: Nope/);
+    });
+  });
+
+  describe('lists', () => {
+    it('pushes created lists together with their places', () => {
+      const list = editor.createList('Brunch');
+      editor.addToList('111', 'Brunch');
+
+      quickSync({ Favorites: [remoteSperl], 'Want to go': [] });
+      merger.applyChanges(detector.detectChangesForList('Brunch', [], true));
+
+      assert.deepEqual(pendingOps(), [
+        { type: 'create_list', payload: { listId: list.id, name: 'Brunch' } },
+        { type: 'add_place_to_list', payload: { placeId: sperl.id, listId: list.id } }
+      ]);
+    });
+
+    it('pushes renames with the name Google still has', () => {
+      editor.renameList('Want to go', 'Someday');
+
+      const remoteLists = [{ name: 'Favorites', google_list_id: null }, { name: 'Want to go', google_list_id: null }];
+      merger.applyListChanges(detector.detectListChanges(remoteLists));
+
+      assert.deepEqual(pendingOps(), [
+        { type: 'rename_list', payload: { listId: wantToGo.id, from: 'Want to go', name: 'Someday' } }
+      ]);
+      // Once Google has the new name, nothing is left to do
+      assert.deepEqual(detector.detectListChanges([remoteLists[0], { name: 'Someday', google_list_id: null }]), []);
+    });
+
+    it('pushes deletes', () => {
+      editor.deleteList('Want to go');
+
+      merger.applyListChanges(detector.detectListChanges([
+        { name: 'Favorites', google_list_id: null },
+        { name: 'Want to go', google_list_id: null }
+      ]));
+
+      assert.deepEqual(pendingOps(), [{ type: 'delete_list', payload: { listId: wantToGo.id, name: 'Want to go' } }]);
+      assert.throws(() => editor.findList('Want to go'), /List not found/);
+    });
+
+    it('rejects taken, empty and system list names', () => {
+      assert.throws(() => editor.createList('Favorites'), /already exists/);
+      assert.throws(() => editor.createList('  '), /required/);
+      assert.throws(() => editor.renameList('Favorites', 'Starred places'), /reserved/);
+    });
+
+    it('lets a deleted list name be used again', () => {
+      editor.deleteList('Want to go');
+      const list = editor.createList('Want to go');
+
+      assert.notEqual(list.id, wantToGo.id);
+      assert.equal(editor.findList('Want to go').id, list.id);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { project, unproject, clusterPoints } = require('../src/api/public/map-cluster');
+
+describe('map-cluster', () => {
+  it('projects to Web Mercator world coordinates and back', () => {
+    assert.deepEqual(project(0, 0), { x: 0.5, y: 0.5 });
+    assert.equal(project(0, 180).x, 1);
+
+    const vienna = project(48.2082, 16.3738);
+    const back = unproject(vienna.x, vienna.y);
+    assert.ok(Math.abs(back.latitude - 48.2082) < 1e-9);
+    assert.ok(Math.abs(back.longitude - 16.3738) < 1e-9);
+  });
+
+  it('clamps latitudes the projection cannot show', () => {
+    assert.ok(project(90, 0).y >= 0);
+    assert.ok(project(-90, 0).y <= 1);
+  });
+
+  it('groups points that share a grid cell', () => {
+    const groups = clusterPoints([
+      { x: 10, y: 10, id: 1 },
+      { x: 30, y: 20, id: 2 },
+      { x: 200, y: 200, id: 3 }
+    ], 48);
+
+    assert.equal(groups.length, 2);
+    assert.deepEqual(groups[0].points.map(point => point.id), [1, 2]);
+    assert.deepEqual([groups[0].x, groups[0].y], [20, 15]);
+    assert.deepEqual(groups[1].points.map(point => point.id), [3]);
+  });
+});
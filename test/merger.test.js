@@ -0,0 +1,188 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Merger = require('../src/sync/merger');
+const ChangeDetector = require('../src/sync/change-detector');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+describe('Merger', () => {
+  let db;
+  let merger;
+  let detector;
+  let place;
+  let list;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    merger = new Merger(db);
+    detector = new ChangeDetector(db);
+    place = addPlace(db, { googleId: 'g1', name: 'Café Sperl' });
+    list = addList(db, 'Favorites');
+    db.placeLists.add(place.id, list.id);
+    db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+  });
+
+  const pendingOps = () => db.getPendingOperations().map(op => ({ type: op.operation_type, payload: op.payload }));
+
+  /**
+   * Set base + local notes, then detect against the remote value
+   */
+  function notesConflict(base, local, remote) {
+    db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes(base), base);
+    db.places.updateNotes(place.id, local);
+    return detector.detectPlaceNotesChange(place.id, local, remote, list.id);
+  }
+
+  describe('conflict strategies', () => {
+    it('rejects unknown strategies and entities', () => {
+      assert.throws(() => merger.setConflictStrategy('coin_flip'), /Unknown conflict strategy/);
+      assert.throws(() => merger.setConflictStrategy('manual', { entity: 'lists' }), /Unknown conflict entity/);
+    });
+
+    it('picks the most specific strategy', () => {
+      const other = addList(db, 'Want to go');
+      merger.setConflictStrategy('remote_wins');
+      merger.setConflictStrategy('local_wins', { entity: 'place_list' });
+      merger.setConflictStrategy('manual', { list: 'Favorites', entity: 'place_notes' });
+
+      assert.equal(merger.getConflictStrategy('place_notes', list.id), 'manual');
+      assert.equal(merger.getConflictStrategy('place_list', list.id), 'local_wins');
+      assert.equal(merger.getConflictStrategy('place_notes', other.id), 'remote_wins');
+    });
+  });
+
+  describe('applyNotesChange', () => {
+    it('queues a push for local changes', () => {
+      const change = notesConflict('A', 'B', 'A');
+      merger.applyNotesChange(change);
+
+      assert.deepEqual(pendingOps(), [{ type: 'update_notes', payload: { placeId: place.id, notes: 'B' } }]);
+      assert.equal(db.lastRemoteState.getPlaceNotesText(place.id), 'B');
+    });
+
+    it('takes remote changes', () => {
+      const change = notesConflict('A', 'A', 'C');
+      merger.applyNotesChange(change);
+
+      assert.equal(db.places.findById(place.id).notes, 'C');
+      assert.equal(db.lastRemoteState.getPlaceNotes(place.id), db.places.hashNotes('C'));
+      assert.deepEqual(pendingOps(), []);
+    });
+
+    it('merges edits to different lines', () => {
+      const change = notesConflict('one\ntwo', 'ONE\ntwo', 'one\ntwo\nthree');
+      const resolution = merger.applyNotesChange(change);
+
+      assert.equal(resolution, 'merged');
+      assert.equal(db.places.findById(place.id).notes, 'ONE\ntwo\nthree');
+      assert.deepEqual(pendingOps(), [{ type: 'update_notes', payload: { placeId: place.id, notes: 'ONE\ntwo\nthree' } }]);
+
+      const [conflict] = db.conflicts.findRecent();
+      assert.equal(conflict.status, 'resolved');
+      assert.equal(conflict.resolution, 'merged');
+      assert.equal(conflict.base_value, 'one\ntwo');
+    });
+
+    it('keeps local on overlapping edits with local_wins', () => {
+      const change = notesConflict('one\ntwo', 'uno\ntwo', 'eins\ntwo\nthree');
+      const resolution = merger.applyNotesChange(change);
+
+      // Only the overlapping line follows the strategy, the appended line is kept
+      assert.equal(resolution, 'local_wins');
+      assert.equal(db.places.findById(place.id).notes, 'uno\ntwo\nthree');
+    });
+
+    it('takes remote on overlapping edits with remote_wins', () => {
+      merger.setConflictStrategy('remote_wins');
+      const change = notesConflict('one', 'uno', 'eins');
+      merger.applyNotesChange(change);
+
+      assert.equal(db.places.findById(place.id).notes, 'eins');
+      assert.deepEqual(pendingOps(), []);
+    });
+
+    it('falls back to the whole value without base text', () => {
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('one\ntwo'));
+      db.places.updateNotes(place.id, 'ONE\ntwo');
+      const change = detector.detectPlaceNotesChange(place.id, 'ONE\ntwo', 'one\ntwo\nthree', list.id);
+
+      assert.equal(merger.applyNotesChange(change), 'local_wins');
+      assert.equal(db.places.findById(place.id).notes, 'ONE\ntwo');
+    });
+
+    it('leaves manual conflicts untouched and unresolved', () => {
+      merger.setConflictStrategy('manual');
+      const change = notesConflict('one', 'uno', 'eins');
+      merger.applyNotesChange(change);
+
+      assert.equal(db.places.findById(place.id).notes, 'uno');
+      assert.equal(db.lastRemoteState.getPlaceNotesText(place.id), 'one');
+      assert.deepEqual(pendingOps(), []);
+      assert.equal(db.conflicts.countUnresolved(), 1);
+    });
+  });
+
+  describe('applyAssociationChange', () => {
+    it('queues a push for local removals', () => {
+      db.placeLists.markDeletedLocally(place.id, list.id);
+      merger.applyAssociationChange(detector.detectPlaceListChange(place.id, list.id, false, true));
+
+      assert.deepEqual(pendingOps(), [{ type: 'remove_place_from_list', payload: { placeId: place.id, listId: list.id } }]);
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, list.id), 'not_exists');
+    });
+
+    it('removes locally when removed remotely', () => {
+      merger.applyAssociationChange(detector.detectPlaceListChange(place.id, list.id, true, false));
+
+      assert.equal(db.placeLists.exists(place.id, list.id), false);
+    });
+
+    it('restores with remote notes when remote_wins a remote edit vs local removal', () => {
+      merger.setConflictStrategy('remote_wins');
+      db.placeLists.markDeletedLocally(place.id, list.id);
+      const change = detector.detectPlaceListChange(place.id, list.id, false, true, { remote: true, remoteNotes: 'edited' });
+
+      assert.equal(merger.applyAssociationChange(change), 'remote_wins');
+      assert.equal(db.placeLists.findPlacesInList(list.id).length, 1);
+      assert.equal(db.places.findById(place.id).notes, 'edited');
+    });
+
+    it('records base state when both sides agree', () => {
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, false);
+      merger.applyAssociationChange(detector.detectPlaceListChange(place.id, list.id, true, true));
+
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, list.id), 'exists');
+      assert.deepEqual(pendingOps(), []);
+    });
+  });
+
+  describe('applyChanges', () => {
+    it('creates places first seen remotely', () => {
+      const changes = detector.detectChangesForList('Favorites', [
+        { google_place_id: 'g1', name: 'Café Sperl', notes: null },
+        { google_place_id: 'g2', name: 'Figlmüller', notes: 'Schnitzel' }
+      ]);
+      const result = merger.applyChanges(changes);
+
+      const created = db.places.findByGoogleId('g2');
+      assert.equal(created.notes, 'Schnitzel');
+      assert.equal(db.placeLists.exists(created.id, list.id), true);
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(created.id, list.id), 'exists');
+      assert.equal(result.conflicts, 0);
+    });
+
+    it('counts resolved and unresolved conflicts', () => {
+      merger.setConflictStrategy('manual', { entity: 'place_notes' });
+      const change = notesConflict('A', 'B', 'C');
+      const result = merger.applyChanges({
+        placeChanges: [],
+        notesChanges: [change],
+        associationChanges: [],
+        conflicts: [change]
+      });
+
+      assert.equal(result.applied, 1);
+      assert.equal(result.unresolved, 1);
+    });
+  });
+});
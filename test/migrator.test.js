@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BetterSqlite3 = require('better-sqlite3');
+const Migrator = require('../src/db/migrator');
+const { quiet } = require('./helpers');
+
+describe('Migrator', () => {
+  let dir;
+  let migrationsDir;
+
+  beforeEach((t) => {
+    quiet(t);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmaps-migrator-'));
+    migrationsDir = path.join(dir, 'migrations');
+    fs.mkdirSync(migrationsDir);
+    fs.writeFileSync(path.join(migrationsDir, '001_things.sql'),
+      '-- migrate:up\nCREATE TABLE things (id INTEGER PRIMARY KEY);\n-- migrate:down\nDROP TABLE things;\n');
+    fs.writeFileSync(path.join(migrationsDir, '002_thing_name.sql'),
+      '-- migrate:up\nALTER TABLE things ADD COLUMN name TEXT;\n-- migrate:down\nALTER TABLE things DROP COLUMN name;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const columns = (db) => db.prepare('PRAGMA table_info(things)').all().map(c => c.name);
+
+  it('applies pending migrations in order and records them', () => {
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db, { migrationsDir });
+
+    assert.deepEqual(migrator.pending().map(m => m.version), [1, 2]);
+    migrator.up();
+
+    assert.deepEqual(columns(db), ['id', 'name']);
+    assert.equal(migrator.currentVersion(), 2);
+    assert.deepEqual(migrator.up(), []);
+  });
+
+  it('stops at --to and reverts with down', () => {
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db, { migrationsDir });
+
+    migrator.up({ to: 1 });
+    assert.deepEqual(columns(db), ['id']);
+
+    migrator.up();
+    migrator.down();
+    assert.deepEqual(columns(db), ['id']);
+    assert.deepEqual(migrator.status().map(m => m.applied), [true, false]);
+
+    migrator.down({ to: 0 });
+    assert.deepEqual(columns(db), []);
+  });
+
+  it('rolls back a failing migration', () => {
+    fs.writeFileSync(path.join(migrationsDir, '003_broken.sql'),
+      '-- migrate:up\nALTER TABLE things ADD COLUMN extra TEXT;\nSELECT * FROM nope;\n-- migrate:down\n');
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db, { migrationsDir });
+
+    assert.throws(() => migrator.up(), /no such table: nope/);
+    assert.equal(migrator.currentVersion(), 2);
+    assert.deepEqual(columns(db), ['id', 'name']);
+  });
+
+  it('rejects files without both sections', () => {
+    fs.writeFileSync(path.join(migrationsDir, '003_no_down.sql'), '-- migrate:up\nSELECT 1;\n');
+    const migrator = new Migrator(new BetterSqlite3(':memory:'), { migrationsDir });
+    assert.throws(() => migrator.loadMigrations(), /needs "-- migrate:up" followed by "-- migrate:down"/);
+  });
+
+  it('backs up an existing database file before migrating', () => {
+    const dbPath = path.join(dir, 'gmaps.db');
+    const db = new BetterSqlite3(dbPath);
+    const migrator = new Migrator(db, { dbPath, migrationsDir });
+
+    // Fresh database: nothing worth backing up
+    migrator.up({ to: 1 });
+    assert.equal(fs.existsSync(path.join(dir, 'backups')), false);
+
+    migrator.up();
+    const backups = fs.readdirSync(path.join(dir, 'backups'));
+    assert.equal(backups.length, 1);
+    assert.match(backups[0], /^gmaps-v1-.*\.db$/);
+
+    const copy = new BetterSqlite3(path.join(dir, 'backups', backups[0]));
+    assert.deepEqual(columns(copy), ['id']);
+    copy.close();
+    db.close();
+  });
+
+  it('runs JavaScript migrations', () => {
+    fs.writeFileSync(path.join(migrationsDir, '003_seed_things.js'),
+      "module.exports = { up: db => db.prepare(\"INSERT INTO things (name) VALUES ('a')\").run(), down: db => db.exec('DELETE FROM things') };\n");
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db, { migrationsDir });
+
+    migrator.up();
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM things').get().n, 1);
+
+    migrator.down();
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM things').get().n, 0);
+    assert.equal(migrator.currentVersion(), 2);
+  });
+
+  it('re-keys places by canonical ID', () => {
+    const featureId = '0x476d079b259d2a7f:0x9f3e4f2f4b0a1c2d';
+    const cid = BigInt('0x9f3e4f2f4b0a1c2d').toString(10);
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db);
+    migrator.up({ to: 3 });
+
+    const insert = db.prepare('INSERT INTO places (google_place_id, name, google_maps_url) VALUES (?, ?, ?)');
+    insert.run(featureId, 'Café Sperl', `https://www.google.com/maps/search/Caf%C3%A9+Sperl`);
+    insert.run('0x1:0x2', 'Taken', null);
+    insert.run('2', 'Already canonical', null);
+    insert.run('place_3_Unknown', 'Unknown', null);
+    migrator.up({ to: 4 });
+
+    const ids = db.prepare('SELECT google_place_id, google_maps_url FROM places ORDER BY id').all();
+    assert.deepEqual(ids.map(p => p.google_place_id), [cid, '0x1:0x2', '2', 'place_3_Unknown']);
+    assert.equal(ids[0].google_maps_url, `https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s${featureId}`);
+
+    // The old IDs weren't kept, so rolling back leaves the canonical ones
+    migrator.down({ to: 3 });
+    assert.equal(db.prepare('SELECT google_place_id FROM places ORDER BY id').get().google_place_id, cid);
+  });
+
+  it('fills tags from the Takeout Tags kept per list entry', () => {
+    const db = new BetterSqlite3(':memory:');
+    const migrator = new Migrator(db);
+    migrator.up({ to: 9 });
+
+    db.prepare("INSERT INTO places (google_place_id, name) VALUES ('1', 'Naschmarkt'), ('2', 'Sperl')").run();
+    db.prepare("INSERT INTO lists (name) VALUES ('Vienna'), ('Food')").run();
+    db.prepare(`INSERT INTO place_lists (place_id, list_id, tags) VALUES
+      (1, 1, 'market, Food'), (1, 2, 'food'), (2, 1, NULL)`).run();
+    migrator.up({ to: 10 });
+
+    const rows = db.prepare(`
+      SELECT pt.place_id, t.name, pt.source FROM place_tags pt JOIN tags t ON t.id = pt.tag_id ORDER BY t.name
+    `).all();
+    assert.deepEqual(rows, [
+      { place_id: 1, name: 'food', source: 'takeout' },
+      { place_id: 1, name: 'market', source: 'takeout' }
+    ]);
+  });
+
+  it('ships migrations that build the full schema', () => {
+    const db = new BetterSqlite3(':memory:');
+    new Migrator(db).up();
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+    for (const table of ['places', 'lists', 'place_lists', 'last_remote_state', 'pending_operations', 'conflicts', 'last_remote_notes', 'sync_log']) {
+      assert.ok(tables.includes(table), `missing table ${table}`);
+    }
+  });
+});
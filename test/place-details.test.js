@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRating, parseReviewCount, parseCoordinates, parseListEntry, parsePlaceDetails } = require('../src/sync/place-details');
+
+describe('place details', () => {
+  it('parses ratings and review counts', () => {
+    assert.equal(parseRating('4.5 stars'), 4.5);
+    assert.equal(parseRating('4,3'), 4.3);
+    assert.equal(parseRating('Restaurant4.5'), 4.5);
+    assert.equal(parseRating('no rating'), null);
+    assert.equal(parseReviewCount('(2,345)'), 2345);
+    assert.equal(parseReviewCount('21.876 reviews'), 21876);
+    assert.equal(parseReviewCount(null), null);
+  });
+
+  describe('parseCoordinates', () => {
+    it('prefers the pin over the viewport', () => {
+      const url = 'https://www.google.com/maps/place/Caf%C3%A9+Sperl/@48.2,16.36,17z/data=!3m1!4b1!4m6!3m5!1s0x1:0x2!8m2!3d48.2008!4d16.3611';
+      assert.deepEqual(parseCoordinates(url), { latitude: 48.2008, longitude: 16.3611 });
+    });
+
+    it('falls back to the viewport', () => {
+      assert.deepEqual(parseCoordinates('/maps/place/X/@-33.8568,151.2153,17z'), { latitude: -33.8568, longitude: 151.2153 });
+    });
+
+    it('rejects missing or out of range coordinates', () => {
+      assert.equal(parseCoordinates('https://www.google.com/maps?cid=1'), null);
+      assert.equal(parseCoordinates('/maps/@95.1,10.2,3z'), null);
+    });
+  });
+
+  describe('parseListEntry', () => {
+    // [entry text, name, expected]
+    const cases = [
+      ['Café Sperl\n4.5(6,012) · Café · €€', 'Café Sperl',
+        { rating: 4.5, review_count: 6012, category: 'Café', price_level: '€€' }],
+      ['Naschmarkt4.3(48,911)\nMarket', 'Naschmarkt',
+        { rating: 4.3, review_count: 48911, category: 'Market', price_level: null }],
+      ['Hofburg', 'Hofburg',
+        { rating: null, review_count: null, category: null, price_level: null }],
+      ['Brunch spot\nBreakfast restaurant · $10–20', 'Brunch spot',
+        { rating: null, review_count: null, category: 'Breakfast restaurant', price_level: '$10–20' }]
+    ];
+
+    for (const [text, name, expected] of cases) {
+      it(JSON.stringify(text), () => {
+        assert.deepEqual(parseListEntry(text, name), expected);
+      });
+    }
+  });
+
+  it('maps place page fields to columns and drops missing ones', () => {
+    const details = parsePlaceDetails({
+      category: 'Café',
+      rating: '4.5 stars',
+      reviews: '6,012 reviews',
+      price: 'Price: €€',
+      address: 'Address: Gumpendorfer Str. 11, 1060 Wien',
+      phone: 'phone:tel:+4315864158',
+      website: null
+    }, '/maps/place/Caf%C3%A9+Sperl/@48.2008,16.3611,17z');
+
+    assert.deepEqual(details, {
+      category: 'Café',
+      rating: 4.5,
+      review_count: 6012,
+      price_level: '€€',
+      address: 'Gumpendorfer Str. 11, 1060 Wien',
+      phone: '+4315864158',
+      latitude: 48.2008,
+      longitude: 16.3611
+    });
+  });
+});
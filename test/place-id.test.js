@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPlaceId, normalizePlaceId, buildPlaceUrl } = require('../src/sync/place-id');
+const FixtureServer = require('../src/browser/fixture-server');
+
+const FEATURE_ID = '0x476d079b259d2a7f:0x9f3e4f2f4b0a1c2d';
+const CID = BigInt('0x9f3e4f2f4b0a1c2d').toString(10);
+
+describe('place IDs', () => {
+  describe('normalizePlaceId', () => {
+    // Every form the seed CSV, scraper and fixtures produce for the same place
+    const inputs = [
+      FEATURE_ID,
+      FEATURE_ID.toUpperCase(),
+      CID,
+      `https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s${FEATURE_ID}`,
+      `https://www.google.com/maps?cid=${CID}`,
+      `https://maps.google.com/?q=Sperl&ftid=${FEATURE_ID}`,
+      `67890; track:click; metadata:["${FEATURE_ID}",null,1]`
+    ];
+
+    for (const input of inputs) {
+      it(`maps ${input} to the CID`, () => {
+        assert.equal(normalizePlaceId(input), CID);
+      });
+    }
+
+    it('returns null without an ID', () => {
+      assert.equal(normalizePlaceId(null), null);
+      assert.equal(normalizePlaceId('https://www.google.com/maps/search/Caf%C3%A9+Sperl'), null);
+      assert.equal(normalizePlaceId('place_3_Café Sperl'), null);
+    });
+  });
+
+  describe('extractPlaceId', () => {
+    it('does not read bare numbers as CIDs', () => {
+      assert.equal(extractPlaceId('12345'), null);
+      assert.deepEqual(extractPlaceId(`?cid=${CID}`), { featureId: null, cid: CID });
+    });
+  });
+
+  describe('buildPlaceUrl', () => {
+    it('builds a /maps/place/ URL from the feature ID', () => {
+      const url = buildPlaceUrl({ name: 'Café Sperl', featureId: FEATURE_ID, cid: CID });
+      assert.equal(url, `https://www.google.com/maps/place/Caf%C3%A9+Sperl/data=!4m2!3m1!1s${FEATURE_ID}`);
+      assert.equal(normalizePlaceId(url), CID);
+    });
+
+    it('falls back to a CID link', () => {
+      assert.equal(buildPlaceUrl({ cid: CID }, 'http://127.0.0.1:8940/maps'), `http://127.0.0.1:8940/maps?cid=${CID}`);
+      assert.equal(buildPlaceUrl({ name: 'Nowhere' }), null);
+    });
+  });
+
+  describe('fixture server', () => {
+    it('finds places by fixture ID, CID and name', () => {
+      const server = new FixtureServer({
+        lists: [{ id: 'L1', name: 'Favorites', places: [{ id: FEATURE_ID, name: 'Café Sperl', notes: '' }] }]
+      });
+
+      assert.equal(server.findPlace(FEATURE_ID).name, 'Café Sperl');
+      assert.equal(server.findPlace(CID).name, 'Café Sperl');
+      assert.equal(server.findPlace('Café Sperl').id, FEATURE_ID);
+      assert.equal(server.findPlace('0'), null);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PushExecutor = require('../src/sync/push-executor');
+const SyncOrchestrator = require('../src/sync');
+const { createTestDb, quiet } = require('./helpers');
+
+describe('PushExecutor', () => {
+  let db;
+  let scraper;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    // Nothing here touches a page: the tests stub execute()
+    scraper = {
+      page: null,
+      browser: { randomDelay: async () => {}, navigateToSavedPlaces: async () => {} }
+    };
+  });
+
+  const row = (id) => db.getConnection().prepare('SELECT * FROM pending_operations WHERE id = ?').get(id);
+  const queue = (notes) => db.addPendingOperation('update_notes', { placeId: 1, notes }).lastInsertRowid;
+
+  /**
+   * Executor whose execute() fails for the notes listed in failures
+   * seen records each operation's status while it runs
+   */
+  function stubExecutor(failures = []) {
+    const executor = new PushExecutor(scraper, db);
+    executor.seen = [];
+    executor.execute = async (op) => {
+      executor.seen.push([op.payload.notes, row(op.id).status]);
+      if (failures.includes(op.payload.notes)) {
+        throw new Error(`could not save ${op.payload.notes}`);
+      }
+    };
+    return executor;
+  }
+
+  it('marks operations in_progress while they run and completed after', async () => {
+    const first = queue('A');
+    const second = queue('B');
+    const executor = stubExecutor();
+
+    const result = await executor.executeAll();
+
+    assert.deepEqual(result, { completed: 2, failed: 0, retrying: 0, errors: [] });
+    assert.deepEqual(executor.seen, [['A', 'in_progress'], ['B', 'in_progress']]);
+    for (const id of [first, second]) {
+      assert.equal(row(id).status, 'completed');
+      assert.ok(row(id).completed_at);
+    }
+    assert.deepEqual(db.getPendingOperations(), []);
+  });
+
+  it('puts failed operations back in the queue until they run out of retries', async () => {
+    const done = queue('A');
+    const retried = queue('B');
+    const exhausted = queue('C');
+    db.getConnection().prepare('UPDATE pending_operations SET retry_count = 2 WHERE id = ?').run(exhausted);
+
+    const result = await stubExecutor(['B', 'C']).executeAll();
+
+    assert.equal(result.completed, 1);
+    assert.equal(result.retrying, 1);
+    assert.equal(result.failed, 1);
+    assert.deepEqual(result.errors, [
+      { operationId: retried, operationType: 'update_notes', error: 'could not save B' },
+      { operationId: exhausted, operationType: 'update_notes', error: 'could not save C' }
+    ]);
+    assert.equal(row(done).status, 'completed');
+    assert.deepEqual([row(retried).status, row(retried).retry_count, row(retried).error_message], ['pending', 1, 'could not save B']);
+    assert.ok(row(retried).next_retry_at, 'backed off');
+    assert.deepEqual([row(exhausted).status, row(exhausted).retry_count], ['failed', 3]);
+  });
+
+  it('counts unknown operation types as failures', async () => {
+    const id = db.addPendingOperation('paint_map', {}).lastInsertRowid;
+
+    const result = await new PushExecutor(scraper, db).executeAll();
+
+    assert.equal(result.retrying, 1);
+    assert.equal(result.errors[0].error, 'Unknown operation type: paint_map');
+    assert.equal(row(id).status, 'pending');
+  });
+
+  it('pushes operations an interrupted push left in_progress', async () => {
+    const interrupted = queue('A');
+    db.updateOperationStatus(interrupted, 'in_progress');
+    assert.deepEqual(db.getPendingOperations(), []);
+
+    const orchestrator = new SyncOrchestrator(scraper, db);
+    orchestrator.pushExecutor = stubExecutor();
+    const stats = { errors: [] };
+    const result = await orchestrator.pushPendingOperations(stats);
+
+    assert.deepEqual(result, { completed: 1, failed: 0, pending: 0 });
+    assert.equal(stats.operationsPushed, 1);
+    assert.equal(row(interrupted).status, 'completed');
+  });
+});
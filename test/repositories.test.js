@@ -0,0 +1,298 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, addPlace, addList } = require('./helpers');
+
+describe('repositories', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createTestDb();
+  });
+
+  describe('PlacesRepository', () => {
+    it('upserts by Google place ID and hashes notes', () => {
+      const place = addPlace(db, { googleId: 'g1', name: 'Café Sperl', notes: 'Cake' });
+      addPlace(db, { googleId: 'g1', name: 'Café Sperl Wien', notes: 'Cake' });
+
+      const updated = db.places.findByGoogleId('g1');
+      assert.equal(updated.id, place.id);
+      assert.equal(updated.name, 'Café Sperl Wien');
+      assert.equal(updated.notes_hash, db.places.hashNotes('Cake'));
+      assert.equal(db.places.findAll().length, 1);
+    });
+
+    it('treats empty notes as no notes', () => {
+      assert.equal(db.places.hashNotes(''), null);
+      assert.equal(db.places.hashNotes(null), null);
+    });
+
+    it('updates notes and their hash', () => {
+      const place = addPlace(db, { googleId: 'g1' });
+      db.places.updateNotes(place.id, 'New');
+
+      const updated = db.places.findById(place.id);
+      assert.equal(updated.notes, 'New');
+      assert.equal(updated.notes_hash, db.places.hashNotes('New'));
+    });
+
+    it('updates details without clearing fields that were not scraped', () => {
+      const place = addPlace(db, { googleId: 'g1' });
+      db.places.updateDetails(place.id, { category: 'Café', rating: 4.5, name: 'ignored' });
+      db.places.updateDetails(place.id, { rating: null, address: 'Gumpendorfer Str. 11', latitude: 48.2 }, { enriched: true });
+
+      const updated = db.places.findById(place.id);
+      assert.equal(updated.category, 'Café');
+      assert.equal(updated.rating, 4.5);
+      assert.equal(updated.address, 'Gumpendorfer Str. 11');
+      assert.equal(updated.latitude, 48.2);
+      assert.equal(updated.name, 'g1');
+      assert.ok(updated.details_synced_at);
+    });
+
+    it('finds places with missing or stale details', () => {
+      const fresh = addPlace(db, { googleId: 'g1', url: 'https://maps/1' });
+      const stale = addPlace(db, { googleId: 'g2', url: 'https://maps/2' });
+      const missing = addPlace(db, { googleId: 'g3', url: 'https://maps/3' });
+      addPlace(db, { googleId: 'g4' }); // No URL to open
+      db.places.updateDetails(fresh.id, {}, { enriched: true });
+      db.db.prepare("UPDATE places SET details_synced_at = datetime('now', '-40 days') WHERE id = ?").run(stale.id);
+
+      const ids = places => places.map(p => p.id);
+      assert.deepEqual(ids(db.places.findNeedingDetails({ staleDays: 30 })), [missing.id, stale.id]);
+      assert.deepEqual(ids(db.places.findNeedingDetails({ staleDays: 30, limit: 1 })), [missing.id]);
+    });
+
+    it('moves past places whose pages failed and retries them later', () => {
+      const broken = addPlace(db, { googleId: 'g1', url: 'https://maps/1' });
+      const next = addPlace(db, { googleId: 'g2', url: 'https://maps/2' });
+      const last = addPlace(db, { googleId: 'g3', url: 'https://maps/3' });
+      const ids = places => places.map(p => p.id);
+
+      // Opened, but the scrape failed: no details_synced_at
+      db.places.markDetailsAttempted(broken.id);
+      assert.deepEqual(ids(db.places.findNeedingDetails({ limit: 1 })), [next.id]);
+
+      db.places.markDetailsAttempted(next.id);
+      db.places.updateDetails(next.id, {}, { enriched: true });
+      assert.deepEqual(ids(db.places.findNeedingDetails()), [last.id]);
+
+      // After the retry window, behind places not tried yet
+      db.db.prepare("UPDATE places SET details_attempted_at = datetime('now', '-25 hours') WHERE id = ?").run(broken.id);
+      assert.deepEqual(ids(db.places.findNeedingDetails({ retryHours: 24 })), [last.id, broken.id]);
+
+      // Details scraped 40 days ago are due again
+      db.db.prepare(`
+        UPDATE places SET details_synced_at = datetime('now', '-40 days'), details_attempted_at = datetime('now', '-40 days')
+        WHERE id = ?
+      `).run(next.id);
+      assert.ok(ids(db.places.findNeedingDetails()).includes(next.id));
+    });
+  });
+
+  describe('PlacesRepository.search', () => {
+    let ramen;
+
+    beforeEach(() => {
+      ramen = addPlace(db, { googleId: 'g1', name: 'Ichiran Ramen', notes: 'Ask for the table in the back room' });
+      addPlace(db, { googleId: 'g2', name: 'Café Sperl', notes: 'Ramen-free zone, great cake' });
+      addPlace(db, { googleId: 'g3', name: 'Figlmüller', notes: 'Schnitzel' });
+    });
+
+    it('ranks name matches above notes matches', () => {
+      const results = db.places.search('ramen');
+      assert.deepEqual(results.map(p => p.name), ['Ichiran Ramen', 'Café Sperl']);
+    });
+
+    it('returns at most limit results, all of them for -1 and none for 0', () => {
+      assert.deepEqual(db.places.search('ramen', { limit: 1 }).map(p => p.name), ['Ichiran Ramen']);
+      assert.equal(db.places.search('ramen', { limit: -1 }).length, 2);
+      assert.deepEqual(db.places.search('ramen', { limit: 0 }), []);
+    });
+
+    it('matches every word as a prefix, ignoring accents and FTS syntax', () => {
+      assert.deepEqual(db.places.search('ram back').map(p => p.name), ['Ichiran Ramen']);
+      assert.deepEqual(db.places.search('cafe').map(p => p.name), ['Café Sperl']);
+      assert.deepEqual(db.places.search('figlm* ("').map(p => p.name), ['Figlmüller']);
+      assert.deepEqual(db.places.search('  '), []);
+      assert.match(db.places.search('back room')[0].snippet, /\[back\] \[room\]/);
+    });
+
+    it('follows notes edits, renames and deletes', () => {
+      db.places.updateNotes(ramen.id, 'Counter seats only');
+      assert.deepEqual(db.places.search('back room'), []);
+      assert.equal(db.places.search('counter')[0].id, ramen.id);
+
+      addPlace(db, { googleId: 'g1', name: 'Ichiran Shibuya', notes: 'Counter seats only' });
+      assert.equal(db.places.search('shibuya')[0].id, ramen.id);
+
+      db.getConnection().prepare('DELETE FROM places WHERE id = ?').run(ramen.id);
+      assert.deepEqual(db.places.search('shibuya'), []);
+    });
+
+    it('filters by list and skips deleted places', () => {
+      const list = addList(db, 'Tokyo');
+      db.placeLists.add(ramen.id, list.id);
+
+      assert.deepEqual(db.places.search('ramen', { listId: list.id }).map(p => p.id), [ramen.id]);
+      db.places.markDeleted(ramen.id);
+      assert.deepEqual(db.places.search('ramen').map(p => p.name), ['Café Sperl']);
+    });
+  });
+
+  describe('ListsRepository', () => {
+    it('upserts by name when there is no Google list ID', () => {
+      const list = addList(db, 'Favorites');
+      addList(db, 'Favorites');
+      assert.equal(db.lists.findAll().length, 1);
+      assert.equal(db.lists.findByName('Favorites').id, list.id);
+    });
+
+    it('revives a deleted list on upsert', () => {
+      const list = addList(db, 'Favorites', 'L1');
+      db.lists.markDeleted(list.id);
+      assert.equal(db.lists.findAll().length, 0);
+
+      addList(db, 'Favorites', 'L1');
+      assert.equal(db.lists.findAll().length, 1);
+    });
+
+    it('tracks local deletes until they are pushed', () => {
+      const list = addList(db, 'Favorites');
+      db.lists.markDeletedLocally(list.id);
+
+      assert.equal(db.lists.findAll().length, 0);
+      assert.deepEqual(db.lists.findPendingLocalDeletes().map(l => l.id), [list.id]);
+    });
+  });
+
+  describe('PlaceListsRepository', () => {
+    let place;
+    let list;
+
+    beforeEach(() => {
+      place = addPlace(db, { googleId: 'g1' });
+      list = addList(db, 'Favorites');
+      db.placeLists.add(place.id, list.id);
+    });
+
+    it('hides soft-deleted associations until restored', () => {
+      db.placeLists.markDeletedLocally(place.id, list.id);
+      assert.equal(db.placeLists.exists(place.id, list.id), false);
+      assert.equal(db.placeLists.findPlacesInList(list.id).length, 0);
+      assert.equal(db.placeLists.findPendingLocalDeletes().length, 1);
+
+      db.placeLists.restore(place.id, list.id);
+      assert.equal(db.placeLists.exists(place.id, list.id), true);
+    });
+
+    it('ignores duplicate adds', () => {
+      db.placeLists.add(place.id, list.id);
+      assert.equal(db.placeLists.findAll().length, 1);
+    });
+  });
+
+  describe('LastRemoteStateRepository', () => {
+    let place;
+
+    beforeEach(() => {
+      place = addPlace(db, { googleId: 'g1' });
+    });
+
+    it('stores notes hash and text together', () => {
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('Cake'), 'Cake');
+      assert.equal(db.lastRemoteState.getPlaceNotes(place.id), db.places.hashNotes('Cake'));
+      assert.equal(db.lastRemoteState.getPlaceNotesText(place.id), 'Cake');
+    });
+
+    it('clears both when notes are emptied', () => {
+      db.lastRemoteState.savePlaceNotes(place.id, db.places.hashNotes('Cake'), 'Cake');
+      db.lastRemoteState.savePlaceNotes(place.id, null, null);
+      assert.equal(db.lastRemoteState.getPlaceNotes(place.id), null);
+      assert.equal(db.lastRemoteState.getPlaceNotesText(place.id), null);
+    });
+
+    it('stores associations as exists / not_exists', () => {
+      const list = addList(db, 'Favorites');
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, list.id), null);
+
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, true);
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, list.id), 'exists');
+
+      db.lastRemoteState.savePlaceListAssociation(place.id, list.id, false);
+      assert.equal(db.lastRemoteState.getPlaceListAssociation(place.id, list.id), 'not_exists');
+    });
+
+    it('maps list IDs to name hashes', () => {
+      const list = addList(db, 'Favorites');
+      db.lastRemoteState.saveList(list.id, 'hash');
+      assert.deepEqual([...db.lastRemoteState.getAllLists()], [[list.id, 'hash']]);
+    });
+  });
+
+  describe('ConflictsRepository', () => {
+    let place;
+
+    beforeEach(() => {
+      place = addPlace(db, { googleId: 'g1' });
+    });
+
+    const conflict = (localValue) => ({
+      entityType: 'place_notes',
+      placeId: place.id,
+      baseValue: 'A',
+      localValue,
+      remoteValue: 'C'
+    });
+
+    it('refreshes an unresolved conflict instead of duplicating it', () => {
+      const id = db.conflicts.record(conflict('B'));
+      assert.equal(db.conflicts.record(conflict('B2')), id);
+
+      assert.equal(db.conflicts.countUnresolved(), 1);
+      assert.equal(db.conflicts.findById(id).local_value, 'B2');
+    });
+
+    it('resolves conflicts', () => {
+      const id = db.conflicts.record(conflict('B'));
+      db.conflicts.resolve(id, 'local_wins', 'B');
+
+      const row = db.conflicts.findById(id);
+      assert.equal(row.status, 'resolved');
+      assert.equal(row.resolved_value, 'B');
+      assert.equal(db.conflicts.countUnresolved(), 0);
+    });
+  });
+
+  describe('pending operations', () => {
+    it('dedupes identical pending operations', () => {
+      const first = db.addPendingOperation('update_notes', { placeId: 1, notes: 'A' });
+      const second = db.addPendingOperation('update_notes', { placeId: 1, notes: 'A' });
+
+      assert.equal(second.lastInsertRowid, first.lastInsertRowid);
+      assert.equal(db.getPendingOperations().length, 1);
+    });
+
+    it('retries with backoff, then fails', () => {
+      const { lastInsertRowid: id } = db.addPendingOperation('update_notes', { placeId: 1, notes: 'A' });
+
+      db.retryOperation(id, 'boom');
+      // Backed off, so not ready yet
+      assert.equal(db.getPendingOperations().length, 0);
+
+      db.retryOperation(id, 'boom');
+      db.retryOperation(id, 'boom');
+      const row = db.getConnection().prepare('SELECT * FROM pending_operations WHERE id = ?').get(id);
+      assert.equal(row.status, 'failed');
+      assert.equal(row.retry_count, 3);
+    });
+
+    it('re-queues operations left in_progress', () => {
+      const { lastInsertRowid: id } = db.addPendingOperation('update_notes', { placeId: 1, notes: 'A' });
+      db.updateOperationStatus(id, 'in_progress');
+
+      assert.equal(db.resetInterruptedOperations(), 1);
+      assert.deepEqual(db.getPendingOperations().map(op => op.id), [id]);
+      assert.equal(db.resetInterruptedOperations(), 0);
+    });
+  });
+});
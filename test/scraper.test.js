@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GoogleMapsScraper = require('../src/sync/scraper');
+const { quiet } = require('./helpers');
+
+describe('GoogleMapsScraper', () => {
+  /**
+   * Scraper over a stub page whose list shows the given entries on every scroll
+   * Entries without idSources resolve by "opening" them: clicks records each index opened
+   */
+  function stubScraper(entries, idsByIndex) {
+    const browser = { mapsUrl: 'https://www.google.com/maps', randomDelay: async () => {} };
+    const scraper = new GoogleMapsScraper(browser, null);
+    scraper.page = {
+      $$eval: async () => entries.map(entry => ({ notes: '', summary: '', idSources: [], ...entry })),
+      evaluate: async () => {}
+    };
+    scraper.clicks = [];
+    scraper.resolvePlaceByOpening = async (entry) => {
+      scraper.clicks.push(entry.index);
+      return idsByIndex[entry.index];
+    };
+    return scraper;
+  }
+
+  it('keeps same-named entries without IDs in their markup apart', async (t) => {
+    quiet(t);
+    const scraper = stubScraper(
+      [{ index: 0, name: 'Starbucks' }, { index: 1, name: 'Starbucks' }],
+      { 0: { featureId: '0x1:0xa', cid: '10' }, 1: { featureId: '0x1:0xb', cid: '11' } }
+    );
+
+    const places = await scraper.scrapePlacesFromCurrentList();
+
+    assert.deepEqual(places.map(place => [place.name, place.google_place_id]), [['Starbucks', '10'], ['Starbucks', '11']]);
+    // Each entry is opened once, however often the list is scrolled
+    assert.deepEqual(scraper.clicks, [0, 1]);
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Tagger = require('../src/sync/tagger');
+const Deduplicator = require('../src/sync/deduplicator');
+const { normalizeTag, splitTags, findHashtags } = require('../src/sync/tags');
+const { createTestDb, addPlace, quiet } = require('./helpers');
+
+describe('tag names', () => {
+  it('normalizes spelling', () => {
+    assert.equal(normalizeTag(' #Kid friendly '), 'kid-friendly');
+    assert.equal(normalizeTag('Food & Drinks'), 'food-drinks');
+    assert.equal(normalizeTag('Café'), 'café');
+    assert.equal(normalizeTag('#'), '');
+  });
+
+  it('splits comma-separated tags', () => {
+    assert.deepEqual(splitTags('brunch, Kid friendly,,brunch'), ['brunch', 'kid-friendly']);
+    assert.deepEqual(splitTags(['brunch', 'cafe,cake']), ['brunch', 'cafe', 'cake']);
+    assert.deepEqual(splitTags(null), []);
+  });
+
+  it('finds hashtags but not numbers, anchors or HTML entities', () => {
+    const notes = 'Pancakes #brunch #Kid-friendly\n#1 ramen in town (#late-night)\nhttps://example.com/#menu &#39;';
+    assert.deepEqual(findHashtags(notes), ['brunch', 'kid-friendly', 'late-night']);
+  });
+});
+
+describe('Tagger', () => {
+  let db;
+  let tagger;
+  let sperl;
+  let ramen;
+  let park;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    tagger = new Tagger(db);
+    sperl = addPlace(db, { googleId: '111', name: 'Café Sperl', notes: 'Cake #brunch' });
+    ramen = addPlace(db, { googleId: '222', name: 'Ramen Bar', notes: 'Open late\n#late-night' });
+    park = addPlace(db, { googleId: '333', name: 'Stadtpark' });
+  });
+
+  const tagsOf = (place) => db.tags.findForPlace(place.id).map(tag => tag.name);
+  const names = (places) => places.map(place => place.name).sort();
+
+  it('tags and untags places', () => {
+    const tagged = tagger.tag('Café Sperl', ['Brunch', 'kid friendly']);
+    assert.deepEqual(tagged.added, ['brunch', 'kid-friendly']);
+    assert.deepEqual(tagger.tag('#' + sperl.id, 'brunch').added, []);
+
+    const untagged = tagger.untag('Café Sperl', 'brunch,cake');
+    assert.deepEqual(untagged.removed, ['brunch']);
+    assert.deepEqual(untagged.inNotes, ['brunch']);
+    assert.deepEqual(untagged.tags, ['kid-friendly']);
+    assert.equal(db.tags.findByName('brunch'), undefined);
+
+    assert.throws(() => tagger.tag('Café Sperl', ['#']), /No tags given/);
+    assert.throws(() => tagger.tag('Nowhere', ['brunch']), /Place not found/);
+  });
+
+  it('finds places by tag combination', () => {
+    tagger.tag('Café Sperl', 'brunch, kid-friendly');
+    tagger.tag('Ramen Bar', 'late-night');
+    tagger.tag('Stadtpark', 'kid-friendly');
+
+    assert.deepEqual(names(tagger.find({ all: 'brunch,kid-friendly' })), ['Café Sperl']);
+    assert.deepEqual(names(tagger.find({ any: ['brunch', 'late-night'] })), ['Café Sperl', 'Ramen Bar']);
+    assert.deepEqual(names(tagger.find({ all: 'kid-friendly', none: 'brunch' })), ['Stadtpark']);
+    assert.deepEqual(names(tagger.find({ none: 'kid-friendly' })), ['Ramen Bar']);
+
+    db.places.markDeletedLocally(park.id);
+    assert.deepEqual(names(tagger.find({ all: 'kid-friendly' })), ['Café Sperl']);
+    assert.throws(() => tagger.find({}), /No tags given/);
+  });
+
+  it('tags places with the hashtags in their notes', () => {
+    tagger.tag('Café Sperl', 'brunch');
+
+    const preview = tagger.fromNotes({ dryRun: true });
+    assert.deepEqual(preview.map(({ place, tags }) => [place.name, tags]), [['Ramen Bar', ['late-night']]]);
+    assert.deepEqual(tagsOf(ramen), []);
+
+    tagger.fromNotes();
+    assert.deepEqual(db.tags.findForPlace(ramen.id).map(tag => [tag.name, tag.source]), [['late-night', 'notes']]);
+    assert.deepEqual(tagger.fromNotes(), []);
+  });
+
+  it('writes missing tags into notes as hashtags', () => {
+    tagger.tag('Café Sperl', 'brunch, cake');
+    tagger.tag('Ramen Bar', 'ramen');
+    tagger.tag('Stadtpark', 'kid friendly');
+
+    const { updated, skipped } = tagger.toNotes();
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(updated.map(({ place, hashtags }) => [place.name, hashtags]).sort(), [
+      ['Café Sperl', ['cake']],
+      ['Ramen Bar', ['ramen']],
+      ['Stadtpark', ['kid-friendly']]
+    ]);
+    assert.equal(db.places.findById(sperl.id).notes, 'Cake #brunch\n#cake');
+    assert.equal(db.places.findById(ramen.id).notes, 'Open late\n#late-night #ramen');
+    assert.equal(db.places.findById(park.id).notes, '#kid-friendly');
+    assert.deepEqual(tagger.toNotes().updated, []);
+  });
+
+  it('writes only the given tags and skips notes that would get too long', () => {
+    tagger.tag('Ramen Bar', 'ramen, noodles');
+    db.places.updateNotes(sperl.id, 'x'.repeat(3999));
+    tagger.tag('Café Sperl', 'cake');
+
+    const { updated, skipped } = tagger.toNotes({ tags: 'ramen,cake', dryRun: true });
+    assert.deepEqual(updated.map(({ place, notes }) => [place.name, notes]), [['Ramen Bar', 'Open late\n#late-night #ramen']]);
+    assert.deepEqual(skipped.map(({ place }) => place.name), ['Café Sperl']);
+    assert.equal(db.places.findById(ramen.id).notes, 'Open late\n#late-night');
+  });
+
+  it('keeps tags when duplicates are merged', () => {
+    const copy = addPlace(db, { googleId: 'place_9_Café Sperl', name: 'Café Sperl', url: 'https://maps.google.com/?cid=111' });
+    db.tags.addToPlace(copy.id, ['vienna'], 'takeout');
+    db.tags.addToPlace(sperl.id, ['cake'], 'manual');
+
+    const deduplicator = new Deduplicator(db);
+    deduplicator.findDuplicates().forEach(group => deduplicator.merge(group));
+
+    assert.equal(db.places.findById(copy.id), undefined);
+    assert.deepEqual(tagsOf(sperl), ['cake', 'vienna']);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const TakeoutImporter = require('../src/sync/takeout-importer');
+const { readTakeout, parseSavedPlaces, listNameForFile, fileNameForList } = require('../src/takeout/takeout');
+const { createTestDb, addPlace, addList, quiet } = require('./helpers');
+
+const FOLDER = path.join(__dirname, 'fixtures', 'takeout');
+const ZIP = path.join(__dirname, 'fixtures', 'takeout.zip');
+const SPERL_CID = '8037432901999056033';
+
+describe('listNameForFile', () => {
+  it('undoes Takeout file name mangling', () => {
+    assert.equal(listNameForFile('Jason_s Vienna Research'), "Jason's Vienna Research");
+    assert.equal(listNameForFile('Don_t miss'), "Don't miss");
+    assert.equal(listNameForFile('Favorite places'), 'Favorites');
+  });
+
+  it('prefers an existing list that mangles to the file name', () => {
+    assert.equal(listNameForFile('Food_drinks', ['Food/drinks']), 'Food/drinks');
+    assert.equal(listNameForFile('snake_case list', []), 'snake_case list');
+  });
+});
+
+describe('fileNameForList', () => {
+  it('reverses CSV_NAME_MAPPINGS and mangles like Takeout', () => {
+    assert.equal(fileNameForList('Favorites'), 'Favorite places');
+    assert.equal(fileNameForList("Jason's Vienna Research"), 'Jason_s Vienna Research');
+    assert.equal(fileNameForList('Food/drinks'), 'Food_drinks');
+    assert.equal(listNameForFile(fileNameForList('Favorites')), 'Favorites');
+  });
+});
+
+describe('parseSavedPlaces', () => {
+  it('reads both GeoJSON layouts and drops the 0,0 placeholder location', () => {
+    const places = parseSavedPlaces(fs.readFileSync(
+      path.join(FOLDER, 'Takeout', 'Maps (your places)', 'Saved Places.json'), 'utf8'));
+
+    assert.deepEqual(places.map(p => [p.name, p.latitude, p.longitude]), [
+      ['Café Sperl', 48.2008, 16.3611],
+      ['Belvedere', 48.1915, 16.3809],
+      ['Dropped pin', null, null]
+    ]);
+    assert.equal(places[0].address, 'Gumpendorfer Str. 11, 1060 Wien, Austria');
+    assert.equal(places[0].date, '2021-03-14 09:30:00');
+    assert.equal(places[1].date, '2019-07-01 12:00:00');
+  });
+});
+
+describe('readTakeout', () => {
+  it('reads the same lists from the zip and the unzipped folder', () => {
+    const fromZip = readTakeout(ZIP);
+    const fromFolder = readTakeout(FOLDER);
+
+    assert.deepEqual(fromZip.map(c => c.name), ['Starred places', 'Favorites', "Jason's Vienna Research", 'Want to go']);
+    assert.deepEqual(fromZip.map(c => c.places), fromFolder.map(c => c.places));
+  });
+
+  it('fails on a folder without saved places', () => {
+    assert.throws(() => readTakeout(path.join(FOLDER, 'Takeout', 'Maps (your places)', 'nowhere')), /Not found/);
+    assert.throws(() => readTakeout(path.join(__dirname, '..', 'src', 'api')), /No saved places found/);
+  });
+});
+
+describe('TakeoutImporter', () => {
+  let db;
+  let importer;
+
+  beforeEach((t) => {
+    quiet(t);
+    db = createTestDb();
+    importer = new TakeoutImporter(db);
+  });
+
+  it('imports every list and reports new places', () => {
+    const result = importer.apply(importer.plan(readTakeout(ZIP)));
+
+    assert.deepEqual(result.places, { new: 5, updated: 0, unchanged: 0, skipped: 0 });
+    const sperl = db.places.findByGoogleId(SPERL_CID);
+    assert.equal(sperl.notes, 'Go early');
+    assert.equal(sperl.latitude, 48.2008);
+    assert.equal(sperl.address, 'Gumpendorfer Str. 11, 1060 Wien, Austria');
+    assert.deepEqual(db.placeLists.findListsForPlace(sperl.id).map(l => l.name).sort(),
+      ["Jason's Vienna Research", 'Starred places', 'Want to go']);
+
+    const naschmarkt = db.places.findByName('Naschmarkt')[0];
+    const jasons = db.lists.findByName("Jason's Vienna Research");
+    assert.equal(naschmarkt.notes, 'Saturday flea market\nTry the "Falafel" stand');
+    assert.equal(db.placeLists.find(naschmarkt.id, jasons.id).tags, 'market, food');
+    assert.equal(db.placeLists.find(naschmarkt.id, jasons.id).comment, 'Go before 10');
+    assert.deepEqual(db.tags.findForPlace(naschmarkt.id).map(tag => [tag.name, tag.source]),
+      [['food', 'takeout'], ['market', 'takeout']]);
+
+    const belvedere = db.places.findByName('Belvedere')[0];
+    assert.equal(belvedere.touched_at, '2019-07-01 12:00:00');
+  });
+
+  it('reports unchanged places when imported again', () => {
+    importer.apply(importer.plan(readTakeout(FOLDER)));
+    const result = importer.apply(importer.plan(readTakeout(ZIP)));
+
+    assert.deepEqual(result.places, { new: 0, updated: 0, unchanged: 5, skipped: 0 });
+    assert.equal(db.places.findAll().length, 5);
+  });
+
+  it('merges into existing places by canonical ID without overwriting local data', () => {
+    const wantToGo = addList(db, 'Want to go');
+    const sperl = addPlace(db, { googleId: SPERL_CID, name: 'Café Sperl', notes: 'Edited locally' });
+    db.placeLists.add(sperl.id, wantToGo.id);
+    const pin = addPlace(db, { googleId: 'http://maps.google.com/?q=Somewhere', name: 'Dropped pin' });
+    db.places.markDeletedLocally(pin.id);
+
+    const plan = importer.plan(readTakeout(FOLDER));
+    const sperlEntries = plan.flatMap(c => c.entries.map(e => [c.name, e])).filter(([, e]) => e.googlePlaceId === SPERL_CID);
+    assert.deepEqual(sperlEntries.map(([name, e]) => [name, e.status, e.changes]), [
+      ['Starred places', 'updated', ['list', 'address', 'coordinates']],
+      ["Jason's Vienna Research", 'updated', ['list']],
+      ['Want to go', 'unchanged', []]
+    ]);
+
+    const result = importer.apply(plan);
+    assert.deepEqual(result.places, { new: 3, updated: 1, unchanged: 0, skipped: 1 });
+    assert.equal(db.places.findById(sperl.id).notes, 'Edited locally');
+    assert.equal(db.places.findById(pin.id).is_deleted, 1);
+  });
+
+  it('replaces Tags and Comment from a newer export', () => {
+    importer.apply(importer.plan(readTakeout(ZIP)));
+    const naschmarkt = db.places.findByName('Naschmarkt')[0];
+    const jasons = db.lists.findByName("Jason's Vienna Research");
+    db.placeLists.setTagsAndComment(naschmarkt.id, jasons.id, 'market', null);
+
+    const result = importer.apply(importer.plan(readTakeout(ZIP)));
+
+    assert.deepEqual(result.places, { new: 0, updated: 1, unchanged: 4, skipped: 0 });
+    assert.equal(db.placeLists.find(naschmarkt.id, jasons.id).tags, 'market, food');
+    assert.equal(db.placeLists.find(naschmarkt.id, jasons.id).comment, 'Go before 10');
+  });
+
+  it('writes nothing when only planned', () => {
+    importer.plan(readTakeout(ZIP));
+    assert.equal(db.places.findAll().length, 0);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { merge3, hasConflictMarkers } = require('../src/sync/text-merge');
+
+describe('merge3', () => {
+  const lines = (...l) => l.join('\n');
+
+  // [description, base, local, remote, merged]
+  const clean = [
+    ['no changes', lines('a', 'b'), lines('a', 'b'), lines('a', 'b'), lines('a', 'b')],
+    ['local only', lines('a', 'b'), lines('A', 'b'), lines('a', 'b'), lines('A', 'b')],
+    ['remote only', lines('a', 'b'), lines('a', 'b'), lines('a', 'B'), lines('a', 'B')],
+    ['different lines', lines('a', 'b', 'c'), lines('A', 'b', 'c'), lines('a', 'b', 'C'), lines('A', 'b', 'C')],
+    ['edit and append', lines('a', 'b'), lines('a', 'B'), lines('a', 'b', 'c'), lines('a', 'B', 'c')],
+    ['prepend and append', lines('a'), lines('x', 'a'), lines('a', 'y'), lines('x', 'a', 'y')],
+    ['same edit on both sides', lines('a', 'b'), lines('A', 'b'), lines('A', 'b'), lines('A', 'b')],
+    ['delete and edit elsewhere', lines('a', 'b', 'c'), lines('b', 'c'), lines('a', 'b', 'C'), lines('b', 'C')],
+    ['empty base', null, 'a', null, 'a']
+  ];
+
+  for (const [description, base, local, remote, merged] of clean) {
+    it(`merges cleanly: ${description}`, () => {
+      const result = merge3(base, local, remote);
+      assert.equal(result.clean, true);
+      assert.equal(result.merged, merged);
+      assert.deepEqual(result.conflicts, []);
+    });
+  }
+
+  it('marks overlapping edits', () => {
+    const result = merge3(lines('a', 'b'), lines('A', 'b'), lines('X', 'b'));
+
+    assert.equal(result.clean, false);
+    assert.deepEqual(result.conflicts, [{ base: 'a', local: 'A', remote: 'X' }]);
+    assert.equal(result.marked, lines('<<<<<<< local', 'A', '=======', 'X', '>>>>>>> remote', 'b'));
+    assert.equal(result.merged, result.marked);
+    assert.equal(hasConflictMarkers(result.merged), true);
+  });
+
+  it('treats inserts at the same spot as a conflict', () => {
+    const result = merge3('a', lines('a', 'x'), lines('a', 'y'));
+    assert.equal(result.clean, false);
+  });
+
+  it('favors one side on overlaps but keeps the other edits', () => {
+    const base = lines('a', 'b', 'c');
+    const local = lines('A', 'b', 'c');
+    const remote = lines('X', 'b', 'C');
+
+    assert.equal(merge3(base, local, remote, { favor: 'local' }).merged, lines('A', 'b', 'C'));
+    assert.equal(merge3(base, local, remote, { favor: 'remote' }).merged, lines('X', 'b', 'C'));
+  });
+});
+
+describe('hasConflictMarkers', () => {
+  it('only matches markers at the start of a line', () => {
+    assert.equal(hasConflictMarkers('a\n=======\nb'), true);
+    assert.equal(hasConflictMarkers('a ======= b'), false);
+    assert.equal(hasConflictMarkers(null), false);
+  });
+});